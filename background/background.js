@@ -1,36 +1,102 @@
 /**
  * POI Extension: Background Service Worker
- * Handles long-running operations: import/clear, remote URL syncing, daily alarm.
+ * Handles long-running operations: storage migrations, import/clear, remote URL syncing,
+ * per-group sync alarms, trash purging.
  */
 
-import { parseCSV } from '../data/csv-parser.js';
-import { parseJSON } from '../data/json-parser.js';
-import { updateGroupPOIs } from '../data/data-manager.js';
+import { updateGroupPOIs, readSourceGroups, applySourceGroups, getSourceMapping, getSourceRequest, pruneSourceRequests, importGroupsData, deleteAllGroupsFromProfile, updatePoi, deletePoi, clearDeletedPois } from '../data/data-manager.js';
+import { summarizeReport } from '../data/import-report.js';
+import { fetchSource, isRetryableError } from '../data/source-fetch.js';
+import { getSyncAlarmName, parseSyncAlarmName, getSyncInterval, hasScheduleChanged } from '../data/sync-schedule.js';
+import { runMigrations, removePreMigrationBackup } from '../data/migrations.js';
+import { getProfilePois } from '../data/poi-store.js';
+import { TRASH_PURGE_ALARM, purgeExpiredTrash, getTrashCutoff } from '../data/trash.js';
+import { restoreBackup } from '../data/backup.js';
+
+// Sources fetched at the same time when several sync alarms fire together
+const SYNC_CONCURRENCY = 3;
+
+// Failed fetches are retried after 5, 10, 20, 40 and 80 minutes (± jitter)
+const SYNC_RETRY_ALARM_PREFIX = 'shullow-sync-retry:';
+const SYNC_MAX_RETRIES = 5;
+const SYNC_RETRY_BASE_DELAY = 5 * 60 * 1000;
+const SYNC_RETRY_MAX_DELAY = 6 * 60 * 60 * 1000;
+
+let activeSyncCount = 0;
+const queuedSyncs = [];
+let storageLock = Promise.resolve();
+
+// Trash entries past their retention period are purged this often
+const TRASH_PURGE_INTERVAL = 6 * 60;
+
+// Storage is upgraded before anything else reads it, each time the worker starts
+const migrationsReady = runMigrations().catch((e) => {
+  console.error('[Migrations] Failed:', e);
+});
 
 // ============================================
 // ALARM REGISTRATION
 // ============================================
 
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.alarms.create('shullow-daily-sync', { periodInMinutes: 1440 });
+  // Replaced by per-group alarms
+  chrome.alarms.clear('shullow-daily-sync');
+  chrome.alarms.create(TRASH_PURGE_ALARM, { delayInMinutes: 1, periodInMinutes: TRASH_PURGE_INTERVAL });
+  migrationsReady.then(scheduleSyncAlarms);
 });
 
 chrome.runtime.onStartup.addListener(() => {
-  // Idempotent: Chrome deduplicates alarms by name
-  chrome.alarms.create('shullow-daily-sync', { periodInMinutes: 1440 });
+  migrationsReady.then(scheduleSyncAlarms);
+});
+
+// The popup edits syncEnabled/syncInterval in storage; keep the alarms in step
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.profiles &&
+      hasScheduleChanged(changes.profiles.oldValue, changes.profiles.newValue)) {
+    scheduleSyncAlarms();
+  }
 });
 
 chrome.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'shullow-daily-sync') {
-    runAutoSync();
+  if (alarm.name === TRASH_PURGE_ALARM) {
+    purgeTrash().catch((e) => {
+      console.error('[Trash] Purge failed:', e);
+    });
+    return;
+  }
+
+  const scheduled = parseSyncAlarmName(alarm.name);
+  if (scheduled) {
+    withSyncSlot(() => syncGroup(scheduled.profileUuid, scheduled.groupUuid)).catch((e) => {
+      console.error(`[AutoSync] Failed for group ${scheduled.groupUuid}:`, e);
+    });
+  } else if (alarm.name.startsWith(SYNC_RETRY_ALARM_PREFIX)) {
+    const [profileUuid, groupUuid] = alarm.name.slice(SYNC_RETRY_ALARM_PREFIX.length).split(':');
+    withSyncSlot(() => syncGroup(profileUuid, groupUuid)).catch((e) => {
+      console.error(`[AutoSync] Retry failed for group ${groupUuid}:`, e);
+    });
   }
 });
 
+// Keyboard shortcut (manifest "commands"): opens the POI search palette on the page
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== 'open-poi-search' || !tab?.id) return;
+  chrome.tabs.sendMessage(tab.id, { action: 'open-search-palette' }, () => {
+    if (chrome.runtime.lastError) console.log('[Search] No POI overlay on this tab');
+  });
+});
+
 // ============================================
 // MESSAGE HANDLER
 // ============================================
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // The popup waits for the storage migrations before reading profiles
+  if (msg.action === 'run-migrations') {
+    migrationsReady.then(() => sendResponse({ status: 'ok' }));
+    return true;
+  }
+
   // Handle import operation (can run even if popup is closed)
   if (msg.action === 'background-import-groups') {
     handleBackgroundImport(msg.groups)
@@ -39,16 +105,54 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
 
+  // Content scripts can't open the extension's IndexedDB; they get POIs from here
+  if (msg.action === 'get-group-pois') {
+    getActiveGroupsWithPois()
+      .then(groups => sendResponse({ status: 'ok', groups }))
+      .catch(err => sendResponse({ status: 'error', error: err.message }));
+    return true;
+  }
+
   // Handle clear all groups from profile (can run even if popup is closed)
   if (msg.action === 'background-clear-all-groups') {
     handleClearAllGroups(msg.profileUuid)
+      .then(result => sendResponse({ status: 'ok', ...result }))
+      .catch(err => sendResponse({ status: 'error', error: err.message }));
+    return true;
+  }
+
+  // Restores replace profiles and POIs together; they must not interleave with a sync
+  if (msg.action === 'restore-backup') {
+    handleRestoreBackup(msg.snapshot, msg.options)
+      .then(result => sendResponse({ status: 'ok', ...result }))
+      .catch(err => sendResponse({ status: 'error', error: err.message }));
+    return true;
+  }
+
+  // The POI editor's edits rewrite a group's POIs; they must not interleave with a sync
+  if (msg.action === 'update-poi') {
+    handlePoiEdit(() => updatePoi(msg.profileUuid, msg.groupUuid, msg.poiId, msg.changes))
+      .then(poi => sendResponse({ status: 'ok', poi }))
+      .catch(err => sendResponse({ status: 'error', error: err.message }));
+    return true;
+  }
+
+  if (msg.action === 'delete-poi') {
+    handlePoiEdit(() => deletePoi(msg.profileUuid, msg.groupUuid, msg.poiId))
+      .then(remaining => sendResponse({ status: 'ok', remaining }))
+      .catch(err => sendResponse({ status: 'error', error: err.message }));
+    return true;
+  }
+
+  if (msg.action === 'clear-deleted-pois') {
+    handlePoiEdit(() => clearDeletedPois(msg.profileUuid, msg.groupUuid))
       .then(() => sendResponse({ status: 'ok' }))
       .catch(err => sendResponse({ status: 'error', error: err.message }));
     return true;
   }
 
   if (msg.action === 'manual-sync-group') {
-    syncGroup(msg.profileUuid, msg.groupUuid)
+    withSyncSlot(() => syncGroup(msg.profileUuid, msg.groupUuid))
       .then((result) => sendResponse({ status: 'ok', ...result }))
       .catch(err => sendResponse({ status: 'error', error: err.message }));
     return true;
@@ -60,25 +164,74 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 // ============================================
 
 /**
- * Runs auto-sync for all groups with sourceUrl + syncEnabled across all profiles.
+ * Creates, updates or clears the per-group sync alarms so that every group with
+ * sync enabled has one repeating alarm at its interval. Alarms whose period is
+ * already right are left alone so their schedule isn't reset.
  */
-async function runAutoSync() {
-  const data = await chrome.storage.local.get(['profiles']);
-  const profiles = data.profiles || {};
-
-  for (const [profileUuid, profile] of Object.entries(profiles)) {
-    for (const [groupUuid, group] of Object.entries(profile.groups || {})) {
-      if (group.sourceUrl && group.syncEnabled) {
-        try {
-          await syncGroup(profileUuid, groupUuid);
-        } catch (e) {
-          console.error(`[AutoSync] Failed for group ${groupUuid}:`, e);
-        }
+async function scheduleSyncAlarms() {
+  try {
+    const [data, alarms] = await Promise.all([chrome.storage.local.get(['profiles']), chrome.alarms.getAll()]);
+    const profiles = data.profiles || {};
+    const stale = new Map(alarms.filter(alarm => parseSyncAlarmName(alarm.name)).map(alarm => [alarm.name, alarm]));
+
+    for (const [profileUuid, profile] of Object.entries(profiles)) {
+      for (const [groupUuid, group] of Object.entries(profile.groups || {})) {
+        const interval = getSyncInterval(group);
+        if (!interval) continue;
+
+        const name = getSyncAlarmName(profileUuid, groupUuid);
+        const alarm = stale.get(name);
+        stale.delete(name);
+        if (alarm && alarm.periodInMinutes === interval) continue;
+
+        // First run one interval after the last sync; overdue groups sync in a minute
+        const dueAt = (group.lastSynced || 0) + interval * 60000;
+        chrome.alarms.create(name, { when: Math.max(dueAt, Date.now() + 60000), periodInMinutes: interval });
       }
     }
+
+    for (const name of stale.keys()) {
+      chrome.alarms.clear(name);
+    }
+  } catch (e) {
+    console.error('[AutoSync] Failed to schedule sync alarms:', e);
   }
 }
 
+/**
+ * Runs a sync once fewer than SYNC_CONCURRENCY syncs are in flight
+ * @param {function(): Promise} task
+ * @returns {Promise}
+ */
+function withSyncSlot(task) {
+  return new Promise((resolve, reject) => {
+    const run = () => {
+      activeSyncCount++;
+      task()
+        .then(resolve, reject)
+        .finally(() => {
+          activeSyncCount--;
+          const next = queuedSyncs.shift();
+          if (next) next();
+        });
+    };
+    if (activeSyncCount < SYNC_CONCURRENCY) run();
+    else queuedSyncs.push(run);
+  });
+}
+
+/**
+ * Serializes read-modify-write cycles on `profiles` so concurrent syncs don't
+ * overwrite each other's results.
+ * @param {function(): Promise} task
+ * @returns {Promise}
+ */
+function withStorageLock(task) {
+  const result = storageLock.then(task);
+  storageLock = result.catch(() => {});
+  return result;
+}
+
 /**
  * Fast non-cryptographic djb2 hash for change detection.
  * @param {string} text
@@ -92,13 +245,56 @@ function computeHash(text) {
   return (hash >>> 0).toString(36);
 }
 
+function getRetryAlarmName(profileUuid, groupUuid) {
+  return `${SYNC_RETRY_ALARM_PREFIX}${profileUuid}:${groupUuid}`;
+}
+
+/**
+ * Exponential backoff with ±20% jitter, so groups that failed together don't retry together.
+ * A longer Retry-After from the server wins.
+ * @param {number} attempt - 1-based retry number
+ * @param {number|null} retryAfter - ms requested by the server
+ * @returns {number} Delay in ms
+ */
+function computeRetryDelay(attempt, retryAfter) {
+  const backoff = Math.min(SYNC_RETRY_BASE_DELAY * 2 ** (attempt - 1), SYNC_RETRY_MAX_DELAY);
+  const jittered = backoff * (0.8 + Math.random() * 0.4);
+  return Math.max(jittered, retryAfter || 0);
+}
+
+/**
+ * Records a failed fetch and, for auto-synced groups and retryable errors,
+ * schedules the next attempt with chrome.alarms.
+ */
+async function recordSyncFailure(profileUuid, groupUuid, group, error, now) {
+  const attempt = (group.syncRetryCount || 0) + 1;
+  const willRetry = group.syncEnabled && isRetryableError(error) && attempt <= SYNC_MAX_RETRIES;
+  const nextSyncRetry = willRetry ? now + computeRetryDelay(attempt, error.retryAfter) : null;
+
+  if (willRetry) {
+    chrome.alarms.create(getRetryAlarmName(profileUuid, groupUuid), { when: nextSyncRetry });
+  }
+
+  await withStorageLock(() => updateGroupPOIs(profileUuid, groupUuid, null, {
+    lastSynced: now,
+    lastSyncStatus: 'error',
+    lastSyncError: error.message,
+    syncRetryCount: willRetry ? attempt : 0,
+    nextSyncRetry
+  }));
+  return { lastSynced: now, lastSyncStatus: 'error', lastSyncError: error.message, nextSyncRetry };
+}
+
 /**
  * Fetches a group's sourceUrl, checks for content changes, and updates POIs if changed.
+ * The request is conditional on the stored ETag/Last-Modified; a 304 counts as unchanged.
+ * Waits for the migrations, since an alarm can fire as soon as the worker starts.
  * @param {string} profileUuid
  * @param {string} groupUuid
  * @returns {Promise<object>}
  */
 async function syncGroup(profileUuid, groupUuid) {
+  await migrationsReady;
   const data = await chrome.storage.local.get(['profiles']);
   const profiles = data.profiles || {};
   const profile = profiles[profileUuid];
@@ -108,168 +304,164 @@ async function syncGroup(profileUuid, groupUuid) {
   if (!group.sourceUrl) throw new Error('No sourceUrl on group');
 
   const now = Date.now();
-  let text;
+  const retryAlarmName = getRetryAlarmName(profileUuid, groupUuid);
+  let response;
+
+  // Without a content hash (first sync, or cleared after remapping columns) the
+  // body is needed even if the server says it hasn't changed
+  const validators = group.contentHash
+    ? { etag: group.sourceEtag, lastModified: group.sourceLastModified }
+    : {};
 
   try {
-    const response = await fetch(group.sourceUrl);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    text = await response.text();
+    response = await fetchSource(group.sourceUrl, validators, await getSourceRequest(group.sourceUrl));
   } catch (fetchErr) {
-    await updateGroupPOIs(profileUuid, groupUuid, null, {
-      lastSynced: now,
-      lastSyncStatus: 'error',
-      lastSyncError: fetchErr.message,
-      contentHash: group.contentHash ?? null
-    });
-    return { lastSynced: now, lastSyncStatus: 'error', lastSyncError: fetchErr.message };
+    return recordSyncFailure(profileUuid, groupUuid, group, fetchErr, now);
+  }
+
+  // Any successful response ends a retry sequence
+  chrome.alarms.clear(retryAlarmName);
+  const successMeta = {
+    lastSynced: now,
+    lastSyncStatus: 'success',
+    lastSyncError: null,
+    syncRetryCount: 0,
+    nextSyncRetry: null
+  };
+
+  if (response.notModified) {
+    await withStorageLock(() => updateGroupPOIs(profileUuid, groupUuid, null, successMeta));
+    return { lastSynced: now, lastSyncStatus: 'success', changed: false };
   }
 
+  const { text } = response;
   const newHash = computeHash(text);
+  const validatorMeta = { sourceEtag: response.etag, sourceLastModified: response.lastModified };
 
   if (newHash === group.contentHash) {
-    await updateGroupPOIs(profileUuid, groupUuid, null, {
-      lastSynced: now,
-      lastSyncStatus: 'success',
-      lastSyncError: null,
+    await withStorageLock(() => updateGroupPOIs(profileUuid, groupUuid, null, {
+      ...successMeta,
+      ...validatorMeta,
       contentHash: newHash
-    });
+    }));
     return { lastSynced: now, lastSyncStatus: 'success', changed: false };
   }
 
-  let pois;
+  // Parse with the column mapping chosen when the source was imported, if any
+  const mapping = await getSourceMapping(group.sourceUrl);
+
+  let source;
   try {
-    const trimmed = text.trimStart();
-    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
-      pois = parseJSON(text);
-    } else {
-      pois = parseCSV(text);
-    }
+    source = readSourceGroups(text, group.sourceUrl, mapping, group.recordsPath);
   } catch (parseErr) {
-    await updateGroupPOIs(profileUuid, groupUuid, null, {
+    // Not retried: the same content would fail the same way. Validators are not
+    // stored either, so the next sync downloads the body again.
+    await withStorageLock(() => updateGroupPOIs(profileUuid, groupUuid, null, {
       lastSynced: now,
       lastSyncStatus: 'error',
       lastSyncError: `Parse error: ${parseErr.message}`,
+      lastSyncReport: null,
+      syncRetryCount: 0,
+      nextSyncRetry: null,
       contentHash: group.contentHash ?? null
-    });
+    }));
     return { lastSynced: now, lastSyncStatus: 'error', lastSyncError: parseErr.message };
   }
 
-  await updateGroupPOIs(profileUuid, groupUuid, pois, {
-    lastSynced: now,
-    lastSyncStatus: 'success',
-    lastSyncError: null,
-    contentHash: newHash
-  });
-
-  // Also stamp lastSynced on all other groups in this profile sharing the same sourceUrl
-  const refreshedData = await chrome.storage.local.get(['profiles']);
-  const refreshedProfile = (refreshedData.profiles || {})[profileUuid];
-  if (refreshedProfile) {
-    let patched = false;
-    for (const [sibUuid, sibGroup] of Object.entries(refreshedProfile.groups || {})) {
-      if (sibUuid !== groupUuid && sibGroup.sourceUrl === group.sourceUrl) {
-        sibGroup.lastSynced = now;
-        sibGroup.lastSyncStatus = 'success';
-        sibGroup.lastSyncError = null;
-        sibGroup.contentHash = newHash;
-        patched = true;
-      }
-    }
-    if (patched) {
-      const allProfiles = refreshedData.profiles;
-      allProfiles[profileUuid] = refreshedProfile;
-      await chrome.storage.local.set({ profiles: allProfiles });
+  // Rejected rows and warnings are kept on the groups so the popup can show them
+  const lastSyncReport = source.report ? summarizeReport(source.report) : null;
+
+  // Rows go to the group of their group name; every group of the source is updated
+  const result = await withStorageLock(() => applySourceGroups(profileUuid, group.sourceUrl, source.groups, {
+    defaultName: group.name,
+    fallbackUuid: groupUuid,
+    syncMeta: {
+      ...successMeta,
+      ...validatorMeta,
+      lastSyncReport,
+      contentHash: newHash,
+      ...(source.recordsPath !== undefined && { recordsPath: source.recordsPath })
     }
-  }
+  }));
 
-  return { lastSynced: now, lastSyncStatus: 'success', changed: true, poiCount: pois.length };
+  return {
+    lastSynced: now,
+    lastSyncStatus: 'success',
+    changed: true,
+    poiCount: result.poiCount,
+    changes: result.counts,
+    groupsCreated: result.created.length,
+    groupsArchived: result.archived.length,
+    lastSyncReport
+  };
 }
 
 // ============================================
 // EXISTING HANDLERS (now using robust parsers)
 // ============================================
-async function handleBackgroundImport(exportedGroups) {
-  const storage = chrome.storage.local;
-  const data = await storage.get(['profiles', 'activeProfile']);
-  const profiles = data.profiles || {};
-  const activeProfileUuid = data.activeProfile;
-  const activeProfile = profiles[activeProfileUuid];
-
-  if (!activeProfile) {
-    throw new Error('No active profile found');
-  }
-
-  if (!activeProfile.groups) activeProfile.groups = {};
-  if (!activeProfile.groupStyles) activeProfile.groupStyles = {};
 
-  let importedCount = 0;
-
-  for (const group of exportedGroups) {
-    if (!group.name || !group.data) continue;
-
-    try {
-      // Parse the CSV data
-      const pois = parseCSV(group.data);
-      if (pois.length > 0) {
-        const newUuid = generateUUID();
-
-        activeProfile.groups[newUuid] = {
-          uuid: newUuid,
-          name: group.name,
-          pois: pois
-        };
-
-        activeProfile.groupStyles[newUuid] = {
-          color: group.colors?.primary || '#d1ff00',
-          secondaryColor: group.colors?.secondary || '#ffffff',
-          logoData: group.icon && group.icon.length < 50000 ? group.icon : null
-        };
-
-        importedCount++;
-      }
-    } catch (groupError) {
-      console.error(`Failed to import group "${group.name}":`, groupError);
-    }
-  }
-
-  if (importedCount > 0) {
-    profiles[activeProfileUuid] = activeProfile;
-    await storage.set({ profiles });
-    console.log(`Background: Imported ${importedCount} groups`);
-  }
-
-  return { imported: importedCount };
+/**
+ * Imports exported groups into the active profile. Like the syncs, it reads and
+ * writes profiles and POIs under the storage lock, after the migrations.
+ */
+async function handleBackgroundImport(exportedGroups) {
+  await migrationsReady;
+  const imported = await withStorageLock(() => importGroupsData(exportedGroups));
+  return { imported: imported.length };
 }
 
 /**
- * Clear all groups from a profile
+ * Clear all groups from a profile into the trash (under the storage lock)
  */
 async function handleClearAllGroups(profileUuid) {
-  const storage = chrome.storage.local;
-  const data = await storage.get(['profiles']);
-  const profiles = data.profiles || {};
-  const profile = profiles[profileUuid];
+  await migrationsReady;
+  const { deletedGroups, trashId } = await withStorageLock(() => deleteAllGroupsFromProfile(profileUuid));
+  return { cleared: deletedGroups.length, trashId };
+}
 
-  if (!profile) {
-    throw new Error('Profile not found');
-  }
+/**
+ * Restores a backup snapshot (see backup.js) under the storage lock, after the migrations
+ */
+async function handleRestoreBackup(snapshot, options) {
+  await migrationsReady;
+  return withStorageLock(() => restoreBackup(snapshot, options));
+}
 
-  const deletedCount = Object.keys(profile.groups || {}).length;
-  profile.groups = {};
-  profile.groupStyles = {};
-  profile.activeGroups = {};
+/**
+ * Runs a POI editor change (updatePoi, deletePoi, clearDeletedPois) under the storage
+ * lock, after the migrations
+ */
+async function handlePoiEdit(edit) {
+  await migrationsReady;
+  return withStorageLock(edit);
+}
 
-  profiles[profileUuid] = profile;
-  await storage.set({ profiles });
-  console.log(`Background: Cleared ${deletedCount} groups from profile`);
+/**
+ * Purges expired trash entries, then the request settings only they still used. A
+ * pre-migration backup expires like the trash.
+ */
+async function purgeTrash() {
+  await migrationsReady;
+  const purged = await withStorageLock(() => purgeExpiredTrash());
+  if (purged > 0) {
+    await pruneSourceRequests();
+    console.log(`[Trash] Purged ${purged} expired entr${purged !== 1 ? 'ies' : 'y'}`);
+  }
 
-  return { cleared: deletedCount };
+  const { preferences } = await chrome.storage.local.get(['preferences']);
+  if (await removePreMigrationBackup(getTrashCutoff(preferences))) {
+    console.log('[Trash] Removed the expired pre-migration backup');
+  }
 }
 
-function generateUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-    const r = (Math.random() * 16) | 0;
-    const v = c === 'x' ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
+/**
+ * Returns the groups of the active profile with their POIs from the POI store
+ * @returns {Promise<Object<string, Object>>} Group uuid -> group with `pois`
+ */
+async function getActiveGroupsWithPois() {
+  await migrationsReady;
+  const data = await chrome.storage.local.get(['profiles', 'activeProfile']);
+  const groups = data.profiles?.[data.activeProfile]?.groups || {};
+  const poisByGroup = await getProfilePois(data.activeProfile, Object.keys(groups));
+  return Object.fromEntries(Object.entries(groups).map(([uuid, group]) => [uuid, { ...group, pois: poisByGroup[uuid] }]));
 }
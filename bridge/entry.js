@@ -9,6 +9,9 @@ import '../bridge/modules/mapUtilities.js';
 import '../bridge/modules/hijack.js';
 import '../bridge/modules/discovery.js';
 import '../bridge/modules/portal.js';
+import '../bridge/modules/cluster.js';
+import '../bridge/modules/mapboxLayers.js';
+import '../bridge/modules/openlayers.js';
 import '../bridge/modules/renderer.js';
 
 // Site configuration and registry
@@ -6,6 +6,7 @@
  * - Bridge starts immediately on script load
  * - Announces readiness via POI_BRIDGE_READY → content script responds with POI data
  * - Listens for POI_DATA_UPDATE from content script → renders via poiRenderer (native markers)
+ * - Listens for POI_FLY_TO from content script → moves the map to a POI and opens its popup
  * - Loop continuously re-renders from cached POI data for any newly discovered maps
  * 
  * Rendering: ALL rendering goes through window.poiRenderer (poi-native-marker).
@@ -17,16 +18,76 @@
   let registryInitialized = false;
   let lastReceivedPois = []; // Cache POIs received from content script
 
+  // A fly-to zooms in to at least this level; the popup opens once the map settles
+  const FLY_TO_ZOOM = 16;
+  const FLY_TO_DURATION = 1500;
+  const FLY_TO_TIMEOUT = 3000;
+
   function extractBounds(map) {
     try {
+      if (window.OpenLayersAdapter && window.OpenLayersAdapter.isOpenLayers(map)) {
+        return window.OpenLayersAdapter.getBounds(map);
+      }
       const b = map.getBounds();
       if (!b) return null;
-      if (b.getNorthEast) return { north: b.getNorthEast().lat(), south: b.getSouthWest().lat(), east: b.getNorthEast().lng(), west: b.getSouthWest().lng() };
+      // Mapbox LngLatBounds also has getNorthEast(), but with lat/lng properties
       if (b.getNorth) return { north: b.getNorth(), south: b.getSouth(), east: b.getEast(), west: b.getWest() };
+      if (b.getNorthEast) return { north: b.getNorthEast().lat(), south: b.getSouthWest().lat(), east: b.getNorthEast().lng(), west: b.getSouthWest().lng() };
     } catch(e) {}
     return null;
   }
 
+  /**
+   * Moves the captured map to a POI, then opens its popup by posting the same
+   * POI_MARKER_CLICK a click on its marker would. The map that feeds the portal
+   * (the first one with bounds) is the one moved.
+   */
+  function flyTo({ id, lat, lng }) {
+    const maps = window.poiHijack ? [...window.poiHijack.activeMaps] : [];
+    const map = maps.find(m => extractBounds(m));
+    if (!map) {
+      console.warn(PREFIX + 'POI_FLY_TO: no map captured yet');
+      return;
+    }
+
+    let opened = false;
+    const openPopup = () => {
+      if (opened) return;
+      opened = true;
+      // Report the new bounds first so the popup is placed on the moved map
+      const bounds = extractBounds(map);
+      if (bounds && window.poiPortal) window.poiPortal.update(bounds, 'instance-event');
+      window.postMessage({ type: 'POI_MARKER_CLICK', id, lat, lng }, '*');
+    };
+
+    try {
+      const type = window.MapTypeDetector ? window.MapTypeDetector.detect(map) : 'unknown';
+      const currentZoom = type === 'openlayers' ? window.OpenLayersAdapter.getZoom(map) : map.getZoom();
+      const zoom = Math.max(currentZoom || 0, FLY_TO_ZOOM);
+      if (type === 'google') {
+        window.google.maps.event.addListenerOnce(map, 'idle', openPopup);
+        map.setZoom(zoom);
+        map.panTo({ lat, lng });
+      } else if (type === 'mapbox') {
+        map.once('moveend', openPopup);
+        map.flyTo({ center: [lng, lat], zoom, maxDuration: FLY_TO_DURATION });
+      } else if (type === 'leaflet') {
+        map.once('moveend', openPopup);
+        map.flyTo([lat, lng], zoom, { duration: FLY_TO_DURATION / 1000 });
+      } else if (type === 'openlayers') {
+        window.OpenLayersAdapter.animateTo(map, lat, lng, zoom, FLY_TO_DURATION, openPopup);
+      } else {
+        console.warn(PREFIX + 'POI_FLY_TO: unsupported map type');
+        return;
+      }
+      // A map that is already there may not report the end of a move; the animations
+      // above are capped to end well before this
+      setTimeout(openPopup, FLY_TO_TIMEOUT);
+    } catch(e) {
+      console.error(PREFIX + 'Fly-to error:', e);
+    }
+  }
+
   /**
    * Initializes the overlay registry
    * Only called once when all dependencies are ready
@@ -136,6 +197,11 @@
           window.poiRenderer.update(event.data.pois);
        }
     }
+
+    if (event.data.type === 'POI_FLY_TO') {
+       console.log(`${PREFIX}POI_FLY_TO received: ${event.data.lat}, ${event.data.lng}`);
+       flyTo(event.data);
+    }
   });
   
   // Force immediate apply on script load
@@ -0,0 +1,253 @@
+/**
+ * POI Bridge: Cluster Module
+ * Zoom-aware marker clustering shared by the render paths of renderer.js and the
+ * OpenLayers adapter.
+ *
+ * The index is built once per POI array, supercluster-style: POIs are projected to
+ * Web Mercator and merged level by level, from CLUSTER_MAX_ZOOM down to zoom 0, with
+ * a grid of CLUSTER_RADIUS-pixel cells. Each level reuses the level above it, so a
+ * cluster always splits into the clusters and POIs one zoom level further in.
+ *
+ * Zoom levels use 256px tiles (Google Maps, Leaflet); Mapbox GL zoom levels are one lower.
+ */
+
+const CLUSTER_RADIUS = 50;     // Pixels; pins closer than this are merged
+const CLUSTER_MAX_ZOOM = 15;   // Above this every POI is drawn on its own
+const CLUSTER_TILE_SIZE = 256;
+const MAX_LATITUDE = 85.0511;  // Web Mercator limit
+
+// Shared by all indexes: the renderers key cluster markers by id, so a cluster of a
+// rebuilt index must not take the id of an old cluster that is still drawn
+let nextClusterId = 0;
+
+/**
+ * PoiClusterIndex - Clusters of a POI array for every zoom level
+ */
+class PoiClusterIndex {
+  /**
+   * @param {Array<Object>} pois - Bridge POIs ({ id, latitude, longitude, color, groupUuid, groupName })
+   * @param {Object} options
+   * @param {number} options.radius - Cluster radius in pixels (default: CLUSTER_RADIUS)
+   * @param {number} options.maxZoom - Last zoom level with clusters (default: CLUSTER_MAX_ZOOM)
+   */
+  constructor(pois, options = {}) {
+    this.radius = options.radius || CLUSTER_RADIUS;
+    this.maxZoom = options.maxZoom ?? CLUSTER_MAX_ZOOM;
+    this.levels = [];
+
+    const points = [];
+    for (const poi of pois) {
+      const latitude = parseFloat(poi.latitude);
+      const longitude = parseFloat(poi.longitude);
+      if (isNaN(latitude) || isNaN(longitude)) continue;
+      points.push({
+        x: PoiClusterIndex.lngToX(longitude),
+        y: PoiClusterIndex.latToY(latitude),
+        latitude,
+        longitude,
+        count: 1,
+        poi
+      });
+    }
+
+    this.levels[this.maxZoom + 1] = points;
+    for (let zoom = this.maxZoom; zoom >= 0; zoom--) {
+      this.levels[zoom] = this._clusterLevel(this.levels[zoom + 1], zoom);
+    }
+  }
+
+  /**
+   * Gets the POIs and clusters to draw in a viewport
+   * @param {Object} bounds - { north, south, east, west }
+   * @param {number} zoom - Map zoom level (256px tiles; may be fractional)
+   * @param {number} padding - Extra margin around the bounds, as a share of their size
+   * @returns {Array<Object>} Items; `count > 1` marks a cluster, otherwise `poi` is set
+   */
+  getItems(bounds, zoom, padding = 0) {
+    const level = this.levels[Math.max(0, Math.min(Math.floor(zoom), this.maxZoom + 1))];
+    const latPad = (bounds.north - bounds.south) * padding;
+    const north = bounds.north + latPad;
+    const south = bounds.south - latPad;
+
+    // West > east when the viewport crosses the antimeridian
+    const wraps = bounds.west > bounds.east;
+    const lngPad = ((wraps ? bounds.east + 360 : bounds.east) - bounds.west) * padding;
+    const west = bounds.west - lngPad;
+    const east = bounds.east + lngPad;
+    if (!wraps && east - west >= 360) {
+      return level.filter(item => item.latitude <= north && item.latitude >= south);
+    }
+
+    return level.filter(item => {
+      if (item.latitude > north || item.latitude < south) return false;
+      return wraps
+        ? item.longitude >= west || item.longitude <= east
+        : item.longitude >= west && item.longitude <= east;
+    });
+  }
+
+  /**
+   * Merges the items of one zoom level into the clusters of the level below it
+   * @private
+   */
+  _clusterLevel(items, zoom) {
+    const radius = this.radius / (CLUSTER_TILE_SIZE * Math.pow(2, zoom));
+    const cellOf = (item) => [Math.floor(item.x / radius), Math.floor(item.y / radius)];
+
+    const grid = new Map();
+    items.forEach((item, index) => {
+      const key = cellOf(item).join(':');
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(index);
+    });
+
+    const taken = new Uint8Array(items.length);
+    const result = [];
+    items.forEach((item, index) => {
+      if (taken[index]) return;
+      taken[index] = 1;
+
+      const [cellX, cellY] = cellOf(item);
+      const members = [item];
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (const other of grid.get(`${cellX + dx}:${cellY + dy}`) || []) {
+            if (taken[other]) continue;
+            const ox = items[other].x - item.x;
+            const oy = items[other].y - item.y;
+            if (ox * ox + oy * oy <= radius * radius) {
+              taken[other] = 1;
+              members.push(items[other]);
+            }
+          }
+        }
+      }
+
+      result.push(members.length === 1 ? item : this._merge(members, zoom));
+    });
+    return result;
+  }
+
+  /**
+   * Creates a cluster at the weighted center of its members
+   * @private
+   */
+  _merge(members, zoom) {
+    let count = 0;
+    let x = 0;
+    let y = 0;
+    const groups = new Map();
+
+    for (const member of members) {
+      count += member.count;
+      x += member.x * member.count;
+      y += member.y * member.count;
+      const memberGroups = member.groups || [{
+        groupUuid: member.poi.groupUuid,
+        groupName: member.poi.groupName,
+        color: member.poi.color || '#ff0000',
+        count: 1
+      }];
+      for (const group of memberGroups) {
+        const existing = groups.get(group.groupUuid);
+        if (existing) existing.count += group.count;
+        else groups.set(group.groupUuid, { ...group });
+      }
+    }
+
+    x /= count;
+    y /= count;
+    return {
+      id: `poi-cluster-${nextClusterId++}`,
+      x,
+      y,
+      latitude: PoiClusterIndex.yToLat(y),
+      longitude: PoiClusterIndex.xToLng(x),
+      count,
+      groups: [...groups.values()].sort((a, b) => b.count - a.count),
+      // The zoom level where this cluster splits up again
+      expansionZoom: zoom + 1
+    };
+  }
+
+  static lngToX(lng) {
+    return lng / 360 + 0.5;
+  }
+
+  static latToY(lat) {
+    const sin = Math.sin(Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180);
+    return 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI);
+  }
+
+  static xToLng(x) {
+    return (x - 0.5) * 360;
+  }
+
+  static yToLat(y) {
+    return Math.atan(Math.sinh((0.5 - y) * 2 * Math.PI)) * 180 / Math.PI;
+  }
+
+  /**
+   * Formats a cluster count for its bubble (1234 → "1.2k")
+   * @param {number} count
+   * @returns {string}
+   */
+  static formatCount(count) {
+    if (count < 1000) return String(count);
+    if (count < 10000) return `${(count / 1000).toFixed(1).replace(/\.0$/, '')}k`;
+    return `${Math.round(count / 1000)}k`;
+  }
+
+  /**
+   * Creates the count bubble of a cluster. Its ring is split by group, in the group
+   * colors, in proportion to each group's POIs.
+   * @param {Object} cluster - Cluster item from getItems()
+   * @param {number} zIndex - Base z-index of markers on this site
+   * @returns {HTMLElement}
+   */
+  static createElement(cluster, zIndex) {
+    const size = cluster.count < 10 ? 30 : cluster.count < 100 ? 36 : cluster.count < 1000 ? 42 : 48;
+    let start = 0;
+    const stops = cluster.groups.map(({ color, count }) => {
+      const end = start + (count / cluster.count) * 100;
+      const stop = `${color} ${start.toFixed(2)}% ${end.toFixed(2)}%`;
+      start = end;
+      return stop;
+    });
+
+    const el = document.createElement('div');
+    el.className = 'poi-cluster-marker';
+    el.style.cssText = `
+      position: absolute; width: ${size}px; height: ${size}px; border-radius: 50%;
+      background: conic-gradient(${stops.join(', ')});
+      display: flex; align-items: center; justify-content: center;
+      pointer-events: auto; cursor: pointer; z-index: ${zIndex};
+      will-change: transform; top: 0; left: 0;
+      filter: drop-shadow(0px 2px 4px rgba(0,0,0,0.4));
+    `;
+
+    const label = document.createElement('span');
+    label.textContent = PoiClusterIndex.formatCount(cluster.count);
+    label.style.cssText = `
+      width: ${size - 10}px; height: ${size - 10}px; border-radius: 50%;
+      background: rgba(20, 22, 28, 0.85); color: #ffffff;
+      font: bold 11px monospace; display: flex; align-items: center; justify-content: center;
+    `;
+    el.appendChild(label);
+
+    el.title = cluster.groups.map(group => `${group.groupName || 'POIs'}: ${group.count}`).join('\n');
+    el.setAttribute('data-cluster-id', cluster.id);
+    el.setAttribute('data-lat', cluster.latitude);
+    el.setAttribute('data-lng', cluster.longitude);
+    el.setAttribute('data-zoom', cluster.expansionZoom);
+    return el;
+  }
+}
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PoiClusterIndex };
+}
+if (typeof window !== 'undefined') {
+  window.PoiClusterIndex = PoiClusterIndex;
+}
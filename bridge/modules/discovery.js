@@ -267,7 +267,9 @@ class MapDiscoveryManager extends ManagerBase {
     const selectors = [
        '.gm-style', 
        '.mapboxgl-map', 
+       '.maplibregl-map', 
        '.leaflet-container', 
+       '.ol-viewport', 
        'canvas',
        '#map-container',
        '.map-container',
@@ -10,7 +10,9 @@
  * MapHijackManager - Captures and manages map instances
  * 
  * Features:
- * - Intercepts Google Maps and Mapbox constructors
+ * - Intercepts Google Maps, Mapbox GL and MapLibre GL constructors
+ * - Captures Leaflet maps through an L.Map init hook
+ * - Intercepts the OpenLayers ol.Map constructor
  * - Attaches event listeners for bounds updates
  * - Maintains a Set of active map instances
  * - Provides backdoor capture via prototype hijacking
@@ -62,7 +64,16 @@ class MapHijackManager extends ManagerBase {
     }
 
     try {
-      if (target.on) { // Mapbox
+      if (window.OpenLayersAdapter && window.OpenLayersAdapter.isOpenLayers(target)) {
+        // OpenLayers has no getBounds(); the adapter reads the view in its projection
+        target.on('moveend', () => {
+          try {
+            const bounds = window.OpenLayersAdapter.getBounds(target);
+            if (bounds) window.poiPortal.update(bounds, 'instance-event');
+          } catch(e) {}
+        });
+        instance._poiListener = true; // Mark original instance as processed
+      } else if (target.on) { // Mapbox, MapLibre and Leaflet (all have getNorth() etc. on their bounds)
         const update = () => {
           if (typeof target.getBounds === 'function') {
             const b = target.getBounds();
@@ -191,9 +202,26 @@ class MapHijackManager extends ManagerBase {
        }
     }
 
+    // Mapbox GL and MapLibre GL (a fork with the same API)
+    this.hijackGl(window.mapboxgl);
+    this.hijackGl(window.maplibregl);
+
+    // Leaflet (other scripts use `L` too, so check for a Leaflet class)
+    if (typeof window.L?.Map?.addInitHook === 'function') this.hijackLeaflet(window.L);
+
+    // OpenLayers full build (ol.js); bundled builds are found by discovery instead
+    if (window.ol?.Map && typeof window.ol.Map.prototype?.getView === 'function') this.hijackOpenLayers(window.ol);
+  }
+
+  /**
+   * Hijacks the Map constructor of Mapbox GL or MapLibre GL
+   * @param {Object} lib - The mapboxgl or maplibregl object
+   */
+  hijackGl(lib) {
+    const self = this;
     try {
-      if (window.mapboxgl?.Map && !window.mapboxgl.Map._isHijacked) {
-        const Original = window.mapboxgl.Map;
+      if (lib?.Map && !lib.Map._isHijacked) {
+        const Original = lib.Map;
         function HijackedMap(...args) {
           const instance = new Original(...args);
           self.activeMaps.add(instance);
@@ -203,11 +231,95 @@ class MapHijackManager extends ManagerBase {
         HijackedMap.prototype = Original.prototype;
         HijackedMap._isHijacked = true;
         Object.assign(HijackedMap, Original);
-        window.mapboxgl.Map = HijackedMap;
+        lib.Map = HijackedMap;
       }
     } catch(e) {}
   }
 
+  /**
+   * Captures Leaflet maps. L.map() creates maps through Leaflet's own reference to
+   * the Map class, so replacing L.Map would miss them; an init hook runs for every
+   * new map instead. Maps created before the bridge loaded are caught through the
+   * prototype, as with Google Maps.
+   * @param {Object} L - The Leaflet global
+   */
+  hijackLeaflet(L) {
+    const self = this;
+    try {
+      if (L.Map._isHijacked) return;
+      L.Map._isHijacked = true;
+
+      L.Map.addInitHook(function() {
+        console.log('[MapHijackManager] Leaflet map created, capturing instance');
+        self.activeMaps.add(this);
+        self.attachListeners(this);
+      });
+
+      // BACKDOOR: Prototype Hijack
+      const proto = L.Map.prototype;
+      const methods = ['setView', 'setZoom', 'fitBounds', 'panTo', 'panBy', 'invalidateSize'];
+      methods.forEach(method => {
+        if (proto[method] && !proto[method]._isHijacked) {
+          const origMethod = proto[method];
+          proto[method] = function(...args) {
+            if (this && this._leaflet_id !== undefined && !self.activeMaps.has(this)) {
+              console.log('[Shullow] Leaflet backdoor capture via', method);
+              self.activeMaps.add(this);
+              self.attachListeners(this);
+            }
+            return origMethod.apply(this, args);
+          };
+          proto[method]._isHijacked = true;
+        }
+      });
+    } catch(e) {
+      console.error('[MapHijackManager] Error in hijackLeaflet:', e);
+    }
+  }
+
+  /**
+   * Hijacks the OpenLayers Map constructor and prototype methods
+   * @param {Object} ol - The ol global
+   */
+  hijackOpenLayers(ol) {
+    const self = this;
+    try {
+      if (!ol.Map._isHijacked) {
+        const Original = ol.Map;
+        function HijackedMap(...args) {
+          const instance = new Original(...args);
+          self.activeMaps.add(instance);
+          self.attachListeners(instance);
+          return instance;
+        }
+        HijackedMap.prototype = Original.prototype;
+        HijackedMap._isHijacked = true;
+        Object.assign(HijackedMap, Original);
+        ol.Map = HijackedMap;
+      }
+
+      // BACKDOOR: Prototype Hijack, for maps created before the bridge loaded
+      const proto = ol.Map.prototype;
+      const methods = ['render', 'updateSize', 'setView', 'setTarget'];
+      methods.forEach(method => {
+        if (proto[method] && !proto[method]._isHijacked) {
+          const origMethod = proto[method];
+          proto[method] = function(...args) {
+            if (this && typeof this.getView === 'function' && !self.activeMaps.has(this)) {
+              console.log('[Shullow] OpenLayers backdoor capture via', method);
+              self.activeMaps.add(this);
+              self.attachListeners(this);
+            }
+            return origMethod.apply(this, args);
+          };
+          proto[method]._isHijacked = true;
+        }
+      });
+    } catch(e) {
+      console.error('[MapHijackManager] Error in hijackOpenLayers:', e);
+    }
+  }
+
   /**
    * Hijacks Google Maps constructor and prototype methods
    * @param {Object} mapsObj - The google.maps object
@@ -160,6 +160,20 @@ class MapTypeDetector {
     );
   }
 
+  /**
+   * Checks if the map instance is an OpenLayers instance
+   * @param {Object} map - Map instance to check
+   * @returns {boolean} True if OpenLayers
+   */
+  static isOpenLayers(map) {
+    if (!map) return false;
+    return (
+      typeof map.getView === 'function' &&
+      typeof map.getLayers === 'function' &&
+      typeof map.getPixelFromCoordinate === 'function'
+    );
+  }
+
   /**
    * Checks if the map instance is a Leaflet instance
    * @param {Object} map - Map instance to check
@@ -176,11 +190,13 @@ class MapTypeDetector {
   /**
    * Detects and returns the map type as a string
    * @param {Object} map - Map instance to check
-   * @returns {string} 'google' | 'mapbox' | 'leaflet' | 'unknown'
+   * @returns {string} 'google' | 'mapbox' | 'openlayers' | 'leaflet' | 'unknown'
    */
   static detect(map) {
     if (this.isGoogleMap(map)) return 'google';
     if (this.isMapbox(map)) return 'mapbox';
+    // Before Leaflet: OpenLayers maps also have addLayer/removeLayer
+    if (this.isOpenLayers(map)) return 'openlayers';
     if (this.isLeaflet(map)) return 'leaflet';
     return 'unknown';
   }
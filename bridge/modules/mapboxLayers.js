@@ -0,0 +1,279 @@
+/**
+ * POI Bridge: Mapbox Layers Module
+ * Alternative Mapbox GL render path: one GeoJSON source drawn by circle and symbol
+ * layers, instead of one HTML mapboxgl.Marker per POI. Used on sites whose siteConfig
+ * sets `features.mapboxLayers`.
+ *
+ * - Group pins are registered once per group with map.addImage()
+ * - Clusters come from the shared PoiClusterIndex (cluster.js); the source holds the
+ *   current zoom level's items and is only reset when that level or the POIs change
+ * - Hover and click come from layer events and follow the POI_MARKER_* protocol
+ * - The site's own setStyle() drops all sources, layers and images; they are added
+ *   back on the next `styledata` event
+ */
+
+const LAYER_SOURCE_ID = 'poi-shullow-source';
+const LAYER_IDS = {
+  clusters: 'poi-shullow-clusters',
+  clusterCounts: 'poi-shullow-cluster-counts',
+  markers: 'poi-shullow-markers'
+};
+const ICON_SIZE = 32;
+const ICON_PIXEL_RATIO = 2;
+const WORLD_BOUNDS = { north: 90, south: -90, east: 180, west: -180 };
+
+/**
+ * MapboxLayerRenderer - Draws POIs of one Mapbox GL map as native layers
+ */
+class MapboxLayerRenderer {
+  /**
+   * @param {Object} map - Mapbox GL map instance
+   */
+  constructor(map) {
+    this.map = map;
+    this.active = true; // False once removed, so styledata doesn't add the layers back
+    this.pois = [];
+    this.renderedPois = null;
+    this.renderedLevel = null;
+    this.iconSources = new Map(); // Image id -> source URL it was drawn from
+    this.hoveredId = null;
+
+    this.map.on('styledata', () => this.install());
+    this.map.on('zoomend', () => this.render());
+    this.attachLayerEvents();
+  }
+
+  /**
+   * Sets the POIs to draw
+   * @param {Array<Object>} pois - Bridge POIs
+   */
+  update(pois) {
+    this.active = true;
+    this.pois = pois;
+    if (this.install()) this.render();
+  }
+
+  /**
+   * Adds the source and layers if the style doesn't have them (first run, or after
+   * the site called setStyle)
+   * @returns {boolean} Whether the source is in place
+   */
+  install() {
+    if (!this.active) return false;
+    if (this.map.getSource(LAYER_SOURCE_ID)) return true;
+    try {
+      this.map.addSource(LAYER_SOURCE_ID, {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] }
+      });
+    } catch (e) {
+      // The style is still loading; styledata brings us back
+      return false;
+    }
+
+    // A new style comes without our images and data
+    this.iconSources.clear();
+    this.renderedPois = null;
+    this.renderedLevel = null;
+
+    this.map.addLayer({
+      id: LAYER_IDS.clusters,
+      type: 'circle',
+      source: LAYER_SOURCE_ID,
+      filter: ['==', ['get', 'cluster'], true],
+      paint: {
+        'circle-color': ['get', 'color'],
+        'circle-radius': ['step', ['get', 'count'], 15, 10, 18, 100, 21, 1000, 24],
+        'circle-stroke-width': 4,
+        'circle-stroke-color': 'rgba(20, 22, 28, 0.85)'
+      }
+    });
+
+    // Text needs the style's glyphs; without them the bubbles stay unlabeled
+    if (this.map.getStyle()?.glyphs) {
+      this.map.addLayer({
+        id: LAYER_IDS.clusterCounts,
+        type: 'symbol',
+        source: LAYER_SOURCE_ID,
+        filter: ['==', ['get', 'cluster'], true],
+        layout: {
+          'text-field': ['get', 'label'],
+          'text-size': 11,
+          'text-allow-overlap': true
+        },
+        paint: {
+          'text-color': '#ffffff',
+          'text-halo-color': 'rgba(20, 22, 28, 0.85)',
+          'text-halo-width': 1
+        }
+      });
+    }
+
+    this.map.addLayer({
+      id: LAYER_IDS.markers,
+      type: 'symbol',
+      source: LAYER_SOURCE_ID,
+      filter: ['!=', ['get', 'cluster'], true],
+      layout: {
+        'icon-image': ['get', 'icon'],
+        'icon-anchor': 'bottom',
+        'icon-allow-overlap': true,
+        'icon-ignore-placement': true
+      }
+    });
+
+    console.log('[MapboxLayers] Source and layers added');
+    this.render();
+    return true;
+  }
+
+  /**
+   * Puts the current zoom level's POIs and clusters into the source
+   */
+  render() {
+    const source = this.map.getSource(LAYER_SOURCE_ID);
+    if (!source) return;
+
+    const index = window.poiRenderer.getClusterIndex(this.pois);
+    const zoom = this.map.getZoom() + window.poiRenderer.mapboxZoomOffset;
+    const level = Math.min(Math.floor(zoom), index.maxZoom + 1);
+    if (this.renderedPois === this.pois && this.renderedLevel === level) return;
+    this.renderedPois = this.pois;
+    this.renderedLevel = level;
+
+    const features = index.getItems(WORLD_BOUNDS, level).map(item => {
+      const geometry = { type: 'Point', coordinates: [item.longitude, item.latitude] };
+      if (item.count > 1) {
+        return {
+          type: 'Feature',
+          geometry,
+          properties: {
+            cluster: true,
+            count: item.count,
+            label: window.PoiClusterIndex.formatCount(item.count),
+            // The biggest group colors the bubble
+            color: item.groups[0].color,
+            expansionZoom: item.expansionZoom
+          }
+        };
+      }
+      return {
+        type: 'Feature',
+        geometry,
+        properties: { id: item.poi.id, icon: this.ensureIcon(item.poi) }
+      };
+    });
+
+    source.setData({ type: 'FeatureCollection', features });
+  }
+
+  /**
+   * Registers a POI's group pin (logo, or the pin in group colors) as a map image
+   * @param {Object} poi - Bridge POI
+   * @returns {string} Image id for the symbol layer
+   */
+  ensureIcon(poi) {
+    const id = `poi-shullow-icon-${poi.groupUuid || 'default'}`;
+    const src = poi.logoData || window.MapUtils.generateFallbackSVG(poi.color, poi.secondaryColor, ICON_SIZE);
+    if (this.iconSources.get(id) === src) return id;
+    this.iconSources.set(id, src);
+
+    const img = new Image();
+    img.onload = () => {
+      // The style may have changed, or the group restyled, while loading
+      if (this.iconSources.get(id) !== src) return;
+      const size = ICON_SIZE * ICON_PIXEL_RATIO;
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, size, size);
+      try {
+        if (this.map.hasImage(id)) this.map.removeImage(id);
+        this.map.addImage(id, ctx.getImageData(0, 0, size, size), { pixelRatio: ICON_PIXEL_RATIO });
+      } catch (e) {
+        console.error('[MapboxLayers] Failed to add icon', e);
+      }
+    };
+    img.onerror = () => console.error('[MapboxLayers] Failed to load icon for group', poi.groupUuid);
+    img.src = src;
+    return id;
+  }
+
+  /**
+   * Layer events are bound to layer ids, so they keep working after setStyle
+   */
+  attachLayerEvents() {
+    const map = this.map;
+    const readPoint = (feature) => {
+      const [lng, lat] = feature.geometry.coordinates;
+      return { lat, lng };
+    };
+
+    map.on('click', LAYER_IDS.markers, (e) => {
+      const feature = e.features && e.features[0];
+      if (!feature) return;
+      const { lat, lng } = readPoint(feature);
+      window.postMessage({ type: 'POI_MARKER_CLICK', id: feature.properties.id, lat, lng }, '*');
+    });
+
+    map.on('mousemove', LAYER_IDS.markers, (e) => {
+      const feature = e.features && e.features[0];
+      if (!feature || feature.properties.id === this.hoveredId) return;
+      this.hoveredId = feature.properties.id;
+      map.getCanvas().style.cursor = 'pointer';
+      const { lat, lng } = readPoint(feature);
+      window.postMessage({ type: 'POI_MARKER_HOVER', id: this.hoveredId, lat, lng }, '*');
+    });
+
+    map.on('mouseleave', LAYER_IDS.markers, () => {
+      map.getCanvas().style.cursor = '';
+      window.postMessage({ type: 'POI_MARKER_LEAVE', id: this.hoveredId }, '*');
+      this.hoveredId = null;
+    });
+
+    map.on('click', LAYER_IDS.clusters, (e) => {
+      const feature = e.features && e.features[0];
+      if (!feature) return;
+      const { lat, lng } = readPoint(feature);
+      window.poiRenderer.expandCluster(map, lat, lng, feature.properties.expansionZoom);
+    });
+
+    map.on('mouseenter', LAYER_IDS.clusters, () => {
+      map.getCanvas().style.cursor = 'pointer';
+    });
+
+    map.on('mouseleave', LAYER_IDS.clusters, () => {
+      map.getCanvas().style.cursor = '';
+    });
+  }
+
+  /**
+   * Removes the layers, source and group icons from the map
+   */
+  remove() {
+    this.active = false;
+    try {
+      Object.values(LAYER_IDS).forEach(id => {
+        if (this.map.getLayer(id)) this.map.removeLayer(id);
+      });
+      if (this.map.getSource(LAYER_SOURCE_ID)) this.map.removeSource(LAYER_SOURCE_ID);
+      this.iconSources.forEach((src, id) => {
+        if (this.map.hasImage(id)) this.map.removeImage(id);
+      });
+    } catch (e) {
+      // Map already destroyed
+    }
+    this.iconSources.clear();
+    this.renderedPois = null;
+    this.renderedLevel = null;
+  }
+}
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MapboxLayerRenderer };
+}
+if (typeof window !== 'undefined') {
+  window.MapboxLayerRenderer = MapboxLayerRenderer;
+}
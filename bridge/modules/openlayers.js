@@ -0,0 +1,301 @@
+/**
+ * POI Bridge: OpenLayers Module
+ * Adapter for OpenLayers maps (ol.Map), which have no getBounds()/getZoom() like the
+ * other engines and work in the projection of their view.
+ *
+ * - Projection: view coordinates are EPSG:3857 (the default) or EPSG:4326, converted
+ *   here; other projections go through ol.proj when the page exposes it
+ * - Bounds: the view's extent as { north, south, east, west } for PortalManager
+ * - Rendering: one ol.layer.Vector per map with icon styles per group, fed with the
+ *   current zoom level's items of the shared PoiClusterIndex (cluster.js)
+ * - Hover and click come from the map's pointer events and follow the POI_MARKER_*
+ *   protocol
+ *
+ * Rendering needs the `ol` global (the full build); pages that bundle OpenLayers as
+ * modules are still tracked for bounds.
+ */
+
+const EARTH_HALF_CIRCUMFERENCE = 20037508.342789244; // EPSG:3857 meters
+const RESOLUTION_3857_ZOOM_0 = (2 * EARTH_HALF_CIRCUMFERENCE) / 256; // Meters per pixel
+const RESOLUTION_4326_ZOOM_0 = 360 / 256; // Degrees per pixel
+const OL_LAYER_Z_INDEX = 10000;
+const OL_ICON_SIZE = 32;
+const OL_WORLD_BOUNDS = { north: 90, south: -90, east: 180, west: -180 };
+
+/**
+ * OpenLayersAdapter - Bounds, projection and POI layer of one OpenLayers map
+ */
+class OpenLayersAdapter {
+  /**
+   * @param {Object} map - ol.Map instance
+   */
+  constructor(map) {
+    this.map = map;
+    this.pois = [];
+    this.renderedPois = null;
+    this.renderedLevel = null;
+    this.styleCache = new Map();
+    this.hoveredId = null;
+
+    const ol = window.ol;
+    this.source = new ol.source.Vector();
+    this.layer = new ol.layer.Vector({
+      source: this.source,
+      zIndex: OL_LAYER_Z_INDEX,
+      style: (feature) => this.getStyle(feature)
+    });
+    this.layer.set('name', 'poi-shullow-layer');
+    this.map.addLayer(this.layer);
+
+    this.map.on('moveend', () => this.render());
+    this.attachPointerEvents();
+  }
+
+  /**
+   * Checks if a map instance is an OpenLayers map
+   */
+  static isOpenLayers(map) {
+    return !!map &&
+      typeof map.getView === 'function' &&
+      typeof map.getLayers === 'function' &&
+      typeof map.getPixelFromCoordinate === 'function';
+  }
+
+  /**
+   * Checks if the page exposes the OpenLayers classes needed for rendering
+   */
+  static canRender() {
+    const ol = window.ol;
+    return !!(ol?.Feature && ol.geom?.Point && ol.layer?.Vector && ol.source?.Vector && ol.style?.Style);
+  }
+
+  static getProjectionCode(map) {
+    const projection = map.getView().getProjection();
+    return projection && typeof projection.getCode === 'function' ? projection.getCode() : 'EPSG:3857';
+  }
+
+  /**
+   * Converts longitude/latitude to a coordinate in the map's projection
+   * @returns {Array<number>} [x, y]
+   */
+  static toMapCoordinate(map, lng, lat) {
+    const code = OpenLayersAdapter.getProjectionCode(map);
+    if (code === 'EPSG:4326') return [lng, lat];
+    if (code === 'EPSG:3857' || !window.ol?.proj?.fromLonLat) {
+      const clamped = Math.max(-85.0511, Math.min(85.0511, lat));
+      const y = Math.log(Math.tan((90 + clamped) * Math.PI / 360)) * EARTH_HALF_CIRCUMFERENCE / Math.PI;
+      return [lng * EARTH_HALF_CIRCUMFERENCE / 180, y];
+    }
+    return window.ol.proj.fromLonLat([lng, lat], code);
+  }
+
+  /**
+   * Converts a coordinate in the map's projection to longitude/latitude
+   * @returns {Array<number>} [lng, lat]
+   */
+  static toLonLat(map, coordinate) {
+    const code = OpenLayersAdapter.getProjectionCode(map);
+    if (code === 'EPSG:4326') return coordinate;
+    if (code === 'EPSG:3857' || !window.ol?.proj?.toLonLat) {
+      const [x, y] = coordinate;
+      const lat = (2 * Math.atan(Math.exp(y * Math.PI / EARTH_HALF_CIRCUMFERENCE)) - Math.PI / 2) * 180 / Math.PI;
+      return [x * 180 / EARTH_HALF_CIRCUMFERENCE, lat];
+    }
+    return window.ol.proj.toLonLat(coordinate, code);
+  }
+
+  /**
+   * Reads the map's viewport as { north, south, east, west }
+   * @returns {Object|null}
+   */
+  static getBounds(map) {
+    const size = map.getSize();
+    if (!size) return null;
+    const [minX, minY, maxX, maxY] = map.getView().calculateExtent(size);
+    const [west, south] = OpenLayersAdapter.toLonLat(map, [minX, minY]);
+    const [east, north] = OpenLayersAdapter.toLonLat(map, [maxX, maxY]);
+    if (east - west >= 360) return { north, south, east: 180, west: -180 };
+
+    // Views that wrap around the world report longitudes past ±180
+    const wrap = (lng) => ((lng + 180) % 360 + 360) % 360 - 180;
+    return { north, south, east: wrap(east), west: wrap(west) };
+  }
+
+  /**
+   * Gets the map's zoom level in 256px Web Mercator tiles, like the other engines.
+   * Derived from the resolution, since OpenLayers views can use their own zoom steps.
+   */
+  static getZoom(map) {
+    const view = map.getView();
+    const resolution = view.getResolution();
+    const code = OpenLayersAdapter.getProjectionCode(map);
+    if (resolution && code === 'EPSG:3857') return Math.log2(RESOLUTION_3857_ZOOM_0 / resolution);
+    if (resolution && code === 'EPSG:4326') return Math.log2(RESOLUTION_4326_ZOOM_0 / resolution);
+    return view.getZoom() || 0;
+  }
+
+  /**
+   * Animates the view to a position and zoom level (256px tiles)
+   * @param {Object} map - ol.Map instance
+   * @param {number} lat
+   * @param {number} lng
+   * @param {number} zoom
+   * @param {number} duration - Milliseconds
+   * @param {Function} [callback] - Called when the animation ends
+   */
+  static animateTo(map, lat, lng, zoom, duration, callback) {
+    const view = map.getView();
+    const code = OpenLayersAdapter.getProjectionCode(map);
+    const target = { center: OpenLayersAdapter.toMapCoordinate(map, lng, lat), duration };
+    if (code === 'EPSG:3857') target.resolution = RESOLUTION_3857_ZOOM_0 / Math.pow(2, zoom);
+    else if (code === 'EPSG:4326') target.resolution = RESOLUTION_4326_ZOOM_0 / Math.pow(2, zoom);
+    else target.zoom = zoom;
+    view.animate(target, callback || (() => {}));
+  }
+
+  /**
+   * Sets the POIs to draw
+   * @param {Array<Object>} pois - Bridge POIs
+   */
+  update(pois) {
+    this.pois = pois;
+    // The site may have cleared its layers
+    if (!this.map.getLayers().getArray().includes(this.layer)) this.map.addLayer(this.layer);
+    this.render();
+  }
+
+  /**
+   * Puts the current zoom level's POIs and clusters into the vector source
+   */
+  render() {
+    const index = window.poiRenderer.getClusterIndex(this.pois);
+    const level = Math.max(0, Math.min(Math.floor(OpenLayersAdapter.getZoom(this.map)), index.maxZoom + 1));
+    if (this.renderedPois === this.pois && this.renderedLevel === level) return;
+    this.renderedPois = this.pois;
+    this.renderedLevel = level;
+
+    const ol = window.ol;
+    const features = index.getItems(OL_WORLD_BOUNDS, level).map(item => {
+      const feature = new ol.Feature({
+        geometry: new ol.geom.Point(OpenLayersAdapter.toMapCoordinate(this.map, item.longitude, item.latitude))
+      });
+      feature.set('poiLat', item.latitude);
+      feature.set('poiLng', item.longitude);
+      if (item.count > 1) {
+        feature.set('poiCluster', item);
+      } else {
+        feature.set('poi', item.poi);
+      }
+      return feature;
+    });
+
+    this.source.clear(true);
+    this.source.addFeatures(features);
+  }
+
+  /**
+   * Style of a POI (its group's pin or logo) or a cluster (count bubble in the color
+   * of its biggest group). Cached, since OpenLayers asks on every frame.
+   */
+  getStyle(feature) {
+    const ol = window.ol;
+    const cluster = feature.get('poiCluster');
+    if (cluster) {
+      const color = cluster.groups[0].color;
+      const label = window.PoiClusterIndex.formatCount(cluster.count);
+      const radius = cluster.count < 10 ? 15 : cluster.count < 100 ? 18 : cluster.count < 1000 ? 21 : 24;
+      const key = `cluster|${color}|${label}|${radius}`;
+      if (!this.styleCache.has(key)) {
+        this.styleCache.set(key, new ol.style.Style({
+          image: new ol.style.Circle({
+            radius,
+            fill: new ol.style.Fill({ color }),
+            stroke: new ol.style.Stroke({ color: 'rgba(20, 22, 28, 0.85)', width: 4 })
+          }),
+          text: new ol.style.Text({
+            text: label,
+            font: 'bold 11px monospace',
+            fill: new ol.style.Fill({ color: '#ffffff' })
+          })
+        }));
+      }
+      return this.styleCache.get(key);
+    }
+
+    const poi = feature.get('poi');
+    const src = poi.logoData || window.MapUtils.generateFallbackSVG(poi.color, poi.secondaryColor, OL_ICON_SIZE);
+    if (!this.styleCache.has(src)) {
+      this.styleCache.set(src, new ol.style.Style({
+        image: new ol.style.Icon({
+          src,
+          anchor: [0.5, 1],
+          width: OL_ICON_SIZE,
+          height: OL_ICON_SIZE
+        })
+      }));
+    }
+    return this.styleCache.get(src);
+  }
+
+  /**
+   * Finds our feature under a map pixel
+   */
+  getFeatureAt(pixel) {
+    return this.map.forEachFeatureAtPixel(pixel, feature => feature, {
+      layerFilter: layer => layer === this.layer
+    }) || null;
+  }
+
+  attachPointerEvents() {
+    this.map.on('click', (e) => {
+      const feature = this.getFeatureAt(e.pixel);
+      if (!feature) return;
+      const lat = feature.get('poiLat');
+      const lng = feature.get('poiLng');
+      const cluster = feature.get('poiCluster');
+      if (cluster) {
+        window.poiRenderer.expandCluster(this.map, lat, lng, cluster.expansionZoom);
+        return;
+      }
+      window.postMessage({ type: 'POI_MARKER_CLICK', id: feature.get('poi').id, lat, lng }, '*');
+    });
+
+    this.map.on('pointermove', (e) => {
+      if (e.dragging) return;
+      const feature = this.getFeatureAt(e.pixel);
+      const target = this.map.getTargetElement();
+      if (target) target.style.cursor = feature ? 'pointer' : '';
+
+      const poi = feature && feature.get('poi');
+      const id = poi ? poi.id : null;
+      if (id === this.hoveredId) return;
+      if (this.hoveredId) window.postMessage({ type: 'POI_MARKER_LEAVE', id: this.hoveredId }, '*');
+      this.hoveredId = id;
+      if (poi) {
+        window.postMessage({ type: 'POI_MARKER_HOVER', id, lat: feature.get('poiLat'), lng: feature.get('poiLng') }, '*');
+      }
+    });
+  }
+
+  /**
+   * Removes the POI layer from the map
+   */
+  remove() {
+    try {
+      this.map.removeLayer(this.layer);
+    } catch (e) {
+      // Map already disposed
+    }
+    this.source.clear(true);
+    this.renderedPois = null;
+    this.renderedLevel = null;
+  }
+}
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OpenLayersAdapter };
+}
+if (typeof window !== 'undefined') {
+  window.OpenLayersAdapter = OpenLayersAdapter;
+}
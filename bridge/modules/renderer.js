@@ -6,6 +6,16 @@
  * Supports:
  * - Google Maps (via PoiBatchOverlay / PoiCustomOverlay with google.maps.OverlayView)
  * - Mapbox GL JS (via mapboxgl.Marker with poi-native-marker-mapbox class)
+ * - MapLibre GL JS (the Mapbox path, with maplibregl.Marker)
+ * - Leaflet (via L.marker with L.icon pins and L.divIcon cluster bubbles)
+ * - OpenLayers (via an ol.layer.Vector per map, OpenLayersAdapter in openlayers.js)
+ * 
+ * All paths draw only what is in view, with dense POIs merged into count bubbles
+ * (poi-cluster-marker) by the shared PoiClusterIndex (cluster.js). Clicking a bubble
+ * zooms in until it splits up.
+ * 
+ * Sites with `features.mapboxLayers` in siteConfig draw Mapbox maps with native
+ * GeoJSON layers instead (MapboxLayerRenderer, mapboxLayers.js).
  * 
  * Site-specific overlay classes (overlays/ folder) handle domain detection,
  * bounds tracking, and OverlayRegistry management — but NOT rendering.
@@ -16,6 +26,9 @@ window.poiRenderer = {
   lastPoiData: [],
   configCache: new WeakMap(), // Cache configs per map instance
   siteConfigReady: false,
+  clusterIndex: null,
+  clusterIndexPois: null, // The POI array clusterIndex was built from
+  mapboxZoomOffset: 1, // Mapbox/MapLibre GL zoom levels use 512px tiles, the cluster index 256px
   
   /**
    * Checks if siteConfig is ready and initializes it
@@ -45,7 +58,15 @@ window.poiRenderer = {
         }
       }
       
-      // Try _container for Mapbox
+      // Try getTargetElement for OpenLayers
+      if (typeof map.getTargetElement === 'function') {
+        const target = map.getTargetElement();
+        if (target && target.ownerDocument && target.ownerDocument.location) {
+          return target.ownerDocument.location.hostname;
+        }
+      }
+      
+      // Try _container for Mapbox, MapLibre and Leaflet
       if (map._container && map._container.ownerDocument && map._container.ownerDocument.location) {
         return map._container.ownerDocument.location.hostname;
       }
@@ -85,9 +106,74 @@ window.poiRenderer = {
     return config;
   },
   
+  /**
+   * Gets the POIs and clusters to draw in a map's viewport. The cluster index is
+   * rebuilt only when a new POI array arrives (the bridge loop re-sends the same one).
+   * @param {Object} map - Map instance
+   * @param {Array<Object>} pois - POIs of the active groups
+   * @param {number} zoom - Zoom level in 256px tiles
+   * @param {number} padding - Share of the viewport drawn beyond its edges
+   * @returns {Array<Object>} Items from PoiClusterIndex.getItems()
+   */
+  getVisibleItems(map, pois, zoom, padding = 0) {
+    const bounds = this.getViewBounds(map);
+    if (!bounds || !window.PoiClusterIndex) return [];
+    return this.getClusterIndex(pois).getItems(bounds, zoom, padding);
+  },
+
+  /**
+   * Gets the cluster index of a POI array, building it on first use
+   */
+  getClusterIndex(pois) {
+    if (this.clusterIndexPois !== pois) {
+      this.clusterIndex = new window.PoiClusterIndex(pois);
+      this.clusterIndexPois = pois;
+    }
+    return this.clusterIndex;
+  },
+
+  /**
+   * Reads a map's viewport as { north, south, east, west }
+   */
+  getViewBounds(map) {
+    try {
+      if (this.isOpenLayers(map)) return window.OpenLayersAdapter.getBounds(map);
+      const b = map.getBounds();
+      if (!b) return null;
+      // Mapbox LngLatBounds also has getNorthEast(), but with lat/lng properties
+      if (b.getNorth) return { north: b.getNorth(), south: b.getSouth(), east: b.getEast(), west: b.getWest() };
+      const ne = b.getNorthEast();
+      const sw = b.getSouthWest();
+      return { north: ne.lat(), south: sw.lat(), east: ne.lng(), west: sw.lng() };
+    } catch (e) {
+      return null;
+    }
+  },
+
+  /**
+   * Zooms in on a clicked cluster until it splits up
+   * @param {Object} map - Map instance
+   * @param {number} lat - Cluster position
+   * @param {number} lng
+   * @param {number} zoom - The cluster's expansionZoom (256px tiles)
+   */
+  expandCluster(map, lat, lng, zoom) {
+    if (this.isGoogleMap(map)) {
+      map.setZoom(Math.max(zoom, map.getZoom() + 1));
+      map.panTo({ lat, lng });
+    } else if (this.isMapbox(map)) {
+      map.easeTo({ center: [lng, lat], zoom: Math.max(zoom - this.mapboxZoomOffset, map.getZoom() + 1) });
+    } else if (this.isLeaflet(map)) {
+      map.setView([lat, lng], Math.max(zoom, map.getZoom() + 1));
+    } else if (this.isOpenLayers(map)) {
+      const current = window.OpenLayersAdapter.getZoom(map);
+      window.OpenLayersAdapter.animateTo(map, lat, lng, Math.max(zoom, current + 1), 250);
+    }
+  },
+
    clear() {
       this.lastPoiData = [];
-      // Clear Mapbox markers
+      // Clear Mapbox, MapLibre and Leaflet markers
       this.activeMarkers.forEach((marker) => {
          if (marker && typeof marker.remove === 'function') {
             marker.remove();
@@ -97,6 +183,14 @@ window.poiRenderer = {
       });
       this.activeMarkers.clear();
 
+      // Clear Mapbox layer renderers and OpenLayers layers
+      if (window.poiHijack && window.poiHijack.activeMaps) {
+         for (const map of window.poiHijack.activeMaps) {
+            if (map && map._poiLayerRenderer) map._poiLayerRenderer.remove();
+            if (map && map._poiOlAdapter) map._poiOlAdapter.remove();
+         }
+      }
+
       // Clear Google batch overlays if present
       if (window.poiHijack && window.poiHijack.activeMaps) {
          for (const map of window.poiHijack.activeMaps) {
@@ -123,7 +217,15 @@ window.poiRenderer = {
       if (this.isGoogleMap(map)) {
         this.renderGoogle(map, pois);
       } else if (this.isMapbox(map)) {
-        this.renderMapbox(map, pois);
+        if (this.getSiteConfig(map).features?.mapboxLayers && window.MapboxLayerRenderer) {
+          this.renderMapboxLayers(map, pois);
+        } else {
+          this.renderMapbox(map, pois);
+        }
+      } else if (this.isOpenLayers(map)) {
+        this.renderOpenLayers(map, pois);
+      } else if (this.isLeaflet(map)) {
+        this.renderLeaflet(map, pois);
       }
     }
   },
@@ -136,6 +238,26 @@ window.poiRenderer = {
     return (map.addSource !== undefined && map.addLayer !== undefined && map.on !== undefined);
   },
 
+  isOpenLayers(map) {
+    return !!window.OpenLayersAdapter && window.OpenLayersAdapter.isOpenLayers(map);
+  },
+
+  isLeaflet(map) {
+    return (map._leaflet_id !== undefined && typeof map.latLngToContainerPoint === 'function');
+  },
+
+  /**
+   * Gets the Marker class of the library that created a Mapbox-style map. MapLibre
+   * is a fork of Mapbox GL, and a page may load both.
+   */
+  getGlMarkerClass(map) {
+    const maplibre = window.maplibregl;
+    if (maplibre?.Marker && (!window.mapboxgl?.Marker || (maplibre.Map && map instanceof maplibre.Map))) {
+      return maplibre.Marker;
+    }
+    return window.mapboxgl?.Marker || null;
+  },
+
   renderGoogle(map, pois) {
     // Check if OverlayView is available
     if (!window.google || !window.google.maps || !window.google.maps.OverlayView) return;
@@ -183,6 +305,17 @@ window.poiRenderer = {
              
              // Event Delegation
              this.container.addEventListener('click', (e) => {
+                const cluster = e.target.closest('.poi-cluster-marker');
+                if (cluster) {
+                   e.stopPropagation();
+                   window.poiRenderer.expandCluster(
+                      this.mapInstance,
+                      parseFloat(cluster.getAttribute('data-lat')),
+                      parseFloat(cluster.getAttribute('data-lng')),
+                      parseInt(cluster.getAttribute('data-zoom'), 10)
+                   );
+                   return;
+                }
                 const target = e.target.closest('.poi-native-marker');
                 if (target) {
                    e.stopPropagation();
@@ -247,30 +380,40 @@ window.poiRenderer = {
              const projection = this.getProjection();
              if (!projection) return;
              
-             const bounds = this.mapInstance.getBounds();
-             if (!bounds) return;
-             
              // Diff Strategy:
-             // 1. Identify POIs currently in view
-             // 2. Recycle elements for POIs no longer in view
-             // 3. Create/Reuse elements for POIs now in view
+             // 1. Identify POIs and clusters currently in view
+             // 2. Recycle elements for POIs no longer in view (clusters are dropped)
+             // 3. Create/Reuse elements for POIs and clusters now in view
              
+             const items = window.poiRenderer.getVisibleItems(this.mapInstance, this.pois, this.mapInstance.getZoom());
              const visibleIds = new Set();
              const fragment = document.createDocumentFragment();
+             const config = window.poiRenderer.getSiteConfig(this.mapInstance);
+             const baseZIndex = config.styles.markerZIndex || 5000;
              
-             this.pois.forEach(poi => {
-                const lat = parseFloat(poi.latitude);
-                const lng = parseFloat(poi.longitude);
-                const latLng = new window.google.maps.LatLng(lat, lng);
+             items.forEach(item => {
+                const latLng = new window.google.maps.LatLng(item.latitude, item.longitude);
+                const pos = projection.fromLatLngToDivPixel(latLng);
                 
-                // Bounds Check
-                if (!bounds.contains(latLng)) return;
+                if (item.count > 1) {
+                   visibleIds.add(item.id);
+                   let el = this.activeElements.get(item.id);
+                   if (!el) {
+                      el = window.PoiClusterIndex.createElement(item, baseZIndex);
+                      this.activeElements.set(item.id, el);
+                      fragment.appendChild(el);
+                   }
+                   // Clusters are centered on their position
+                   el.style.transform = `translate(-50%, -50%) translate(${Math.round(pos.x)}px, ${Math.round(pos.y)}px)`;
+                   return;
+                }
                 
+                const poi = item.poi;
+                const lat = item.latitude;
+                const lng = item.longitude;
                 const id = poi.id || (poi._renderId = poi._renderId || crypto.randomUUID());
                 visibleIds.add(id);
                 
-                const pos = projection.fromLatLngToDivPixel(latLng);
-                
                 let el = this.activeElements.get(id);
                 
                 if (!el) {
@@ -281,8 +424,6 @@ window.poiRenderer = {
                       el = document.createElement('div');
                       el.className = 'poi-native-marker';
                       // Styles are set once, only transform changes
-                      const config = window.poiRenderer.getSiteConfig(this.mapInstance);
-                      const baseZIndex = config.styles.markerZIndex || 5000;
                       el.style.cssText = `
                         position: absolute; width: 32px; height: 32px;
                         background-size: contain; background-repeat: no-repeat;
@@ -309,10 +450,6 @@ window.poiRenderer = {
                    
                    this.activeElements.set(id, el);
                    fragment.appendChild(el);
-                } else {
-                   // Ensure it's attached (might be re-added if logic changes, but usually stays in DOM)
-                   // If we are reusing, we don't append to fragment unless it was detached.
-                   // Here we assume it stays attached.
                 }
                 
                 // Update Position (Transform is faster than top/left)
@@ -325,11 +462,11 @@ window.poiRenderer = {
                 this.container.appendChild(fragment);
              }
              
-             // Cleanup hidden elements (Return to pool)
+             // Cleanup hidden elements (Return markers to pool)
              this.activeElements.forEach((el, id) => {
                 if (!visibleIds.has(id)) {
                    el.remove(); // Detach from DOM
-                   this.markerPool.push(el); // Add to pool
+                   if (el.classList.contains('poi-native-marker')) this.markerPool.push(el);
                    this.activeElements.delete(id);
                 }
              });
@@ -348,13 +485,49 @@ window.poiRenderer = {
     map._poiBatchLayer.updatePois(pois);
   },
 
+  renderMapboxLayers(map, pois) {
+    if (!map._poiLayerRenderer) {
+       map._poiLayerRenderer = new window.MapboxLayerRenderer(map);
+    }
+    map._poiLayerRenderer.update(pois);
+  },
+
   renderMapbox(map, pois) {
-    if (!window.mapboxgl || !window.mapboxgl.Marker) return;
+    const Marker = this.getGlMarkerClass(map);
+    if (!Marker) return;
     
     if (!map._poiUid) map._poiUid = Math.random().toString(36).substr(2, 9);
+    // Markers follow the map between bridge loop ticks; redraw once a move ends
+    if (!map._poiClusterListener) {
+       map._poiClusterListener = true;
+       map.on('moveend', () => this.renderMapbox(map, this.lastPoiData));
+    }
+    
+    const config = this.getSiteConfig(map);
+    const baseZIndex = config.styles.markerZIndex || 5000;
     const usedIds = new Set();
+    // Half a viewport of margin, so panning doesn't reveal empty edges
+    const items = this.getVisibleItems(map, pois, map.getZoom() + this.mapboxZoomOffset, 0.5);
 
-    pois.forEach(poi => {
+    items.forEach(item => {
+       if (item.count > 1) {
+          const id = `${map._poiUid}-${item.id}`;
+          usedIds.add(id);
+          if (this.activeMarkers.has(id)) return;
+          
+          const el = window.PoiClusterIndex.createElement(item, baseZIndex);
+          el.onclick = (e) => {
+             e.stopPropagation();
+             this.expandCluster(map, item.latitude, item.longitude, item.expansionZoom);
+          };
+          const marker = new Marker({ element: el })
+             .setLngLat([item.longitude, item.latitude])
+             .addTo(map);
+          this.activeMarkers.set(id, marker);
+          return;
+       }
+       
+       const poi = item.poi;
        const id = `${map._poiUid}-${poi.id || (poi._renderId = poi._renderId || crypto.randomUUID())}`;
        usedIds.add(id);
        
@@ -372,9 +545,6 @@ window.poiRenderer = {
            <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z" fill="${color}" stroke="${secondaryColor}" stroke-width="1"/>
          </svg>
        `)}`;
-
-       const config = this.getSiteConfig(map);
-       const baseZIndex = config.styles.markerZIndex || 5000;
        
        el.style.cssText = `
          width: 32px; height: 32px; cursor: pointer; z-index: ${baseZIndex};
@@ -402,13 +572,93 @@ window.poiRenderer = {
           window.postMessage({ type: 'POI_MARKER_LEAVE', id }, '*');
        };
 
-       const marker = new window.mapboxgl.Marker({ element: el })
-          .setLngLat([parseFloat(poi.longitude), parseFloat(poi.latitude)])
+       const marker = new Marker({ element: el })
+          .setLngLat([item.longitude, item.latitude])
           .addTo(map);
           
        this.activeMarkers.set(id, marker);
     });
 
+    for (const [id, marker] of this.activeMarkers) {
+       if (id.startsWith(map._poiUid) && !usedIds.has(id)) {
+          marker.remove();
+          this.activeMarkers.delete(id);
+       }
+    }
+  },
+
+  renderOpenLayers(map, pois) {
+    if (!window.OpenLayersAdapter.canRender()) return;
+    if (!map._poiOlAdapter) {
+       map._poiOlAdapter = new window.OpenLayersAdapter(map);
+    }
+    map._poiOlAdapter.update(pois);
+  },
+
+  renderLeaflet(map, pois) {
+    const L = window.L;
+    if (!L || !L.marker || !L.icon) return;
+    
+    if (!map._poiUid) map._poiUid = Math.random().toString(36).substr(2, 9);
+    if (!map._poiClusterListener) {
+       map._poiClusterListener = true;
+       map.on('moveend', () => this.renderLeaflet(map, this.lastPoiData));
+    }
+    
+    const usedIds = new Set();
+    // Leaflet zoom levels use 256px tiles, like the cluster index
+    const items = this.getVisibleItems(map, pois, map.getZoom(), 0.5);
+
+    items.forEach(item => {
+       if (item.count > 1) {
+          const id = `${map._poiUid}-${item.id}`;
+          usedIds.add(id);
+          if (this.activeMarkers.has(id)) return;
+          
+          const el = window.PoiClusterIndex.createElement(item, 0);
+          const size = parseInt(el.style.width, 10);
+          const marker = L.marker([item.latitude, item.longitude], {
+             // Leaflet before 1.7 only takes HTML strings
+             icon: L.divIcon({ html: el.outerHTML, className: 'poi-cluster-icon', iconSize: [size, size] }),
+             keyboard: false
+          });
+          marker.on('click', () => this.expandCluster(map, item.latitude, item.longitude, item.expansionZoom));
+          marker.addTo(map);
+          this.activeMarkers.set(id, marker);
+          return;
+       }
+       
+       const poi = item.poi;
+       const id = `${map._poiUid}-${poi.id || (poi._renderId = poi._renderId || crypto.randomUUID())}`;
+       usedIds.add(id);
+       
+       if (this.activeMarkers.has(id)) return;
+
+       const iconUrl = poi.logoData || window.MapUtils.generateFallbackSVG(poi.color, poi.secondaryColor, 32);
+       const marker = L.marker([item.latitude, item.longitude], {
+          icon: L.icon({ iconUrl, iconSize: [32, 32], iconAnchor: [16, 32], className: 'poi-native-marker-leaflet' }),
+          keyboard: false
+       });
+       
+       marker.on('click', () => {
+          window.postMessage({ type: 'POI_MARKER_CLICK', id: poi.id, lat: poi.latitude, lng: poi.longitude }, '*');
+       });
+       
+       // Hover Listeners
+       marker.on('mouseover', () => {
+          marker.setZIndexOffset(1000);
+          window.postMessage({ type: 'POI_MARKER_HOVER', id, lat: poi.latitude, lng: poi.longitude }, '*');
+       });
+       
+       marker.on('mouseout', () => {
+          marker.setZIndexOffset(0);
+          window.postMessage({ type: 'POI_MARKER_LEAVE', id }, '*');
+       });
+
+       marker.addTo(map);
+       this.activeMarkers.set(id, marker);
+    });
+
     for (const [id, marker] of this.activeMarkers) {
        if (id.startsWith(map._poiUid) && !usedIds.has(id)) {
           marker.remove();
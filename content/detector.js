@@ -81,6 +81,16 @@ const MapDetector = {
       if (mb && mb.offsetHeight > 10) return mb.parentElement;
       return null;
     },
+    function detectByLeaflet() {
+      const leaflet = document.querySelector('.leaflet-container');
+      if (leaflet && leaflet.offsetHeight > 10) return leaflet;
+      return null;
+    },
+    function detectByOpenLayers() {
+      const viewport = document.querySelector('.ol-viewport');
+      if (viewport && viewport.offsetHeight > 10) return viewport.parentElement;
+      return null;
+    },
     function detectByFuzzySelector() {
       const elements = Array.from(document.querySelectorAll('[id*="map" i], [class*="map" i], [data-testid*="map" i]'));
       return elements.filter(el => el !== document.body && el.offsetHeight > 200 && el.offsetWidth > 200)
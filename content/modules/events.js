@@ -3,7 +3,8 @@
  * Central event coordination hub — all event-driven communication flows through here.
  * 
  * Event sources:
- * 1. Popup → Content: chrome.runtime.onMessage (update-active-groups, refresh-pois)
+ * 1. Popup → Content: chrome.runtime.onMessage (update-active-groups, refresh-pois,
+ *    search-pois, fly-to-poi, open-search-palette)
  * 2. Storage changes: chrome.storage.onChanged (cross-tab sync)
  * 3. Bridge → Content: window.postMessage (POI_BRIDGE_READY, POI_BOUNDS_UPDATE, marker events)
  */
@@ -73,6 +74,24 @@
       return true;
     }
 
+    // POI search (search.js): the popup's search box and the keyboard shortcut's palette
+    if (msg.action === 'search-pois') {
+      resp({ status: 'ok', results: window.poiSearch.search(msg.query, msg.limit) });
+      return true;
+    }
+
+    if (msg.action === 'fly-to-poi') {
+      resp({ status: window.poiSearch.flyTo(msg.poi) ? 'ok' : 'no-map' });
+      return true;
+    }
+
+    if (msg.action === 'open-search-palette') {
+      if (!window.poiSearchPalette) window.poiSearchPalette = new PoiSearchPalette();
+      window.poiSearchPalette.toggle();
+      resp({ status: 'ok' });
+      return true;
+    }
+
     if (msg.action === 'toggle-site-enabled') {
       const state = getState();
       if (state) {
@@ -153,21 +172,7 @@
       }
     }
 
-    if (changes.poiGroups) {
-      // Invalidate cache so renames/deletes are reflected immediately
-      state._poiCache = null;
-      state._poiCacheTime = 0;
-
-      if (!skipRefresh) {
-        if (storageRefreshTimer) clearTimeout(storageRefreshTimer);
-        storageRefreshTimer = setTimeout(() => {
-          storageRefreshTimer = null;
-          state.refresh();
-        }, 50);
-      }
-    }
-
-    if (changes.profiles) {
+    if (changes.profiles && state.affectsPois(changes.profiles.oldValue, changes.profiles.newValue)) {
       // Profile data changed (groups imported/deleted/modified)
       state._poiCache = null;
       state._poiCacheTime = 0;
@@ -0,0 +1,155 @@
+/**
+ * POI Injector Search Palette Module
+ * On-page command palette for finding a POI of the active groups and flying the map
+ * to it. Opened with the extension's keyboard shortcut (the `open-poi-search` command,
+ * relayed by the background worker as `open-search-palette`).
+ * Lives in a shadow root so the site's CSS can't restyle it.
+ */
+
+const PALETTE_RESULT_LIMIT = 8;
+
+class PoiSearchPalette {
+  constructor() {
+    this.host = null;
+    this.input = null;
+    this.list = null;
+    this.results = [];
+    this.selectedIndex = 0;
+    this.onOutsideClick = (e) => {
+      if (this.host && !e.composedPath().includes(this.host)) this.close();
+    };
+  }
+
+  get isOpen() {
+    return !!this.host;
+  }
+
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  open() {
+    if (this.isOpen) return;
+    const pref = window.poiState?.preferences || {};
+    const isNightMode = pref.nightMode || false;
+    const bgColor = isNightMode ? '#2c313a' : '#f8f9fa';
+    const textColor = isNightMode ? '#f3f4f6' : '#22272e';
+    const mutedColor = isNightMode ? '#b3b8c3' : '#6b7280';
+    const borderColor = isNightMode ? '#3a3f4b' : '#e5e7eb';
+    const accentColor = pref.accentColor || '#4a9eff';
+
+    this.host = document.createElement('div');
+    this.host.id = 'poi-search-palette';
+    this.host.style.cssText = 'position: fixed; top: 80px; left: 50%; transform: translateX(-50%); z-index: 2147483647;';
+    const root = this.host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+      <style>
+        .palette {
+          width: 420px; max-width: 90vw; background: ${bgColor}; color: ${textColor};
+          font-family: monospace; font-size: 12px; border: 1px solid ${borderColor}; border-radius: 8px;
+          box-shadow: 0 8px 30px rgba(0, 0, 0, 0.3), 0 0 10px ${accentColor}44; overflow: hidden;
+        }
+        input {
+          width: 100%; box-sizing: border-box; padding: 10px 12px; border: none;
+          border-bottom: 2px solid ${accentColor}; background: transparent; color: ${textColor};
+          font-family: inherit; font-size: 13px; outline: none;
+        }
+        .result { padding: 6px 12px; cursor: pointer; border-left: 3px solid transparent; }
+        .result.selected { background: ${accentColor}22; border-left-color: ${accentColor}; }
+        .name { font-weight: bold; }
+        .detail, .hint { font-size: 10px; color: ${mutedColor}; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .hint { padding: 8px 12px; }
+      </style>
+      <div class="palette">
+        <input type="text" placeholder="Search POIs of the active groups" autocomplete="off">
+        <div class="results"></div>
+      </div>
+    `;
+    this.input = root.querySelector('input');
+    this.list = root.querySelector('.results');
+
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('keydown', (e) => {
+      // Keep the site's own shortcuts from reacting to typing in the palette
+      e.stopPropagation();
+      if (e.key === 'Escape') this.close();
+      if (e.key === 'Enter') this.pick(this.selectedIndex);
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.select((this.selectedIndex + step + this.results.length) % Math.max(this.results.length, 1));
+      }
+    });
+    this.list.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('.result');
+      if (item) {
+        e.preventDefault();
+        this.pick(Number(item.dataset.index));
+      }
+    });
+
+    document.body.appendChild(this.host);
+    document.addEventListener('mousedown', this.onOutsideClick, true);
+    this.update();
+    this.input.focus();
+  }
+
+  close() {
+    if (!this.host) return;
+    document.removeEventListener('mousedown', this.onOutsideClick, true);
+    this.host.remove();
+    this.host = null;
+    this.input = null;
+    this.list = null;
+    this.results = [];
+  }
+
+  update() {
+    const query = this.input.value.trim();
+    this.results = window.poiSearch.search(query, PALETTE_RESULT_LIMIT);
+    this.selectedIndex = 0;
+    this.list.replaceChildren();
+
+    if (this.results.length === 0) {
+      const hint = document.createElement('div');
+      hint.className = 'hint';
+      hint.textContent = !window.manager?.markerData?.length
+        ? 'No POIs are shown on this page'
+        : query ? 'No matching POIs' : 'Type a name, address or any other field';
+      this.list.appendChild(hint);
+      return;
+    }
+
+    this.results.forEach((result, index) => {
+      const item = document.createElement('div');
+      item.className = index === 0 ? 'result selected' : 'result';
+      item.dataset.index = index;
+      const name = document.createElement('div');
+      name.className = 'name';
+      name.textContent = result.name;
+      const detail = document.createElement('div');
+      detail.className = 'detail';
+      detail.textContent = [result.groupName, result.address].filter(Boolean).join(' · ');
+      item.append(name, detail);
+      this.list.appendChild(item);
+    });
+  }
+
+  select(index) {
+    this.selectedIndex = index;
+    this.list.querySelectorAll('.result').forEach((item, i) => {
+      item.classList.toggle('selected', i === index);
+      if (i === index) item.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  pick(index) {
+    const result = this.results[index];
+    if (!result) return;
+    this.close();
+    window.poiSearch.flyTo(result);
+  }
+}
+
+window.PoiSearchPalette = PoiSearchPalette;
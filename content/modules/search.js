@@ -0,0 +1,108 @@
+/**
+ * POI Injector Search Module
+ * Fuzzy search over the POIs of the active groups (the overlay's markerData) and
+ * fly-to on the live map. Used by the on-page search palette (palette.js) and, through
+ * the `search-pois` and `fly-to-poi` messages, by the popup's search box.
+ *
+ * Every word of the query has to match some field of a POI: a match at the start of
+ * the field scores highest, then at the start of a word, anywhere in it, and last its
+ * letters in order ("sbwy" finds "Subway"). Names weigh more than addresses, and
+ * addresses more than the other fields.
+ */
+(function() {
+  // Fields that aren't text a user would search for
+  const IGNORED_FIELDS = ['id', 'local', 'latitude', 'longitude', 'color', 'secondaryColor', 'logoData', 'groupUuid', 'groupName'];
+  const FIELD_WEIGHTS = { name: 3, address: 2 };
+  const DEFAULT_LIMIT = 20;
+
+  const normalize = (value) => String(value ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+  /**
+   * Scores one query word against one field value (0 = no match, up to 1)
+   */
+  const scoreWord = (word, text) => {
+    const index = text.indexOf(word);
+    if (index === 0) return 1;
+    if (index > 0) return /[a-z0-9]/.test(text[index - 1]) ? 0.6 : 0.8;
+
+    // Letters in order; a tighter spread scores higher
+    let position = -1;
+    let first = -1;
+    for (const char of word) {
+      position = text.indexOf(char, position + 1);
+      if (position === -1) return 0;
+      if (first === -1) first = position;
+    }
+    return 0.3 * (word.length / (position - first + 1));
+  };
+
+  /**
+   * @param {Object} poi
+   * @param {Array<string>} words - Normalized query words
+   * @returns {number} 0 when some word matches no field
+   */
+  const scorePoi = (poi, words) => {
+    const fields = Object.entries(poi)
+      .filter(([key, value]) => !IGNORED_FIELDS.includes(key) && !key.startsWith('_') &&
+        (typeof value === 'string' || typeof value === 'number'))
+      .map(([key, value]) => [normalize(value), FIELD_WEIGHTS[key] || 1]);
+
+    let total = 0;
+    for (const word of words) {
+      let best = 0;
+      for (const [text, weight] of fields) {
+        best = Math.max(best, weight * scoreWord(word, text));
+      }
+      if (best === 0) return 0;
+      total += best;
+    }
+    return total;
+  };
+
+  window.poiSearch = {
+    /**
+     * Searches the POIs loaded on this page
+     * @param {string} query
+     * @param {number} [limit]
+     * @returns {Array<{id, name, address, groupName, groupUuid, latitude, longitude}>} Best matches first
+     */
+    search(query, limit = DEFAULT_LIMIT) {
+      const words = normalize(query).split(/\s+/).filter(Boolean);
+      const pois = window.manager?.markerData || [];
+      if (words.length === 0 || pois.length === 0) return [];
+
+      const matches = [];
+      for (const poi of pois) {
+        const score = scorePoi(poi, words);
+        if (score > 0) matches.push({ poi, score });
+      }
+      matches.sort((a, b) => b.score - a.score || String(a.poi.name ?? '').localeCompare(String(b.poi.name ?? '')));
+
+      return matches.slice(0, limit).map(({ poi }) => ({
+        id: poi.id,
+        name: poi.name,
+        address: poi.address || '',
+        groupName: poi.groupName,
+        groupUuid: poi.groupUuid,
+        latitude: poi.latitude,
+        longitude: poi.longitude
+      }));
+    },
+
+    /**
+     * Asks the bridge to move the map to a POI and open its popup (POI_FLY_TO)
+     * @param {{id: string, latitude: number, longitude: number}} poi
+     * @returns {boolean} Whether there is a map to move
+     */
+    flyTo(poi) {
+      const lat = parseFloat(poi.latitude);
+      const lng = parseFloat(poi.longitude);
+      if (!window.manager || isNaN(lat) || isNaN(lng)) return false;
+      window.postMessage({ type: 'POI_FLY_TO', id: poi.id, lat, lng }, '*');
+      return true;
+    }
+  };
+})();
@@ -110,6 +110,24 @@ class POIStateManager {
     return Object.keys(this._activeGroups).filter(k => this._activeGroups[k]);
   }
 
+  /**
+   * Checks whether a change to `profiles` can change the POIs on the map.
+   * Group folders, tags and collapsed folders only organize the popup's list;
+   * turning a folder or tag on or off arrives as a change to `activeGroups`.
+   * @param {Object} oldProfiles
+   * @param {Object} newProfiles
+   * @returns {boolean}
+   */
+  affectsPois(oldProfiles, newProfiles) {
+    const withoutOrganization = (profiles) => JSON.stringify(
+      Object.values(profiles || {}).map(({ collapsedFolders, groups, ...profile }) => ({
+        ...profile,
+        groups: Object.fromEntries(Object.entries(groups || {}).map(([uuid, { folder, tags, ...group }]) => [uuid, group]))
+      }))
+    );
+    return withoutOrganization(oldProfiles) !== withoutOrganization(newProfiles);
+  }
+
   /**
    * Sets a preference value
    * @param {string} key - Preference key
@@ -288,8 +306,9 @@ class POIStateManager {
   }
 
   /**
-   * Gets POI groups from cache or storage.
-   * Groups are now stored per-profile, so we need to fetch from the active profile.
+   * Gets POI groups from cache or the background worker.
+   * Groups are stored per-profile and their POIs in the extension's IndexedDB, which
+   * content scripts can't open, so the worker returns the active profile's groups.
    * @private
    */
   async _getPoiGroups() {
@@ -299,28 +318,15 @@ class POIStateManager {
       return this._poiCache;
     }
     
-    console.log('[STATE] _getPoiGroups() reading fresh from storage...');
+    console.log('[STATE] _getPoiGroups() requesting groups from background...');
     try {
-      // Try new per-profile storage first
-      const data = await chrome.storage.local.get(['profiles', 'activeProfile', 'poiGroups']);
-      const profiles = data.profiles || {};
-      const activeProfileUuid = data.activeProfile;
-      const activeProfile = profiles[activeProfileUuid];
-      
-      console.log('[STATE] _getPoiGroups() activeProfileUuid:', activeProfileUuid);
-      console.log('[STATE] _getPoiGroups() activeProfile exists?', !!activeProfile);
-      if (activeProfile) console.log('[STATE] _getPoiGroups() activeProfile.groups keys:', Object.keys(activeProfile.groups || {}));
-      
-      let poiGroups = {};
-      
-      // Get groups from active profile (new per-profile storage)
-      if (activeProfile && activeProfile.groups) {
-        poiGroups = activeProfile.groups;
-      } else {
-        // Fallback to legacy global poiGroups for backwards compatibility
-        poiGroups = data.poiGroups || {};
+      const response = await chrome.runtime.sendMessage({ action: 'get-group-pois' });
+      if (response?.status !== 'ok') {
+        throw new Error(response?.error || 'No response from background');
       }
       
+      const poiGroups = response.groups || {};
+      
       console.log('[STATE] _getPoiGroups() returning groups with keys:', Object.keys(poiGroups));
       this._poiCache = poiGroups;
       this._poiCacheTime = Date.now();
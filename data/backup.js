@@ -0,0 +1,309 @@
+import { pruneSourceRequests, generateUUID } from './data-manager.js';
+import { migrateSnapshot, PRE_MIGRATION_BACKUP_KEY } from './migrations.js';
+import { getAllPois, getProfilePois, replacePois } from './poi-store.js';
+
+/**
+ * Full backups: everything in chrome.storage.local (profiles with their groups,
+ * styles and sync settings, active toggles, preferences, column mappings) and the
+ * POI store in one file:
+ *   { format: 'shullow-backup', version, createdAt, extensionVersion, storage: { ... },
+ *     pois: { [profileUuid]: { [groupUuid]: POI[] } } }
+ * Version 1 files kept the POIs inside storage.profiles (before poi-store.js).
+ * Source request settings hold credentials and stay on the device.
+ * Restoring runs the backup through the storage migrations (migrations.js), then
+ * either replaces the stored data or merges into it, with the user resolving conflicts.
+ */
+
+export const BACKUP_FORMAT = 'shullow-backup';
+export const BACKUP_VERSION = 2;
+
+// Request settings never leave the device (see source-fetch.js); the pre-migration copy
+// would double the file; the trash (trash.js) is not backed up
+const EXCLUDED_KEYS = ['sourceRequests', PRE_MIGRATION_BACKUP_KEY, 'trash'];
+
+/**
+ * Collects the whole extension storage into a backup
+ * @returns {Promise<Object>}
+ */
+export async function createBackup() {
+  const storage = await chrome.storage.local.get(null);
+  for (const key of EXCLUDED_KEYS) delete storage[key];
+
+  // Trashed groups and profiles still have POIs in the store; leave those out
+  const pois = {};
+  for (const [profileUuid, poisByGroup] of Object.entries(await getAllPois())) {
+    const groups = storage.profiles?.[profileUuid]?.groups || {};
+    const kept = Object.entries(poisByGroup).filter(([groupUuid]) => groups[groupUuid]);
+    if (kept.length > 0) pois[profileUuid] = Object.fromEntries(kept);
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime?.getManifest?.().version ?? null,
+    storage,
+    pois
+  };
+}
+
+/**
+ * @param {any} data - Parsed JSON
+ * @returns {boolean} Whether the data is a backup file
+ */
+export function isBackup(data) {
+  return !!data && typeof data === 'object' && !Array.isArray(data) && data.format === BACKUP_FORMAT;
+}
+
+/**
+ * Validates a backup and returns its storage, migrated to the current layout, and its POIs
+ * @param {Object} backup - Parsed backup file
+ * @returns {{storage: Object, pois: Object<string, Object<string, Array>>}} Snapshot
+ *          (POIs by profile uuid and group uuid)
+ * @throws {Error} When the file is not a backup, is from a newer version or has no storage
+ *         (also when its data schema is newer than this extension's)
+ */
+export function readBackup(backup) {
+  if (!isBackup(backup)) {
+    throw new Error('Not a Shullow backup file');
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${backup.version} is newer than this extension supports (${BACKUP_VERSION})`);
+  }
+  if (!isPlainObject(backup.storage)) {
+    throw new Error('Backup has no storage data');
+  }
+  if (backup.pois !== undefined && !isPoiData(backup.pois)) {
+    throw new Error('Backup has invalid POI data');
+  }
+
+  const { data: storage, pois } = migrateSnapshot(backup.storage);
+  for (const key of EXCLUDED_KEYS) delete storage[key];
+  for (const [profileUuid, poisByGroup] of Object.entries(backup.pois || {})) {
+    pois[profileUuid] = { ...pois[profileUuid], ...poisByGroup };
+  }
+  return { storage, pois };
+}
+
+/**
+ * Lists what a merge would overwrite: profiles, settings and column mappings that
+ * exist both in storage and in the backup with different contents
+ * @param {Object} snapshot - From readBackup()
+ * @returns {Promise<Array<{id: string, label: string, current: string, backup: string, allowBoth: boolean}>>}
+ */
+export async function getRestoreConflicts(snapshot) {
+  const { storage, pois } = snapshot;
+  const current = await chrome.storage.local.get(['profiles', 'preferences', 'sourceMappings']);
+  const conflicts = [];
+  const describeProfile = (profile) => {
+    const groups = Object.values(profile.groups || {});
+    const poiCount = groups.reduce((sum, group) => sum + (group.poiCount || 0), 0);
+    return `${groups.length} group${groups.length !== 1 ? 's' : ''}, ${poiCount} POI${poiCount !== 1 ? 's' : ''}`;
+  };
+
+  for (const [uuid, profile] of Object.entries(storage.profiles || {})) {
+    const stored = current.profiles?.[uuid];
+    if (stored && !(await isSameProfile(uuid, stored, profile, pois[uuid]))) {
+      conflicts.push({
+        id: `profile:${uuid}`,
+        label: `Profile "${profile.name}"`,
+        current: describeProfile(stored),
+        backup: describeProfile(profile),
+        allowBoth: true
+      });
+    }
+  }
+
+  if (current.preferences && storage.preferences && !isSameValue(current.preferences, storage.preferences)) {
+    conflicts.push({ id: 'preferences', label: 'Settings', current: 'Current settings', backup: 'Backup settings', allowBoth: false });
+  }
+
+  for (const [url, mapping] of Object.entries(storage.sourceMappings || {})) {
+    const stored = current.sourceMappings?.[url];
+    if (stored && !isSameValue(stored, mapping)) {
+      conflicts.push({ id: `mapping:${url}`, label: `Column mapping of ${url}`, current: 'Current mapping', backup: 'Backup mapping', allowBoth: false });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Restores a backup.
+ * 'replace' swaps all stored data for the backup's (request settings of URLs the
+ * backup still uses are kept). 'merge' adds what storage doesn't have yet and
+ * settles each conflict from getRestoreConflicts() by its resolution (default 'keep');
+ * 'both' keeps the stored profile and adds the backup's as a copy.
+ * The whole restore is staged first. POIs are then written in one transaction, before
+ * the metadata that refers to them; if the metadata can't be written, the POIs are
+ * rolled back to the ones stored before the restore. Runs in the background worker,
+ * under its storage lock (`restore-backup`).
+ * @param {Object} snapshot - From readBackup()
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'merge' or 'replace'
+ * @param {Object<string, string>} [options.resolutions] - Conflict id -> 'keep', 'replace' or 'both'
+ * @returns {Promise<{profilesAdded: number, profilesReplaced: number}>}
+ */
+export async function restoreBackup(snapshot, { mode = 'merge', resolutions = {} } = {}) {
+  checkSnapshot(snapshot);
+  const current = await chrome.storage.local.get(null);
+  const plan = mode === 'replace'
+    ? planReplace(snapshot, current)
+    : await planMerge(snapshot, current, resolutions);
+
+  const previousPois = await getAllPois();
+  await replacePois(plan.pois, plan.poiOptions);
+  try {
+    await chrome.storage.local.set(plan.changes);
+  } catch (error) {
+    try {
+      await replacePois(previousPois, { clear: true });
+    } catch (rollbackError) {
+      console.error('[Backup] Could not roll back the POIs of a failed restore:', rollbackError);
+    }
+    throw error;
+  }
+  if (plan.removedKeys.length > 0) {
+    await chrome.storage.local.remove(plan.removedKeys);
+  }
+
+  if (mode === 'replace') await pruneSourceRequests();
+  return plan.result;
+}
+
+/**
+ * Stages a 'replace' restore: the backup's storage (plus the stored request settings)
+ * and POIs, and every other stored key to remove
+ */
+function planReplace({ storage, pois }, current) {
+  const { sourceRequests } = current;
+  return {
+    changes: sourceRequests ? { ...storage, sourceRequests } : storage,
+    removedKeys: Object.keys(current).filter(key => !(key in storage) && key !== 'sourceRequests'),
+    pois,
+    poiOptions: { clear: true },
+    result: { profilesAdded: Object.keys(storage.profiles || {}).length, profilesReplaced: 0 }
+  };
+}
+
+/**
+ * Stages a 'merge' restore: the storage keys to set and the POIs to write
+ */
+async function planMerge({ storage, pois }, current, resolutions) {
+  const changes = {};
+  const poisByProfile = {};
+  const deleteGroups = {};
+  const result = { profilesAdded: 0, profilesReplaced: 0 };
+
+  const profiles = { ...(current.profiles || {}) };
+  for (const [uuid, profile] of Object.entries(storage.profiles || {})) {
+    const resolution = resolutions[`profile:${uuid}`] || 'keep';
+    if (!profiles[uuid]) {
+      poisByProfile[uuid] = pois[uuid] || {};
+      profiles[uuid] = profile;
+      result.profilesAdded++;
+    } else if (await isSameProfile(uuid, profiles[uuid], profile, pois[uuid])) {
+      continue;
+    } else if (resolution === 'replace') {
+      // Only the replaced groups: trashed groups of the profile keep their POIs
+      deleteGroups[uuid] = Object.keys(profiles[uuid].groups || {});
+      poisByProfile[uuid] = pois[uuid] || {};
+      profiles[uuid] = profile;
+      result.profilesReplaced++;
+    } else if (resolution === 'both') {
+      const copy = copyProfile(profile, pois[uuid] || {});
+      poisByProfile[copy.profile.uuid] = copy.pois;
+      profiles[copy.profile.uuid] = copy.profile;
+      result.profilesAdded++;
+    }
+  }
+  changes.profiles = profiles;
+  if (!profiles[current.activeProfile] && storage.activeProfile) {
+    changes.activeProfile = storage.activeProfile;
+  }
+
+  if (!current.preferences || resolutions.preferences === 'replace') {
+    if (storage.preferences) changes.preferences = storage.preferences;
+  }
+
+  const sourceMappings = { ...(current.sourceMappings || {}) };
+  for (const [url, mapping] of Object.entries(storage.sourceMappings || {})) {
+    if (!sourceMappings[url] || resolutions[`mapping:${url}`] === 'replace') {
+      sourceMappings[url] = mapping;
+    }
+  }
+  changes.sourceMappings = sourceMappings;
+
+  // Anything else (schemaVersion, keys of newer features) only fills gaps
+  for (const [key, value] of Object.entries(storage)) {
+    if (!(key in changes) && current[key] === undefined && key !== 'activeGroups') {
+      changes[key] = value;
+    }
+  }
+
+  return { changes, removedKeys: [], pois: poisByProfile, poiOptions: { deleteGroups }, result };
+}
+
+/**
+ * Copies a profile and its POIs under new uuids (profile and groups), so it can sit
+ * next to the original
+ */
+function copyProfile(profile, poisByGroup) {
+  const uuid = generateUUID();
+  const groupUuids = new Map(Object.keys(profile.groups || {}).map(groupUuid => [groupUuid, generateUUID()]));
+  const rekey = (object) => Object.fromEntries(
+    Object.entries(object || {}).map(([key, value]) => [groupUuids.get(key) || key, value]));
+
+  return {
+    profile: {
+      ...structuredClone(profile),
+      uuid,
+      name: `${profile.name} (restored)`,
+      groups: Object.fromEntries(Object.entries(structuredClone(profile.groups || {}))
+        .map(([groupUuid, group]) => [groupUuids.get(groupUuid), { ...group, uuid: groupUuids.get(groupUuid) }])),
+      groupStyles: rekey(structuredClone(profile.groupStyles)),
+      activeGroups: rekey(profile.activeGroups),
+      groupUuids: (profile.groupUuids || []).map(groupUuid => groupUuids.get(groupUuid) || groupUuid)
+    },
+    pois: rekey(poisByGroup)
+  };
+}
+
+/**
+ * Compares a stored profile with a backup's, POIs included
+ */
+async function isSameProfile(uuid, stored, profile, poisByGroup = {}) {
+  if (!isSameValue(stored, profile)) return false;
+  const storedPois = await getProfilePois(uuid, Object.keys(stored.groups || {}));
+  return Object.keys(storedPois).every(groupUuid => isSameValue(storedPois[groupUuid], poisByGroup[groupUuid] || []));
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks POIs by profile uuid and group uuid: { [profileUuid]: { [groupUuid]: POI[] } }
+ */
+function isPoiData(value) {
+  return isPlainObject(value) && Object.values(value).every(poisByGroup =>
+    isPlainObject(poisByGroup) && Object.values(poisByGroup).every(Array.isArray));
+}
+
+/**
+ * Checks a snapshot again before anything is written: it reaches restoreBackup() in a
+ * message from the popup
+ * @throws {Error} When the storage or POIs are malformed
+ */
+function checkSnapshot(snapshot) {
+  if (!isPlainObject(snapshot?.storage) || (snapshot.storage.profiles !== undefined && !isPlainObject(snapshot.storage.profiles))) {
+    throw new Error('Backup has no storage data');
+  }
+  if (!isPoiData(snapshot.pois)) {
+    throw new Error('Backup has invalid POI data');
+  }
+}
@@ -0,0 +1,147 @@
+import { parseCoordinate, parseCoordinatePair } from './coordinates.js';
+
+/**
+ * Column mapping shared by the CSV and JSON parsers.
+ * A mapping assigns source columns (CSV headers or JSON keys) to POI fields:
+ *   { latitude, longitude, coordinates, name, address, groupName, id, ignore: [] }
+ * Each field holds a column name or null. `coordinates` is a single column holding
+ * both values ("lat,lng", WKT, Plus Code, ...; see coordinates.js) and is used when
+ * there are no separate latitude/longitude columns. `id` holds the source's own POI
+ * ids (see poi-identity.js). Columns that are neither assigned nor
+ * listed in `ignore` are kept as extra POI fields, so columns added to a source
+ * later still come through on sync.
+ * JSON mappings also have a `recordsPath` selecting the records of a wrapped response,
+ * and their columns may be paths into nested objects (see field-path.js).
+ */
+
+export const MAPPING_FIELDS = ['latitude', 'longitude', 'coordinates', 'name', 'address', 'groupName', 'id'];
+
+const FIELD_ALIASES = {
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon', 'long'],
+  coordinates: ['coordinates', 'coords', 'coordinate', 'location', 'position', 'geometry', 'geo', 'point', 'wkt',
+    'latlng', 'latlon', 'lat_lng', 'lat_lon', 'lat_long', 'latitude_longitude', 'gps', 'plus_code', 'pluscode', 'olc',
+    // PostGIS / QGIS / ogr2ogr exports
+    'geom', 'the_geom', 'wkb_geometry'],
+  name: ['name', 'title', 'place_name'],
+  address: ['address', 'addr', 'street'],
+  groupName: ['shullow_group', 'shullow_group_name'],
+  id: ['id', 'poi_id', 'place_id', 'external_id', 'uuid', 'guid']
+};
+
+/**
+ * Splits a header into lowercase word tokens ("Place Name" / "place_name" /
+ * "placeName" -> ['place', 'name']). Matching whole tokens instead of substrings
+ * keeps headers like "longname" or "platform" from being taken as coordinates.
+ * @param {string} header
+ * @returns {Array<string>}
+ */
+export function tokenizeHeader(header) {
+  return String(header)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Guesses a mapping from column names.
+ * Exact (separator-insensitive) alias matches win, then a column whose tokens
+ * contain an alias. Each column is assigned to at most one field. There is no
+ * positional fallback: an unmatched name stays null. When no column name says
+ * where the coordinates are, the values of the sample rows are tried: the first
+ * column whose values all read as coordinate pairs becomes `coordinates`.
+ * @param {Array<string>} columns
+ * @param {Array<Array<any>>} [rows] - Sample rows, values in column order
+ * @returns {Object} Mapping
+ */
+export function guessMapping(columns, rows = []) {
+  const mapping = { latitude: null, longitude: null, coordinates: null, name: null, address: null, groupName: null, id: null, ignore: [] };
+  const used = new Set();
+  const tokenized = columns.map(column => tokenizeHeader(column));
+
+  // Exact matches first
+  for (const field of MAPPING_FIELDS) {
+    const index = tokenized.findIndex((tokens, i) =>
+      !used.has(i) && FIELD_ALIASES[field].includes(tokens.join('_')));
+    if (index !== -1) {
+      mapping[field] = columns[index];
+      used.add(index);
+    }
+  }
+
+  // Token matches, most specific fields first so "Street Name" goes to address.
+  // Ids are only taken on an exact match.
+  const tokenRules = {
+    latitude: tokens => tokens.some(t => FIELD_ALIASES.latitude.includes(t)),
+    longitude: tokens => tokens.some(t => FIELD_ALIASES.longitude.includes(t)),
+    groupName: tokens => tokens.includes('shullow') && tokens.includes('group'),
+    address: tokens => tokens.some(t => FIELD_ALIASES.address.includes(t)),
+    name: tokens => tokens.includes('name') || tokens.includes('title')
+  };
+
+  for (const [field, matches] of Object.entries(tokenRules)) {
+    if (mapping[field] !== null) continue;
+    const index = tokenized.findIndex((tokens, i) => !used.has(i) && matches(tokens));
+    if (index !== -1) {
+      mapping[field] = columns[index];
+      used.add(index);
+    }
+  }
+
+  // Separate columns win; a "location" column next to them is probably a place name
+  if (mapping.latitude && mapping.longitude) {
+    mapping.coordinates = null;
+  } else if (!mapping.coordinates) {
+    const index = columns.findIndex((column, i) => !used.has(i) && holdsCoordinatePairs(rows.map(row => row[i])));
+    if (index !== -1) mapping.coordinates = columns[index];
+  }
+
+  return mapping;
+}
+
+/**
+ * Tells whether the non-empty values of a column all read as coordinate pairs (WKT,
+ * "lat,lng", Plus Codes, ...). Single numbers such as "40,5" don't count.
+ */
+function holdsCoordinatePairs(values) {
+  const filled = values.filter(value => value !== null && value !== undefined && String(value).trim() !== '');
+  return filled.length > 0 && filled.every(value => {
+    if (typeof value !== 'object' && !isNaN(parseCoordinate(value))) return false;
+    const pair = parseCoordinatePair(value);
+    return !!pair && !pair.error;
+  });
+}
+
+/**
+ * Checks that a mapping can be applied to the given columns.
+ * Throws when neither latitude/longitude nor a combined coordinates column is
+ * assigned, or when an assigned column is not
+ * present (e.g. a remembered mapping after the source renamed a column).
+ * @param {Object} mapping
+ * @param {Array<string>} columns
+ */
+export function validateMapping(mapping, columns) {
+  const missingFields = ['latitude', 'longitude'].filter(field => !mapping[field]);
+  if (missingFields.length > 0 && !mapping.coordinates) {
+    throw new Error(`Missing required fields: ${missingFields.join(', ')}. Available columns: ${columns.join(', ')}`);
+  }
+
+  for (const field of MAPPING_FIELDS) {
+    if (mapping[field] && !columns.includes(mapping[field])) {
+      throw new Error(`Column "${mapping[field]}" mapped to ${field} was not found. Available columns: ${columns.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Returns the columns that are kept as extra POI fields
+ * @param {Object} mapping
+ * @param {Array<string>} columns
+ * @returns {Array<string>}
+ */
+export function getExtraColumns(mapping, columns) {
+  const assigned = new Set(MAPPING_FIELDS.map(field => mapping[field]).filter(Boolean));
+  const ignored = new Set(mapping.ignore || []);
+  return columns.filter(column => !assigned.has(column) && !ignored.has(column));
+}
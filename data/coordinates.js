@@ -0,0 +1,271 @@
+/**
+ * Coordinate normalization shared by the CSV and JSON parsers.
+ * Understands decimal degrees (with a decimal point or comma), degrees/minutes/
+ * seconds with hemisphere letters, combined "lat,lng" values, WKT POINTs, full
+ * Open Location Codes (Plus Codes) and {lat, lng} / GeoJSON-style objects.
+ * Errors carry a `reason` code from REPORT_REASONS in import-report.js.
+ */
+
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+const FULL_PLUS_CODE = /^[23456789CFGHJMPQRVWX]{8}\+[23456789CFGHJMPQRVWX]{2,}$|^[23456789CFGHJMPQRVWX]{2,6}0+\+$/;
+const SHORT_PLUS_CODE = /^[23456789CFGHJMPQRVWX]{4,7}\+[23456789CFGHJMPQRVWX]{2,}(\s|$)/;
+const WKT_POINT = /^(?:SRID=\d+;)?\s*POINT\s*(?:Z|M|ZM)?\s*\(\s*([^\s,()]+)\s+([^\s,()]+)(?:\s+[^\s,()]+)*\s*\)$/i;
+const NUMBER = /[-+]?\d+(?:[.,]\d+)?/g;
+// "1,234" or "1,5": one number with a decimal comma or thousands separator, not a pair
+const COMMA_NUMBER = /^[-+]?\d+,\d+$/;
+const DMS_SYMBOLS = /[°º˚'′’‘"″”“:\s]/g;
+
+/**
+ * Parses a single coordinate value: decimal degrees or DMS such as
+ * 40°42'46"N, N 40 42.767, -74.0059 or 74,0059 W. S and W make the value negative.
+ * @param {any} value
+ * @returns {number} NaN when the value isn't a coordinate
+ */
+export function parseCoordinate(value) {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined) return NaN;
+
+  let text = String(value).trim().toUpperCase();
+  if (text === '') return NaN;
+
+  // Plain decimal, also with a decimal comma ("40,7128")
+  if (/^[-+]?\d+(?:[.,]\d+)?$/.test(text)) {
+    return parseFloat(text.replace(',', '.'));
+  }
+
+  // Hemisphere letter before or after the value
+  let sign = 1;
+  const hemisphere = text.match(/^([NSEW])\s*|\s*([NSEW])$/);
+  if (hemisphere) {
+    const letter = hemisphere[1] || hemisphere[2];
+    if (letter === 'S' || letter === 'W') sign = -1;
+    text = text.replace(hemisphere[0], '');
+  }
+
+  const numbers = text.match(NUMBER);
+  if (!numbers || numbers.length > 3) return NaN;
+
+  // Anything besides numbers and degree/minute/second marks means it's not DMS
+  if (text.replace(NUMBER, '').replace(DMS_SYMBOLS, '') !== '') return NaN;
+
+  const [degrees, minutes = 0, seconds = 0] = numbers.map(n => parseFloat(n.replace(',', '.')));
+  if (minutes < 0 || minutes >= 60 || seconds < 0 || seconds >= 60) return NaN;
+
+  const magnitude = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+  const negative = degrees < 0 || /^-/.test(numbers[0]);
+  return sign * (negative ? -magnitude : magnitude);
+}
+
+/**
+ * Parses a value holding both coordinates.
+ * Plain pairs are read as "lat,lng" (the order Google Maps copies); WKT and
+ * GeoJSON-style arrays are x/y, i.e. lng first; hemisphere letters win over order.
+ * Two whole numbers joined by a bare comma ("1,234") are one number, not a pair.
+ * @param {any} value - String, {lat, lng} object, GeoJSON Point or [lng, lat] array
+ * @returns {{latitude: number, longitude: number}|{error: string}|null} null when empty
+ */
+export function parseCoordinatePair(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (Array.isArray(value)) {
+    return pairOrError(parseCoordinate(value[1]), parseCoordinate(value[0]), value);
+  }
+
+  if (typeof value === 'object') {
+    if (value.type === 'Point' && Array.isArray(value.coordinates)) {
+      return parseCoordinatePair(value.coordinates);
+    }
+    const latitude = value.lat ?? value.latitude;
+    const longitude = value.lng ?? value.lon ?? value.long ?? value.longitude;
+    return pairOrError(parseCoordinate(latitude), parseCoordinate(longitude), value);
+  }
+
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  const wkt = text.match(WKT_POINT);
+  if (wkt) {
+    return pairOrError(parseCoordinate(wkt[2]), parseCoordinate(wkt[1]), text);
+  }
+
+  const upper = text.toUpperCase();
+  if (FULL_PLUS_CODE.test(upper)) {
+    return decodePlusCode(upper);
+  }
+  if (SHORT_PLUS_CODE.test(upper)) {
+    return { error: `Short Plus Code "${text}" needs a full code (8 characters before the +)` };
+  }
+
+  // JSON text such as "[-74.0, 40.7]" or '{"lat": 40.7, "lng": -74.0}'
+  if (/^[[{]/.test(text)) {
+    try {
+      return parseCoordinatePair(JSON.parse(text));
+    } catch (e) {
+      // Fall through to the plain text forms
+    }
+  }
+
+  const stripped = text.replace(/^[([]\s*|\s*[)\]]$/g, '');
+  if (COMMA_NUMBER.test(stripped)) {
+    return { error: `"${text}" is a single number, not a coordinate pair` };
+  }
+  const parts = splitPair(stripped);
+  if (!parts) {
+    return { error: `Unrecognized coordinates "${text}"` };
+  }
+
+  const [first, second] = parts;
+  const firstHemisphere = getHemisphere(first);
+  const secondHemisphere = getHemisphere(second);
+
+  // "74°W 40°N": longitude written first
+  if (isLongitudeHemisphere(firstHemisphere) && isLatitudeHemisphere(secondHemisphere)) {
+    return pairOrError(parseCoordinate(second), parseCoordinate(first), text);
+  }
+  return pairOrError(parseCoordinate(first), parseCoordinate(second), text);
+}
+
+/**
+ * Range-validates coordinates. A latitude beyond ±90 with a longitude that would be
+ * a valid latitude is taken as a swapped pair and corrected.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {{latitude: number, longitude: number, swapped: boolean}|{error: string, reason: string}}
+ */
+export function checkCoordinates(latitude, longitude) {
+  if (isNaN(latitude) || isNaN(longitude)) {
+    return { error: 'Invalid coordinates', reason: 'invalid-coordinates' };
+  }
+  if (Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+    return { latitude, longitude, swapped: false };
+  }
+  if (Math.abs(longitude) <= 90 && Math.abs(latitude) <= 180) {
+    return { latitude: longitude, longitude: latitude, swapped: true };
+  }
+  return { error: `Coordinates out of range (${latitude}, ${longitude})`, reason: 'out-of-range' };
+}
+
+/**
+ * Resolves a record's coordinates from separate latitude/longitude values and/or a
+ * combined value. Separate values win when both are present. Ranges are checked
+ * when the POI is added to the import report (see checkCoordinates).
+ * @param {any} latitudeValue
+ * @param {any} longitudeValue
+ * @param {any} [pairValue]
+ * @returns {{latitude: number, longitude: number}|{error: string, reason: string}}
+ */
+export function normalizeCoordinates(latitudeValue, longitudeValue, pairValue = null) {
+  const hasSeparate = !isEmpty(latitudeValue) && !isEmpty(longitudeValue);
+  let latitude;
+  let longitude;
+
+  if (!hasSeparate && isEmpty(pairValue) && isEmpty(latitudeValue) && isEmpty(longitudeValue)) {
+    return { error: 'Missing coordinates', reason: 'missing-coordinates' };
+  }
+
+  if (hasSeparate || isEmpty(pairValue)) {
+    latitude = parseCoordinate(latitudeValue);
+    longitude = parseCoordinate(longitudeValue);
+    if (isNaN(latitude) || isNaN(longitude)) {
+      return { error: `Invalid coordinates "${latitudeValue ?? ''}", "${longitudeValue ?? ''}"`, reason: 'invalid-coordinates' };
+    }
+  } else {
+    const pair = parseCoordinatePair(pairValue);
+    if (pair.error) {
+      return { error: pair.error, reason: 'invalid-coordinates' };
+    }
+    ({ latitude, longitude } = pair);
+  }
+
+  return { latitude, longitude };
+}
+
+/**
+ * Decodes a full Open Location Code to the center of its area
+ * @param {string} code - Uppercase full code, e.g. 87G8Q2PQ+VX
+ * @returns {{latitude: number, longitude: number}|{error: string}}
+ */
+export function decodePlusCode(code) {
+  const digits = code.replace('+', '').replace(/0+$/, '');
+  let latitude = -90;
+  let longitude = -180;
+  let latitudeResolution = 400;
+  let longitudeResolution = 400;
+
+  // First 10 digits are lat/lng pairs in base 20
+  for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+    latitudeResolution /= 20;
+    longitudeResolution /= 20;
+    latitude += OLC_ALPHABET.indexOf(digits[i]) * latitudeResolution;
+    longitude += OLC_ALPHABET.indexOf(digits[i + 1]) * longitudeResolution;
+  }
+
+  // Remaining digits refine a 4x5 grid
+  for (let i = 10; i < digits.length; i++) {
+    latitudeResolution /= 5;
+    longitudeResolution /= 4;
+    const digit = OLC_ALPHABET.indexOf(digits[i]);
+    latitude += Math.floor(digit / 4) * latitudeResolution;
+    longitude += (digit % 4) * longitudeResolution;
+  }
+
+  if (latitude >= 90 || longitude >= 180) {
+    return { error: `Invalid Plus Code "${code}"` };
+  }
+
+  return {
+    latitude: latitude + latitudeResolution / 2,
+    longitude: longitude + longitudeResolution / 2
+  };
+}
+
+/**
+ * Splits "a,b", "a;b", "a b" or "40°N 74°W" into its two halves
+ */
+function splitPair(text) {
+  // Hemisphere letters mark the boundary: "40°42'46"N 74°00'21"W", "N40.7 W74.0"
+  const byHemisphere = text.match(/^(.*?[NS])\s*[,;]?\s*(.+?[EW])$/i) ||
+    text.match(/^([NS].+?)\s*[,;]?\s*([EW].+)$/i) ||
+    text.match(/^(.*?[EW])\s*[,;]?\s*(.+?[NS])$/i) ||
+    text.match(/^([EW].+?)\s*[,;]?\s*([NS].+)$/i);
+  if (byHemisphere) return [byHemisphere[1].trim(), byHemisphere[2].trim()];
+
+  for (const separator of [';', ',']) {
+    const parts = text.split(separator);
+    if (parts.length === 2) return parts.map(part => part.trim());
+  }
+
+  // Decimal commas with a comma separator: "40,71, -74,00"
+  const commaDecimals = text.match(/^([-+]?\d+,\d+)\s*,\s*([-+]?\d+,\d+)$/);
+  if (commaDecimals) return [commaDecimals[1], commaDecimals[2]];
+
+  const words = text.split(/\s+/);
+  if (words.length === 2) return words;
+
+  return null;
+}
+
+function getHemisphere(text) {
+  const match = text.trim().toUpperCase().match(/^([NSEW])|([NSEW])$/);
+  return match ? match[1] || match[2] : null;
+}
+
+function isLatitudeHemisphere(letter) {
+  return letter === 'N' || letter === 'S';
+}
+
+function isLongitudeHemisphere(letter) {
+  return letter === 'E' || letter === 'W';
+}
+
+function pairOrError(latitude, longitude, original) {
+  if (isNaN(latitude) || isNaN(longitude)) {
+    const text = typeof original === 'object' ? JSON.stringify(original) : String(original);
+    return { error: `Unrecognized coordinates "${text}"` };
+  }
+  return { latitude, longitude };
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
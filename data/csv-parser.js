@@ -1,146 +1,268 @@
+import { guessMapping, validateMapping, getExtraColumns } from './column-mapping.js';
+import { normalizeCoordinates } from './coordinates.js';
+import { createImportReport, REPORT_REASONS } from './import-report.js';
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Rows read before guessing a mapping, to recognize coordinate columns by their values
+const SAMPLE_ROWS = 20;
+const DETECTION_SAMPLE_SIZE = 64 * 1024;
+const DETECTION_SAMPLE_RECORDS = 10;
+
 /**
- * Robustly parses CSV data, handling quoted fields with commas.
- * Case-insensitive field matching for latitude, longitude, name, and address.
- * If required fields are not found, throws an error listing missing fields.
+ * Parses CSV data following RFC 4180: quoted fields may contain delimiters, line
+ * breaks and escaped ("") quotes. The delimiter (, ; tab |) is detected from the
+ * first records unless given, and a leading BOM is stripped.
+ * Columns are assigned with options.mapping, or guessed from the headers (see
+ * column-mapping.js). If latitude/longitude can't be assigned, throws an error
+ * listing the available columns.
+ * Coordinates may be decimal, DMS or a single combined column (see coordinates.js).
+ * Rows that can't be imported are listed in the report's `rejected` entries with
+ * their row and line number instead of being dropped silently.
+ * @param {string} csvString
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Force a delimiter instead of detecting it
+ * @param {Object} [options.mapping] - Column mapping to use instead of guessing
+ * @returns {{pois: Array, warnings: Array, rejected: Array}} Import report (see import-report.js)
  */
-export function parseCSV(csvString) {
-  const data = [];
-  const lines = csvString.trim().split(/\r?\n/);
-  if (lines.length < 2) throw new Error('CSV file is empty or contains no data rows');
-
-  const rawHeaders = parseLine(lines[0]);
-  
-  // Normalize headers to lowercase for matching
-  const normalizedHeaders = rawHeaders.map(h => h.toLowerCase().trim());
-  
-  // Find field indices with case-insensitive matching
-  const fieldMapping = {
-    latitude: null,
-    longitude: null,
-    name: null,
-    address: null,
-    groupName: null
-  };
-  
-  // Try exact matches first
-  for (let i = 0; i < normalizedHeaders.length; i++) {
-    const header = normalizedHeaders[i];
-    if (header === 'latitude' || header === 'lat') fieldMapping.latitude = i;
-    if (header === 'longitude' || header === 'lng' || header === 'long') fieldMapping.longitude = i;
-    if (header === 'name' || header === 'title') fieldMapping.name = i;
-    if (header === 'address' || header === 'addr') fieldMapping.address = i;
-    if (header === 'shullow group' || header === 'shullow_group' || header === 'shullow group name' || header === 'shullow_group_name') fieldMapping.groupName = i;
-  }
-  
-  // Try substring matching if exact matches didn't work
-  if (fieldMapping.latitude === null) {
-    const latIdx = normalizedHeaders.findIndex(h => h.includes('lat'));
-    if (latIdx !== -1) fieldMapping.latitude = latIdx;
-  }
-  if (fieldMapping.longitude === null) {
-    const lngIdx = normalizedHeaders.findIndex(h => h.includes('lng') || h.includes('long'));
-    if (lngIdx !== -1) fieldMapping.longitude = lngIdx;
-  }
-  if (fieldMapping.name === null) {
-    const nameIdx = normalizedHeaders.findIndex(h => h.includes('name') || h.includes('title'));
-    if (nameIdx !== -1) fieldMapping.name = nameIdx;
-  }
-  if (fieldMapping.address === null) {
-    const addrIdx = normalizedHeaders.findIndex(h => h.includes('address') || h.includes('addr'));
-    if (addrIdx !== -1) fieldMapping.address = addrIdx;
+export function parseCSV(csvString, options = {}) {
+  const text = stripBOM(csvString);
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const report = createImportReport();
+
+  const records = readCSVRecords(text, delimiter);
+
+  // First non-blank record is the header. Iterate by hand so the generator stays
+  // open for the data rows (breaking out of for...of would close it).
+  let header = null;
+  for (let next = records.next(); !next.done; next = records.next()) {
+    if (!next.value.error && next.value.fields.some(v => v !== '')) {
+      header = next.value;
+      break;
+    }
   }
-  if (fieldMapping.groupName === null) {
-    const groupIdx = normalizedHeaders.findIndex(h => h.includes('shullow') && h.includes('group'));
-    if (groupIdx !== -1) fieldMapping.groupName = groupIdx;
+  if (!header) throw new Error('CSV file is empty or contains no data rows');
+
+  const rawHeaders = header.fields.map(h => h.trim());
+
+  // Use the caller's mapping (column-mapping wizard / remembered per source) or guess
+  // one, from the headers and the values of the first rows
+  const sample = [];
+  if (!options.mapping) {
+    for (let next = records.next(); !next.done; next = records.next()) {
+      sample.push(next.value);
+      if (sample.length >= SAMPLE_ROWS) break;
+    }
   }
-  
-  // If still no name field found, use first column as fallback
-  if (fieldMapping.name === null) {
-    fieldMapping.name = 0;
+  const mapping = options.mapping ||
+    guessMapping(rawHeaders, sample.filter(record => !record.error).map(record => record.fields));
+  validateMapping(mapping, rawHeaders);
+
+  const columnIndex = (column) => column ? rawHeaders.indexOf(column) : null;
+  const fieldMapping = {
+    latitude: columnIndex(mapping.latitude),
+    longitude: columnIndex(mapping.longitude),
+    coordinates: columnIndex(mapping.coordinates),
+    name: columnIndex(mapping.name),
+    address: columnIndex(mapping.address),
+    groupName: columnIndex(mapping.groupName),
+    id: columnIndex(mapping.id)
+  };
+  const extraIndices = getExtraColumns(mapping, rawHeaders).map(column => rawHeaders.indexOf(column));
+
+  let rowNumber = 0;
+
+  for (const { fields: values, line, error } of continueRecords(sample, records)) {
+    if (error) {
+      rowNumber++;
+      report.reject({ row: rowNumber, line }, REPORT_REASONS.MALFORMED_RECORD, error);
+      continue;
+    }
+    if (!values.some(v => v.trim())) continue;
+    rowNumber++;
+
+    // Pad values if necessary
+    while (values.length < rawHeaders.length) {
+      values.push('');
+    }
+
+    const valueAt = (index) => index !== null ? values[index] : null;
+    const coordinates = normalizeCoordinates(
+      valueAt(fieldMapping.latitude),
+      valueAt(fieldMapping.longitude),
+      valueAt(fieldMapping.coordinates)
+    );
+    if (coordinates.error) {
+      report.reject({ row: rowNumber, line }, coordinates.reason, coordinates.error);
+      continue;
+    }
+
+    // Normalize the row to standard field names
+    const normalizedRow = {
+      name: (fieldMapping.name !== null && values[fieldMapping.name]?.trim()) || `POI ${rowNumber}`,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      address: fieldMapping.address !== null ? values[fieldMapping.address]?.trim() || '' : ''
+    };
+
+    // Add group name if present
+    if (fieldMapping.groupName !== null && values[fieldMapping.groupName]?.trim()) {
+      normalizedRow.groupName = values[fieldMapping.groupName].trim();
+    }
+
+    // Source id; the report hashes name and coordinates when there is none
+    if (fieldMapping.id !== null && values[fieldMapping.id]?.trim()) {
+      normalizedRow.id = values[fieldMapping.id].trim();
+    }
+
+    // Add any other columns as extra fields
+    for (const j of extraIndices) {
+      normalizedRow[rawHeaders[j]] = values[j] || '';
+    }
+
+    report.accept(normalizedRow, { row: rowNumber, line });
   }
-  
-  // Check for required fields and collect missing ones
-  const missingFields = [];
-  if (fieldMapping.latitude === null) missingFields.push('latitude');
-  if (fieldMapping.longitude === null) missingFields.push('longitude');
-  if (fieldMapping.name === null) missingFields.push('name');
-  
-  if (missingFields.length > 0) {
-    throw new Error(`Missing required fields: ${missingFields.join(', ')}. Available columns: ${rawHeaders.join(', ')}`);
+
+  const result = report.result();
+  if (result.pois.length === 0) {
+    const { rejected } = result;
+    const detail = rejected.length > 0
+      ? ` (${rejected.length} rows had errors, first on line ${rejected[0].line}: ${rejected[0].message})`
+      : '';
+    throw new Error(`No valid POI records found in CSV file${detail}`);
   }
 
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseLine(lines[i]);
-    if (values.length > 0 && values.some(v => v.trim())) {
-      // Pad values if necessary
-      while (values.length < rawHeaders.length) {
-        values.push('');
-      }
-      
-      const row = {};
-      rawHeaders.forEach((h, j) => {
-        const normalizedKey = h.toLowerCase().trim();
-        let val = values[j] || '';
-        
-        if (normalizedKey === 'latitude' || normalizedKey === 'lat') {
-          val = parseFloat(val);
-        } else if (normalizedKey === 'longitude' || normalizedKey === 'lng' || normalizedKey === 'long') {
-          val = parseFloat(val);
-        }
-        
-        row[h] = val;
-      });
-      
-      // Normalize the row to standard field names
-      const normalizedRow = {
-        name: values[fieldMapping.name]?.trim() || `POI ${i}`,
-        latitude: parseFloat(values[fieldMapping.latitude]),
-        longitude: parseFloat(values[fieldMapping.longitude]),
-        address: fieldMapping.address !== null ? values[fieldMapping.address]?.trim() || '' : ''
-      };
-      
-      // Add group name if present
-      if (fieldMapping.groupName !== null && values[fieldMapping.groupName]?.trim()) {
-        normalizedRow.groupName = values[fieldMapping.groupName].trim();
-      }
-      
-      // Add any other columns as extra fields
-      for (let j = 0; j < rawHeaders.length; j++) {
-        const key = rawHeaders[j].toLowerCase().trim();
-        if (!['latitude', 'longitude', 'name', 'address', 'lat', 'lng', 'long', 'title', 'addr', 'shullow group', 'shullow_group', 'shullow group name', 'shullow_group_name'].includes(key) && !key.includes('shullow')) {
-          normalizedRow[rawHeaders[j]] = values[j] || '';
+  return result;
+}
+
+/**
+ * Lazily tokenizes CSV text into records (RFC 4180).
+ * Each record is { fields, line, error } where line is the 1-based line the record
+ * starts on. Unquoted fields are trimmed, quoted fields are kept verbatim.
+ * A quote that is never closed yields an error record for its line, and parsing
+ * resumes on the following line so one bad quote doesn't swallow the whole file.
+ * @param {string} text
+ * @param {string} [delimiter]
+ * @yields {{fields: Array<string>, line: number, error: string|null}}
+ */
+export function* readCSVRecords(text, delimiter = ',') {
+  let i = 0;
+  let line = 1;
+
+  while (i < text.length) {
+    const recordStart = i;
+    const recordLine = line;
+    const fields = [];
+    let field = '';
+    let quoted = false;     // Current field started with a quote
+    let inQuotes = false;
+    let afterQuote = false; // Closing quote seen, waiting for a delimiter
+
+    const endField = () => {
+      fields.push(quoted ? field : field.trim());
+      field = '';
+      quoted = false;
+      afterQuote = false;
+    };
+
+    while (i < text.length) {
+      const char = text[i++];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (text[i] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+            afterQuote = true;
+          }
+        } else {
+          if (char === '\n' || (char === '\r' && text[i] !== '\n')) line++;
+          field += char;
         }
-      }
-      
-      // Validate lat/lng are numbers
-      if (!isNaN(normalizedRow.latitude) && !isNaN(normalizedRow.longitude)) {
-        data.push(normalizedRow);
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i] === '\n') i++;
+        line++;
+        break;
+      } else if (char === '"' && !afterQuote && field.trim() === '') {
+        field = '';
+        quoted = true;
+        inQuotes = true;
+      } else if (!(afterQuote && /\s/.test(char))) {
+        // Lenient: stray quotes inside unquoted fields and text after a closing quote are kept
+        field += char;
       }
     }
+
+    if (inQuotes) {
+      // Unterminated quote: report the line it started on and resume after it
+      const nextLine = text.slice(recordStart).search(/\r\n|\r|\n/);
+      i = nextLine === -1 ? text.length : recordStart + nextLine + (text.startsWith('\r\n', recordStart + nextLine) ? 2 : 1);
+      line = recordLine + 1;
+      yield { fields: [], line: recordLine, error: 'Unterminated quoted field' };
+      continue;
+    }
+
+    endField();
+    yield { fields, line: recordLine, error: null };
   }
-  
-  if (data.length === 0) {
-    throw new Error('No valid POI records found in CSV file');
-  }
-  
-  return data;
 }
 
-function parseLine(line) {
-  const result = [];
-  let cur = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(cur.trim());
-      cur = '';
-    } else {
-      cur += char;
+/**
+ * Picks the delimiter that splits the first records into the most consistent
+ * number of columns. Falls back to a comma.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const truncated = text.length > DETECTION_SAMPLE_SIZE;
+  const sample = truncated ? text.slice(0, DETECTION_SAMPLE_SIZE) : text;
+  let best = { delimiter: ',', consistency: 0, columns: 1 };
+
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    const counts = [];
+    for (const record of readCSVRecords(sample, delimiter)) {
+      if (record.error || !record.fields.some(v => v !== '')) continue;
+      counts.push(record.fields.length);
+      if (counts.length > DETECTION_SAMPLE_RECORDS) break;
+    }
+    // The last record of a truncated sample may be cut short
+    if (truncated && counts.length > 1) counts.pop();
+
+    const columns = counts[0] || 1;
+    if (columns < 2) continue;
+
+    const consistency = counts.filter(count => count === columns).length / counts.length;
+    if (consistency > best.consistency || (consistency === best.consistency && columns > best.columns)) {
+      best = { delimiter, consistency, columns };
     }
   }
-  result.push(cur.trim());
-  return result;
+
+  return best.delimiter;
+}
+
+/**
+ * Formats a value as a CSV field, quoting it when it contains a comma, quote or line break
+ * @param {any} value
+ * @returns {string}
+ */
+export function toCSVField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function stripBOM(text) {
+  return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+/**
+ * Yields the records read ahead for the mapping guess, then the rest of the file
+ */
+function* continueRecords(sample, records) {
+  yield* sample;
+  yield* records;
 }
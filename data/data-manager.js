@@ -1,13 +1,26 @@
 // Data management module for Map POI Injector
 // UUID-based group management
 
-import { parseCSV } from './csv-parser.js';
-import { parseJSON } from './json-parser.js'; 
+import { parseCSV, toCSVField, readCSVRecords, detectDelimiter } from './csv-parser.js';
+import { parseJSON, getJSONItems, getJSONKeys, guessRecordsPath } from './json-parser.js';
+import { parseGeoJSON, isGeoJSON, toGeoJSON } from './geojson-parser.js';
+import { parseKML } from './kml-parser.js';
+import { parseGPX, toGPX } from './gpx-parser.js';
+import { createImportReport, summarizeReport } from './import-report.js';
+import { mergePois, getPoiId } from './poi-identity.js';
+import { createSyncHistoryEntry, appendSyncHistory } from './sync-history.js';
+import { guessMapping } from './column-mapping.js';
+import { getPathValue, selectRecords } from './field-path.js';
+import { fetchSourceText } from './source-fetch.js';
+import { parseCoordinate } from './coordinates.js';
+import { getGroupPois, getProfilePois, setGroupPois, writePois } from './poi-store.js';
+import { takeGroupsToTrash, createProfileTrashEntry } from './trash.js';
+import { normalizeFolder, normalizeTags } from './group-folders.js';
 
 /**
  * Generates a UUID v4
  */
-function generateUUID() {
+export function generateUUID() {
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
     const r = Math.random() * 16 | 0;
     const v = c === 'x' ? r : (r & 0x3 | 0x8);
@@ -15,106 +28,123 @@ function generateUUID() {
   });
 }
 
-/**
- * Migrates old name-based storage to UUID-based storage
- * @returns {Promise<boolean>} True if migration was performed
- */
-export async function migrateToUUIDs(useSyncStorage = false) {
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
-  try {
-    const data = await storage.get(['poiGroups', 'preferences', 'activeGroups', '_uuidMigrated']);
-    
-    // Skip if already migrated
-    if (data._uuidMigrated) return false;
-    
-    const oldPoiGroups = data.poiGroups || {};
-    const oldPreferences = data.preferences || {};
-    const oldActiveGroups = data.activeGroups || {};
-    const oldGroupStyles = oldPreferences.groupStyles || {};
-    
-    // Check if this is old format (keys are group names, not UUIDs)
-    const keys = Object.keys(oldPoiGroups);
-    if (keys.length === 0) {
-      // Empty, just mark as migrated
-      await storage.set({ _uuidMigrated: true });
-      return false;
-    }
-    
-    // Check if already in UUID format (UUIDs contain hyphens and are 36 chars)
-    const isUUID = keys[0].length === 36 && keys[0].includes('-');
-    if (isUUID) {
-      await storage.set({ _uuidMigrated: true });
-      return false;
-    }
-    
-    // Perform migration
-    const newPoiGroups = {};
-    const newActiveGroups = {};
-    const newGroupStyles = {};
-    const nameToUuidMap = {};
-    
-    for (const [oldName, pois] of Object.entries(oldPoiGroups)) {
-      const uuid = generateUUID();
-      nameToUuidMap[oldName] = uuid;
-      
-      newPoiGroups[uuid] = {
-        name: oldName,
-        pois: Array.isArray(pois) ? pois : []
-      };
-      
-      // Migrate active status
-      newActiveGroups[uuid] = oldActiveGroups[oldName] !== false;
-      
-      // Migrate styles
-      if (oldGroupStyles[oldName]) {
-        newGroupStyles[uuid] = oldGroupStyles[oldName];
-      }
-    }
-    
-    // Update preferences with new groupStyles
-    const newPreferences = {
-      ...oldPreferences,
-      groupStyles: newGroupStyles
-    };
-    
-    await storage.set({
-      poiGroups: newPoiGroups,
-      preferences: newPreferences,
-      activeGroups: newActiveGroups,
-      _uuidMigrated: true
-    });
-    
-    console.log(`Migrated ${keys.length} groups to UUID format`);
-    return true;
-  } catch (error) {
-    console.error('Error during migration:', error);
-    return false;
-  }
-}
-
 /**
  * Imports data from various sources.
+ * @param {string} dataString
+ * @param {string} format - 'csv', 'json', 'geojson', 'kml' or 'gpx'
+ * @param {Object} [options] - Parser options: mapping (CSV/JSON), delimiter (CSV), recordsPath (JSON)
+ * @returns {{pois: Array, warnings: Array, rejected: Array}} Import report (see import-report.js)
  */
-export function importData(dataString, format) {
+export function importData(dataString, format, options = {}) {
   switch (format) {
     case 'csv':
-      return parseCSV(dataString);
+      return parseCSV(dataString, options);
     case 'json':
-      return parseJSON(dataString);
+      return parseJSON(dataString, options);
+    case 'geojson':
+      return parseGeoJSON(dataString);
+    case 'kml':
+      return parseKML(dataString);
+    case 'gpx':
+      return parseGPX(dataString);
     default:
       console.error(`Unsupported format: ${format}`);
-      return [];
+      return createImportReport().result();
   }
 }
 
 /**
- * Saves POI data to Chrome storage.
- * @param {Array} pois - Array of POI objects
- * @param {string} groupName - Display name for the group
- * @param {boolean} useSyncStorage - Use sync storage instead of local
- * @param {string} uuid - Optional UUID for the group (generates new one if not provided)
- * @returns {Promise<string>} UUID of the created/updated group
+ * Detects the import format of a text payload.
+ * The file extension wins when it is specific (.geojson, .kml, .gpx, .csv); otherwise the
+ * content is sniffed so GeoJSON served as .json or from a URL is still recognized.
+ * @param {string} text - Raw file or response body
+ * @param {string} [fileName] - Optional file name or URL used as a hint
+ * @returns {'csv'|'json'|'geojson'|'kml'|'gpx'}
+ */
+export function detectFormat(text, fileName = '') {
+  const lowerName = fileName.toLowerCase().split(/[?#]/)[0];
+  if (lowerName.endsWith('.geojson')) return 'geojson';
+  if (lowerName.endsWith('.kml')) return 'kml';
+  if (lowerName.endsWith('.gpx')) return 'gpx';
+  if (lowerName.endsWith('.csv')) return 'csv';
+
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('<')) {
+    const head = trimmed.slice(0, 1000);
+    if (/<(\w+:)?kml[\s>]/.test(head)) return 'kml';
+    if (/<(\w+:)?gpx[\s>]/.test(head)) return 'gpx';
+  }
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      return isGeoJSON(JSON.parse(trimmed)) ? 'geojson' : 'json';
+    } catch (e) {
+      return 'json';
+    }
+  }
+  return 'csv';
+}
+
+/**
+ * Checks whether text is a Shullow export file (array of { name, data, ... } groups).
+ * @param {string} text
+ * @returns {boolean}
  */
+export function isExportFormat(text) {
+  try {
+    const jsonData = JSON.parse(text);
+    return Array.isArray(jsonData) && jsonData.length > 0 && !!jsonData[0].data && !!jsonData[0].name;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Builds the data for the column-mapping wizard: the source's columns, the first
+ * rows and a guessed mapping. Only tabular formats (CSV, plain JSON) have columns
+ * to map; returns null for everything else. JSON columns include paths into nested
+ * objects, and JSON previews carry the records path they were read with.
+ * @param {string} text - Raw file or response body
+ * @param {string} format - Format from detectFormat()
+ * @param {Object} [options]
+ * @param {string|null} [options.recordsPath] - JSON records path; guessed when undefined
+ * @param {number} [options.rowLimit] - Number of preview rows
+ * @returns {{columns: Array<string>, rows: Array<Array<string>>, mapping: Object, recordsPath: (string|null|undefined)}|null}
+ * @throws {Error} When the records path matches nothing
+ */
+export function getColumnPreview(text, format, { recordsPath, rowLimit = 5 } = {}) {
+  if (format === 'csv') {
+    const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const records = [];
+    for (const record of readCSVRecords(source, detectDelimiter(source))) {
+      if (record.error || !record.fields.some(v => v !== '')) continue;
+      records.push(record.fields);
+      if (records.length > rowLimit) break;
+    }
+    if (records.length === 0) return null;
+
+    const columns = records[0].map(h => h.trim());
+    return { columns, rows: records.slice(1), mapping: guessMapping(columns, records.slice(1)) };
+  }
+
+  if (format === 'json' && !isExportFormat(text)) {
+    const data = JSON.parse(text);
+    const path = (recordsPath === undefined ? guessRecordsPath(data) : recordsPath) || null;
+    const items = (path ? selectRecords(data, path) : getJSONItems(data)).filter(item => item && typeof item === 'object');
+    const columns = getJSONKeys(items);
+    // Without a records path there is nothing to fix, so no columns means no wizard
+    if (columns.length === 0 && !path) return null;
+
+    const rows = items.slice(0, rowLimit).map(item => columns.map(column => {
+      const value = getPathValue(item, column);
+      if (value === null || value === undefined) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }));
+    return { columns, rows, mapping: { ...guessMapping(columns, rows), recordsPath: path }, recordsPath: path };
+  }
+
+  return null;
+}
+
 /**
  * Generates a random color for POI pins
  */
@@ -139,14 +169,20 @@ function generateRandomColor() {
   return colors[Math.floor(Math.random() * colors.length)];
 }
 
-export async function savePOIs(pois, groupName, useSyncStorage = false, uuid = null) {
+/**
+ * Appends POIs to a group of the active profile, creating the group if needed.
+ * The group goes into `profiles` in chrome.storage.local, the POIs into the POI store.
+ * @param {Array} pois - Array of POI objects
+ * @param {string} groupName - Display name for the group
+ * @param {string} uuid - Optional UUID for the group (generates new one if not provided)
+ * @returns {Promise<string>} UUID of the created/updated group
+ */
+export async function savePOIs(pois, groupName, uuid = null) {
   if (!groupName) return null;
   
-  await migrateToUUIDs(useSyncStorage);
-  
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
+  const storage = chrome.storage.local;
   try {
-    const data = await storage.get(['profiles', 'activeProfile', 'poiGroups', 'preferences']);
+    const data = await storage.get(['profiles', 'activeProfile', 'preferences']);
     const profiles = data.profiles || {};
     const activeProfileUuid = data.activeProfile;
     const activeProfile = profiles[activeProfileUuid];
@@ -168,7 +204,7 @@ export async function savePOIs(pois, groupName, useSyncStorage = false, uuid = n
       activeProfile.groups[groupUuid] = {
         uuid: groupUuid,
         name: groupName,
-        pois: []
+        poiCount: 0
       };
       
       // Assign random color to new group and store in profile's groupStyles
@@ -181,7 +217,9 @@ export async function savePOIs(pois, groupName, useSyncStorage = false, uuid = n
     }
     
     // Simple append logic
-    activeProfile.groups[groupUuid].pois = activeProfile.groups[groupUuid].pois.concat(pois);
+    const groupPois = (await getGroupPois(activeProfileUuid, groupUuid)).concat(pois);
+    await setGroupPois(activeProfileUuid, groupUuid, groupPois);
+    activeProfile.groups[groupUuid].poiCount = groupPois.length;
     activeProfile.groups[groupUuid].name = groupName; // Update name in case it changed
     
     // Update profiles in storage
@@ -199,14 +237,13 @@ export async function savePOIs(pois, groupName, useSyncStorage = false, uuid = n
 /**
  * Loads all POI groups for the active profile.
  * Groups are now stored per-profile, not globally.
- * @returns {Promise<Object>} Object with UUIDs as keys, {name, pois, uuid} as values
+ * @returns {Promise<Object>} Object with UUIDs as keys, {name, poiCount, uuid, ...} as values
+ *          (the POIs are in the POI store, see poi-store.js)
  */
-export async function loadPOIGroups(useSyncStorage = false) {
-  await migrateToUUIDs(useSyncStorage);
-  
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
+export async function loadPOIGroups() {
+  const storage = chrome.storage.local;
   try {
-    const data = await storage.get(['profiles', 'activeProfile', 'poiGroups']);
+    const data = await storage.get(['profiles', 'activeProfile']);
     const profiles = data.profiles || {};
     const activeProfileUuid = data.activeProfile;
     const activeProfile = profiles[activeProfileUuid];
@@ -216,8 +253,7 @@ export async function loadPOIGroups(useSyncStorage = false) {
       return activeProfile.groups;
     }
     
-    // Fallback to legacy global poiGroups for backwards compatibility
-    return data.poiGroups || {};
+    return {};
   } catch (error) {
     console.error('Error loading POIs:', error);
     return {};
@@ -229,14 +265,12 @@ export async function loadPOIGroups(useSyncStorage = false) {
  * @param {string} uuid - UUID of the group
  * @param {string} newName - New name for the group
  */
-export async function renamePOIGroup(uuid, newName, useSyncStorage = false) {
+export async function renamePOIGroup(uuid, newName) {
   if (!uuid || !newName) return;
   
-  await migrateToUUIDs(useSyncStorage);
-  
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
+  const storage = chrome.storage.local;
   try {
-    const data = await storage.get(['profiles', 'activeProfile', 'poiGroups']);
+    const data = await storage.get(['profiles', 'activeProfile']);
     const profiles = data.profiles || {};
     const activeProfileUuid = data.activeProfile;
     const activeProfile = profiles[activeProfileUuid];
@@ -246,14 +280,6 @@ export async function renamePOIGroup(uuid, newName, useSyncStorage = false) {
       activeProfile.groups[uuid].name = newName;
       profiles[activeProfileUuid] = activeProfile;
       await storage.set({ profiles });
-      return;
-    }
-    
-    // Fallback to legacy global poiGroups for backwards compatibility
-    const poiGroups = data.poiGroups || {};
-    if (poiGroups[uuid]) {
-      poiGroups[uuid].name = newName;
-      await storage.set({ poiGroups });
     }
   } catch (error) {
     console.error('Error renaming group:', error);
@@ -261,53 +287,57 @@ export async function renamePOIGroup(uuid, newName, useSyncStorage = false) {
 }
 
 /**
- * Deletes a group from the active profile.
+ * Sets the folder and tags of a group in the active profile (see group-folders.js).
+ * @param {string} uuid - UUID of the group
+ * @param {{folder?: string, tags?: string|Array<string>}} organization - Empty values clear them
+ */
+export async function setGroupFolderAndTags(uuid, { folder = '', tags = [] } = {}) {
+  if (!uuid) return;
+
+  const storage = chrome.storage.local;
+  try {
+    const data = await storage.get(['profiles', 'activeProfile']);
+    const profiles = data.profiles || {};
+    const group = profiles[data.activeProfile]?.groups?.[uuid];
+    if (!group) return;
+
+    const cleanFolder = normalizeFolder(folder);
+    const cleanTags = normalizeTags(tags);
+    if (cleanFolder) group.folder = cleanFolder; else delete group.folder;
+    if (cleanTags.length > 0) group.tags = cleanTags; else delete group.tags;
+    await storage.set({ profiles });
+  } catch (error) {
+    console.error('Error saving group folder and tags:', error);
+  }
+}
+
+/**
+ * Deletes a group from the active profile into the trash (see trash.js).
  * Each profile keeps its own copy of groups, so deleting from one profile
  * doesn't affect the same group in another profile.
  * @param {string} uuid - UUID of the group to delete
+ * @returns {Promise<string|null>} Id of the trash entry, or null if nothing was deleted
  */
-export async function deletePOIGroup(uuid, useSyncStorage = false) {
-  if (!uuid) return;
-  
-  await migrateToUUIDs(useSyncStorage);
+export async function deletePOIGroup(uuid) {
+  if (!uuid) return null;
   
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
+  const storage = chrome.storage.local;
   try {
-    const data = await storage.get(['profiles', 'activeProfile', 'poiGroups']);
+    const data = await storage.get(['profiles', 'activeProfile', 'trash']);
     const profiles = data.profiles || {};
     const activeProfileUuid = data.activeProfile;
     const activeProfile = profiles[activeProfileUuid];
     
-    // Delete from active profile
-    if (activeProfile && activeProfile.groups && activeProfile.groups[uuid]) {
-      delete activeProfile.groups[uuid];
-      
-      // Also remove from profile's groupStyles if present
-      if (activeProfile.groupStyles && uuid in activeProfile.groupStyles) {
-        delete activeProfile.groupStyles[uuid];
-      }
-      
-      profiles[activeProfileUuid] = activeProfile;
-      await storage.set({ profiles });
-      
-      // Remove from profile's groupUuids array if it exists
-      const groupUuidsIndex = activeProfile.groupUuids?.indexOf(uuid);
-      if (groupUuidsIndex !== undefined && groupUuidsIndex >= 0) {
-        activeProfile.groupUuids.splice(groupUuidsIndex, 1);
-        profiles[activeProfileUuid] = activeProfile;
-        await storage.set({ profiles });
-      }
-      return;
-    }
+    // Move the group, its style and toggle from the active profile to the trash
+    const entry = activeProfile ? takeGroupsToTrash(activeProfile, [uuid]) : null;
+    if (!entry) return null;
     
-    // Fallback to legacy global poiGroups for backwards compatibility
-    const poiGroups = data.poiGroups || {};
-    if (poiGroups[uuid]) {
-      delete poiGroups[uuid];
-      await storage.set({ poiGroups });
-    }
+    profiles[activeProfileUuid] = activeProfile;
+    await storage.set({ profiles, trash: [entry, ...(data.trash || [])] });
+    return entry.id;
   } catch (error) {
     console.error('Error deleting group:', error);
+    return null;
   }
 }
 
@@ -316,10 +346,8 @@ export async function deletePOIGroup(uuid, useSyncStorage = false) {
  * Each profile's groups are independent, so exporting one profile won't include groups from other profiles.
  * Returns an array of group objects ready to be saved as JSON.
  */
-export async function exportGroupsData(useSyncStorage = false) {
-  await migrateToUUIDs(useSyncStorage);
-  
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
+export async function exportGroupsData() {
+  const storage = chrome.storage.local;
   try {
     const data = await storage.get(['profiles', 'activeProfile']);
     const profiles = data.profiles || {};
@@ -331,32 +359,29 @@ export async function exportGroupsData(useSyncStorage = false) {
     }
     
     const groupStyles = activeProfile.groupStyles || {};
+    const poisByGroup = await getProfilePois(activeProfileUuid, Object.keys(activeProfile.groups));
     const exportData = [];
     
     for (const [uuid, groupData] of Object.entries(activeProfile.groups)) {
       const style = groupStyles[uuid] || {};
-      const pois = groupData.pois || [];
+      const pois = poisByGroup[uuid];
       
       // Convert POI data to CSV string
       if (pois.length > 0) {
-        const headers = Object.keys(pois[0]);
-        const csvLines = [headers.join(',')];
+        // User-local state stays out of exports (see poi-identity.js)
+        const headers = Object.keys(pois[0]).filter(header => header !== 'local');
+        const csvLines = [headers.map(toCSVField).join(',')];
         
         pois.forEach(poi => {
-          const values = headers.map(h => {
-            const val = poi[h];
-            // Quote strings that contain commas
-            if (typeof val === 'string' && val.includes(',')) {
-              return `"${val}"`;
-            }
-            return val;
-          });
-          csvLines.push(values.join(','));
+          // Quote values containing commas, quotes or line breaks (RFC 4180)
+          csvLines.push(headers.map(h => toCSVField(poi[h])).join(','));
         });
         
         exportData.push({
           uuid: uuid,
           name: groupData.name,
+          ...(groupData.folder && { folder: groupData.folder }),
+          ...(groupData.tags?.length && { tags: groupData.tags }),
           icon: style.logoData || null,
           colors: {
             primary: style.color || '#d1ff00',
@@ -374,6 +399,65 @@ export async function exportGroupsData(useSyncStorage = false) {
   }
 }
 
+/**
+ * Exports all groups of the active profile as a single GeoJSON FeatureCollection.
+ * Each feature is tagged with its group name so the file re-imports into the same groups.
+ * @returns {Promise<Object|null>} FeatureCollection, or null if there is nothing to export
+ */
+export async function exportGroupsGeoJSON() {
+  const storage = chrome.storage.local;
+  try {
+    const data = await storage.get(['profiles', 'activeProfile']);
+    const profiles = data.profiles || {};
+    const activeProfile = profiles[data.activeProfile];
+
+    if (!activeProfile || !activeProfile.groups) {
+      return null;
+    }
+
+    const groupStyles = activeProfile.groupStyles || {};
+    const poisByGroup = await getProfilePois(data.activeProfile, Object.keys(activeProfile.groups));
+    const groups = Object.entries(activeProfile.groups).map(([uuid, groupData]) => ({
+      name: groupData.name,
+      color: groupStyles[uuid]?.color || null,
+      pois: poisByGroup[uuid]
+    }));
+
+    const collection = toGeoJSON(groups);
+    return collection.features.length > 0 ? collection : null;
+  } catch (error) {
+    console.error('Error exporting GeoJSON:', error);
+    return null;
+  }
+}
+
+/**
+ * Exports a single group of the active profile as GPX.
+ * @param {string} groupUuid - UUID of the group to export
+ * @returns {Promise<{name: string, gpx: string}|null>} Group name and GPX document, or null if not found
+ */
+export async function exportGroupGPX(groupUuid) {
+  const storage = chrome.storage.local;
+  try {
+    const data = await storage.get(['profiles', 'activeProfile']);
+    const profiles = data.profiles || {};
+    const group = profiles[data.activeProfile]?.groups?.[groupUuid];
+    if (!group) {
+      return null;
+    }
+
+    const pois = await getGroupPois(data.activeProfile, groupUuid);
+    if (pois.length === 0) {
+      return null;
+    }
+
+    return { name: group.name, gpx: toGPX(group.name, pois) };
+  } catch (error) {
+    console.error('Error exporting GPX:', error);
+    return null;
+  }
+}
+
 /**
  * Imports groups from exported format into the active profile.
  * Always generates new UUIDs for imported groups to avoid collisions.
@@ -382,10 +466,8 @@ export async function exportGroupsData(useSyncStorage = false) {
  * @param {Array} exportedGroups - Array of exported group objects
  * @returns {Promise<Array>} Array of { groupUuid, groupName } for imported groups
  */
-export async function importGroupsData(exportedGroups, useSyncStorage = false) {
-  await migrateToUUIDs(useSyncStorage);
-  
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
+export async function importGroupsData(exportedGroups) {
+  const storage = chrome.storage.local;
   try {
     const data = await storage.get(['profiles', 'activeProfile']);
     const profiles = data.profiles || {};
@@ -402,21 +484,24 @@ export async function importGroupsData(exportedGroups, useSyncStorage = false) {
     if (!activeProfile.groupUuids) activeProfile.groupUuids = [];
     
     const imported = [];
+    const poisByGroup = {};
     const existingUuids = new Set(activeProfile.groupUuids);
     
     for (const group of exportedGroups) {
       if (!group.name || !group.data) continue;
       
       try {
-        const pois = parseCSV(group.data);
+        const { pois } = parseCSV(group.data);
         if (pois.length > 0) {
           const newUuid = generateUUID();
           
           activeProfile.groups[newUuid] = {
             uuid: newUuid,
             name: group.name,
-            pois: pois
+            poiCount: pois.length,
+            ...readFolderAndTags(group)
           };
+          poisByGroup[newUuid] = pois;
           
           activeProfile.groupStyles[newUuid] = {
             color: group.colors?.primary || '#d1ff00',
@@ -438,6 +523,7 @@ export async function importGroupsData(exportedGroups, useSyncStorage = false) {
     
     // Single storage write for all groups
     if (imported.length > 0) {
+      await writePois(activeProfileUuid, poisByGroup);
       profiles[activeProfileUuid] = activeProfile;
       await storage.set({ profiles });
     }
@@ -450,18 +536,30 @@ export async function importGroupsData(exportedGroups, useSyncStorage = false) {
   }
 }
 
+/**
+ * Folder and tags of an exported group, cleaned up, for the group being imported
+ * @param {Object} exportedGroup
+ * @returns {Object} `folder` and `tags`, only when set
+ */
+export function readFolderAndTags(exportedGroup) {
+  const folder = normalizeFolder(exportedGroup.folder);
+  const tags = normalizeTags(exportedGroup.tags);
+  return {
+    ...(folder && { folder }),
+    ...(tags.length > 0 && { tags })
+  };
+}
+
 /**
  * Saves multiple groups of POIs to Chrome storage in a single write.
  * Much faster than calling savePOIs in a loop for multiple groups.
- * @param {Array<{pois: Array, groupName: string}>} groups - Array of { pois, groupName }
+ * @param {Array<{pois: Array, groupName: string, logoData?: string}>} groups - Array of { pois, groupName, logoData }
  * @returns {Promise<Array<string>>} Array of created group UUIDs
  */
-export async function savePOIsBatch(groups, useSyncStorage = false) {
+export async function savePOIsBatch(groups) {
   if (!groups.length) return [];
   
-  await migrateToUUIDs(useSyncStorage);
-  
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
+  const storage = chrome.storage.local;
   try {
     const data = await storage.get(['profiles', 'activeProfile']);
     const profiles = data.profiles || {};
@@ -478,9 +576,10 @@ export async function savePOIsBatch(groups, useSyncStorage = false) {
     if (!activeProfile.groupUuids) activeProfile.groupUuids = [];
     
     const createdUuids = [];
+    const poisByGroup = {};
     const existingUuids = new Set(activeProfile.groupUuids);
     
-    for (const { pois, groupName } of groups) {
+    for (const { pois, groupName, logoData } of groups) {
       if (!groupName || !pois.length) continue;
       
       const groupUuid = generateUUID();
@@ -488,13 +587,14 @@ export async function savePOIsBatch(groups, useSyncStorage = false) {
       activeProfile.groups[groupUuid] = {
         uuid: groupUuid,
         name: groupName,
-        pois: pois
+        poiCount: pois.length
       };
+      poisByGroup[groupUuid] = pois;
       
       activeProfile.groupStyles[groupUuid] = {
         color: generateRandomColor(),
         secondaryColor: '#ffffff',
-        logoData: null
+        logoData: logoData && logoData.length < 50000 ? logoData : null
       };
       
       if (!existingUuids.has(groupUuid)) {
@@ -507,6 +607,7 @@ export async function savePOIsBatch(groups, useSyncStorage = false) {
     
     // Single storage write
     if (createdUuids.length > 0) {
+      await writePois(activeProfileUuid, poisByGroup);
       profiles[activeProfileUuid] = activeProfile;
       await storage.set({ profiles });
     }
@@ -523,85 +624,12 @@ export async function savePOIsBatch(groups, useSyncStorage = false) {
 // PROFILE MANAGEMENT
 // ============================================
 
-/**
- * Initializes profiles if they don't exist.
- * Migrates existing groups from legacy global storage to "Default" profile's per-profile storage.
- */
-export async function initializeProfiles(useSyncStorage = false) {
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
-  try {
-    const data = await storage.get(['profiles', 'activeProfile', 'poiGroups', 'preferences', '_profilesInitialized']);
-    
-    if (data._profilesInitialized) return true;
-    
-    const poiGroups = data.poiGroups || {};
-    const preferences = data.preferences || {};
-    const groupUuids = Object.keys(poiGroups);
-    const groupStyles = preferences.groupStyles || {};
-    
-    let profiles = {};
-    
-    // If there are existing groups, migrate them to "Default" profile
-    if (groupUuids.length > 0) {
-      const defaultProfileUuid = generateUUID();
-      const groups = {};
-      
-      // Migrate groups to per-profile storage format
-      for (const uuid of groupUuids) {
-        groups[uuid] = {
-          uuid: uuid,
-          ...poiGroups[uuid]
-        };
-      }
-      
-      profiles[defaultProfileUuid] = {
-        uuid: defaultProfileUuid,
-        name: 'Default',
-        createdDate: Date.now(),
-        groups: groups, // Now stored per-profile
-        groupStyles: groupStyles
-      };
-      
-      await storage.set({
-        profiles,
-        activeProfile: defaultProfileUuid,
-        _profilesInitialized: true
-      });
-      
-      console.log(`Initialized profiles, migrated ${groupUuids.length} groups to Default profile's per-profile storage`);
-      return true;
-    } else {
-      // No groups exist, create empty Default profile
-      const defaultProfileUuid = generateUUID();
-      profiles[defaultProfileUuid] = {
-        uuid: defaultProfileUuid,
-        name: 'Default',
-        createdDate: Date.now(),
-        groups: {}, // Per-profile group storage
-        groupStyles: {}
-      };
-      
-      await storage.set({
-        profiles,
-        activeProfile: defaultProfileUuid,
-        _profilesInitialized: true
-      });
-      
-      return true;
-    }
-  } catch (error) {
-    console.error('Error initializing profiles:', error);
-    return false;
-  }
-}
-
 /**
  * Gets all profiles
  * @returns {Promise<Object>} Object with UUIDs as keys, profile objects as values
  */
-export async function getProfiles(useSyncStorage = false) {
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
-  await initializeProfiles(useSyncStorage);
+export async function getProfiles() {
+  const storage = chrome.storage.local;
   try {
     const data = await storage.get(['profiles']);
     return data.profiles || {};
@@ -615,9 +643,8 @@ export async function getProfiles(useSyncStorage = false) {
  * Gets the currently active profile
  * @returns {Promise<Object|null>} The active profile object or null
  */
-export async function getActiveProfile(useSyncStorage = false) {
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
-  await initializeProfiles(useSyncStorage);
+export async function getActiveProfile() {
+  const storage = chrome.storage.local;
   try {
     const data = await storage.get(['profiles', 'activeProfile']);
     const activeProfileUuid = data.activeProfile;
@@ -634,9 +661,8 @@ export async function getActiveProfile(useSyncStorage = false) {
  * @param {string} name - Profile name
  * @returns {Promise<string>} UUID of the created profile
  */
-export async function createProfile(name, useSyncStorage = false) {
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
-  await initializeProfiles(useSyncStorage);
+export async function createProfile(name) {
+  const storage = chrome.storage.local;
   try {
     const data = await storage.get(['profiles']);
     const profiles = data.profiles || {};
@@ -666,9 +692,8 @@ export async function createProfile(name, useSyncStorage = false) {
  * @param {Object} currentActiveGroups - Current active groups state before switch
  * @returns {Promise<Object>} The new active profile
  */
-export async function switchProfile(profileUuid, currentActiveGroups = {}, useSyncStorage = false) {
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
-  await initializeProfiles(useSyncStorage);
+export async function switchProfile(profileUuid, currentActiveGroups = {}) {
+  const storage = chrome.storage.local;
   try {
     const data = await storage.get(['profiles', 'activeProfile']);
     const profiles = data.profiles || {};
@@ -706,9 +731,8 @@ export async function switchProfile(profileUuid, currentActiveGroups = {}, useSy
  * @param {string} groupUuid - UUID of the group
  * @param {string} profileUuid - UUID of the profile
  */
-export async function addGroupToProfile(groupUuid, profileUuid, useSyncStorage = false) {
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
-  await initializeProfiles(useSyncStorage);
+export async function addGroupToProfile(groupUuid, profileUuid) {
+  const storage = chrome.storage.local;
   try {
     const data = await storage.get(['profiles']);
     const profiles = data.profiles || {};
@@ -734,10 +758,9 @@ export async function addGroupToProfile(groupUuid, profileUuid, useSyncStorage =
  * @param {Array<string>} groupUuids - Array of group UUIDs to add
  * @param {string} profileUuid - UUID of the profile
  */
-export async function addGroupsToProfile(groupUuids, profileUuid, useSyncStorage = false) {
+export async function addGroupsToProfile(groupUuids, profileUuid) {
   if (!groupUuids.length) return;
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
-  await initializeProfiles(useSyncStorage);
+  const storage = chrome.storage.local;
   try {
     const data = await storage.get(['profiles']);
     const profiles = data.profiles || {};
@@ -771,9 +794,8 @@ export async function addGroupsToProfile(groupUuids, profileUuid, useSyncStorage
  * @param {string} groupUuid - UUID of the group
  * @param {string} profileUuid - UUID of the profile
  */
-export async function removeGroupFromProfile(groupUuid, profileUuid, useSyncStorage = false) {
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
-  await initializeProfiles(useSyncStorage);
+export async function removeGroupFromProfile(groupUuid, profileUuid) {
+  const storage = chrome.storage.local;
   try {
     const data = await storage.get(['profiles']);
     const profiles = data.profiles || {};
@@ -797,33 +819,33 @@ export async function removeGroupFromProfile(groupUuid, profileUuid, useSyncStor
 }
 
 /**
- * Deletes a profile
+ * Deletes a profile into the trash (see trash.js)
  * Cannot delete the profile if it's the active one
  * @param {string} profileUuid - UUID of the profile to delete
- * @returns {Promise<boolean>} True if deleted successfully
+ * @returns {Promise<string|null>} Id of the trash entry, or null if not deleted
  */
-export async function deleteProfile(profileUuid, useSyncStorage = false) {
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
-  await initializeProfiles(useSyncStorage);
+export async function deleteProfile(profileUuid) {
+  const storage = chrome.storage.local;
   try {
-    const data = await storage.get(['profiles', 'activeProfile']);
+    const data = await storage.get(['profiles', 'activeProfile', 'trash']);
     const profiles = data.profiles || {};
     
     if (data.activeProfile === profileUuid) {
       console.error('Cannot delete the active profile');
-      return false;
+      return null;
     }
     
     if (profiles[profileUuid]) {
+      const entry = createProfileTrashEntry(profiles[profileUuid]);
       delete profiles[profileUuid];
-      await storage.set({ profiles });
+      await storage.set({ profiles, trash: [entry, ...(data.trash || [])] });
       console.log(`Deleted profile: ${profileUuid}`);
-      return true;
+      return entry.id;
     }
-    return false;
+    return null;
   } catch (error) {
     console.error('Error deleting profile:', error);
-    return false;
+    return null;
   }
 }
 
@@ -832,9 +854,8 @@ export async function deleteProfile(profileUuid, useSyncStorage = false) {
  * @param {string} profileUuid - UUID of the profile
  * @param {string} newName - New name for the profile
  */
-export async function renameProfile(profileUuid, newName, useSyncStorage = false) {
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
-  await initializeProfiles(useSyncStorage);
+export async function renameProfile(profileUuid, newName) {
+  const storage = chrome.storage.local;
   try {
     const data = await storage.get(['profiles']);
     const profiles = data.profiles || {};
@@ -849,56 +870,159 @@ export async function renameProfile(profileUuid, newName, useSyncStorage = false
   }
 }
 /**
- * Deletes all groups from a profile
+ * Deletes all groups from a profile into one trash entry (see trash.js)
  * @param {string} profileUuid - Profile UUID
- * @param {boolean} useSyncStorage - Whether to use chrome.storage.sync
- * @returns {Promise<number>} Number of groups deleted
+ * @returns {Promise<{deletedGroups: Array<{groupUuid: string, groupName: string}>, trashId: (string|null)}>}
+ *          The deleted groups and the id of their trash entry
  */
-export async function deleteAllGroupsFromProfile(profileUuid, useSyncStorage = false) {
-  const storage = useSyncStorage ? chrome.storage.sync : chrome.storage.local;
+export async function deleteAllGroupsFromProfile(profileUuid) {
+  const storage = chrome.storage.local;
   try {
-    const data = await storage.get(['profiles']);
+    const data = await storage.get(['profiles', 'trash']);
     const profiles = data.profiles || {};
     const profile = profiles[profileUuid];
 
     if (!profile) {
       console.error('[DELETE] Profile not found:', profileUuid);
-      return [];
+      return { deletedGroups: [], trashId: null };
     }
 
     const groupUuids = Object.keys(profile.groups || {});
     console.log(`[DELETE] Starting deletion of ${groupUuids.length} groups from profile: ${profile.name}`);
     
-    const deletedGroups = [];
+    const deletedGroups = groupUuids.map(uuid => ({
+      groupUuid: uuid,
+      groupName: profile.groups[uuid]?.name || 'Unknown'
+    }));
     
-    // Delete all groups in memory
-    for (const uuid of groupUuids) {
-      const groupName = profile.groups[uuid]?.name || 'Unknown';
-      console.log(`[DELETE] Deleting group: ${groupName} (${uuid})`);
-      
-      // Remove this group
-      delete profile.groups[uuid];
-      delete profile.groupStyles[uuid];
-      delete profile.activeGroups[uuid];
-      
-      deletedGroups.push({
-        groupUuid: uuid,
-        groupName
-      });
-    }
+    // Move all groups to one trash entry in memory
+    const entry = takeGroupsToTrash(profile, groupUuids, `All ${groupUuids.length} groups of "${profile.name}"`);
+    if (!entry) return { deletedGroups: [], trashId: null };
     
-    // Single batch write: save all deletions at once
+    // Single batch write: save all deletions and the trash entry at once
     // Update groupUuids to reflect remaining groups
     profile.groupUuids = Object.keys(profile.groups || {});
     profiles[profileUuid] = profile;
-    await storage.set({ profiles });
+    await storage.set({ profiles, trash: [entry, ...(data.trash || [])] });
     
     console.log(`[DELETE] Completed deletion of ${deletedGroups.length} groups from profile: ${profile.name}`);
-    return deletedGroups;
+    return { deletedGroups, trashId: entry.id };
   } catch (error) {
     console.error('[DELETE] Error deleting all groups:', error);
-    return [];
+    return { deletedGroups: [], trashId: null };
+  }
+}
+
+// ============================================
+// POI EDITING
+// ============================================
+
+// Fields the editor can't change: identity, user-local state and runtime fields (`_` prefix)
+const LOCKED_POI_FIELDS = ['id', 'local', 'groupUuid'];
+
+/**
+ * Reads the group a POI editor works on
+ * @returns {Promise<{profiles: Object, group: Object}>}
+ * @throws {Error} When the group no longer exists
+ */
+async function getEditedGroup(profileUuid, groupUuid) {
+  const { profiles = {} } = await chrome.storage.local.get(['profiles']);
+  const group = profiles[profileUuid]?.groups?.[groupUuid];
+  if (!group) throw new Error('This group no longer exists');
+  return { profiles, group };
+}
+
+/**
+ * Checks and cleans up the values typed in the POI editor
+ * @param {Object} changes - Field -> value
+ * @returns {Object} Field -> value to store (coordinates as numbers, the rest as trimmed text)
+ * @throws {Error} When a field can't be edited or a value is invalid
+ */
+function readPoiChanges(changes) {
+  const edits = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if (LOCKED_POI_FIELDS.includes(field) || field.startsWith('_')) {
+      throw new Error(`The "${field}" field can't be edited`);
+    }
+    if (field === 'latitude' || field === 'longitude') {
+      const coordinate = parseCoordinate(value);
+      const limit = field === 'latitude' ? 90 : 180;
+      if (isNaN(coordinate)) throw new Error(`"${value}" is not a valid ${field}`);
+      if (Math.abs(coordinate) > limit) throw new Error(`The ${field} must be between -${limit} and ${limit}`);
+      edits[field] = coordinate;
+    } else {
+      edits[field] = value === null || value === undefined ? '' : String(value).trim();
+    }
+  }
+  if ('name' in edits && !edits.name) throw new Error('The name can\'t be empty');
+  return edits;
+}
+
+/**
+ * Edits one POI of a group. The changed fields are also kept in `poi.local.edits`, so
+ * syncing a URL-backed group keeps the edits (see mergePois).
+ * Content scripts don't see the change until they refresh (refresh-pois).
+ * The editor runs this through the background worker (update-poi), under its storage lock.
+ * @param {string} profileUuid
+ * @param {string} groupUuid
+ * @param {string} poiId - See getPoiId()
+ * @param {Object} changes - Field -> new value
+ * @returns {Promise<Object>} The edited POI
+ * @throws {Error} When the group or POI no longer exists, or a value is invalid
+ */
+export async function updatePoi(profileUuid, groupUuid, poiId, changes) {
+  const edits = readPoiChanges(changes);
+  await getEditedGroup(profileUuid, groupUuid);
+  const pois = await getGroupPois(profileUuid, groupUuid);
+  const index = pois.findIndex(poi => getPoiId(poi) === poiId);
+  if (index === -1) throw new Error('This POI no longer exists');
+
+  const current = pois[index];
+  pois[index] = {
+    ...current,
+    ...edits,
+    id: poiId,
+    local: { ...current.local, edits: { ...current.local?.edits, ...edits } }
+  };
+  await setGroupPois(profileUuid, groupUuid, pois);
+  return pois[index];
+}
+
+/**
+ * Deletes one POI of a group. For URL-backed groups the id goes into the group's
+ * `deletedPoiIds`, so the next sync doesn't bring the POI back.
+ * @param {string} profileUuid
+ * @param {string} groupUuid
+ * @param {string} poiId - See getPoiId()
+ * @returns {Promise<number>} Number of POIs left in the group
+ * @throws {Error} When the group or POI no longer exists
+ */
+export async function deletePoi(profileUuid, groupUuid, poiId) {
+  const { profiles, group } = await getEditedGroup(profileUuid, groupUuid);
+  const pois = await getGroupPois(profileUuid, groupUuid);
+  const remaining = pois.filter(poi => getPoiId(poi) !== poiId);
+  if (remaining.length === pois.length) throw new Error('This POI no longer exists');
+
+  await setGroupPois(profileUuid, groupUuid, remaining);
+  group.poiCount = remaining.length;
+  if (group.sourceUrl) {
+    group.deletedPoiIds = [...new Set([...(group.deletedPoiIds || []), poiId])];
   }
+  await chrome.storage.local.set({ profiles });
+  return remaining.length;
+}
+
+/**
+ * Forgets the POIs deleted from a URL-backed group, so its next sync adds them again
+ * @param {string} profileUuid
+ * @param {string} groupUuid
+ * @returns {Promise<void>}
+ */
+export async function clearDeletedPois(profileUuid, groupUuid) {
+  const { profiles, group } = await getEditedGroup(profileUuid, groupUuid);
+  if (!group.deletedPoiIds) return;
+  delete group.deletedPoiIds;
+  await chrome.storage.local.set({ profiles });
 }
 
 // ============================================
@@ -918,15 +1042,96 @@ function computeSimpleHash(text) {
   return (hash >>> 0).toString(36);
 }
 
+/**
+ * Returns the column mapping remembered for a source URL, or null.
+ * @param {string} url
+ * @returns {Promise<Object|null>}
+ */
+export async function getSourceMapping(url) {
+  const data = await chrome.storage.local.get(['sourceMappings']);
+  return data.sourceMappings?.[url] || null;
+}
+
+/**
+ * Remembers the column mapping for a source URL so syncs parse it the same way.
+ * Stored outside profiles: the same URL maps the same way in every profile.
+ * @param {string} url
+ * @param {Object|null} mapping - Pass null to forget the mapping
+ */
+export async function saveSourceMapping(url, mapping) {
+  const data = await chrome.storage.local.get(['sourceMappings']);
+  const sourceMappings = data.sourceMappings || {};
+  if (mapping) {
+    sourceMappings[url] = mapping;
+  } else {
+    delete sourceMappings[url];
+  }
+  await chrome.storage.local.set({ sourceMappings });
+}
+
+/**
+ * Returns the request configuration (method, headers, auth) for a source URL, or null.
+ * @param {string} url
+ * @returns {Promise<Object|null>}
+ */
+export async function getSourceRequest(url) {
+  const data = await chrome.storage.local.get(['sourceRequests']);
+  return data.sourceRequests?.[url] || null;
+}
+
+/**
+ * Stores the request configuration for a source URL (see source-fetch.js).
+ * Kept outside profiles so group exports never contain tokens or passwords.
+ * @param {string} url
+ * @param {Object|null} request - Pass null to remove it
+ */
+export async function saveSourceRequest(url, request) {
+  const data = await chrome.storage.local.get(['sourceRequests']);
+  const sourceRequests = data.sourceRequests || {};
+  if (request) {
+    sourceRequests[url] = request;
+  } else {
+    delete sourceRequests[url];
+  }
+  await chrome.storage.local.set({ sourceRequests });
+}
+
+/**
+ * Removes the request configurations of source URLs no group in any profile or
+ * in the trash uses any more, so credentials don't outlive their groups.
+ */
+export async function pruneSourceRequests() {
+  try {
+    const data = await chrome.storage.local.get(['sourceRequests', 'profiles', 'trash']);
+    const sourceRequests = data.sourceRequests || {};
+    const usedUrls = new Set();
+    const trashedGroups = (data.trash || []).map(entry => entry.type === 'profile' ? entry.profile.groups : entry.groups);
+    for (const groups of [...Object.values(data.profiles || {}).map(profile => profile.groups), ...trashedGroups]) {
+      for (const group of Object.values(groups || {})) {
+        if (group.sourceUrl) usedUrls.add(group.sourceUrl);
+      }
+    }
+    const unused = Object.keys(sourceRequests).filter(url => !usedUrls.has(url));
+    if (unused.length === 0) return;
+    unused.forEach(url => delete sourceRequests[url]);
+    await chrome.storage.local.set({ sourceRequests });
+  } catch (error) {
+    console.error('Error pruning source requests:', error);
+  }
+}
+
 /**
  * Updates a group's POIs and/or sync metadata in storage (single read+write).
  * Called by the background service worker after a successful or failed sync.
+ * New POIs are merged into the current ones by id (see mergePois), so user-local
+ * state survives the sync, and the changes are added to the group's syncHistory.
  *
  * @param {string} profileUuid
  * @param {string} groupUuid
- * @param {Array|null} newPois - New POIs array. Pass null to leave pois untouched.
+ * @param {Array|null} newPois - Freshly imported POIs. Pass null to leave pois untouched.
  * @param {object} syncMeta  - Fields to merge onto the group: lastSynced, lastSyncStatus,
- *                             lastSyncError, contentHash
+ *                             lastSyncError, lastSyncReport, contentHash
+ * @returns {Promise<Object|null>} The sync history entry (see sync-history.js), null without newPois
  */
 export async function updateGroupPOIs(profileUuid, groupUuid, newPois, syncMeta = {}) {
   const storage = chrome.storage.local;
@@ -939,178 +1144,240 @@ export async function updateGroupPOIs(profileUuid, groupUuid, newPois, syncMeta
   }
 
   const group = profile.groups[groupUuid];
+  let historyEntry = null;
   if (newPois !== null) {
-    group.pois = newPois;
+    const merge = mergePois(await getGroupPois(profileUuid, groupUuid), newPois, group.deletedPoiIds);
+    await setGroupPois(profileUuid, groupUuid, merge.pois);
+    group.poiCount = merge.pois.length;
+    historyEntry = createSyncHistoryEntry(merge, syncMeta.lastSynced ?? Date.now());
+    group.syncHistory = appendSyncHistory(group.syncHistory, historyEntry);
   }
   Object.assign(group, syncMeta);
 
   profiles[profileUuid] = profile;
   await storage.set({ profiles });
+  return historyEntry;
 }
 
 /**
- * Fetches a remote CSV/JSON URL, parses it, and imports it.
- * For export format, updates existing groups from this URL and creates new ones as needed (no duplicates).
- * For raw POI data, creates a single new group.
- *
- * @param {string} url        - The remote URL to fetch
- * @param {string} groupName  - Display name for the new group (used only if not export format)
- * @returns {Promise<{imported: number, urls: string[]}>}  count of imported/updated groups
+ * Reads a source into its groups: the groups of an export-format file, or the rows
+ * of raw POI data split by their `groupName` ('' for rows without one).
+ * @param {string} text - Response body
+ * @param {string} url - Source URL (used to detect the format)
+ * @param {Object} [mapping] - Column mapping for CSV/JSON
+ * @param {string|null} [recordsPath] - JSON records path kept from the last import
+ *        (`recordsPath` of the source's groups), for mappings without one
+ * @returns {{groups: Array<{key: string, pois: Array, colors: (Object|undefined), icon: (string|undefined)}>,
+ *          report: (Object|null), recordsPath: (string|null|undefined)}}
+ *          Source groups, plus the import report for raw POI data and the JSON records
+ *          path guessed for it (undefined when the mapping has one or it isn't JSON)
+ * @throws {Error} When raw POI data can't be parsed
  */
-export async function saveGroupFromUrl(url, groupName) {
-  // Fetch
-  let text;
-  try {
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    text = await response.text();
-  } catch (err) {
-    throw new Error(`Failed to fetch URL: ${err.message}`);
-  }
-
-  const contentHash = computeSimpleHash(text);
-
-  // Try to parse as JSON first to detect export format
-  let jsonData;
-  let isExportFormat = false;
-  try {
-    jsonData = JSON.parse(text);
-    // Check if it's our export format (array with name, icon, colors, data)
-    if (Array.isArray(jsonData) && jsonData.length > 0 && jsonData[0].data && jsonData[0].name) {
-      isExportFormat = true;
+export function readSourceGroups(text, url, mapping = null, recordsPath = undefined) {
+  if (isExportFormat(text)) {
+    const groups = [];
+    for (const fileGroup of JSON.parse(text)) {
+      if (!fileGroup.name || !fileGroup.data) continue;
+      try {
+        const { pois } = parseCSV(fileGroup.data);
+        if (pois.length > 0) {
+          groups.push({ key: fileGroup.name, pois, colors: fileGroup.colors, icon: fileGroup.icon });
+        }
+      } catch (groupError) {
+        console.error(`Failed to process group "${fileGroup.name}":`, groupError);
+      }
     }
-  } catch (e) {
-    jsonData = null;
+    return { groups, report: null };
   }
 
-  if (isExportFormat) {
-    // Handle export format: intelligently merge/update groups to avoid duplicates
-    const now = Date.now();
-    const storageData = await chrome.storage.local.get(['profiles', 'activeProfile']);
-    const profiles = storageData.profiles || {};
-    const activeProfileUuid = storageData.activeProfile;
-    const activeProfile = profiles[activeProfileUuid];
-
-    if (!activeProfile?.groups) {
-      throw new Error('No active profile found');
-    }
+  const report = importData(text, detectFormat(text, url), { mapping, recordsPath });
+  const byKey = new Map();
+  for (const poi of report.pois) {
+    const key = poi.groupName || '';
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(poi);
+  }
+  return { groups: [...byKey].map(([key, pois]) => ({ key, pois })), report, recordsPath: report.recordsPath };
+}
 
-    // Build map of groups from this URL by name for deduplication
-    const existingFromUrl = {};
-    for (const [uuid, group] of Object.entries(activeProfile.groups)) {
-      if (group.sourceUrl === url) {
-        existingFromUrl[group.name] = uuid;
-      }
-    }
+/**
+ * Writes a source's groups into the groups of a profile that share its URL (single
+ * read+write). A source group goes to the group with the same `sourceGroupName` (the
+ * source's name for it, '' for ungrouped rows), or for groups stored before that
+ * field existed, the same name; ungrouped rows of such an older source go to
+ * options.fallbackUuid. POIs are merged as in updateGroupPOIs().
+ * Source groups without a match become new groups that share the source's sync
+ * settings. Groups whose source group is gone are archived (hidden and marked
+ * `archived`) when the source has `archiveMissing` set, and are restored when it
+ * comes back. A source without any groups archives nothing.
+ * @param {string} profileUuid
+ * @param {string} url
+ * @param {Array<{key: string, pois: Array, colors: (Object|undefined), icon: (string|undefined)}>} sourceGroups
+ *        From readSourceGroups()
+ * @param {Object} [options]
+ * @param {string} [options.defaultName] - Name for a new group of ungrouped rows
+ * @param {string} [options.fallbackUuid] - Group that held an older source's ungrouped rows
+ * @param {Object} [options.syncMeta] - Sync metadata set on every group of the source
+ * @returns {Promise<{updated: string[], created: string[], archived: string[], poiCount: number,
+ *          counts: {added: number, removed: number, moved: number, changed: number}}>}
+ *          Uuids of the groups written from the source, created and newly archived,
+ *          with the POI total and change counts over all of them
+ */
+export async function applySourceGroups(profileUuid, url, sourceGroups, options = {}) {
+  const { defaultName = 'Remote Dataset', fallbackUuid = null, syncMeta = {} } = options;
+  const now = syncMeta.lastSynced ?? Date.now();
+  const data = await chrome.storage.local.get(['profiles', 'activeProfile', 'activeGroups']);
+  const profiles = data.profiles || {};
+  const profile = profiles[profileUuid];
+  if (!profile) throw new Error(`Profile ${profileUuid} not found`);
 
-    let processedCount = 0;
+  if (!profile.groups) profile.groups = {};
+  if (!profile.groupStyles) profile.groupStyles = {};
+  if (!profile.groupUuids) profile.groupUuids = [];
+  if (!profile.activeGroups) profile.activeGroups = {};
+  const activeGroups = data.activeGroups || {};
+  const isActiveProfile = profileUuid === data.activeProfile;
+  const setActive = (uuid, active) => {
+    profile.activeGroups[uuid] = active;
+    if (isActiveProfile) activeGroups[uuid] = active;
+  };
 
-    // Process each group in the export file
-    for (const fileGroup of jsonData) {
-      if (!fileGroup.name || !fileGroup.data) continue;
+  const siblings = Object.values(profile.groups).filter(group => group.sourceUrl === url);
+  const sourceKeys = new Set(sourceGroups.map(group => group.key));
+  const byKey = new Map();
+  for (const group of siblings) {
+    if (group.sourceGroupName !== undefined) byKey.set(group.sourceGroupName, group);
+  }
+  for (const group of siblings) {
+    if (group.sourceGroupName === undefined && !byKey.has(group.name)) byKey.set(group.name, group);
+  }
+  const fallback = profile.groups[fallbackUuid];
+  if (!byKey.has('') && fallback?.sourceUrl === url && fallback.sourceGroupName === undefined && !sourceKeys.has(fallback.name)) {
+    byKey.set('', fallback);
+  }
 
-      try {
-        const pois = parseCSV(fileGroup.data);
-        if (pois.length === 0) continue;
-
-        const groupName = fileGroup.name;
-
-        // Check if a group from this URL with this name already exists
-        if (existingFromUrl[groupName]) {
-          // Update existing group's POIs and metadata
-          const existingUuid = existingFromUrl[groupName];
-          activeProfile.groups[existingUuid].pois = pois;
-          activeProfile.groups[existingUuid].lastSynced = now;
-          activeProfile.groups[existingUuid].lastSyncStatus = 'success';
-          activeProfile.groups[existingUuid].lastSyncError = null;
-          activeProfile.groups[existingUuid].contentHash = contentHash;
-          // Preserve other fields like syncEnabled
-          processedCount++;
-        } else {
-          // Create new group
-          const newUuid = generateUUID();
-          activeProfile.groups[newUuid] = {
-            uuid: newUuid,
-            name: groupName,
-            pois: pois,
-            sourceUrl: url,
-            syncEnabled: false,
-            lastSynced: now,
-            lastSyncStatus: 'success',
-            lastSyncError: null,
-            contentHash: contentHash
-          };
+  // New groups follow the source's existing groups' sync settings
+  const template = fallback?.sourceUrl === url ? fallback : siblings[0];
+  const result = { updated: [], created: [], archived: [], poiCount: 0, counts: { added: 0, removed: 0, moved: 0, changed: 0 } };
+  const written = new Set();
+  const storedPois = await getProfilePois(profileUuid, [...new Set([...byKey.values()].map(group => group.uuid))]);
+  const poisByGroup = {};
 
-          // Add styles
-          if (!activeProfile.groupStyles) activeProfile.groupStyles = {};
-          activeProfile.groupStyles[newUuid] = {
-            color: fileGroup.colors?.primary || '#d1ff00',
-            secondaryColor: fileGroup.colors?.secondary || '#ffffff',
-            logoData: fileGroup.icon && fileGroup.icon.length < 50000 ? fileGroup.icon : null
-          };
+  for (const { key, pois, colors, icon } of sourceGroups) {
+    let group = byKey.get(key);
+    if (group && written.has(group)) continue;
+    if (!group) {
+      if (pois.length === 0) continue;
+      const uuid = generateUUID();
+      group = {
+        uuid,
+        name: key || defaultName,
+        sourceUrl: url,
+        syncEnabled: template?.syncEnabled ?? false
+      };
+      if (template?.syncInterval) group.syncInterval = template.syncInterval;
+      if (template?.archiveMissing) group.archiveMissing = true;
+      profile.groups[uuid] = group;
+      profile.groupStyles[uuid] = {
+        color: colors?.primary || generateRandomColor(),
+        secondaryColor: colors?.secondary || '#ffffff',
+        logoData: icon && icon.length < 50000 ? icon : null
+      };
+      if (!profile.groupUuids.includes(uuid)) profile.groupUuids.push(uuid);
+      result.created.push(uuid);
+    }
 
-          // Track in UUIDs list
-          if (!activeProfile.groupUuids) activeProfile.groupUuids = [];
-          if (!activeProfile.groupUuids.includes(newUuid)) {
-            activeProfile.groupUuids.push(newUuid);
-          }
+    const merge = mergePois(storedPois[group.uuid] || [], pois, group.deletedPoiIds);
+    const historyEntry = createSyncHistoryEntry(merge, now);
+    poisByGroup[group.uuid] = merge.pois;
+    group.poiCount = merge.pois.length;
+    group.syncHistory = appendSyncHistory(group.syncHistory, historyEntry);
+    group.sourceGroupName = key;
+    if (group.archived) {
+      delete group.archived;
+      delete group.archivedAt;
+      setActive(group.uuid, true);
+    }
+    Object.assign(group, syncMeta);
+    written.add(group);
 
-          existingFromUrl[groupName] = newUuid;
-          processedCount++;
-        }
-      } catch (groupError) {
-        console.error(`Failed to process group "${fileGroup.name}":`, groupError);
-      }
+    result.updated.push(group.uuid);
+    result.poiCount += merge.pois.length;
+    for (const kind of Object.keys(result.counts)) {
+      result.counts[kind] += historyEntry.counts[kind];
     }
+  }
 
-    // Single storage write for all changes
-    if (processedCount > 0) {
-      profiles[activeProfileUuid] = activeProfile;
-      await chrome.storage.local.set({ profiles });
+  for (const group of siblings) {
+    if (written.has(group)) continue;
+    Object.assign(group, syncMeta);
+    if (group.archiveMissing && !group.archived && sourceGroups.length > 0) {
+      group.archived = true;
+      group.archivedAt = now;
+      setActive(group.uuid, false);
+      result.archived.push(group.uuid);
     }
+  }
 
-    return { imported: processedCount, urls: [url] };
-  } else {
-    // Handle raw POI data (CSV or JSON)
-    let pois;
+  await writePois(profileUuid, poisByGroup);
+  profiles[profileUuid] = profile;
+  await chrome.storage.local.set(isActiveProfile ? { profiles, activeGroups } : { profiles });
+  return result;
+}
+
+/**
+ * Fetches a remote URL, parses it, and imports it into the active profile.
+ * Groups from an earlier import of the same URL are updated instead of duplicated
+ * (see applySourceGroups); rows are split into groups by their group name.
+ *
+ * @param {string} url        - The remote URL to fetch
+ * @param {string} groupName  - Display name for rows without a group name
+ * @param {Object} [options]
+ * @param {string} [options.text]    - Already fetched response body (skips the fetch)
+ * @param {Object} [options.mapping] - Column mapping for CSV/JSON, remembered for future syncs
+ * @returns {Promise<{imported: number, urls: string[], report: (Object|null)}>}  count of imported/updated
+ *          groups, plus the import report summary for raw POI data (see summarizeReport)
+ */
+export async function saveGroupFromUrl(url, groupName, options = {}) {
+  // Fetch
+  let text = options.text;
+  if (text === undefined) {
     try {
-      const trimmed = text.trimStart();
-      if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
-        pois = parseJSON(text);
-      } else {
-        pois = parseCSV(text);
-      }
-    } catch (parseErr) {
-      throw new Error(`Failed to parse response: ${parseErr.message}`);
+      text = await fetchSourceText(url, await getSourceRequest(url));
+    } catch (err) {
+      throw new Error(`Failed to fetch URL: ${err.message}`);
     }
+  }
 
-    if (!pois || pois.length === 0) {
-      throw new Error('No POIs found in the response');
-    }
+  let source;
+  try {
+    source = readSourceGroups(text, url, options.mapping);
+  } catch (parseErr) {
+    throw new Error(`Failed to parse response: ${parseErr.message}`);
+  }
+  const reportSummary = source.report ? summarizeReport(source.report) : null;
 
-    // Save as a new group (single read+write via savePOIsBatch)
-    const createdUuids = await savePOIsBatch([{ pois, groupName }]);
-    const uuid = createdUuids[0];
-    if (!uuid) throw new Error('Failed to create group');
+  if (source.groups.length === 0) {
+    throw new Error('No POIs found in the response');
+  }
 
-    // Patch the group to add URL metadata (single read+write)
-    const now = Date.now();
-    const storageData = await chrome.storage.local.get(['profiles', 'activeProfile']);
-    const profiles = storageData.profiles || {};
-    const activeProfileUuid = storageData.activeProfile;
-    const activeProfile = profiles[activeProfileUuid];
+  if (options.mapping) {
+    await saveSourceMapping(url, options.mapping);
+  }
 
-    if (activeProfile?.groups?.[uuid]) {
-      activeProfile.groups[uuid].sourceUrl = url;
-      activeProfile.groups[uuid].syncEnabled = false;
-      activeProfile.groups[uuid].lastSynced = now;
-      activeProfile.groups[uuid].lastSyncStatus = 'success';
-      activeProfile.groups[uuid].lastSyncError = null;
-      activeProfile.groups[uuid].contentHash = contentHash;
-      profiles[activeProfileUuid] = activeProfile;
-      await chrome.storage.local.set({ profiles });
+  const { activeProfile } = await chrome.storage.local.get(['activeProfile']);
+  const { updated } = await applySourceGroups(activeProfile, url, source.groups, {
+    defaultName: groupName,
+    syncMeta: {
+      lastSynced: Date.now(),
+      lastSyncStatus: 'success',
+      lastSyncError: null,
+      lastSyncReport: reportSummary,
+      contentHash: computeSimpleHash(text),
+      // The guessed JSON records path, so syncs read the same records
+      ...(source.recordsPath !== undefined && { recordsPath: source.recordsPath })
     }
+  });
 
-    return { imported: 1, urls: [url] };
-  }
+  return { imported: updated.length, urls: [url], report: reportSummary };
 }
@@ -0,0 +1,169 @@
+/**
+ * Field paths for nested JSON.
+ * A path walks into a parsed JSON value with dots and brackets:
+ *   data.results[*].place        every `place` of the `data.results` array
+ *   geometry.location.lat        a nested field
+ *   photos[0].url                an array element
+ *   ["opening.hours"]            a key that contains dots or brackets
+ * A leading `$` or `$.` is allowed. A mapping's `recordsPath` selects the POI records
+ * of a response; its field values (latitude, name, ...) may be paths into each record.
+ */
+
+// How deep listFieldPaths() looks into nested objects
+const MAX_PATH_DEPTH = 4;
+
+const SEGMENT = /\[\s*(\*|\d+|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')\s*\]|\.?([^.[\]]+)/g;
+
+const parsedPaths = new Map();
+
+/**
+ * Splits a path into segments: keys (strings), indices (numbers) and '*'
+ * @param {string} path
+ * @returns {Array<string|number>}
+ * @throws {Error} When the path has characters no segment matches (e.g. an unclosed bracket)
+ */
+export function parseFieldPath(path) {
+  if (parsedPaths.has(path)) return parsedPaths.get(path);
+
+  const source = String(path).trim().replace(/^\$\.?/, '');
+  const segments = [];
+  let consumed = 0;
+  for (const match of source.matchAll(SEGMENT)) {
+    if (match.index !== consumed) break;
+    consumed += match[0].length;
+    const [, bracket, key] = match;
+    if (key !== undefined) {
+      segments.push(key.trim());
+    } else if (bracket === '*') {
+      segments.push('*');
+    } else if (/^\d+$/.test(bracket)) {
+      segments.push(Number(bracket));
+    } else {
+      segments.push(bracket.slice(1, -1).replace(/\\(.)/g, '$1'));
+    }
+  }
+  if (consumed !== source.length) {
+    throw new Error(`Invalid field path "${path}"`);
+  }
+
+  parsedPaths.set(path, segments);
+  return segments;
+}
+
+/**
+ * Returns the value at a path, or undefined. A key equal to the whole path wins,
+ * so flat sources with keys like "geo.lat" keep working.
+ * @param {Object} record
+ * @param {string} path
+ * @returns {any}
+ */
+export function getPathValue(record, path) {
+  if (record === null || typeof record !== 'object') return undefined;
+  if (Object.prototype.hasOwnProperty.call(record, path)) return record[path];
+  return evaluatePath(record, parseFieldPath(path))[0];
+}
+
+/**
+ * Returns the records a path selects from a parsed response. A path ending at an
+ * array returns its elements; a wildcard path returns every match.
+ * @param {any} data - Parsed JSON value
+ * @param {string} recordsPath
+ * @returns {Array}
+ * @throws {Error} When the path matches nothing
+ */
+export function selectRecords(data, recordsPath) {
+  const segments = parseFieldPath(recordsPath);
+  const matches = evaluatePath(data, segments);
+  if (matches.length === 0) {
+    throw new Error(`Records path "${recordsPath}" matched nothing in the response`);
+  }
+  if (!segments.includes('*') && Array.isArray(matches[0])) {
+    return matches[0];
+  }
+  return matches;
+}
+
+/**
+ * Guesses the records path of a wrapped API response: the first array of objects
+ * found breadth-first (e.g. "data.results"). Returns null for a top-level array,
+ * a `pois` array or when there is no such array.
+ * @param {any} data - Parsed JSON value
+ * @returns {string|null}
+ */
+export function findRecordsPath(data) {
+  if (Array.isArray(data) || !data || typeof data !== 'object' || Array.isArray(data.pois)) {
+    return null;
+  }
+
+  let level = [['', data]];
+  for (let depth = 0; depth < MAX_PATH_DEPTH && level.length > 0; depth++) {
+    const next = [];
+    for (const [path, value] of level) {
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = joinFieldPath(path, key);
+        if (Array.isArray(child)) {
+          if (child.length > 0 && child.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+            return childPath;
+          }
+        } else if (child && typeof child === 'object') {
+          next.push([childPath, child]);
+        }
+      }
+    }
+    level = next;
+  }
+  return null;
+}
+
+/**
+ * Lists the field paths of some records in first-seen order: every key, and the
+ * paths into nested objects (arrays are not descended into)
+ * @param {Array} records
+ * @returns {Array<string>}
+ */
+export function listFieldPaths(records) {
+  const paths = new Set();
+  const visit = (value, prefix, depth) => {
+    for (const [key, child] of Object.entries(value)) {
+      const path = prefix === null ? key : joinFieldPath(prefix, key);
+      paths.add(path);
+      if (child && typeof child === 'object' && !Array.isArray(child) && depth < MAX_PATH_DEPTH) {
+        visit(child, path, depth + 1);
+      }
+    }
+  };
+  for (const record of records) {
+    if (record && typeof record === 'object') visit(record, null, 1);
+  }
+  return [...paths];
+}
+
+/**
+ * Appends a key to a path, bracket-quoting keys that a dot can't express
+ */
+function joinFieldPath(path, key) {
+  if (/^[^.[\]"'\s$*][^.[\]"']*$/.test(key) && !/^\d+$/.test(key)) {
+    return path ? `${path}.${key}` : key;
+  }
+  return `${path}["${key.replace(/["\\]/g, '\\$&')}"]`;
+}
+
+/**
+ * Returns every value a parsed path reaches
+ */
+function evaluatePath(data, segments) {
+  let values = [data];
+  for (const segment of segments) {
+    const next = [];
+    for (const value of values) {
+      if (value === null || typeof value !== 'object') continue;
+      if (segment === '*') {
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (Object.prototype.hasOwnProperty.call(value, segment) && value[segment] !== undefined) {
+        next.push(value[segment]);
+      }
+    }
+    values = next;
+  }
+  return values;
+}
@@ -0,0 +1,185 @@
+import { createImportReport, REPORT_REASONS } from './import-report.js';
+
+/**
+ * Parses GeoJSON data into POIs.
+ * Accepts a FeatureCollection, a single Feature, or a bare Point/MultiPoint geometry.
+ * Feature properties are mapped onto POI fields with the same field names the
+ * CSV/JSON parsers understand (name, address, shullow group, ...).
+ * MultiPoint geometries produce one POI per position. Other geometry types are
+ * listed as rejected, with the 1-based feature index as the row.
+ * @returns {{pois: Array, warnings: Array, rejected: Array}} Import report (see import-report.js)
+ */
+export function parseGeoJSON(geojsonString) {
+  const data = typeof geojsonString === 'string' ? JSON.parse(geojsonString) : geojsonString;
+
+  if (!isGeoJSON(data)) {
+    throw new Error('JSON data is not GeoJSON (expected a FeatureCollection, Feature, Point or MultiPoint).');
+  }
+
+  let features;
+  if (data.type === 'FeatureCollection') {
+    features = Array.isArray(data.features) ? data.features : [];
+  } else if (data.type === 'Feature') {
+    features = [data];
+  } else {
+    // Bare geometry, wrap it in a feature without properties
+    features = [{ type: 'Feature', geometry: data, properties: {} }];
+  }
+
+  const report = createImportReport();
+
+  features.forEach((feature, featureIndex) => {
+    const location = { row: featureIndex + 1 };
+    if (!feature || feature.type !== 'Feature') {
+      report.reject(location, REPORT_REASONS.MALFORMED_RECORD, 'Not a GeoJSON Feature');
+      return;
+    }
+    if (!feature.geometry) {
+      report.reject(location, REPORT_REASONS.MISSING_COORDINATES, 'Feature has no geometry');
+      return;
+    }
+
+    const positions = getPointPositions(feature.geometry);
+    if (positions === null) {
+      report.reject(location, REPORT_REASONS.UNSUPPORTED_GEOMETRY,
+        `${feature.geometry.type} geometry is not supported (only Point and MultiPoint)`);
+      return;
+    }
+    if (positions.length === 0) {
+      report.reject(location, REPORT_REASONS.MISSING_COORDINATES, `${feature.geometry.type} has no positions`);
+      return;
+    }
+
+    const properties = feature.properties || {};
+    const baseId = feature.id ?? properties.id ?? null;
+
+    positions.forEach((position, positionIndex) => {
+      const poi = featureToPoi(properties, position, featureIndex);
+      if (!poi) {
+        report.reject(location, REPORT_REASONS.INVALID_COORDINATES, `Invalid position ${JSON.stringify(position)}`);
+        return;
+      }
+      if (baseId !== null && baseId !== undefined && baseId !== '') {
+        poi.id = positions.length > 1 ? `${baseId}-${positionIndex}` : String(baseId);
+      }
+      report.accept(poi, location);
+    });
+  });
+
+  const result = report.result();
+  if (result.pois.length === 0) {
+    throw new Error('No Point or MultiPoint features found in GeoJSON');
+  }
+
+  return result;
+}
+
+/**
+ * Checks whether parsed JSON looks like GeoJSON we can import.
+ * @param {any} data - Parsed JSON value
+ * @returns {boolean}
+ */
+export function isGeoJSON(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+  return ['FeatureCollection', 'Feature', 'Point', 'MultiPoint'].includes(data.type);
+}
+
+/**
+ * Builds a GeoJSON FeatureCollection from groups of POIs.
+ * Each feature carries a `shullow_group` property so re-importing the file
+ * splits it back into the same groups, plus a simplestyle `marker-color`.
+ * @param {Array<{name: string, color: string, pois: Array}>} groups
+ * @returns {Object} FeatureCollection
+ */
+export function toGeoJSON(groups) {
+  const features = [];
+
+  for (const group of groups) {
+    for (const poi of group.pois || []) {
+      const latitude = parseFloat(poi.latitude);
+      const longitude = parseFloat(poi.longitude);
+      if (isNaN(latitude) || isNaN(longitude)) continue;
+
+      const properties = {};
+      for (const [key, value] of Object.entries(poi)) {
+        if (['id', 'latitude', 'longitude', 'groupName', 'groupUuid', 'local'].includes(key) || key.startsWith('_')) continue;
+        properties[key] = value;
+      }
+      properties.shullow_group = group.name;
+      if (group.color) properties['marker-color'] = group.color;
+
+      const feature = {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties
+      };
+      if (poi.id) feature.id = poi.id;
+      features.push(feature);
+    }
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Returns the [lng, lat] positions of a Point or MultiPoint geometry, or null for
+ * other geometry types. Positions are not validated here (see featureToPoi).
+ */
+function getPointPositions(geometry) {
+  if (geometry.type === 'Point') {
+    return geometry.coordinates !== null && geometry.coordinates !== undefined ? [geometry.coordinates] : [];
+  }
+  if (geometry.type === 'MultiPoint') {
+    return Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
+  }
+  return null;
+}
+
+function featureToPoi(properties, position, featureIndex) {
+  if (!Array.isArray(position) || position.length < 2) return null;
+  const longitude = parseFloat(position[0]);
+  const latitude = parseFloat(position[1]);
+  if (isNaN(latitude) || isNaN(longitude)) return null;
+
+  let name = null;
+  let address = null;
+  let groupName = null;
+  const otherFields = {};
+
+  for (const [key, value] of Object.entries(properties)) {
+    const lowerKey = key.toLowerCase();
+    if (value === null || value === undefined) continue;
+
+    if (['name', 'title', 'place_name'].includes(lowerKey)) {
+      if (name === null) name = value;
+    } else if (['address', 'addr', 'street'].includes(lowerKey)) {
+      if (address === null) address = value;
+    } else if (lowerKey.includes('shullow') && lowerKey.includes('group')) {
+      groupName = String(value).trim() || null;
+    } else if (['id', 'latitude', 'lat', 'longitude', 'lng', 'long', 'marker-color', 'marker-symbol', 'marker-size'].includes(lowerKey)) {
+      continue;
+    } else if (typeof value === 'object') {
+      otherFields[key] = JSON.stringify(value);
+    } else if (String(value).trim() !== '') {
+      otherFields[key] = value;
+    }
+  }
+
+  const result = {
+    name: name !== null ? String(name).trim() : `POI ${featureIndex + 1}`,
+    latitude,
+    longitude,
+    address: address !== null ? String(address).trim() : null,
+    ...otherFields
+  };
+
+  if (position.length > 2 && !isNaN(parseFloat(position[2]))) {
+    result.elevation = parseFloat(position[2]);
+  }
+
+  if (groupName) {
+    result.groupName = groupName;
+  }
+
+  return result;
+}
@@ -0,0 +1,174 @@
+import { parseXML, childElements, firstChild, descendants, childText, textContent } from './xml-parser.js';
+import { createImportReport, REPORT_REASONS } from './import-report.js';
+
+const SHULLOW_NAMESPACE = 'https://github.com/ericshermancs/Shullow';
+
+/**
+ * Parses GPX into POIs.
+ * Waypoints (<wpt>) become plain POIs (name, desc, sym, ele, ...). Route points
+ * (<rte><rtept>) and track points (<trk><trkseg><trkpt>) become an ordered POI list
+ * with a 1-based `sequence` field, grouped by the route/track name.
+ * Report rows count all points in document order (waypoints, then routes, then tracks).
+ * @param {string} gpxString
+ * @returns {{pois: Array, warnings: Array, rejected: Array}} Import report (see import-report.js)
+ */
+export function parseGPX(gpxString) {
+  const document = parseXML(gpxString);
+  const root = firstChild(document, 'gpx');
+  if (!root) {
+    throw new Error('Not a GPX document (missing <gpx> root element)');
+  }
+
+  const report = createImportReport();
+  let pointCount = 0;
+
+  const addPoint = (point, groupName, sequence) => {
+    const location = { row: ++pointCount };
+    const poi = pointToPoi(point, groupName, sequence, pointCount - 1);
+    if (poi) {
+      report.accept(poi, location);
+    } else {
+      report.reject(location, REPORT_REASONS.INVALID_COORDINATES,
+        `<${point.name}> has invalid lat/lon ("${point.attributes.lat ?? ''}", "${point.attributes.lon ?? ''}")`);
+    }
+  };
+
+  childElements(root, 'wpt').forEach(wpt => addPoint(wpt, null, null));
+
+  childElements(root, 'rte').forEach((rte, index) => {
+    const routeName = childText(rte, 'name') || `Route ${index + 1}`;
+    childElements(rte, 'rtept').forEach((rtept, pointIndex) => addPoint(rtept, routeName, pointIndex + 1));
+  });
+
+  childElements(root, 'trk').forEach((trk, index) => {
+    const trackName = childText(trk, 'name') || `Track ${index + 1}`;
+    // Segments are continuous for our purposes, so numbering spans all of them
+    descendants(trk, 'trkpt').forEach((trkpt, pointIndex) => addPoint(trkpt, trackName, pointIndex + 1));
+  });
+
+  const result = report.result();
+  if (result.pois.length === 0) {
+    throw new Error('No waypoints, route points or track points found in GPX');
+  }
+
+  return result;
+}
+
+/**
+ * Builds a GPX 1.1 document from one group of POIs.
+ * Sequenced POIs (imported from a route or track) are written back as a <rte> in
+ * order; everything else is written as <wpt>. POI fields without a GPX element are
+ * kept in <extensions> so a re-import restores them.
+ * @param {string} groupName
+ * @param {Array} pois
+ * @returns {string} GPX XML
+ */
+export function toGPX(groupName, pois) {
+  const validPois = (pois || []).filter(poi =>
+    !isNaN(parseFloat(poi.latitude)) && !isNaN(parseFloat(poi.longitude)));
+  const isRoute = validPois.length > 0 && validPois.every(poi => poi.sequence !== undefined && poi.sequence !== null);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="Shullow" xmlns="http://www.topografix.com/GPX/1/1" xmlns:shullow="${SHULLOW_NAMESPACE}">`,
+    `  <metadata><name>${escapeXML(groupName)}</name></metadata>`
+  ];
+
+  if (isRoute) {
+    const ordered = [...validPois].sort((a, b) => Number(a.sequence) - Number(b.sequence));
+    lines.push('  <rte>', `    <name>${escapeXML(groupName)}</name>`);
+    ordered.forEach(poi => lines.push(...poiToPoint(poi, 'rtept', '    ')));
+    lines.push('  </rte>');
+  } else {
+    validPois.forEach(poi => lines.push(...poiToPoint(poi, 'wpt', '  ')));
+  }
+
+  lines.push('</gpx>');
+  return lines.join('\n');
+}
+
+function pointToPoi(point, groupName, sequence, index) {
+  const latitude = parseFloat(point.attributes.lat);
+  const longitude = parseFloat(point.attributes.lon);
+  if (isNaN(latitude) || isNaN(longitude)) return null;
+
+  const name = childText(point, 'name');
+  const result = {
+    name: name || (groupName ? `${groupName} ${sequence}` : `POI ${index + 1}`),
+    latitude,
+    longitude,
+    address: null
+  };
+
+  const description = childText(point, 'desc');
+  const comment = childText(point, 'cmt');
+  const symbol = childText(point, 'sym');
+  const type = childText(point, 'type');
+  const time = childText(point, 'time');
+  const elevation = parseFloat(childText(point, 'ele'));
+
+  if (description) result.description = description;
+  if (comment) result.comment = comment;
+  if (symbol) result.symbol = symbol;
+  if (type) result.type = type;
+  if (time) result.time = time;
+  if (!isNaN(elevation)) result.elevation = elevation;
+
+  // Fields written by toGPX()
+  for (const field of descendants(firstChild(point, 'extensions'), 'field')) {
+    const key = field.attributes.name;
+    if (key === 'address') result.address = textContent(field) || null;
+    else if (key && !(key in result)) result[key] = textContent(field);
+  }
+
+  if (sequence !== null) {
+    result.sequence = sequence;
+  }
+
+  if (groupName) {
+    result.groupName = groupName;
+  }
+
+  return result;
+}
+
+function poiToPoint(poi, tagName, indent) {
+  const lines = [`${indent}<${tagName} lat="${parseFloat(poi.latitude)}" lon="${parseFloat(poi.longitude)}">`];
+  const inner = indent + '  ';
+
+  // Child order follows the GPX 1.1 schema
+  if (poi.elevation !== undefined && !isNaN(parseFloat(poi.elevation))) {
+    lines.push(`${inner}<ele>${parseFloat(poi.elevation)}</ele>`);
+  }
+  if (poi.time) lines.push(`${inner}<time>${escapeXML(poi.time)}</time>`);
+  if (poi.name) lines.push(`${inner}<name>${escapeXML(poi.name)}</name>`);
+  if (poi.comment) lines.push(`${inner}<cmt>${escapeXML(poi.comment)}</cmt>`);
+  if (poi.description) lines.push(`${inner}<desc>${escapeXML(poi.description)}</desc>`);
+  if (poi.symbol) lines.push(`${inner}<sym>${escapeXML(poi.symbol)}</sym>`);
+  if (poi.type) lines.push(`${inner}<type>${escapeXML(poi.type)}</type>`);
+
+  const handled = ['id', 'name', 'latitude', 'longitude', 'elevation', 'time', 'comment', 'description',
+    'symbol', 'type', 'sequence', 'groupName', 'groupUuid', 'local'];
+  const extensions = Object.entries(poi).filter(([key, value]) =>
+    !handled.includes(key) && !key.startsWith('_') && value !== null && value !== undefined && value !== '');
+
+  if (extensions.length > 0) {
+    lines.push(`${inner}<extensions>`);
+    for (const [key, value] of extensions) {
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      lines.push(`${inner}  <shullow:field name="${escapeXML(key)}">${escapeXML(text)}</shullow:field>`);
+    }
+    lines.push(`${inner}</extensions>`);
+  }
+
+  lines.push(`${indent}</${tagName}>`);
+  return lines;
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
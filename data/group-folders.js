@@ -0,0 +1,127 @@
+/**
+ * Folders and tags for groups.
+ * A group's `folder` is a path of folder names joined by FOLDER_SEPARATOR
+ * ("Transit > Subway"); its `tags` are free-form labels ("Schools"). Both are only
+ * a way to organize and switch groups: turning a folder or tag on or off sets
+ * `activeGroups` for each of its groups, so the content scripts still only see
+ * per-group toggles. Which folders are collapsed in the popup is kept per profile
+ * in `collapsedFolders` (folder paths).
+ */
+
+export const FOLDER_SEPARATOR = '>';
+
+/**
+ * @param {string} [folder] - "Transit > Subway"
+ * @returns {Array<string>} Folder names from the top down (empty for no folder)
+ */
+export function parseFolderPath(folder) {
+  if (typeof folder !== 'string') return [];
+  return folder.split(FOLDER_SEPARATOR).map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Cleans up a folder path typed by the user ("Transit>  Subway >" -> "Transit > Subway")
+ * @param {string} [folder]
+ * @returns {string} Empty when the group isn't in a folder
+ */
+export function normalizeFolder(folder) {
+  return parseFolderPath(folder).join(` ${FOLDER_SEPARATOR} `);
+}
+
+/**
+ * Cleans up tags: trims them, drops empty ones and repeats (ignoring case)
+ * @param {string|Array<string>} [tags] - Array, or comma separated text
+ * @returns {Array<string>}
+ */
+export function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : Array.isArray(tags) ? tags : [];
+  const seen = new Set();
+  const result = [];
+  for (const tag of list) {
+    const name = typeof tag === 'string' ? tag.trim() : '';
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    result.push(name);
+  }
+  return result;
+}
+
+/**
+ * Arranges groups into their folders
+ * @param {Array<{uuid: string, group: Object}>} entries - Groups in display order
+ * @returns {Object} Root folder node; each node is
+ *          { name, path, folders: Array<node>, entries: Array<entry>, members: Array<uuid> }
+ *          where `entries` are the groups directly in the folder and `members` every
+ *          group in it or its subfolders
+ */
+export function buildFolderTree(entries) {
+  const root = createFolderNode('', '');
+  for (const entry of entries) {
+    let node = root;
+    node.members.push(entry.uuid);
+    for (const name of parseFolderPath(entry.group.folder)) {
+      const path = node.path ? `${node.path} ${FOLDER_SEPARATOR} ${name}` : name;
+      let child = node.folders.find(folder => folder.path === path);
+      if (!child) {
+        child = createFolderNode(name, path);
+        node.folders.push(child);
+      }
+      node = child;
+      node.members.push(entry.uuid);
+    }
+    node.entries.push(entry);
+  }
+  sortFolders(root);
+  return root;
+}
+
+/**
+ * @param {Array<{uuid: string, group: Object}>} entries
+ * @returns {Array<{tag: string, members: Array<string>}>} Each tag with its groups, by tag name
+ */
+export function getTagMembers(entries) {
+  const tags = new Map();
+  for (const { uuid, group } of entries) {
+    for (const tag of normalizeTags(group.tags)) {
+      const key = tag.toLowerCase();
+      if (!tags.has(key)) tags.set(key, { tag, members: [] });
+      tags.get(key).members.push(uuid);
+    }
+  }
+  return [...tags.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * @param {Array<{uuid: string, group: Object}>} entries
+ * @returns {Array<string>} Every folder path in use, parents included
+ */
+export function getFolderPaths(entries) {
+  const paths = new Set();
+  for (const { group } of entries) {
+    const names = parseFolderPath(group.folder);
+    for (let depth = 1; depth <= names.length; depth++) {
+      paths.add(names.slice(0, depth).join(` ${FOLDER_SEPARATOR} `));
+    }
+  }
+  return [...paths].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * @param {Object} activeGroups - Group uuid -> boolean (groups without an entry are on)
+ * @param {Array<string>} members
+ * @returns {'on'|'off'|'mixed'}
+ */
+export function getMembersState(activeGroups, members) {
+  const onCount = members.filter(uuid => activeGroups[uuid] !== false).length;
+  if (onCount === members.length) return 'on';
+  return onCount === 0 ? 'off' : 'mixed';
+}
+
+function createFolderNode(name, path) {
+  return { name, path, folders: [], entries: [], members: [] };
+}
+
+function sortFolders(node) {
+  node.folders.sort((a, b) => a.name.localeCompare(b.name));
+  node.folders.forEach(sortFolders);
+}
@@ -0,0 +1,122 @@
+import { checkCoordinates } from './coordinates.js';
+import { createIdAssigner } from './poi-identity.js';
+
+/**
+ * Import reports.
+ * Every parser returns { pois, warnings, rejected }. Warnings and rejected entries
+ * are { row, line, reason, message }: row is the 1-based record in the source (CSV
+ * row, JSON item, GeoJSON feature, KML placemark or GPX point), line the source line
+ * when the format has one (CSV, otherwise null), and reason one of REPORT_REASONS.
+ */
+
+export const REPORT_REASONS = {
+  MISSING_COORDINATES: 'missing-coordinates',
+  INVALID_COORDINATES: 'invalid-coordinates',
+  OUT_OF_RANGE: 'out-of-range',
+  NULL_ISLAND: 'null-island',
+  DUPLICATE: 'duplicate',
+  MALFORMED_RECORD: 'malformed-record',
+  UNSUPPORTED_GEOMETRY: 'unsupported-geometry',
+  SWAPPED_COORDINATES: 'swapped-coordinates',
+  DUPLICATE_ID: 'duplicate-id'
+};
+
+// Entries kept when a report is stored on a group (lastSyncReport)
+const STORED_ENTRY_LIMIT = 100;
+
+/**
+ * Collects the POIs of one import together with its warnings and rejected records.
+ * accept() range-checks the POI's coordinates (correcting swapped pairs), rejects
+ * (0,0) points and exact duplicates (same name, coordinates and group as an earlier
+ * record) and gives each kept POI its stable id (see poi-identity.js).
+ * @returns {{accept: function(Object, Object): boolean, warn: function(Object, string, string),
+ *   reject: function(Object, string, string), result: function(): Object}}
+ */
+export function createImportReport() {
+  const pois = [];
+  const warnings = [];
+  const rejected = [];
+  const seen = new Map();
+  const assignId = createIdAssigner();
+
+  const entry = ({ row = null, line = null } = {}, reason, message) => ({ row, line, reason, message });
+
+  const warn = (location, reason, message) => {
+    warnings.push(entry(location, reason, message));
+  };
+
+  const reject = (location, reason, message) => {
+    rejected.push(entry(location, reason, message));
+  };
+
+  /**
+   * @param {Object} poi
+   * @param {{row: number, line: (number|undefined)}} location
+   * @returns {boolean} Whether the POI was kept
+   */
+  const accept = (poi, location) => {
+    delete poi.local; // User-local state, never taken from a source
+    const checked = checkCoordinates(parseFloat(poi.latitude), parseFloat(poi.longitude));
+    if (checked.error) {
+      reject(location, checked.reason, checked.error);
+      return false;
+    }
+    if (checked.swapped) {
+      warn(location, REPORT_REASONS.SWAPPED_COORDINATES,
+        `Latitude and longitude looked swapped (${poi.latitude}, ${poi.longitude}); corrected`);
+    }
+    poi.latitude = checked.latitude;
+    poi.longitude = checked.longitude;
+
+    if (poi.latitude === 0 && poi.longitude === 0) {
+      reject(location, REPORT_REASONS.NULL_ISLAND, 'Coordinates are 0,0 (usually a failed geocode)');
+      return false;
+    }
+
+    const key = [poi.name, poi.latitude.toFixed(6), poi.longitude.toFixed(6), poi.groupName || ''].join('|');
+    if (seen.has(key)) {
+      reject(location, REPORT_REASONS.DUPLICATE, `Duplicate of row ${seen.get(key)} ("${poi.name}")`);
+      return false;
+    }
+    seen.set(key, location?.row ?? pois.length + 1);
+
+    const { id, duplicate } = assignId(poi);
+    if (duplicate) {
+      warn(location, REPORT_REASONS.DUPLICATE_ID, `Id is used by an earlier row; kept as "${id}"`);
+    }
+
+    pois.push(poi);
+    return true;
+  };
+
+  return {
+    accept,
+    warn,
+    reject,
+    result: () => ({ pois, warnings, rejected })
+  };
+}
+
+/**
+ * Shrinks a report for storage (lastSyncReport) or display: counts plus the first
+ * entries of each list, without the POIs themselves.
+ * @param {{pois: Array, warnings: Array, rejected: Array}} report
+ * @returns {{imported: number, warningCount: number, rejectedCount: number, warnings: Array, rejected: Array}}
+ */
+export function summarizeReport(report) {
+  return {
+    imported: report.pois.length,
+    warningCount: report.warnings.length,
+    rejectedCount: report.rejected.length,
+    warnings: report.warnings.slice(0, STORED_ENTRY_LIMIT),
+    rejected: report.rejected.slice(0, STORED_ENTRY_LIMIT)
+  };
+}
+
+/**
+ * @param {Object|null} summary - Result of summarizeReport()
+ * @returns {boolean} Whether the report has anything worth showing
+ */
+export function hasReportIssues(summary) {
+  return !!summary && (summary.warningCount > 0 || summary.rejectedCount > 0);
+}
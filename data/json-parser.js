@@ -1,130 +1,155 @@
+import { guessMapping, validateMapping, getExtraColumns, MAPPING_FIELDS } from './column-mapping.js';
+import { getPathValue, selectRecords, findRecordsPath, listFieldPaths, parseFieldPath } from './field-path.js';
+import { normalizeCoordinates } from './coordinates.js';
+import { createImportReport, REPORT_REASONS } from './import-report.js';
+
+// Number of items sampled to collect field names
+const KEY_SAMPLE_SIZE = 20;
+
 /**
  * Parses JSON data into a structured format.
- * Handles flexible field names (case-insensitive, nested fields).
- * Validates required fields: latitude, longitude, name.
+ * Fields are assigned with options.mapping, or guessed from the keys of the first
+ * items (see column-mapping.js). Mapped fields may be paths into nested objects, and
+ * the mapping's recordsPath selects the items of a wrapped API response (see
+ * field-path.js). Without one, options.recordsPath or else guessRecordsPath() is used,
+ * as in the mapping wizard's preview. Validates required fields:
+ * latitude and longitude, or a combined coordinates field (see coordinates.js).
+ * @param {string} jsonString
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - Field mapping to use instead of guessing
+ * @param {string|null} [options.recordsPath] - Records path for mappings without one
+ *        (null: the top-level array or `pois`); guessed when undefined
+ * @returns {{pois: Array, warnings: Array, rejected: Array, recordsPath: (string|null|undefined)}}
+ * @throws {Error} When no record is a valid POI
+ *          Import report; rows are 1-based item indices. recordsPath is the path used
+ *          when the mapping had none, for the caller to keep for the next import.
  */
-export function parseJSON(jsonString) {
-  try {
-    const data = JSON.parse(jsonString);
-    let items = [];
-    
-    if (Array.isArray(data)) {
-      items = data;
-    } else if (data.pois && Array.isArray(data.pois)) {
-      items = data.pois;
-    } else if (typeof data === 'object' && data !== null) {
-      // Single object, treat as array with one item
-      items = [data];
-    } else {
-      throw new Error('JSON data is not in a recognized POI format (expected array or object with pois array).');
+export function parseJSON(jsonString, options = {}) {
+  const data = JSON.parse(jsonString);
+  const mappedPath = options.mapping?.recordsPath;
+  const guessedPath = mappedPath !== undefined ? undefined
+    : options.recordsPath !== undefined ? options.recordsPath : guessRecordsPath(data);
+  const recordsPath = mappedPath !== undefined ? mappedPath : guessedPath;
+  const items = recordsPath ? selectRecords(data, recordsPath) : getJSONItems(data);
+  const report = createImportReport();
+
+  if (items.length === 0) {
+    throw new Error('No valid POI records found in JSON data (no records)');
+  }
+
+  const sampleKeys = getJSONKeys(items);
+  const fieldMapping = options.mapping || guessMapping(sampleKeys,
+    items.slice(0, KEY_SAMPLE_SIZE).map(item => sampleKeys.map(key => getPathValue(item, key))));
+  validateMapping(fieldMapping, sampleKeys);
+  const extraKeys = new Set(getExtraColumns(fieldMapping, sampleKeys));
+  // A nested object with mapped fields is used up rather than kept as an extra field
+  for (const field of MAPPING_FIELDS) {
+    if (fieldMapping[field]) extraKeys.delete(getPathRoot(fieldMapping[field]));
+  }
+
+  items.forEach((item, index) => {
+    const location = { row: index + 1 };
+    if (!item || typeof item !== 'object') {
+      report.reject(location, REPORT_REASONS.MALFORMED_RECORD, 'Item is not an object');
+      return;
+    }
+    const { poi, error, reason } = normalizePoi(item, fieldMapping, extraKeys);
+    if (error) {
+      report.reject(location, reason, error);
+      return;
     }
+    report.accept(poi, location);
+  });
 
-    // Field mapping similar to CSV parser
-    const fieldMapping = {
-      latitude: null,
-      longitude: null,
-      name: null,
-      address: null,
-      groupName: null
-    };
-
-    // Sample first item to detect field names
-    if (items.length > 0) {
-      const sampleItem = items[0];
-      const sampleKeys = Object.keys(sampleItem);
-      
-      // Exact match first (case-insensitive)
-      for (const key of sampleKeys) {
-        const lowerKey = key.toLowerCase();
-        if (['latitude', 'lat'].includes(lowerKey)) fieldMapping.latitude = key;
-        if (['longitude', 'lng', 'long'].includes(lowerKey)) fieldMapping.longitude = key;
-        if (['name', 'title', 'place_name'].includes(lowerKey)) fieldMapping.name = key;
-        if (['address', 'addr', 'street'].includes(lowerKey)) fieldMapping.address = key;
-        if (['shullow group', 'shullow_group', 'shullow group name', 'shullow_group_name'].includes(lowerKey)) fieldMapping.groupName = key;
-      }
+  const result = report.result();
+  if (result.pois.length === 0) {
+    const { rejected } = result;
+    const detail = rejected.length > 0
+      ? ` (${rejected.length} records had errors, first in record ${rejected[0].row}: ${rejected[0].message})`
+      : '';
+    throw new Error(`No valid POI records found in JSON data${detail}`);
+  }
 
-      // Substring matching fallback
-      if (fieldMapping.latitude === null) {
-        const latKey = sampleKeys.find(k => k.toLowerCase().includes('lat'));
-        if (latKey) fieldMapping.latitude = latKey;
-      }
-      if (fieldMapping.longitude === null) {
-        const lngKey = sampleKeys.find(k => {
-          const lower = k.toLowerCase();
-          return lower.includes('lng') || lower.includes('long') || lower.includes('lon');
-        });
-        if (lngKey) fieldMapping.longitude = lngKey;
-      }
-      if (fieldMapping.address === null) {
-        const addrKey = sampleKeys.find(k => k.toLowerCase().includes('addr'));
-        if (addrKey) fieldMapping.address = addrKey;
-      }
-      if (fieldMapping.groupName === null) {
-        const groupKey = sampleKeys.find(k => {
-          const lower = k.toLowerCase();
-          return lower.includes('shullow') && lower.includes('group');
-        });
-        if (groupKey) fieldMapping.groupName = groupKey;
-      }
+  return { ...result, recordsPath: guessedPath };
+}
 
-      // First key as name fallback
-      if (fieldMapping.name === null && sampleKeys.length > 0) {
-        fieldMapping.name = sampleKeys[0];
-      }
+/**
+ * Returns the POI records of parsed JSON: a top-level array, a `pois` array, or a single object
+ * @param {any} data - Parsed JSON value
+ * @returns {Array}
+ */
+export function getJSONItems(data) {
+  if (Array.isArray(data)) {
+    return data;
+  } else if (data && Array.isArray(data.pois)) {
+    return data.pois;
+  } else if (typeof data === 'object' && data !== null) {
+    // Single object, treat as array with one item
+    return [data];
+  }
+  throw new Error('JSON data is not in a recognized POI format (expected array or object with pois array).');
+}
 
-      // Validate required fields
-      const missingFields = [];
-      if (fieldMapping.latitude === null) missingFields.push('latitude');
-      if (fieldMapping.longitude === null) missingFields.push('longitude');
-      if (fieldMapping.name === null) missingFields.push('name');
-
-      if (missingFields.length > 0) {
-        throw new Error(
-          `Missing required fields: ${missingFields.join(', ')}. ` +
-          `Available fields: ${sampleKeys.join(', ')}`
-        );
-      }
-    }
+/**
+ * Guesses the records path of parsed JSON (see findRecordsPath() in field-path.js).
+ * An object that has coordinate fields of its own is one POI, even with a list of
+ * objects inside it.
+ * @param {any} data - Parsed JSON value
+ * @returns {string|null}
+ */
+export function guessRecordsPath(data) {
+  const path = findRecordsPath(data);
+  if (!path) return null;
+  const mapping = guessMapping(Object.keys(data));
+  return mapping.coordinates || (mapping.latitude && mapping.longitude) ? null : path;
+}
+
+/**
+ * Collects field names and paths into nested objects from the first items, in
+ * first-seen order
+ * @param {Array} items
+ * @returns {Array<string>}
+ */
+export function getJSONKeys(items) {
+  return listFieldPaths(items.slice(0, KEY_SAMPLE_SIZE));
+}
 
-    return items
-      .filter(item => item && typeof item === 'object')
-      .map(item => normalizePoi(item, fieldMapping));
-  } catch (error) {
-    throw error;
+/**
+ * Returns the top-level key a field path starts with
+ */
+function getPathRoot(path) {
+  try {
+    return String(parseFieldPath(path)[0] ?? path);
+  } catch (e) {
+    return path; // A plain key that isn't a valid path
   }
 }
 
-function normalizePoi(poi, fieldMapping) {
-  const latitude = parseFloat(
-    poi[fieldMapping.latitude] || 
-    poi.position?.lat || 
-    poi.location?.lat || 
-    poi.coordinates?.[1]
-  );
-  
-  const longitude = parseFloat(
-    poi[fieldMapping.longitude] || 
-    poi.position?.lon || 
-    poi.position?.lng ||
-    poi.location?.lon || 
-    poi.location?.lng ||
-    poi.coordinates?.[0]
+/**
+ * Maps one item to a POI. Returns { poi } or { error, reason }.
+ */
+function normalizePoi(poi, fieldMapping, extraKeys) {
+  // Nested position/location/coordinates are used when the item has no mapped values
+  const value = (field) => fieldMapping[field] ? getPathValue(poi, fieldMapping[field]) : null;
+  const coordinates = normalizeCoordinates(
+    value('latitude'),
+    value('longitude'),
+    value('coordinates') ?? poi.position ?? poi.location ?? poi.coordinates
   );
 
-  // Validate numeric coordinates
-  if (isNaN(latitude) || isNaN(longitude)) {
-    return null;
+  if (coordinates.error) {
+    return coordinates;
   }
+  const { latitude, longitude } = coordinates;
 
-  const name = poi[fieldMapping.name] || 'Unnamed POI';
-  const address = poi[fieldMapping.address] || poi.address || null;
-  const groupName = fieldMapping.groupName && poi[fieldMapping.groupName] ? String(poi[fieldMapping.groupName]).trim() : null;
+  const name = value('name') || 'Unnamed POI';
+  const address = value('address') || null;
+  const groupName = value('groupName') ? String(value('groupName')).trim() : null;
 
   // Collect other fields
   const otherFields = {};
   for (const [key, value] of Object.entries(poi)) {
-    const lowerKey = key.toLowerCase();
-    if (!['latitude', 'lat', 'longitude', 'lng', 'long', 'name', 'title', 'place_name', 'address', 'addr', 'street', 'id', 'position', 'location', 'coordinates'].includes(lowerKey) && !lowerKey.includes('shullow')) {
+    if (extraKeys.has(key) && !['id', 'position', 'location', 'coordinates'].includes(key.toLowerCase())) {
       if (value !== null && value !== undefined && String(value).trim() !== '') {
         otherFields[key] = value;
       }
@@ -132,7 +157,8 @@ function normalizePoi(poi, fieldMapping) {
   }
 
   const result = {
-    id: poi.id || `poi_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    // Source id; the report hashes name and coordinates when there is none
+    id: value('id') ?? null,
     name: String(name).trim(),
     latitude,
     longitude,
@@ -144,5 +170,5 @@ function normalizePoi(poi, fieldMapping) {
     result.groupName = groupName;
   }
 
-  return result;
+  return { poi: result };
 }
@@ -0,0 +1,280 @@
+import { parseXML, childElements, firstChild, descendants, childText, textContent, localName, decodeEntities } from './xml-parser.js';
+import { listZipEntries, readZipEntry } from './zip-reader.js';
+import { createImportReport, REPORT_REASONS } from './import-report.js';
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Parses KML (e.g. a Google My Maps export) into POIs.
+ * Only Placemarks with a Point (also inside MultiGeometry) are imported. Each POI
+ * gets the innermost <Folder> name as its groupName, the same way the `shullow group`
+ * column splits CSV imports into groups. ExtendedData fields become POI fields.
+ * Placemarks without a Point are listed as rejected, with the 1-based placemark
+ * index as the row.
+ * @param {string} kmlString
+ * @returns {{pois: Array, warnings: Array, rejected: Array}} Import report (see import-report.js)
+ */
+export function parseKML(kmlString) {
+  return readKML(kmlString).report;
+}
+
+/**
+ * Parses a KMZ archive (zipped KML plus embedded icons).
+ * The most common placemark icon in each folder is returned as a data URL so it
+ * can become the group's logo. Ungrouped placemarks use the '' key.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<{pois: Array, warnings: Array, rejected: Array, groupIcons: Object<string, string>}>}
+ */
+export async function parseKMZ(buffer) {
+  const entries = listZipEntries(buffer);
+  const kmlEntry = entries.find(entry => entry.name.toLowerCase() === 'doc.kml') ||
+    entries.find(entry => entry.name.toLowerCase().endsWith('.kml'));
+
+  if (!kmlEntry) {
+    throw new Error('KMZ archive does not contain a KML document');
+  }
+
+  const kmlText = new TextDecoder().decode(await readZipEntry(buffer, kmlEntry));
+  const { report, groupIconHrefs } = readKML(kmlText);
+
+  const baseDir = kmlEntry.name.includes('/') ? kmlEntry.name.slice(0, kmlEntry.name.lastIndexOf('/') + 1) : '';
+  const groupIcons = {};
+
+  for (const [groupName, href] of Object.entries(groupIconHrefs)) {
+    const entry = findArchiveEntry(entries, href, baseDir);
+    if (!entry) continue;
+
+    const mimeType = IMAGE_TYPES[entry.name.split('.').pop().toLowerCase()];
+    if (!mimeType) continue;
+
+    try {
+      const bytes = await readZipEntry(buffer, entry);
+      groupIcons[groupName] = `data:${mimeType};base64,${bytesToBase64(bytes)}`;
+    } catch (error) {
+      console.warn(`KMZ import: could not read icon ${entry.name}`, error);
+    }
+  }
+
+  return { ...report, groupIcons };
+}
+
+/**
+ * Walks the KML tree collecting Point placemarks and the icon used by each group
+ */
+function readKML(kmlString) {
+  const document = parseXML(kmlString);
+  const root = firstChild(document, 'kml') || document;
+  const styleIcons = collectStyleIcons(root);
+
+  const report = createImportReport();
+  const iconCounts = {};
+  let placemarkCount = 0;
+
+  const walk = (node, folderName) => {
+    for (const child of node.children) {
+      const name = localName(child.name);
+
+      if (name === 'Folder') {
+        walk(child, childText(child, 'name') || folderName);
+      } else if (name === 'Document') {
+        walk(child, folderName);
+      } else if (name === 'Placemark') {
+        const location = { row: ++placemarkCount };
+        const poi = placemarkToPoi(child, folderName, placemarkCount - 1);
+        if (!poi) {
+          const label = childText(child, 'name') ? `Placemark "${childText(child, 'name')}"` : 'Placemark';
+          if (descendants(child, 'Point').length > 0) {
+            report.reject(location, REPORT_REASONS.INVALID_COORDINATES, `${label} has invalid Point coordinates`);
+          } else {
+            report.reject(location, REPORT_REASONS.UNSUPPORTED_GEOMETRY, `${label} has no Point geometry`);
+          }
+          continue;
+        }
+        if (!report.accept(poi, location)) continue;
+
+        const href = getPlacemarkIcon(child, styleIcons);
+        if (href) {
+          const groupKey = folderName || '';
+          if (!iconCounts[groupKey]) iconCounts[groupKey] = {};
+          iconCounts[groupKey][href] = (iconCounts[groupKey][href] || 0) + 1;
+        }
+      }
+    }
+  };
+
+  walk(root, null);
+
+  if (report.result().pois.length === 0) {
+    throw new Error('No Point placemarks found in KML');
+  }
+
+  // Pick the most used icon per group
+  const groupIconHrefs = {};
+  for (const [groupKey, counts] of Object.entries(iconCounts)) {
+    groupIconHrefs[groupKey] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  return { report: report.result(), groupIconHrefs };
+}
+
+function placemarkToPoi(placemark, folderName, index) {
+  const point = descendants(placemark, 'Point')[0];
+  const coordinates = childText(point, 'coordinates');
+  if (!coordinates) return null;
+
+  // KML order is lng,lat[,alt]
+  const parts = coordinates.trim().split(/\s+/)[0].split(',');
+  const longitude = parseFloat(parts[0]);
+  const latitude = parseFloat(parts[1]);
+  if (isNaN(latitude) || isNaN(longitude)) return null;
+
+  const name = childText(placemark, 'name');
+  const address = childText(placemark, 'address');
+  const description = htmlToText(childText(placemark, 'description'));
+
+  let groupName = folderName;
+  const otherFields = {};
+
+  for (const [key, value] of Object.entries(readExtendedData(placemark))) {
+    const lowerKey = key.toLowerCase();
+    if (value === '') continue;
+
+    if (lowerKey.includes('shullow') && lowerKey.includes('group')) {
+      if (!groupName) groupName = value;
+    } else if (['name', 'latitude', 'lat', 'longitude', 'lng', 'long'].includes(lowerKey)) {
+      continue;
+    } else {
+      otherFields[key] = value;
+    }
+  }
+
+  const result = {
+    name: name || `POI ${index + 1}`,
+    latitude,
+    longitude,
+    address: address || null,
+    ...otherFields
+  };
+
+  if (description) {
+    result.description = description;
+  }
+
+  if (parts.length > 2 && !isNaN(parseFloat(parts[2]))) {
+    result.elevation = parseFloat(parts[2]);
+  }
+
+  if (placemark.attributes.id) {
+    result.id = placemark.attributes.id;
+  }
+
+  if (groupName) {
+    result.groupName = groupName;
+  }
+
+  return result;
+}
+
+/**
+ * Reads <Data name><value> and <SchemaData><SimpleData name> pairs
+ */
+function readExtendedData(placemark) {
+  const fields = {};
+  const extendedData = firstChild(placemark, 'ExtendedData');
+  if (!extendedData) return fields;
+
+  for (const data of childElements(extendedData, 'Data')) {
+    const key = data.attributes.name;
+    if (key) fields[key] = childText(data, 'value') ?? '';
+  }
+
+  for (const schemaData of childElements(extendedData, 'SchemaData')) {
+    for (const simpleData of childElements(schemaData, 'SimpleData')) {
+      const key = simpleData.attributes.name;
+      if (key) fields[key] = textContent(simpleData);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Maps '#styleId' to the icon href of shared <Style> and <StyleMap> definitions.
+ * StyleMaps resolve to their "normal" pair.
+ */
+function collectStyleIcons(root) {
+  const icons = {};
+
+  for (const style of descendants(root, 'Style')) {
+    const href = getStyleIcon(style);
+    if (style.attributes.id && href) {
+      icons[`#${style.attributes.id}`] = href;
+    }
+  }
+
+  for (const styleMap of descendants(root, 'StyleMap')) {
+    if (!styleMap.attributes.id) continue;
+    const pairs = childElements(styleMap, 'Pair');
+    const normal = pairs.find(pair => childText(pair, 'key') === 'normal') || pairs[0];
+    if (!normal) continue;
+
+    const href = childText(normal, 'styleUrl')
+      ? icons[childText(normal, 'styleUrl')]
+      : getStyleIcon(firstChild(normal, 'Style'));
+    if (href) {
+      icons[`#${styleMap.attributes.id}`] = href;
+    }
+  }
+
+  return icons;
+}
+
+function getStyleIcon(style) {
+  const iconStyle = firstChild(style, 'IconStyle');
+  return childText(firstChild(iconStyle, 'Icon'), 'href');
+}
+
+function getPlacemarkIcon(placemark, styleIcons) {
+  const inline = getStyleIcon(firstChild(placemark, 'Style'));
+  if (inline) return inline;
+  const styleUrl = childText(placemark, 'styleUrl');
+  return styleUrl ? styleIcons[styleUrl] || null : null;
+}
+
+/**
+ * Resolves an icon href (relative to the KML file) to an archive entry
+ */
+function findArchiveEntry(entries, href, baseDir) {
+  if (/^[a-z]+:/i.test(href)) return null; // Remote icons are not embedded
+  const path = href.replace(/^\.\//, '');
+  return entries.find(entry => entry.name === baseDir + path) ||
+    entries.find(entry => entry.name === path) ||
+    null;
+}
+
+/**
+ * Placemark descriptions are usually HTML; keep line breaks, drop the markup
+ */
+function htmlToText(html) {
+  if (!html) return null;
+  const text = decodeEntities(
+    html.replace(/<br\s*\/?>/gi, '\n').replace(/<\/p>/gi, '\n').replace(/<[^>]*>/g, '')
+  ).replace(/\n{3,}/g, '\n\n').trim();
+  return text || null;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
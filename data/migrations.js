@@ -0,0 +1,241 @@
+import { generateUUID } from './data-manager.js';
+import { writePois } from './poi-store.js';
+
+/**
+ * Numbered migrations of chrome.storage.local.
+ * The stored `schemaVersion` says which migrations have run. The background worker
+ * calls runMigrations() when it starts: it saves a copy of the old data under
+ * `preMigrationBackup`, applies the pending migrations to a snapshot in memory and
+ * writes the result in one go, so the popup and content scripts only ever see the
+ * current layout. The copy holds every POI a second time, so it is removed on the next
+ * start that finds the data up to date, or by the trash purge once it is older than
+ * the trash retention period. Backups are migrated with the same steps before they
+ * are restored.
+ *
+ * Each migration takes the whole storage snapshot and changes it in place; POIs it
+ * moves out of chrome.storage go into `moved.pois` and are written to the POI store
+ * (poi-store.js) before the snapshot is stored. To change the storage layout, append
+ * a migration with the next version number.
+ */
+
+export const PRE_MIGRATION_BACKUP_KEY = 'preMigrationBackup';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Key groups by UUID instead of name',
+    migrate: migrateGroupsToUUIDs
+  },
+  {
+    version: 2,
+    name: 'Move groups into a Default profile',
+    migrate: migrateGroupsToProfiles
+  },
+  {
+    version: 3,
+    name: 'Remove the global group store and migration flags',
+    migrate: (data) => {
+      delete data.poiGroups;
+      delete data._uuidMigrated;
+      delete data._profilesInitialized;
+    }
+  },
+  {
+    version: 4,
+    name: 'Move POIs to IndexedDB',
+    migrate: movePoisToStore
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Returns the schema version of stored data. Data from before schema versions is
+ * placed by the flags the old ad-hoc migrations left behind.
+ * @param {Object} data - Storage values (schemaVersion, _uuidMigrated, _profilesInitialized)
+ * @returns {number}
+ */
+export function getSchemaVersion(data) {
+  if (Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+  if (data._profilesInitialized) return 2;
+  if (data._uuidMigrated) return 1;
+  return 0;
+}
+
+/**
+ * Applies the pending migrations to a copy of a storage snapshot
+ * @param {Object} data - Storage snapshot
+ * @returns {{data: Object, applied: Array<number>, pois: Object<string, Object<string, Array>>}}
+ *          Migrated snapshot, the versions applied and the POIs moved out of it
+ *          (profile uuid -> group uuid -> POIs)
+ * @throws {Error} When the data comes from a newer schema than this extension knows
+ */
+export function migrateSnapshot(data) {
+  const fromVersion = getSchemaVersion(data);
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Data schema version ${fromVersion} is newer than this extension supports (${SCHEMA_VERSION})`);
+  }
+
+  const snapshot = structuredClone(data);
+  const applied = [];
+  const moved = { pois: {} };
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+    migration.migrate(snapshot, moved);
+    applied.push(migration.version);
+  }
+  snapshot.schemaVersion = SCHEMA_VERSION;
+  return { data: snapshot, applied, pois: moved.pois };
+}
+
+/**
+ * Upgrades chrome.storage.local to the current schema, once. Safe to call on every
+ * start: stored data that is up to date is only read for its version, and the
+ * pre-migration backup of an earlier start is removed.
+ * @returns {Promise<{fromVersion: number, applied: Array<number>}>}
+ */
+export async function runMigrations() {
+  const flags = await chrome.storage.local.get(['schemaVersion', '_uuidMigrated', '_profilesInitialized', PRE_MIGRATION_BACKUP_KEY]);
+  const fromVersion = getSchemaVersion(flags);
+  if (fromVersion >= SCHEMA_VERSION) {
+    if (fromVersion > SCHEMA_VERSION) {
+      console.warn(`[Migrations] Stored schema version ${fromVersion} is newer than ${SCHEMA_VERSION}, leaving data as is`);
+    } else if (flags[PRE_MIGRATION_BACKUP_KEY]) {
+      // The migrated data has made it through a restart: the old copy is no longer needed
+      await chrome.storage.local.remove(PRE_MIGRATION_BACKUP_KEY);
+    }
+    return { fromVersion, applied: [] };
+  }
+
+  const { [PRE_MIGRATION_BACKUP_KEY]: previousBackup, ...storage } = await chrome.storage.local.get(null);
+  const { data, applied, pois } = migrateSnapshot(storage);
+
+  try {
+    await chrome.storage.local.set({
+      [PRE_MIGRATION_BACKUP_KEY]: { schemaVersion: fromVersion, createdAt: new Date().toISOString(), storage }
+    });
+  } catch (error) {
+    // A full storage quota shouldn't leave the data in a layout nothing reads anymore
+    console.error('[Migrations] Could not save the pre-migration backup:', error);
+  }
+
+  // Stored data stays on the old version until every moved POI is in place
+  for (const [profileUuid, poisByGroup] of Object.entries(pois)) {
+    await writePois(profileUuid, poisByGroup);
+  }
+
+  // One set() applies every migrated key together; keys the migrations dropped go afterwards
+  await chrome.storage.local.set(data);
+  const removedKeys = Object.keys(storage).filter(key => !(key in data));
+  if (removedKeys.length > 0) {
+    await chrome.storage.local.remove(removedKeys);
+  }
+
+  console.log(`[Migrations] Upgraded storage from schema version ${fromVersion} to ${SCHEMA_VERSION} (applied ${applied.join(', ')})`);
+  return { fromVersion, applied };
+}
+
+/**
+ * Removes the pre-migration backup when it was made before a time
+ * @param {number} createdBefore - Timestamp (ms)
+ * @returns {Promise<boolean>} Whether a backup was removed
+ */
+export async function removePreMigrationBackup(createdBefore) {
+  const { [PRE_MIGRATION_BACKUP_KEY]: backup } = await chrome.storage.local.get([PRE_MIGRATION_BACKUP_KEY]);
+  if (!backup || !(Date.parse(backup.createdAt) < createdBefore)) return false;
+  await chrome.storage.local.remove(PRE_MIGRATION_BACKUP_KEY);
+  return true;
+}
+
+/**
+ * Version 1: re-keys the global `poiGroups` (and their active flags and styles) from
+ * group names to UUIDs
+ */
+function migrateGroupsToUUIDs(data) {
+  const oldPoiGroups = data.poiGroups || {};
+  const oldPreferences = data.preferences || {};
+  const oldActiveGroups = data.activeGroups || {};
+  const oldGroupStyles = oldPreferences.groupStyles || {};
+
+  // Check if this is old format (keys are group names, not UUIDs)
+  const keys = Object.keys(oldPoiGroups);
+  if (keys.length === 0) return;
+
+  // Check if already in UUID format (UUIDs contain hyphens and are 36 chars)
+  const isUUID = keys[0].length === 36 && keys[0].includes('-');
+  if (isUUID) return;
+
+  const newPoiGroups = {};
+  const newActiveGroups = {};
+  const newGroupStyles = {};
+
+  for (const [oldName, pois] of Object.entries(oldPoiGroups)) {
+    const uuid = generateUUID();
+
+    newPoiGroups[uuid] = {
+      name: oldName,
+      pois: Array.isArray(pois) ? pois : []
+    };
+
+    // Migrate active status
+    newActiveGroups[uuid] = oldActiveGroups[oldName] !== false;
+
+    // Migrate styles
+    if (oldGroupStyles[oldName]) {
+      newGroupStyles[uuid] = oldGroupStyles[oldName];
+    }
+  }
+
+  data.poiGroups = newPoiGroups;
+  data.preferences = { ...oldPreferences, groupStyles: newGroupStyles };
+  data.activeGroups = newActiveGroups;
+}
+
+/**
+ * Version 2: moves the global `poiGroups` into a new "Default" profile's per-profile
+ * storage. Also creates that profile on a fresh install.
+ */
+function migrateGroupsToProfiles(data) {
+  if (data.profiles && Object.keys(data.profiles).length > 0) return;
+
+  const poiGroups = data.poiGroups || {};
+  const groupUuids = Object.keys(poiGroups);
+  const groupStyles = data.preferences?.groupStyles || {};
+  const defaultProfileUuid = generateUUID();
+
+  const groups = {};
+  for (const uuid of groupUuids) {
+    groups[uuid] = {
+      uuid: uuid,
+      ...poiGroups[uuid]
+    };
+  }
+
+  data.profiles = {
+    [defaultProfileUuid]: {
+      uuid: defaultProfileUuid,
+      name: 'Default',
+      createdDate: Date.now(),
+      groups,
+      groupStyles: groupUuids.length > 0 ? groupStyles : {}
+    }
+  };
+  data.activeProfile = defaultProfileUuid;
+}
+
+/**
+ * Version 4: moves each group's `pois` out of `profiles` into the POI store, leaving
+ * a `poiCount`
+ */
+function movePoisToStore(data, moved) {
+  for (const [profileUuid, profile] of Object.entries(data.profiles || {})) {
+    for (const [groupUuid, group] of Object.entries(profile.groups || {})) {
+      const pois = Array.isArray(group.pois) ? group.pois : [];
+      if (pois.length > 0) {
+        (moved.pois[profileUuid] ||= {})[groupUuid] = pois;
+      }
+      group.poiCount = pois.length;
+      delete group.pois;
+    }
+  }
+}
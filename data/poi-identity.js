@@ -0,0 +1,180 @@
+/**
+ * Stable POI identity and merging.
+ * Every imported POI gets a deterministic `id`: the value of the source's id column
+ * when it has one (see the `id` mapping field), otherwise a hash of its name and
+ * coordinates rounded to COORDINATE_PRECISION decimals. Re-importing or syncing the
+ * same source therefore produces the same ids, and mergePois() can carry per-POI
+ * user state across imports. That state lives in `poi.local`, which sources never write:
+ * `local.edits` holds the fields changed in the POI editor, which win over the source.
+ */
+
+// 5 decimals is about 1 m, so re-geocoding noise doesn't change a POI's identity
+const COORDINATE_PRECISION = 5;
+
+/**
+ * Returns the name/coordinate key of a POI, used when the source has no ids
+ * @param {Object} poi
+ * @returns {string}
+ */
+export function computePoiKey(poi) {
+  const latitude = Number(poi.latitude).toFixed(COORDINATE_PRECISION);
+  const longitude = Number(poi.longitude).toFixed(COORDINATE_PRECISION);
+  const name = String(poi.name ?? '').trim().toLowerCase();
+  return `poi_${hashString(`${name}|${latitude}|${longitude}`)}`;
+}
+
+/**
+ * Returns a POI's id; POIs stored before ids were stable fall back to their key
+ * @param {Object} poi
+ * @returns {string}
+ */
+export function getPoiId(poi) {
+  return poi.id !== null && poi.id !== undefined && String(poi.id) !== '' ? String(poi.id) : computePoiKey(poi);
+}
+
+/**
+ * Tracks the ids handed out during one import so repeated ids get a suffix
+ * (`~2`, `~3`, ...) in source order instead of colliding.
+ * @returns {function(Object): {id: string, duplicate: boolean}} Assigns poi.id; duplicate
+ *          is set when the source's own id was already used
+ */
+export function createIdAssigner() {
+  const counts = new Map();
+
+  return (poi) => {
+    const hasSourceId = poi.id !== null && poi.id !== undefined && String(poi.id).trim() !== '';
+    const baseId = hasSourceId ? String(poi.id).trim() : computePoiKey(poi);
+    const count = (counts.get(baseId) || 0) + 1;
+    counts.set(baseId, count);
+
+    poi.id = count === 1 ? baseId : `${baseId}~${count}`;
+    return { id: poi.id, duplicate: hasSourceId && count > 1 };
+  };
+}
+
+/**
+ * Merges a fresh import into a group's current POIs.
+ * POIs are matched by id, then by name/coordinate key (POIs stored before ids were
+ * stable), then by name among the leftovers when the name is unique on both sides,
+ * which catches a moved POI whose id is a coordinate hash. The merged list follows
+ * the import's order and takes every source field from the import, except the fields
+ * the user edited; a matched POI keeps its `local` object. Incoming POIs whose id the
+ * user deleted are left out.
+ * @param {Array} existingPois - The group's current POIs
+ * @param {Array} incomingPois - Parsed POIs with ids (see createIdAssigner)
+ * @param {Array<string>} [deletedIds] - Ids of POIs deleted in the editor (group.deletedPoiIds)
+ * @returns {{pois: Array, added: Array, changed: Array, moved: Array<{poi: Object, from: Object}>, removed: Array}}
+ *          Merged POIs, and the POIs per kind of change (moved POIs are not also in changed)
+ */
+export function mergePois(existingPois, incomingPois, deletedIds = []) {
+  const existingList = existingPois || [];
+  const deleted = new Set((deletedIds || []).map(String));
+  const incomingList = deleted.size > 0 ? incomingPois.filter(poi => !deleted.has(String(poi.id))) : incomingPois;
+  const matches = new Map();
+  const matched = new Set();
+  const match = (incoming, existing) => {
+    matches.set(incoming, existing);
+    matched.add(existing);
+  };
+
+  // Match by id first, so a new POI can't claim an existing one by key
+  const byId = new Map();
+  for (const poi of existingList) {
+    if (poi.id !== undefined && poi.id !== null) byId.set(String(poi.id), poi);
+  }
+  for (const incoming of incomingList) {
+    const existing = byId.get(String(incoming.id));
+    if (existing && !matched.has(existing)) match(incoming, existing);
+  }
+
+  const byKey = new Map();
+  for (const poi of existingList) {
+    if (!matched.has(poi)) byKey.set(computePoiKey(poi), poi);
+  }
+  for (const incoming of incomingList) {
+    if (matches.has(incoming)) continue;
+    const existing = byKey.get(computePoiKey(incoming));
+    if (existing && !matched.has(existing)) match(incoming, existing);
+  }
+
+  const leftoverExisting = uniqueByName(existingList.filter(poi => !matched.has(poi)));
+  const leftoverIncoming = uniqueByName(incomingList.filter(poi => !matches.has(poi)));
+  for (const [name, incoming] of leftoverIncoming) {
+    const existing = leftoverExisting.get(name);
+    if (existing) match(incoming, existing);
+  }
+
+  const pois = [];
+  const added = [];
+  const changed = [];
+  const moved = [];
+
+  for (const incoming of incomingList) {
+    const existing = matches.get(incoming);
+    if (!existing) {
+      added.push(incoming);
+      pois.push(incoming);
+      continue;
+    }
+
+    const merged = existing.local ? { ...incoming, ...existing.local.edits, local: existing.local } : incoming;
+    if (hasMoved(existing, merged)) {
+      moved.push({ poi: merged, from: existing });
+    } else if (!haveSameSourceFields(existing, merged)) {
+      changed.push(merged);
+    }
+    pois.push(merged);
+  }
+
+  const removed = existingList.filter(poi => !matched.has(poi));
+
+  return { pois, added, changed, moved, removed };
+}
+
+/**
+ * Maps lowercase names to POIs, leaving out names used more than once
+ */
+function uniqueByName(pois) {
+  const byName = new Map();
+  const repeated = new Set();
+  for (const poi of pois) {
+    const name = String(poi.name ?? '').trim().toLowerCase();
+    if (byName.has(name)) repeated.add(name);
+    byName.set(name, poi);
+  }
+  repeated.forEach(name => byName.delete(name));
+  return byName;
+}
+
+function hasMoved(before, after) {
+  return Number(before.latitude).toFixed(COORDINATE_PRECISION) !== Number(after.latitude).toFixed(COORDINATE_PRECISION) ||
+    Number(before.longitude).toFixed(COORDINATE_PRECISION) !== Number(after.longitude).toFixed(COORDINATE_PRECISION);
+}
+
+/**
+ * Compares everything but user-local state (`local`) and runtime fields (`_` prefix)
+ */
+function haveSameSourceFields(a, b) {
+  const sourceFields = (poi) => Object.keys(poi)
+    .filter(key => key !== 'local' && !key.startsWith('_'))
+    .sort()
+    .map(key => [key, poi[key]]);
+  return JSON.stringify(sourceFields(a)) === JSON.stringify(sourceFields(b));
+}
+
+/**
+ * 53-bit string hash (cyrb53), base 36. Wider than the djb2 content hashes so ids
+ * of large sources don't collide.
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
@@ -0,0 +1,207 @@
+/**
+ * POI storage in IndexedDB.
+ * `profiles` in chrome.storage.local keeps the group metadata (name, sync settings,
+ * `poiCount`, ...); the POIs themselves are stored here per profile and group, split
+ * into chunks of CHUNK_SIZE so that writing one group doesn't rewrite every other
+ * group, and a very large group isn't one huge record.
+ * IndexedDB belongs to the origin, so only extension pages (popup, background worker)
+ * can use this module. Content scripts ask the background worker (`get-group-pois`).
+ * Writers store POIs before the metadata that refers to them, because the content
+ * scripts reload on changes to `profiles`.
+ */
+
+const DB_NAME = 'shullow-pois';
+const DB_VERSION = 1;
+const CHUNK_STORE = 'chunks';
+
+export const CHUNK_SIZE = 2000;
+
+let database = null;
+
+/**
+ * Opens the database once per page/worker
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        // One record per chunk: { profile, group, index, pois }
+        request.result.createObjectStore(CHUNK_STORE, { keyPath: ['profile', 'group', 'index'] });
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          database = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        database = null;
+        reject(request.error);
+      };
+    });
+  }
+  return database;
+}
+
+/**
+ * Runs work(store) in one transaction. work may return a function that reads the
+ * transaction's result once it has completed. If work throws (e.g. a POI that can't
+ * be cloned), the transaction is aborted so none of its requests are applied.
+ */
+async function runTransaction(mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CHUNK_STORE, mode);
+    let read;
+    try {
+      read = work(transaction.objectStore(CHUNK_STORE));
+    } catch (error) {
+      transaction.abort();
+      reject(error);
+      return;
+    }
+    transaction.oncomplete = () => resolve(typeof read === 'function' ? read() : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('POI store transaction aborted'));
+  });
+}
+
+function groupRange(profileUuid, groupUuid) {
+  return IDBKeyRange.bound([profileUuid, groupUuid, 0], [profileUuid, groupUuid, Infinity]);
+}
+
+// Arrays sort after strings, so [uuid, []] is above every key of the profile
+function profileRange(profileUuid) {
+  return IDBKeyRange.bound([profileUuid], [profileUuid, []]);
+}
+
+function putChunks(store, profileUuid, groupUuid, pois) {
+  store.delete(groupRange(profileUuid, groupUuid));
+  for (let start = 0, index = 0; start < pois.length; start += CHUNK_SIZE, index++) {
+    store.put({ profile: profileUuid, group: groupUuid, index, pois: pois.slice(start, start + CHUNK_SIZE) });
+  }
+}
+
+/**
+ * @param {string} profileUuid
+ * @param {string} groupUuid
+ * @returns {Promise<Array>} The group's POIs (empty when it has none)
+ */
+export async function getGroupPois(profileUuid, groupUuid) {
+  return runTransaction('readonly', (store) => {
+    const request = store.getAll(groupRange(profileUuid, groupUuid));
+    return () => request.result.flatMap(chunk => chunk.pois);
+  });
+}
+
+/**
+ * Reads the POIs of several groups of a profile in one transaction
+ * @param {string} profileUuid
+ * @param {Array<string>} groupUuids
+ * @returns {Promise<Object<string, Array>>} Group uuid -> POIs
+ */
+export async function getProfilePois(profileUuid, groupUuids) {
+  return runTransaction('readonly', (store) => {
+    const requests = groupUuids.map(groupUuid => [groupUuid, store.getAll(groupRange(profileUuid, groupUuid))]);
+    return () => Object.fromEntries(requests.map(([groupUuid, request]) =>
+      [groupUuid, request.result.flatMap(chunk => chunk.pois)]));
+  });
+}
+
+/**
+ * Reads every stored POI
+ * @returns {Promise<Object<string, Object<string, Array>>>} Profile uuid -> group uuid -> POIs
+ */
+export async function getAllPois() {
+  return runTransaction('readonly', (store) => {
+    const request = store.getAll();
+    return () => {
+      const pois = {};
+      for (const chunk of request.result) {
+        const groups = pois[chunk.profile] ||= {};
+        (groups[chunk.group] ||= []).push(...chunk.pois);
+      }
+      return pois;
+    };
+  });
+}
+
+/**
+ * Replaces the POIs of a group
+ * @param {string} profileUuid
+ * @param {string} groupUuid
+ * @param {Array} pois
+ * @returns {Promise<void>}
+ */
+export async function setGroupPois(profileUuid, groupUuid, pois) {
+  return writePois(profileUuid, { [groupUuid]: pois });
+}
+
+/**
+ * Replaces the POIs of several groups of a profile in one transaction
+ * @param {string} profileUuid
+ * @param {Object<string, Array>} poisByGroup - Group uuid -> POIs
+ * @returns {Promise<void>}
+ */
+export async function writePois(profileUuid, poisByGroup) {
+  if (Object.keys(poisByGroup).length === 0) return;
+  return runTransaction('readwrite', (store) => {
+    for (const [groupUuid, pois] of Object.entries(poisByGroup)) {
+      putChunks(store, profileUuid, groupUuid, pois);
+    }
+  });
+}
+
+/**
+ * Writes the POIs of several profiles in one transaction: if any write fails, none
+ * is stored and the previous POIs stay as they were
+ * @param {Object<string, Object<string, Array>>} poisByProfile - Profile uuid -> group uuid -> POIs
+ * @param {Object} [options]
+ * @param {boolean} [options.clear] - Delete every stored POI first
+ * @param {Object<string, Array<string>>} [options.deleteGroups] - Profile uuid -> group uuids
+ *        whose POIs are deleted first
+ * @returns {Promise<void>}
+ */
+export async function replacePois(poisByProfile, { clear = false, deleteGroups = {} } = {}) {
+  return runTransaction('readwrite', (store) => {
+    if (clear) store.clear();
+    for (const [profileUuid, groupUuids] of Object.entries(deleteGroups)) {
+      for (const groupUuid of groupUuids) {
+        store.delete(groupRange(profileUuid, groupUuid));
+      }
+    }
+    for (const [profileUuid, poisByGroup] of Object.entries(poisByProfile)) {
+      for (const [groupUuid, pois] of Object.entries(poisByGroup)) {
+        putChunks(store, profileUuid, groupUuid, pois);
+      }
+    }
+  });
+}
+
+/**
+ * @param {string} profileUuid
+ * @param {Array<string>} groupUuids
+ * @returns {Promise<void>}
+ */
+export async function deleteGroupPois(profileUuid, groupUuids) {
+  if (groupUuids.length === 0) return;
+  return runTransaction('readwrite', (store) => {
+    for (const groupUuid of groupUuids) {
+      store.delete(groupRange(profileUuid, groupUuid));
+    }
+  });
+}
+
+/**
+ * @param {string} profileUuid
+ * @returns {Promise<void>}
+ */
+export async function deleteProfilePois(profileUuid) {
+  return runTransaction('readwrite', (store) => {
+    store.delete(profileRange(profileUuid));
+  });
+}
@@ -0,0 +1,139 @@
+/**
+ * Fetching of remote POI sources (URL-backed groups).
+ * Shared by the popup (initial import) and the background worker (sync).
+ *
+ * Private sources take a request configuration, stored per URL under
+ * `sourceRequests` (see getSourceRequest in data-manager.js), apart from the
+ * profiles so exports never include it:
+ *   { method: 'GET'|'POST', headers: { name: value }, body: string,
+ *     auth: { type: 'none'|'bearer'|'basic', token, username, password } }
+ */
+
+export const REQUEST_METHODS = ['GET', 'POST'];
+export const AUTH_TYPES = ['none', 'bearer', 'basic'];
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Fetches a source URL and returns the response body as text.
+ * @param {string} url
+ * @param {Object|null} [request] - Request configuration
+ * @returns {Promise<string>}
+ * @throws {Error} With the HTTP status or network error message
+ */
+export async function fetchSourceText(url, request = null) {
+  return (await fetchSource(url, {}, request)).text;
+}
+
+/**
+ * Fetches a source URL, conditionally when validators from an earlier response
+ * are given. A 304 answer resolves to { notModified: true }.
+ * @param {string} url
+ * @param {Object} [validators]
+ * @param {string|null} [validators.etag] - ETag header of the last response
+ * @param {string|null} [validators.lastModified] - Last-Modified header of the last response
+ * @param {Object|null} [request] - Request configuration
+ * @returns {Promise<{notModified: true}|{notModified: false, text: string, etag: (string|null), lastModified: (string|null)}>}
+ * @throws {Error} With `status` (HTTP status, absent for network errors) and
+ *         `retryAfter` (ms from a Retry-After header, or null)
+ */
+export async function fetchSource(url, validators = {}, request = null) {
+  const init = buildRequestInit(request);
+  if (validators.etag) init.headers['If-None-Match'] = validators.etag;
+  if (validators.lastModified) init.headers['If-Modified-Since'] = validators.lastModified;
+
+  // no-cache: revalidate with the server ourselves instead of trusting the HTTP cache
+  const response = await fetch(url, { ...init, cache: 'no-cache' });
+
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.status = response.status;
+    error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    throw error;
+  }
+
+  return {
+    notModified: false,
+    text: await response.text(),
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified')
+  };
+}
+
+/**
+ * Checks a request configuration and returns it normalized, or null when it
+ * changes nothing (plain GET without headers or auth).
+ * @param {Object} request
+ * @returns {Object|null}
+ * @throws {Error} On an unknown method/auth type, a bad header name or missing credentials
+ */
+export function normalizeRequest(request) {
+  const method = (request?.method || 'GET').toUpperCase();
+  if (!REQUEST_METHODS.includes(method)) throw new Error(`Unsupported method ${method}`);
+
+  const headers = {};
+  for (const [name, value] of Object.entries(request?.headers || {})) {
+    if (!HEADER_NAME.test(name)) throw new Error(`Invalid header name "${name}"`);
+    headers[name] = String(value);
+  }
+
+  const type = request?.auth?.type || 'none';
+  if (!AUTH_TYPES.includes(type)) throw new Error(`Unsupported auth type ${type}`);
+  let auth = { type: 'none' };
+  if (type === 'bearer') {
+    if (!request.auth.token) throw new Error('Bearer auth needs a token');
+    auth = { type, token: request.auth.token };
+  } else if (type === 'basic') {
+    if (!request.auth.username) throw new Error('Basic auth needs a username');
+    auth = { type, username: request.auth.username, password: request.auth.password || '' };
+  }
+
+  const body = method === 'POST' ? request.body || '' : '';
+  if (method === 'GET' && Object.keys(headers).length === 0 && auth.type === 'none') return null;
+  return { method, headers, body, auth };
+}
+
+/**
+ * Turns a request configuration into fetch() options
+ */
+function buildRequestInit(request) {
+  const init = { method: request?.method || 'GET', headers: { ...(request?.headers || {}) } };
+  const auth = request?.auth;
+
+  if (auth?.type === 'bearer') {
+    init.headers.Authorization = `Bearer ${auth.token}`;
+  } else if (auth?.type === 'basic') {
+    // btoa only takes Latin-1, so encode the credentials as UTF-8 first
+    const credentials = new TextEncoder().encode(`${auth.username}:${auth.password || ''}`);
+    init.headers.Authorization = `Basic ${btoa(String.fromCharCode(...credentials))}`;
+  }
+
+  if (init.method === 'POST' && request.body) {
+    init.body = request.body;
+  }
+  return init;
+}
+
+/**
+ * Whether a fetch error is worth retrying: network failures, timeouts, rate
+ * limiting (429) and server errors. Other HTTP errors (404, 403, ...) are not.
+ * @param {Error} error - Error thrown by fetchSource()
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error.status === undefined) return true;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Converts a Retry-After header (seconds or an HTTP date) to milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
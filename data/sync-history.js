@@ -0,0 +1,52 @@
+/**
+ * Per-group sync change log.
+ * Every sync that finds new content appends an entry to `group.syncHistory`
+ * (newest first, at most SYNC_HISTORY_LIMIT entries):
+ *   { timestamp, poiCount, counts: { added, removed, moved, changed },
+ *     added: [{ id, name }], removed: [...], changed: [...],
+ *     moved: [{ id, name, from: [lat, lng], to: [lat, lng] }] }
+ * The lists name at most SYNC_HISTORY_ITEM_LIMIT POIs each; counts are always complete.
+ */
+
+export const SYNC_HISTORY_LIMIT = 20;
+const SYNC_HISTORY_ITEM_LIMIT = 50;
+
+/**
+ * Builds a history entry from a mergePois() result
+ * @param {{pois: Array, added: Array, changed: Array, moved: Array, removed: Array}} merge
+ * @param {number} timestamp
+ * @returns {Object} History entry
+ */
+export function createSyncHistoryEntry(merge, timestamp) {
+  const describe = (poi) => ({ id: poi.id ?? null, name: poi.name ?? '' });
+  const position = (poi) => [Number(poi.latitude), Number(poi.longitude)];
+
+  return {
+    timestamp,
+    poiCount: merge.pois.length,
+    counts: {
+      added: merge.added.length,
+      removed: merge.removed.length,
+      moved: merge.moved.length,
+      changed: merge.changed.length
+    },
+    added: merge.added.slice(0, SYNC_HISTORY_ITEM_LIMIT).map(describe),
+    removed: merge.removed.slice(0, SYNC_HISTORY_ITEM_LIMIT).map(describe),
+    moved: merge.moved.slice(0, SYNC_HISTORY_ITEM_LIMIT).map(({ poi, from }) => ({
+      ...describe(poi),
+      from: position(from),
+      to: position(poi)
+    })),
+    changed: merge.changed.slice(0, SYNC_HISTORY_ITEM_LIMIT).map(describe)
+  };
+}
+
+/**
+ * Returns the history with the entry added in front, trimmed to SYNC_HISTORY_LIMIT
+ * @param {Array|undefined} history
+ * @param {Object} entry
+ * @returns {Array}
+ */
+export function appendSyncHistory(history, entry) {
+  return [entry, ...(history || [])].slice(0, SYNC_HISTORY_LIMIT);
+}
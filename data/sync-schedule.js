@@ -0,0 +1,76 @@
+/**
+ * Per-group sync schedules.
+ * A URL-backed group syncs on its own `syncInterval` (minutes) while `syncEnabled`
+ * is set; each such group has a repeating chrome.alarms alarm named by
+ * getSyncAlarmName(). Shared by the background worker (scheduling) and the popup
+ * (interval picker, next sync time).
+ */
+
+export const SYNC_ALARM_PREFIX = 'shullow-sync:';
+
+// Groups from before per-group schedules synced daily
+export const DEFAULT_SYNC_INTERVAL = 1440;
+
+/** Choices offered in the popup; 0 means manual (syncEnabled: false) */
+export const SYNC_INTERVALS = [
+  [0, 'Manual'],
+  [60, 'Hourly'],
+  [360, 'Every 6 hours'],
+  [1440, 'Daily'],
+  [10080, 'Weekly']
+];
+
+/**
+ * @param {string} profileUuid
+ * @param {string} groupUuid
+ * @returns {string}
+ */
+export function getSyncAlarmName(profileUuid, groupUuid) {
+  return `${SYNC_ALARM_PREFIX}${profileUuid}:${groupUuid}`;
+}
+
+/**
+ * @param {string} alarmName
+ * @returns {{profileUuid: string, groupUuid: string}|null} null for other alarms
+ */
+export function parseSyncAlarmName(alarmName) {
+  if (!alarmName.startsWith(SYNC_ALARM_PREFIX)) return null;
+  const [profileUuid, groupUuid] = alarmName.slice(SYNC_ALARM_PREFIX.length).split(':');
+  return profileUuid && groupUuid ? { profileUuid, groupUuid } : null;
+}
+
+/**
+ * Returns a group's sync interval in minutes, or 0 when it only syncs manually
+ * @param {Object} group
+ * @returns {number}
+ */
+export function getSyncInterval(group) {
+  if (!group?.sourceUrl || !group.syncEnabled) return 0;
+  return group.syncInterval > 0 ? group.syncInterval : DEFAULT_SYNC_INTERVAL;
+}
+
+/**
+ * Tells whether a change of `profiles` touches any sync schedule, i.e. the interval
+ * getSyncInterval() reads from a group's sourceUrl, syncEnabled and syncInterval,
+ * or a scheduled group added or removed. Renames, toggles and the syncs' own
+ * metadata writes leave the alarms alone.
+ * @param {Object} [oldProfiles]
+ * @param {Object} [newProfiles]
+ * @returns {boolean}
+ */
+export function hasScheduleChanged(oldProfiles = {}, newProfiles = {}) {
+  const intervals = (profiles) => {
+    const byAlarm = new Map();
+    for (const [profileUuid, profile] of Object.entries(profiles)) {
+      for (const [groupUuid, group] of Object.entries(profile.groups || {})) {
+        const interval = getSyncInterval(group);
+        if (interval) byAlarm.set(getSyncAlarmName(profileUuid, groupUuid), interval);
+      }
+    }
+    return byAlarm;
+  };
+
+  const before = intervals(oldProfiles);
+  const after = intervals(newProfiles);
+  return before.size !== after.size || [...after].some(([name, interval]) => before.get(name) !== interval);
+}
@@ -0,0 +1,193 @@
+import { deleteGroupPois, deleteProfilePois } from './poi-store.js';
+
+/**
+ * Trash for deleted groups and profiles.
+ * Deleting moves the metadata out of `profiles` into `trash` (newest first) in the
+ * same storage write; the POIs stay in the POI store until the entry is purged, so
+ * restoring only puts the metadata back. The background worker purges entries older
+ * than `preferences.trashRetentionDays` (TRASH_PURGE_ALARM).
+ *   { id, type: 'groups', label, deletedAt, profileUuid, profileName,
+ *     groups: { [uuid]: group }, groupStyles: { [uuid]: style }, activeGroups: { [uuid]: boolean } }
+ *   { id, type: 'profile', label, deletedAt, profileUuid, profile }
+ */
+
+export const TRASH_PURGE_ALARM = 'shullow-trash-purge';
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/** Choices offered in the popup */
+export const TRASH_RETENTION_CHOICES = [
+  [1, '1 day'],
+  [7, '7 days'],
+  [30, '30 days'],
+  [90, '90 days']
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Object} [preferences]
+ * @returns {number} Days trash entries are kept
+ */
+export function getTrashRetentionDays(preferences) {
+  return preferences?.trashRetentionDays > 0 ? preferences.trashRetentionDays : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * @param {Object} [preferences]
+ * @param {number} [now]
+ * @returns {number} Time (ms) before which trash entries have expired
+ */
+export function getTrashCutoff(preferences, now = Date.now()) {
+  return now - getTrashRetentionDays(preferences) * DAY;
+}
+
+/**
+ * Takes groups out of a profile (groups, styles, toggles and groupUuids) and returns
+ * the trash entry that holds them. The caller stores the profile and the entry together.
+ * @param {Object} profile - Changed in place
+ * @param {Array<string>} groupUuids
+ * @param {string} [label] - Shown in the trash; defaults to the group name or count
+ * @returns {Object|null} Trash entry, or null when none of the groups exist
+ */
+export function takeGroupsToTrash(profile, groupUuids, label = null) {
+  const entry = {
+    id: createTrashId(),
+    type: 'groups',
+    label,
+    deletedAt: Date.now(),
+    profileUuid: profile.uuid,
+    profileName: profile.name,
+    groups: {},
+    groupStyles: {},
+    activeGroups: {}
+  };
+
+  for (const uuid of groupUuids) {
+    const group = profile.groups?.[uuid];
+    if (!group) continue;
+    entry.groups[uuid] = group;
+    delete profile.groups[uuid];
+    if (profile.groupStyles && uuid in profile.groupStyles) {
+      entry.groupStyles[uuid] = profile.groupStyles[uuid];
+      delete profile.groupStyles[uuid];
+    }
+    if (profile.activeGroups && uuid in profile.activeGroups) {
+      entry.activeGroups[uuid] = profile.activeGroups[uuid];
+      delete profile.activeGroups[uuid];
+    }
+  }
+
+  const names = Object.values(entry.groups).map(group => group.name);
+  if (names.length === 0) return null;
+  if (profile.groupUuids) {
+    profile.groupUuids = profile.groupUuids.filter(uuid => !(uuid in entry.groups));
+  }
+  entry.label ||= names.length === 1 ? `Group "${names[0]}"` : `${names.length} groups of "${profile.name}"`;
+  return entry;
+}
+
+/**
+ * Returns the trash entry for a deleted profile
+ * @param {Object} profile
+ * @returns {Object}
+ */
+export function createProfileTrashEntry(profile) {
+  return {
+    id: createTrashId(),
+    type: 'profile',
+    label: `Profile "${profile.name}"`,
+    deletedAt: Date.now(),
+    profileUuid: profile.uuid,
+    profile
+  };
+}
+
+/**
+ * @returns {Promise<Array<Object>>} Trash entries, newest first
+ */
+export async function getTrash() {
+  const { trash } = await chrome.storage.local.get(['trash']);
+  return trash || [];
+}
+
+/**
+ * Puts a trash entry back: its groups into their profile (turned on or off as before),
+ * or its profile into the profiles
+ * @param {string} id - Trash entry id
+ * @returns {Promise<Object>} The restored entry
+ * @throws {Error} When the entry is gone, or the profile of trashed groups no longer exists
+ */
+export async function restoreFromTrash(id) {
+  const data = await chrome.storage.local.get(['profiles', 'activeProfile', 'activeGroups', 'trash']);
+  const trash = data.trash || [];
+  const entry = trash.find(item => item.id === id);
+  if (!entry) throw new Error('This item is no longer in the trash');
+
+  const profiles = data.profiles || {};
+  const changes = { profiles, trash: trash.filter(item => item.id !== id) };
+
+  if (entry.type === 'profile') {
+    if (profiles[entry.profileUuid]) throw new Error(`Profile "${entry.profile.name}" already exists`);
+    profiles[entry.profileUuid] = entry.profile;
+  } else {
+    const profile = profiles[entry.profileUuid];
+    if (!profile) {
+      const inTrash = trash.some(item => item.type === 'profile' && item.profileUuid === entry.profileUuid);
+      throw new Error(inTrash
+        ? `Restore profile "${entry.profileName}" first`
+        : `Profile "${entry.profileName}" no longer exists`);
+    }
+
+    profile.groups = { ...profile.groups, ...entry.groups };
+    profile.groupStyles = { ...profile.groupStyles, ...entry.groupStyles };
+    profile.activeGroups = { ...profile.activeGroups, ...entry.activeGroups };
+    profile.groupUuids = [...new Set([...(profile.groupUuids || []), ...Object.keys(entry.groups)])];
+    if (entry.profileUuid === data.activeProfile) {
+      changes.activeGroups = { ...data.activeGroups, ...entry.activeGroups };
+    }
+  }
+
+  await chrome.storage.local.set(changes);
+  return entry;
+}
+
+/**
+ * Deletes trash entries for good, POIs included. POIs of a profile or group that
+ * exists again under the same uuid (e.g. brought back by a backup restore) are kept.
+ * @param {Array<string>|null} [ids] - Entry ids; null empties the trash
+ * @returns {Promise<number>} Number of entries deleted
+ */
+export async function deleteFromTrash(ids = null) {
+  const { trash = [], profiles = {} } = await chrome.storage.local.get(['trash', 'profiles']);
+  const removed = ids ? trash.filter(item => ids.includes(item.id)) : trash;
+  if (removed.length === 0) return 0;
+
+  await chrome.storage.local.set({ trash: trash.filter(item => !removed.includes(item)) });
+  for (const entry of removed) {
+    const profile = profiles[entry.profileUuid];
+    if (entry.type === 'profile' && !profile) {
+      await deleteProfilePois(entry.profileUuid);
+    } else {
+      const groups = entry.type === 'profile' ? entry.profile.groups : entry.groups;
+      const gone = Object.keys(groups || {}).filter(uuid => !profile?.groups?.[uuid]);
+      await deleteGroupPois(entry.profileUuid, gone);
+    }
+  }
+  return removed.length;
+}
+
+/**
+ * Deletes the entries that have been in the trash longer than the retention period
+ * @param {number} [now]
+ * @returns {Promise<number>} Number of entries purged
+ */
+export async function purgeExpiredTrash(now = Date.now()) {
+  const { trash, preferences } = await chrome.storage.local.get(['trash', 'preferences']);
+  const cutoff = getTrashCutoff(preferences, now);
+  const expired = (trash || []).filter(entry => entry.deletedAt < cutoff).map(entry => entry.id);
+  return expired.length > 0 ? deleteFromTrash(expired) : 0;
+}
+
+function createTrashId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,207 @@
+/**
+ * Minimal XML parser for import formats (KML, GPX).
+ * DOMParser is not available in the background service worker, so this builds a
+ * small element tree by hand: { name, attributes, children, text }.
+ * Handles comments, CDATA, processing instructions, DOCTYPE, self-closing tags and
+ * the predefined/numeric entities. It is lenient: mismatched closing tags are
+ * recovered from instead of throwing, since real-world exports are often sloppy.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decodes XML entities in a text or attribute value
+ * @param {string} value
+ * @returns {string}
+ */
+export function decodeEntities(value) {
+  if (!value || value.indexOf('&') === -1) return value;
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Parses an XML string into an element tree.
+ * @param {string} xmlString
+ * @returns {{name: string, attributes: Object, children: Array, text: string}} Document node
+ */
+export function parseXML(xmlString) {
+  const text = xmlString.charCodeAt(0) === 0xFEFF ? xmlString.slice(1) : xmlString;
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let i = 0;
+
+  while (i < text.length) {
+    const current = stack[stack.length - 1];
+    const lt = text.indexOf('<', i);
+
+    if (lt === -1) {
+      current.text += decodeEntities(text.slice(i));
+      break;
+    }
+    if (lt > i) {
+      current.text += decodeEntities(text.slice(i, lt));
+    }
+
+    if (text.startsWith('<!--', lt)) {
+      const end = text.indexOf('-->', lt + 4);
+      i = end === -1 ? text.length : end + 3;
+    } else if (text.startsWith('<![CDATA[', lt)) {
+      const end = text.indexOf(']]>', lt + 9);
+      current.text += text.slice(lt + 9, end === -1 ? text.length : end);
+      i = end === -1 ? text.length : end + 3;
+    } else if (text.startsWith('<?', lt)) {
+      const end = text.indexOf('?>', lt + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else if (text.startsWith('<!', lt)) {
+      // DOCTYPE, possibly with an internal subset in [...]
+      const bracket = text.indexOf('[', lt);
+      const close = text.indexOf('>', lt);
+      if (bracket !== -1 && bracket < close) {
+        const end = text.indexOf(']>', bracket);
+        i = end === -1 ? text.length : end + 2;
+      } else {
+        i = close === -1 ? text.length : close + 1;
+      }
+    } else if (text[lt + 1] === '/') {
+      const end = text.indexOf('>', lt);
+      const name = text.slice(lt + 2, end === -1 ? text.length : end).trim();
+      // Pop back to the matching element; ignore stray closing tags
+      for (let depth = stack.length - 1; depth > 0; depth--) {
+        if (stack[depth].name === name) {
+          stack.length = depth;
+          break;
+        }
+      }
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      const end = findTagEnd(text, lt + 1);
+      const raw = text.slice(lt + 1, end);
+      const selfClosing = raw.endsWith('/');
+      const body = selfClosing ? raw.slice(0, -1) : raw;
+      const nameMatch = body.match(/^\s*([^\s/>]+)/);
+
+      if (nameMatch) {
+        const element = {
+          name: nameMatch[1],
+          attributes: parseAttributes(body.slice(nameMatch[0].length)),
+          children: [],
+          text: ''
+        };
+        current.children.push(element);
+        if (!selfClosing) stack.push(element);
+      }
+      i = end + 1;
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Strips a namespace prefix (gx:Track -> Track)
+ * @param {string} name
+ * @returns {string}
+ */
+export function localName(name) {
+  const colon = name.indexOf(':');
+  return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * Returns direct child elements, optionally filtered by local name
+ * @param {Object} node
+ * @param {string} [name]
+ * @returns {Array}
+ */
+export function childElements(node, name) {
+  if (!node) return [];
+  if (!name) return node.children;
+  return node.children.filter(child => localName(child.name) === name);
+}
+
+/**
+ * Returns the first direct child element with the given local name
+ * @param {Object} node
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function firstChild(node, name) {
+  if (!node) return null;
+  return node.children.find(child => localName(child.name) === name) || null;
+}
+
+/**
+ * Returns all descendant elements with the given local name, in document order
+ * @param {Object} node
+ * @param {string} name
+ * @param {Array} [found] - Accumulator
+ * @returns {Array}
+ */
+export function descendants(node, name, found = []) {
+  if (!node) return found;
+  for (const child of node.children) {
+    if (localName(child.name) === name) found.push(child);
+    descendants(child, name, found);
+  }
+  return found;
+}
+
+/**
+ * Returns the trimmed text of an element and all its descendants
+ * @param {Object} node
+ * @returns {string}
+ */
+export function textContent(node) {
+  if (!node) return '';
+  const collect = (n) => n.text + n.children.map(collect).join('');
+  return collect(node).trim();
+}
+
+/**
+ * Returns the trimmed text of the first child with the given local name, or null
+ * @param {Object} node
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function childText(node, name) {
+  const child = firstChild(node, name);
+  if (!child) return null;
+  const value = textContent(child);
+  return value === '' ? null : value;
+}
+
+/**
+ * Finds the closing '>' of a start tag, skipping over quoted attribute values
+ */
+function findTagEnd(text, from) {
+  let quote = null;
+  for (let i = from; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
@@ -0,0 +1,98 @@
+/**
+ * Minimal ZIP archive reader (used for KMZ).
+ * Reads the central directory and inflates entries with the platform
+ * DecompressionStream, so it works in the popup and the service worker without
+ * a bundled inflate implementation. Only stored and deflated entries are supported,
+ * ZIP64 and encrypted archives are rejected.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Lists the file entries of a ZIP archive
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<{name: string, method: number, compressedSize: number, size: number, localOffset: number}>}
+ */
+export function listZipEntries(buffer) {
+  const view = new DataView(buffer);
+  const eocdOffset = findEndOfCentralDirectory(view);
+  if (eocdOffset === -1) {
+    throw new Error('Not a ZIP archive (end of central directory not found)');
+  }
+
+  const entryCount = view.getUint16(eocdOffset + 10, true);
+  let offset = view.getUint32(eocdOffset + 16, true);
+  if (offset === 0xFFFFFFFF || entryCount === 0xFFFF) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    // Skip directories and encrypted entries
+    if (!name.endsWith('/') && !(flags & 0x1)) {
+      entries.push({ name, method, compressedSize, size, localOffset });
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Reads and decompresses a single entry
+ * @param {ArrayBuffer} buffer
+ * @param {Object} entry - Entry from listZipEntries
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readZipEntry(buffer, entry) {
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.localOffset, true) !== LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+  }
+
+  // The local header repeats name/extra with possibly different extra length
+  const nameLength = view.getUint16(entry.localOffset + 26, true);
+  const extraLength = view.getUint16(entry.localOffset + 28, true);
+  const dataOffset = entry.localOffset + 30 + nameLength + extraLength;
+  const data = new Uint8Array(buffer, dataOffset, entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data.slice();
+  }
+  if (entry.method === 8) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+}
+
+/**
+ * Locates the End Of Central Directory record, which sits at the end of the
+ * archive followed by an optional comment of up to 64KB
+ */
+function findEndOfCentralDirectory(view) {
+  const minOffset = Math.max(0, view.byteLength - 22 - 0xFFFF);
+  for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) return offset;
+  }
+  return -1;
+}
@@ -165,7 +165,7 @@ class OverlayRegistry {
       } catch (e) {}
     }
     
-    // Priority 3: Map's _container (Mapbox)
+    // Priority 3: Map's _container (Mapbox, MapLibre, Leaflet)
     if (!domain && mapInstance && mapInstance._container) {
       try {
         const c = mapInstance._container;
@@ -175,7 +175,17 @@ class OverlayRegistry {
       } catch (e) {}
     }
     
-    // Priority 4: Map's container property (generic)
+    // Priority 4: Map's target element (OpenLayers)
+    if (!domain && mapInstance && typeof mapInstance.getTargetElement === 'function') {
+      try {
+        const target = mapInstance.getTargetElement();
+        if (target && target.ownerDocument && target.ownerDocument.location) {
+          domain = target.ownerDocument.location.hostname;
+        }
+      } catch (e) {}
+    }
+    
+    // Priority 5: Map's container property (generic)
     if (!domain && mapInstance && mapInstance.container) {
       try {
         const c = mapInstance.container;
@@ -186,7 +196,7 @@ class OverlayRegistry {
       } catch (e) {}
     }
     
-    // Priority 5: Top-level window (ONLY if in main frame)
+    // Priority 6: Top-level window (ONLY if in main frame)
     if (!domain) {
       try {
         if (window === window.top) {
@@ -372,10 +382,15 @@ class OverlayRegistry {
             const div = map.getDiv();
             isValid = div && document.contains(div);
           }
-          // Mapbox
+          // Mapbox, MapLibre, Leaflet
           else if (map._container) {
             isValid = document.contains(map._container);
           }
+          // OpenLayers
+          else if (typeof map.getTargetElement === 'function') {
+            const target = map.getTargetElement();
+            isValid = target && document.contains(target);
+          }
           // Generic
           else if (map.container) {
             const c = typeof map.container === 'string' 
@@ -41,7 +41,8 @@ const SITE_CONFIG = {
     features: {
       reduxStore: false,
       shadowDOM: false,
-      boundsTracking: true
+      boundsTracking: true,
+      mapboxLayers: true // Native GeoJSON layers instead of HTML markers (mapboxLayers.js)
     }
   },
   
@@ -66,7 +67,8 @@ const SITE_CONFIG = {
     features: {
       reduxStore: true, // Redfin-specific: subscribe to Redux for bounds
       shadowDOM: false,
-      boundsTracking: true
+      boundsTracking: true,
+      mapboxLayers: false
     }
   },
   
@@ -91,7 +93,8 @@ const SITE_CONFIG = {
     features: {
       reduxStore: false,
       shadowDOM: true, // Realtor uses Shadow DOM
-      boundsTracking: true
+      boundsTracking: true,
+      mapboxLayers: false
     }
   },
   
@@ -114,7 +117,8 @@ const SITE_CONFIG = {
     features: {
       reduxStore: false,
       shadowDOM: false,
-      boundsTracking: true
+      boundsTracking: true,
+      mapboxLayers: false
     }
   },
   
@@ -135,7 +139,8 @@ const SITE_CONFIG = {
     features: {
       reduxStore: false,
       shadowDOM: false,
-      boundsTracking: true
+      boundsTracking: true,
+      mapboxLayers: true // Native GeoJSON layers instead of HTML markers (mapboxLayers.js)
     }
   },
   
@@ -146,6 +151,9 @@ const SITE_CONFIG = {
     
     selectors: [
       '.mapboxgl-map',
+      '.maplibregl-map',
+      '.leaflet-container',
+      '.ol-viewport',
       '.gm-style',
       'gmp-map',
       '#map',
@@ -160,7 +168,8 @@ const SITE_CONFIG = {
     features: {
       reduxStore: false,
       shadowDOM: false,
-      boundsTracking: true
+      boundsTracking: true,
+      mapboxLayers: false
     }
   }
 };
@@ -0,0 +1,280 @@
+import { getGroupPois } from '../data/poi-store.js';
+import { getPoiId } from '../data/poi-identity.js';
+import { StorageManager } from './modules/storage.js';
+
+/**
+ * POI editor: one group's POIs as a table in a tab (opened with EDIT POIS in the
+ * group's customization modal, `editor.html?profile=<uuid>&group=<uuid>`).
+ * Sortable and searchable; cells are edited in place by the background worker
+ * (update-poi, delete-poi, clear-deleted-pois), which runs the edits under its
+ * storage lock like syncs and imports; then every tab refreshes its POIs.
+ */
+
+// Shown first and always; the POIs' other fields follow as they are found
+const MAIN_COLUMNS = ['name', 'address', 'latitude', 'longitude'];
+const HIDDEN_FIELDS = ['id', 'local', 'groupUuid', 'groupName'];
+const NUMERIC_COLUMNS = ['latitude', 'longitude'];
+const PAGE_SIZE = 200;
+
+/**
+ * Sends a POI edit to the background worker
+ * @param {Object} message
+ * @returns {Promise<Object>} The response
+ * @throws {Error} When the edit failed
+ */
+function sendEdit(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
+      if (response?.status === 'error') return reject(new Error(response.error));
+      resolve(response);
+    });
+  });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const params = new URLSearchParams(location.search);
+  const profileUuid = params.get('profile');
+  const groupUuid = params.get('group');
+
+  const groupNameEl = document.getElementById('editor-group-name');
+  const countEl = document.getElementById('editor-count');
+  const searchInput = document.getElementById('editor-search');
+  const tableHead = document.getElementById('editor-head');
+  const tableBody = document.getElementById('editor-body');
+  const emptyEl = document.getElementById('editor-empty');
+  const moreBtn = document.getElementById('editor-more-btn');
+  const deletedNote = document.getElementById('editor-deleted-note');
+  const deletedText = document.getElementById('editor-deleted-text');
+  const deletedBtn = document.getElementById('editor-deleted-btn');
+  const statusText = document.getElementById('status-text');
+
+  let group = null;
+  let pois = [];
+  let columns = [...MAIN_COLUMNS];
+  let sort = { column: 'name', descending: false };
+  let shownCount = PAGE_SIZE;
+  let editingCell = null;
+
+  const updateStatus = (text) => { statusText.textContent = text; };
+
+  const applyPreferences = (preferences = {}) => {
+    document.body.classList.toggle('night-mode', !!preferences.nightMode);
+    if (preferences.accentColor) document.documentElement.style.setProperty('--accent-color', preferences.accentColor);
+  };
+
+  const getColumns = () => {
+    const extra = new Set();
+    for (const poi of pois) {
+      for (const key of Object.keys(poi)) {
+        if (!MAIN_COLUMNS.includes(key) && !HIDDEN_FIELDS.includes(key) && !key.startsWith('_')) extra.add(key);
+      }
+    }
+    return [...MAIN_COLUMNS, ...extra];
+  };
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
+  const compare = (a, b) => {
+    const column = sort.column;
+    let result;
+    if (NUMERIC_COLUMNS.includes(column)) {
+      result = (Number(a[column]) || 0) - (Number(b[column]) || 0);
+    } else {
+      result = formatValue(a[column]).localeCompare(formatValue(b[column]), undefined, { numeric: true, sensitivity: 'base' });
+    }
+    return sort.descending ? -result : result;
+  };
+
+  const getVisiblePois = () => {
+    const query = searchInput.value.trim().toLowerCase();
+    const matching = query
+      ? pois.filter(poi => columns.some(column => formatValue(poi[column]).toLowerCase().includes(query)))
+      : pois;
+    return [...matching].sort(compare);
+  };
+
+  const renderHead = () => {
+    const row = document.createElement('tr');
+    for (const column of columns) {
+      const th = document.createElement('th');
+      th.dataset.column = column;
+      th.textContent = column.toUpperCase() + (sort.column === column ? (sort.descending ? ' ▼' : ' ▲') : '');
+      if (sort.column === column) th.className = 'sorted';
+      row.appendChild(th);
+    }
+    row.appendChild(document.createElement('th'));
+    tableHead.replaceChildren(row);
+  };
+
+  const renderBody = () => {
+    const visible = getVisiblePois();
+    const rows = visible.slice(0, shownCount).map((poi) => {
+      const row = document.createElement('tr');
+      row.dataset.id = getPoiId(poi);
+      for (const column of columns) {
+        const cell = document.createElement('td');
+        cell.className = 'poi-cell';
+        cell.dataset.column = column;
+        cell.textContent = formatValue(poi[column]);
+        cell.title = cell.textContent;
+        if (poi.local?.edits && column in poi.local.edits) {
+          cell.classList.add('edited');
+          cell.title = `${cell.textContent}\nEdited: kept over the source when the group syncs`;
+        }
+        row.appendChild(cell);
+      }
+      const actions = document.createElement('td');
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'delete-btn';
+      deleteButton.title = 'Delete this POI';
+      deleteButton.innerHTML = '&times;';
+      actions.appendChild(deleteButton);
+      row.appendChild(actions);
+      return row;
+    });
+    tableBody.replaceChildren(...rows);
+
+    emptyEl.style.display = visible.length === 0 ? 'block' : 'none';
+    const hidden = visible.length - shownCount;
+    moreBtn.style.display = hidden > 0 ? 'block' : 'none';
+    moreBtn.textContent = `SHOW MORE (${hidden} LEFT)`;
+    countEl.textContent = visible.length === pois.length ? `${pois.length}` : `${visible.length} / ${pois.length}`;
+  };
+
+  const render = () => {
+    groupNameEl.textContent = `EDIT POIS: ${group.name.toUpperCase()}`;
+    document.title = `Shullow - ${group.name}`;
+    const deletedCount = group.deletedPoiIds?.length || 0;
+    deletedNote.style.display = deletedCount > 0 ? 'flex' : 'none';
+    deletedText.textContent = `${deletedCount} deleted POI${deletedCount !== 1 ? 's are' : ' is'} left out when this group syncs.`;
+    renderHead();
+    renderBody();
+  };
+
+  const load = async () => {
+    const { profiles = {} } = await chrome.storage.local.get(['profiles']);
+    group = profiles[profileUuid]?.groups?.[groupUuid] || null;
+    if (!group) {
+      groupNameEl.textContent = 'EDIT POIS';
+      tableHead.replaceChildren();
+      tableBody.replaceChildren();
+      moreBtn.style.display = 'none';
+      deletedNote.style.display = 'none';
+      emptyEl.textContent = 'THIS GROUP NO LONGER EXISTS';
+      emptyEl.style.display = 'block';
+      return;
+    }
+    pois = await getGroupPois(profileUuid, groupUuid);
+    columns = getColumns();
+    render();
+  };
+
+  const findPoi = (poiId) => pois.find(poi => getPoiId(poi) === poiId);
+
+  const startEdit = (cell) => {
+    const poiId = cell.parentElement.dataset.id;
+    const column = cell.dataset.column;
+    const original = formatValue(findPoi(poiId)?.[column]);
+    const input = document.createElement('input');
+    input.className = 'editor-cell-input';
+    input.value = original;
+    cell.classList.add('editing');
+    cell.replaceChildren(input);
+    editingCell = cell;
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const done = async (save) => {
+      if (finished) return;
+      finished = true;
+      editingCell = null;
+      if (save && input.value !== original) {
+        try {
+          const { poi: updated } = await sendEdit({
+            action: 'update-poi', profileUuid, groupUuid, poiId, changes: { [column]: input.value }
+          });
+          pois = pois.map(poi => getPoiId(poi) === poiId ? updated : poi);
+          StorageManager.refreshAllTabs();
+          updateStatus(`SAVED ${column.toUpperCase()} OF ${formatValue(updated.name).toUpperCase()}`);
+        } catch (error) {
+          console.error('POI edit error:', error);
+          updateStatus(error.message.toUpperCase());
+        }
+      }
+      renderBody();
+    };
+    input.onblur = () => done(true);
+    input.onkeydown = (e) => {
+      if (e.key === 'Enter') done(true);
+      if (e.key === 'Escape') done(false);
+    };
+  };
+
+  tableHead.addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-column]');
+    if (!th) return;
+    const column = th.dataset.column;
+    sort = { column, descending: sort.column === column ? !sort.descending : false };
+    renderHead();
+    renderBody();
+  });
+
+  tableBody.addEventListener('click', async (e) => {
+    const deleteButton = e.target.closest('.delete-btn');
+    if (deleteButton) {
+      const poiId = deleteButton.closest('tr').dataset.id;
+      const name = formatValue(findPoi(poiId)?.name);
+      if (!confirm(`Delete "${name}"?`)) return;
+      try {
+        await sendEdit({ action: 'delete-poi', profileUuid, groupUuid, poiId });
+        pois = pois.filter(poi => getPoiId(poi) !== poiId);
+        StorageManager.refreshAllTabs();
+        updateStatus(`DELETED ${name.toUpperCase()}`);
+      } catch (error) {
+        console.error('POI delete error:', error);
+        updateStatus(error.message.toUpperCase());
+      }
+      renderBody();
+      return;
+    }
+
+    const cell = e.target.closest('td.poi-cell');
+    if (cell && !cell.classList.contains('editing')) startEdit(cell);
+  });
+
+  searchInput.addEventListener('input', () => {
+    shownCount = PAGE_SIZE;
+    renderBody();
+  });
+
+  moreBtn.onclick = () => {
+    shownCount += PAGE_SIZE;
+    renderBody();
+  };
+
+  deletedBtn.onclick = async () => {
+    try {
+      await sendEdit({ action: 'clear-deleted-pois', profileUuid, groupUuid });
+      updateStatus('DELETED POIS COME BACK ON THE NEXT SYNC');
+    } catch (error) {
+      updateStatus(error.message.toUpperCase());
+    }
+  };
+
+  // Syncs, renames and deletes elsewhere change the group; reload unless a cell is being edited
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes.preferences) applyPreferences(changes.preferences.newValue);
+    if (changes.profiles && !editingCell) load();
+  });
+
+  const { preferences } = await chrome.storage.local.get(['preferences']);
+  applyPreferences(preferences);
+  await load();
+  updateStatus(group ? `${pois.length} POIS LOADED` : 'GROUP NOT FOUND');
+});
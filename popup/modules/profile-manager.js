@@ -92,16 +92,16 @@ class ProfileManager {
   }
 
   /**
-   * Delete a profile
+   * Delete a profile (into the trash)
    * @param {string} profileUuid - UUID of profile to delete
-   * @returns {Promise<boolean>} True if deleted successfully
+   * @returns {Promise<string|null>} Id of the trash entry, or null if not deleted
    */
   async delete(profileUuid) {
-    const success = await deleteProfileFromStorage(profileUuid);
-    if (success) {
+    const trashId = await deleteProfileFromStorage(profileUuid);
+    if (trashId) {
       await this.reload();
     }
-    return success;
+    return trashId;
   }
 
   /**
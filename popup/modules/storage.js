@@ -26,6 +26,29 @@ export const StorageManager = {
       });
     });
   },
+  refreshAllTabs() {
+    // POI edits only change the POI store, which content scripts don't watch
+    chrome.tabs.query({}, (tabs) => {
+      tabs.forEach((tab) => {
+        if (!tab.url) return;
+        chrome.tabs.sendMessage(tab.id, { action: 'refresh-pois' }, () => {
+          if (chrome.runtime.lastError) console.log("Tab silent");
+        });
+      });
+    });
+  },
+  sendToActiveTab(message) {
+    // Resolves with the content script's response, or null when the tab has no overlay
+    return new Promise((resolve) => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]?.id) return resolve(null);
+        chrome.tabs.sendMessage(tabs[0].id, message, (response) => {
+          if (chrome.runtime.lastError) return resolve(null);
+          resolve(response || null);
+        });
+      });
+    });
+  },
   notifyContentScript(activeGroups, preferences, styleChangedGroup) {
     // Debounce: only send message once per 100ms to avoid multiple frames all receiving duplicate messages
     console.log(`[STORAGE] notifyContentScript: styleChangedGroup=${styleChangedGroup}, has groupStyles=${!!preferences.groupStyles}`);
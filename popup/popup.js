@@ -1,4 +1,12 @@
-import { loadPOIGroups, savePOIs, savePOIsBatch, importData, deletePOIGroup, renamePOIGroup, exportGroupsData, importGroupsData, deleteAllGroupsFromProfile, saveGroupFromUrl, updateGroupPOIs } from '../data/data-manager.js';
+import { loadPOIGroups, savePOIs, savePOIsBatch, importData, detectFormat, getColumnPreview, getSourceMapping, saveSourceMapping, deletePOIGroup, renamePOIGroup, exportGroupsData, exportGroupsGeoJSON, exportGroupGPX, importGroupsData, deleteAllGroupsFromProfile, saveGroupFromUrl, updateGroupPOIs, getSourceRequest, saveSourceRequest, pruneSourceRequests, setGroupFolderAndTags } from '../data/data-manager.js';
+import { parseKMZ } from '../data/kml-parser.js';
+import { summarizeReport, hasReportIssues } from '../data/import-report.js';
+import { MAPPING_FIELDS } from '../data/column-mapping.js';
+import { fetchSourceText, normalizeRequest } from '../data/source-fetch.js';
+import { SYNC_INTERVALS, getSyncAlarmName, getSyncInterval } from '../data/sync-schedule.js';
+import { createBackup, isBackup, readBackup, getRestoreConflicts } from '../data/backup.js';
+import { TRASH_RETENTION_CHOICES, getTrashRetentionDays, getTrash, restoreFromTrash, deleteFromTrash } from '../data/trash.js';
+import { buildFolderTree, getTagMembers, getFolderPaths, getMembersState } from '../data/group-folders.js';
 import { ColorWheel } from './modules/color-wheel.js';
 import { StorageManager } from './modules/storage.js';
 import { profileManager } from './modules/profile-manager.js';
@@ -40,6 +48,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   const csvUploadInput = document.getElementById('csv-upload');
   const uploadBtn = document.getElementById('upload-btn');
   const exportBtn = document.getElementById('export-btn');
+  const exportGeoJSONBtn = document.getElementById('export-geojson-btn');
+  const backupBtn = document.getElementById('backup-btn');
+  const trashBtn = document.getElementById('trash-btn');
   const disableAllBtn = document.getElementById('disable-all-btn');
   const clearAllBtn = document.getElementById('clear-all-btn');
 
@@ -56,6 +67,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // --- Helpers ---
   const updateStatus = (text) => { statusText.textContent = text; };
+  const formatTimeSpan = (ms) => {
+    const mins = Math.max(1, Math.round(ms / 60000));
+    return mins < 60 ? `${mins}m` : mins < 2880 ? `${Math.round(mins / 60)}h` : `${Math.round(mins / 1440)}d`;
+  };
   const applyTheme = (color) => {
     document.documentElement.style.setProperty('--accent-color', color);
     const previews = document.querySelectorAll('.theme-color-preview');
@@ -104,6 +119,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   const themeFields = document.getElementById('theme-customization-fields');
   const logoInput = document.getElementById('group-logo-input');
   const logoPreview = document.getElementById('logo-preview-container');
+  const groupExportGPXBtn = document.getElementById('group-export-gpx-btn');
+  const groupEditPoisBtn = document.getElementById('group-edit-pois-btn');
+  const groupFolderInput = document.getElementById('group-folder-input');
+  const groupFolderOptions = document.getElementById('group-folder-options');
+  const groupTagsInput = document.getElementById('group-tags-input');
   const modalSave = document.getElementById('modal-save');
   const modalCancel = document.getElementById('modal-cancel');
   const modalClose = document.getElementById('modal-close');
@@ -141,6 +161,19 @@ document.addEventListener('DOMContentLoaded', async () => {
       primaryWheel.setColor(tempPriColor);
       secondaryWheel.setColor(tempSecColor);
       updateLogoPreview(currentLogoData);
+
+      groupFolderInput.value = '';
+      groupTagsInput.value = '';
+      loadPOIGroups().then((groups) => {
+        groupFolderInput.value = groups[groupUuid]?.folder || '';
+        groupTagsInput.value = (groups[groupUuid]?.tags || []).join(', ');
+        groupFolderOptions.innerHTML = '';
+        for (const path of getFolderPaths(Object.entries(groups).map(([uuid, group]) => ({ uuid, group })))) {
+          const option = document.createElement('option');
+          option.value = path;
+          groupFolderOptions.appendChild(option);
+        }
+      });
     }
     modal.style.display = 'flex';
   };
@@ -235,9 +268,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             const uuid = e.target.dataset.uuid;
             const profileToDelete = allProfiles[uuid];
             if (confirm(`Delete profile "${profileToDelete.name}"?`)) {
-              await profileManager.delete(uuid);
+              const trashId = await profileManager.delete(uuid);
               await renderProfiles();
               updateStatus(`DELETED PROFILE: ${profileToDelete.name}`);
+              showUndoToast(`Deleted profile "${profileToDelete.name}"`, trashId);
             }
           } else if (!isActive) {
             // Handle switch
@@ -375,23 +409,29 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   };
 
+  // Scales an image data URL down to at most 128px and re-encodes it as PNG
+  const resizeImageData = (dataUrl) => {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        const maxSize = 128;
+        let w = img.width, h = img.height;
+        if (w > h) { if (w > maxSize) { h *= maxSize / w; w = maxSize; } }
+        else { if (h > maxSize) { w *= maxSize / h; h = maxSize; } }
+        canvas.width = w; canvas.height = h;
+        canvas.getContext('2d').drawImage(img, 0, 0, w, h);
+        resolve(canvas.toDataURL('image/png'));
+      };
+      img.onerror = () => resolve(null);
+      img.src = dataUrl;
+    });
+  };
+
   const handleImageUpload = async (file) => {
     return new Promise((resolve) => {
       const reader = new FileReader();
-      reader.onload = (e) => {
-        const img = new Image();
-        img.onload = () => {
-          const canvas = document.createElement('canvas');
-          const maxSize = 128;
-          let w = img.width, h = img.height;
-          if (w > h) { if (w > maxSize) { h *= maxSize / w; w = maxSize; } }
-          else { if (h > maxSize) { w *= maxSize / h; h = maxSize; } }
-          canvas.width = w; canvas.height = h;
-          canvas.getContext('2d').drawImage(img, 0, 0, w, h);
-          resolve(canvas.toDataURL('image/png'));
-        };
-        img.src = e.target.result;
-      };
+      reader.onload = (e) => resolve(resizeImageData(e.target.result));
       reader.readAsDataURL(file);
     });
   };
@@ -426,6 +466,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         profiles[activeProfile.uuid] = activeProfile;
         await chrome.storage.local.set({ profiles });
       }
+
+      await setGroupFolderAndTags(currentEditingGroup, { folder: groupFolderInput.value, tags: groupTagsInput.value });
+      await profileManager.reload();
       
       await saveData();
       console.log(`[POPUP] saveConfig: group=${currentEditingGroup}, newColor=${tempPriColor}`);
@@ -439,9 +482,76 @@ document.addEventListener('DOMContentLoaded', async () => {
   };
 
   // --- Rendering ---
+  // --- Folders and Tags ---
+  const createFolderItem = (folder, isCollapsed) => {
+    const state = getMembersState(activeGroups, folder.members);
+    const item = document.createElement('div');
+    item.className = 'folder-item';
+    item.dataset.path = folder.path;
+    item.dataset.members = folder.members.join(',');
+    item.innerHTML = `
+      <button class="folder-caret" title="${isCollapsed ? 'Expand' : 'Collapse'}">${isCollapsed ? '▸' : '▾'}</button>
+      <span class="folder-name"></span>
+      <span class="folder-count">${folder.members.length}</span>
+      <div class="group-actions">
+        <label class="switch" title="Turn every group in this folder on or off">
+          <input type="checkbox" class="folder-toggle" ${state === 'on' ? 'checked' : ''}>
+          <span class="slider"></span>
+        </label>
+      </div>
+    `;
+    item.querySelector('.folder-name').textContent = folder.name;
+    // A partly enabled folder shows as indeterminate; switching it turns everything on
+    item.querySelector('.folder-toggle').indeterminate = state === 'mixed';
+    return item;
+  };
+
+  const createTagBar = (tags) => {
+    const bar = document.createElement('div');
+    bar.className = 'tag-bar';
+    for (const { tag, members } of tags) {
+      const chip = document.createElement('button');
+      chip.className = `tag-chip ${getMembersState(activeGroups, members)}`;
+      chip.dataset.tag = tag;
+      chip.dataset.members = members.join(',');
+      chip.title = `Turn the ${members.length} group${members.length !== 1 ? 's' : ''} tagged "${tag}" on or off`;
+      chip.textContent = `#${tag} ${members.length}`;
+      bar.appendChild(chip);
+    }
+    return bar;
+  };
+
+  // Folder and tag switches set each of their groups, so content scripts only see activeGroups
+  const setGroupsActive = async (uuids, active, label) => {
+    uuids.forEach(uuid => { activeGroups[uuid] = active; });
+    const activeProfile = profileManager.getActive();
+    if (activeProfile && activeProfile.groupStyles) {
+      preferences.groupStyles = { ...activeProfile.groupStyles };
+    }
+    await saveData();
+    await renderGroups();
+    updateStatus(`${active ? 'ENABLED' : 'DISABLED'} ${label.toUpperCase()} (${uuids.length})`);
+  };
+
+  const toggleFolderCollapsed = async (path) => {
+    const activeProfile = profileManager.getActive();
+    if (!activeProfile) return;
+    const collapsed = new Set(activeProfile.collapsedFolders || []);
+    if (!collapsed.delete(path)) collapsed.add(path);
+    activeProfile.collapsedFolders = [...collapsed];
+    const { profiles = {} } = await chrome.storage.local.get(['profiles']);
+    if (profiles[activeProfile.uuid]) {
+      profiles[activeProfile.uuid].collapsedFolders = activeProfile.collapsedFolders;
+      await chrome.storage.local.set({ profiles });
+    }
+    await renderGroups();
+  };
+
   const renderGroups = async () => {
     try {
       const groups = await loadPOIGroups();
+      // Next scheduled sync per group comes from its alarm (see sync-schedule.js)
+      const syncAlarms = new Map((await chrome.alarms.getAll()).map(alarm => [alarm.name, alarm.scheduledTime]));
       
       // Get only groups that belong to the current profile
       // This ensures groups are not shared across profiles
@@ -460,12 +570,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       const sortedEntries = profileGroups.map(uuid => ({ uuid, group: groups[uuid] }))
         .sort((a, b) => a.group.name.localeCompare(b.group.name));
       
-      sortedEntries.forEach(({ uuid, group }) => {
+      const createGroupItem = ({ uuid, group }) => {
         const style = profileGroupStyles[uuid] || preferences.groupStyles[uuid] || { color: '#4a9eff', secondaryColor: '#ffffff' };
         const isActive = activeGroups[uuid] !== false;
         const icon = style.logoData ? `<img src="${style.logoData}" class="pin-icon">` : PIN_SVG(style.color, style.secondaryColor || '#ffffff');
         const item = document.createElement('div');
-        item.className = 'group-item';
+        item.className = group.archived ? 'group-item archived' : 'group-item';
 
         // Build optional sync icons for URL-backed groups
         let syncIcons = '';
@@ -475,6 +585,17 @@ document.addEventListener('DOMContentLoaded', async () => {
             : 'never';
           const urlShort = group.sourceUrl.length > 50 ? group.sourceUrl.slice(0, 47) + '…' : group.sourceUrl;
           const statusIndicator = group.lastSyncStatus === 'error' ? '❌' : '✓';
+          const interval = getSyncInterval(group);
+          const nextSyncAt = syncAlarms.get(getSyncAlarmName(profileManager.getActive()?.uuid, uuid));
+          const nextSyncText = !interval
+            ? 'Manual sync only'
+            : nextSyncAt ? `Next sync in ${formatTimeSpan(nextSyncAt - Date.now())}` : 'Next sync pending';
+          const intervalOptions = SYNC_INTERVALS
+            .map(([minutes, label]) => `<option value="${minutes}" ${minutes === interval ? 'selected' : ''}>${label}</option>`)
+            .join('');
+          const retryText = group.nextSyncRetry > Date.now()
+            ? ` · retry ${group.syncRetryCount} in ${formatTimeSpan(group.nextSyncRetry - Date.now())}`
+            : '';
           syncIcons = `
             <a class="link-icon" href="${group.sourceUrl}" target="_blank" title="${group.sourceUrl}" data-uuid="${uuid}">↗</a>
             <div class="sync-icon-wrapper" data-uuid="${uuid}">
@@ -485,10 +606,19 @@ document.addEventListener('DOMContentLoaded', async () => {
                   <span class="sync-last-time">Synced ${lastSyncedText.toUpperCase()}</span>
                 </div>
                 <label class="sync-popover-toggle">
-                  <input type="checkbox" class="autosync-toggle" data-uuid="${uuid}" ${group.syncEnabled ? 'checked' : ''}>
-                  <span>Auto-sync daily</span>
+                  <span>Auto-sync</span>
+                  <select class="sync-interval-select" data-uuid="${uuid}">${intervalOptions}</select>
+                </label>
+                <div class="sync-next-time">${nextSyncText}</div>
+                <label class="sync-popover-toggle" title="Archive groups whose group name disappears from the source">
+                  <input type="checkbox" class="archive-missing-toggle" data-uuid="${uuid}" ${group.archiveMissing ? 'checked' : ''}>
+                  <span>Archive missing groups</span>
                 </label>
-                ${group.lastSyncError ? `<div class="sync-error-msg">${group.lastSyncError}</div>` : ''}
+                ${group.lastSyncError ? `<div class="sync-error-msg">${group.lastSyncError}${retryText}</div>` : ''}
+                ${hasReportIssues(group.lastSyncReport) ? `<button class="report-btn" data-uuid="${uuid}">⚠ ${group.lastSyncReport.rejectedCount} rejected, ${group.lastSyncReport.warningCount} warnings</button>` : ''}
+                ${group.syncHistory?.length ? `<button class="history-btn" data-uuid="${uuid}">☰ Change log (${group.syncHistory.length})</button>` : ''}
+                <button class="remap-btn" data-uuid="${uuid}">⇄ Remap columns</button>
+                <button class="request-btn" data-uuid="${uuid}">🔑 Request settings</button>
                 <button class="desync-btn" data-uuid="${uuid}">⊗ De-sync (keep local)</button>
               </div>
             </div>
@@ -497,7 +627,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         item.innerHTML = `
           <div class="pin-preview" data-uuid="${uuid}" data-name="${group.name}">${icon}</div>
-          <span class="group-name" data-uuid="${uuid}">${group.name}</span>
+          <span class="group-name" data-uuid="${uuid}" ${group.archived ? `title="Archived: no longer in the source since ${new Date(group.archivedAt).toLocaleString()}"` : ''}>${group.name}</span>
           <div class="group-actions">
             ${syncIcons}
             <button class="delete-btn" data-uuid="${uuid}" data-name="${group.name}">&times;</button>
@@ -507,14 +637,38 @@ document.addEventListener('DOMContentLoaded', async () => {
             </label>
           </div>
         `;
-        groupsContainer.appendChild(item);
-      });
+        return item;
+      };
+
+      // Tags switch all their groups at once; folders nest and collapse (see group-folders.js)
+      const tags = getTagMembers(sortedEntries);
+      if (tags.length > 0) groupsContainer.appendChild(createTagBar(tags));
+      const collapsedFolders = new Set(activeProfile?.collapsedFolders || []);
+      const appendFolder = (node, parent) => {
+        for (const folder of node.folders) {
+          const isCollapsed = collapsedFolders.has(folder.path);
+          parent.appendChild(createFolderItem(folder, isCollapsed));
+          const children = document.createElement('div');
+          children.className = 'folder-children';
+          if (isCollapsed) children.style.display = 'none';
+          appendFolder(folder, children);
+          parent.appendChild(children);
+        }
+        node.entries.forEach(entry => parent.appendChild(createGroupItem(entry)));
+      };
+      appendFolder(buildFolderTree(sortedEntries), groupsContainer);
       updateDisableAllButton();
     } catch (e) { console.error('Render error', e); }
   };
 
   // --- Initialize ---
-  // Initialize ProfileManager (handles profile initialization and migration)
+  // Storage migrations run in the background worker; wait for them before reading profiles
+  await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'run-migrations' }, () => {
+      if (chrome.runtime.lastError) console.error('Migrations check failed:', chrome.runtime.lastError.message);
+      resolve();
+    });
+  });
   await profileManager.init();
 
   const state = await StorageManager.loadState();
@@ -616,6 +770,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   groupsContainer.addEventListener('click', async (e) => {
+    const chip = e.target.closest('.tag-chip');
+    if (chip) {
+      const members = chip.dataset.members.split(',');
+      return setGroupsActive(members, getMembersState(activeGroups, members) !== 'on', `#${chip.dataset.tag}`);
+    }
+
+    const folderHeader = e.target.closest('.folder-caret, .folder-name');
+    if (folderHeader) return toggleFolderCollapsed(folderHeader.closest('.folder-item').dataset.path);
+
     const preview = e.target.closest('.pin-preview');
     if (preview) return showModal(preview.dataset.uuid, preview.dataset.name);
 
@@ -647,12 +810,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     const del = e.target.closest('.delete-btn');
     if (del && confirm(`Delete "${del.dataset.name}"?`)) {
       const uuid = del.dataset.uuid;
-      await deletePOIGroup(uuid);
+      const trashId = await deletePOIGroup(uuid);
       delete activeGroups[uuid];
       // Remove from current profile (handles profile-specific style cleanup)
       await profileManager.removeGroup(uuid);
       await saveData();
       await renderGroups();
+      updateStatus(`DELETED ${del.dataset.name.toUpperCase()}`);
+      showUndoToast(`Deleted "${del.dataset.name}"`, trashId);
     }
   });
 
@@ -666,6 +831,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   };
 
   groupsContainer.addEventListener('change', async (e) => {
+    if (e.target.classList.contains('folder-toggle')) {
+      const folder = e.target.closest('.folder-item');
+      return setGroupsActive(folder.dataset.members.split(','), e.target.checked, folder.dataset.path);
+    }
+
     if (e.target.classList.contains('group-toggle')) {
       activeGroups[e.target.dataset.uuid] = e.target.checked;
 
@@ -679,29 +849,49 @@ document.addEventListener('DOMContentLoaded', async () => {
       updateDisableAllButton();
     }
 
-    if (e.target.classList.contains('autosync-toggle')) {
+    if (e.target.classList.contains('sync-interval-select')) {
       const groupUuid = e.target.dataset.uuid;
-      const enabled = e.target.checked;
+      const interval = parseInt(e.target.value, 10);
       const storageRead = await chrome.storage.local.get(['profiles', 'activeProfile']);
       const profiles = storageRead.profiles || {};
       const ap = profiles[storageRead.activeProfile];
       if (ap?.groups?.[groupUuid]) {
         const sourceUrl = ap.groups[groupUuid].sourceUrl;
-        // Update syncEnabled on this group and all siblings sharing the same sourceUrl
+        // Update the schedule on this group and all siblings sharing the same sourceUrl.
+        // The background worker reschedules the alarms when it sees the change.
         let dirty = false;
         for (const [uuid, g] of Object.entries(ap.groups || {})) {
           if (g.sourceUrl === sourceUrl) {
-            g.syncEnabled = enabled;
+            g.syncEnabled = interval > 0;
+            if (interval > 0) g.syncInterval = interval;
             dirty = true;
           }
         }
         if (dirty) {
           profiles[storageRead.activeProfile] = ap;
           await chrome.storage.local.set({ profiles });
-          await renderGroups();
+          await profileManager.reload();
+          // Give the background worker a moment to create the alarm before showing it
+          setTimeout(renderGroups, 300);
         }
       }
     }
+
+    if (e.target.classList.contains('archive-missing-toggle')) {
+      const groupUuid = e.target.dataset.uuid;
+      const storageRead = await chrome.storage.local.get(['profiles', 'activeProfile']);
+      const profiles = storageRead.profiles || {};
+      const ap = profiles[storageRead.activeProfile];
+      const sourceUrl = ap?.groups?.[groupUuid]?.sourceUrl;
+      if (sourceUrl) {
+        // A setting of the source, so it goes on every group sharing the URL
+        for (const g of Object.values(ap.groups)) {
+          if (g.sourceUrl === sourceUrl) g.archiveMissing = e.target.checked;
+        }
+        await chrome.storage.local.set({ profiles });
+        await profileManager.reload();
+      }
+    }
   });
 
   // Sync popover is shown/hidden via CSS :hover on .sync-icon-wrapper (no JS needed)
@@ -718,12 +908,25 @@ document.addEventListener('DOMContentLoaded', async () => {
         const g = ap.groups[groupUuid];
         delete g.sourceUrl;
         delete g.syncEnabled;
+        delete g.syncInterval;
         delete g.lastSynced;
         delete g.lastSyncStatus;
         delete g.lastSyncError;
+        delete g.lastSyncReport;
+        delete g.syncHistory;
+        delete g.syncRetryCount;
+        delete g.nextSyncRetry;
+        delete g.sourceEtag;
+        delete g.sourceLastModified;
         delete g.contentHash;
+        delete g.sourceGroupName;
+        delete g.archiveMissing;
+        delete g.archived;
+        delete g.archivedAt;
+        delete g.deletedPoiIds;
         profs[sd.activeProfile] = ap;
         await chrome.storage.local.set({ profiles: profs });
+        await pruneSourceRequests();
         await profileManager.reload();
         await renderGroups();
         updateStatus('DE-SYNCED: GROUP IS NOW LOCAL');
@@ -731,6 +934,86 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
+    // --- Last sync report button ---
+    const reportBtn = e.target.closest('.report-btn');
+    if (reportBtn) {
+      const group = profileManager.getActive()?.groups?.[reportBtn.dataset.uuid];
+      if (group?.lastSyncReport) showImportReport(group.lastSyncReport, 'LAST SYNC REPORT');
+      return;
+    }
+
+    // --- Change log button ---
+    const historyBtn = e.target.closest('.history-btn');
+    if (historyBtn) {
+      const group = profileManager.getActive()?.groups?.[historyBtn.dataset.uuid];
+      if (group) showSyncHistory(group);
+      return;
+    }
+
+    // --- Remap columns button: edit the remembered mapping, then re-sync ---
+    const remapBtn = e.target.closest('.remap-btn');
+    if (remapBtn) {
+      const groupUuid = remapBtn.dataset.uuid;
+      const sd = await chrome.storage.local.get(['profiles', 'activeProfile']);
+      const profs = sd.profiles || {};
+      const ap = profs[sd.activeProfile];
+      const sourceUrl = ap?.groups?.[groupUuid]?.sourceUrl;
+      if (!sourceUrl) return;
+      
+      updateStatus('FETCHING...');
+      try {
+        const text = await fetchSourceText(sourceUrl, await getSourceRequest(sourceUrl));
+        const format = detectFormat(text, sourceUrl);
+        const savedMapping = await getSourceMapping(sourceUrl);
+        const preview = getColumnPreview(text, format, { recordsPath: savedMapping?.recordsPath });
+        if (!preview) {
+          updateStatus('NO COLUMNS TO MAP');
+          return;
+        }
+        const mapping = await showMappingWizard(preview, savedMapping,
+          (recordsPath) => getColumnPreview(text, format, { recordsPath }));
+        if (!mapping) {
+          updateStatus('REMAP CANCELLED');
+          return;
+        }
+        await saveSourceMapping(sourceUrl, mapping);
+        
+        // Forget the content hash so the unchanged source is re-parsed with the new mapping
+        for (const g of Object.values(ap.groups)) {
+          if (g.sourceUrl === sourceUrl) g.contentHash = null;
+        }
+        await chrome.storage.local.set({ profiles: profs });
+        groupsContainer.querySelector(`.sync-icon[data-uuid="${groupUuid}"]`)?.click();
+      } catch (err) {
+        console.error('[Sync] Remap failed:', err);
+        updateStatus(`REMAP FAILED: ${err.message.slice(0, 40)}`);
+      }
+      return;
+    }
+
+    // --- Request settings button: edit method, headers and auth, then re-sync ---
+    const requestBtn = e.target.closest('.request-btn');
+    if (requestBtn) {
+      const groupUuid = requestBtn.dataset.uuid;
+      const sd = await chrome.storage.local.get(['profiles', 'activeProfile']);
+      const profs = sd.profiles || {};
+      const ap = profs[sd.activeProfile];
+      const sourceUrl = ap?.groups?.[groupUuid]?.sourceUrl;
+      if (!sourceUrl) return;
+
+      const settings = await showRequestSettings(sourceUrl, await getSourceRequest(sourceUrl));
+      if (!settings) return;
+      await saveSourceRequest(sourceUrl, settings.request);
+
+      // Forget the content hash so the next sync fetches the source in full with the new settings
+      for (const g of Object.values(ap.groups)) {
+        if (g.sourceUrl === sourceUrl) g.contentHash = null;
+      }
+      await chrome.storage.local.set({ profiles: profs });
+      groupsContainer.querySelector(`.sync-icon[data-uuid="${groupUuid}"]`)?.click();
+      return;
+    }
+
     // --- Manual sync button ---
     const syncBtn = e.target.closest('.sync-icon');
     if (!syncBtn) return;
@@ -750,8 +1033,15 @@ document.addEventListener('DOMContentLoaded', async () => {
           }
         );
       });
-      const changed = result.changed ? ` (${result.poiCount} POIs)` : ' (no change)';
-      updateStatus(`SYNCED${changed}`);
+      const changes = result.changes
+        ? `: +${result.changes.added} −${result.changes.removed} ↔${result.changes.moved} ~${result.changes.changed}`
+        : '';
+      const groupChanges = [
+        result.groupsCreated ? `${result.groupsCreated} NEW GROUP${result.groupsCreated !== 1 ? 'S' : ''}` : '',
+        result.groupsArchived ? `${result.groupsArchived} ARCHIVED` : ''
+      ].filter(Boolean).map(text => `, ${text}`).join('');
+      const changed = result.changed ? ` (${result.poiCount} POIs${changes}${groupChanges})` : ' (no change)';
+      updateStatus(`SYNCED${changed}${result.changed ? reportStatusText(result.lastSyncReport) : ''}`);
       // Stamp lastSynced on all sibling groups sharing the same sourceUrl (before re-render)
       const sd = await chrome.storage.local.get(['profiles', 'activeProfile']);
       const profs = sd.profiles || {};
@@ -764,6 +1054,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             g.lastSynced = result.lastSynced;
             g.lastSyncStatus = result.lastSyncStatus;
             g.lastSyncError = result.lastSyncError || null;
+            if (result.lastSyncReport) g.lastSyncReport = result.lastSyncReport;
             dirty = true;
           }
         }
@@ -804,7 +1095,46 @@ document.addEventListener('DOMContentLoaded', async () => {
       uploadBtn.disabled = true;
       updateStatus('FETCHING...');
       try {
-        const { imported, urls } = await saveGroupFromUrl(input, defaultGroupName);
+        // Private sources answer 401/403: ask for credentials once and retry
+        let request = await getSourceRequest(input);
+        let text;
+        try {
+          try {
+            text = await fetchSourceText(input, request);
+          } catch (fetchErr) {
+            if (fetchErr.status !== 401 && fetchErr.status !== 403) throw fetchErr;
+            updateStatus('SOURCE NEEDS AUTH');
+            const settings = await showRequestSettings(input, request);
+            if (!settings) {
+              updateStatus('IMPORT CANCELLED');
+              return;
+            }
+            request = settings.request;
+            updateStatus('FETCHING...');
+            text = await fetchSourceText(input, request);
+          }
+        } catch (fetchErr) {
+          throw new Error(`Failed to fetch URL: ${fetchErr.message}`);
+        }
+        
+        // Tabular sources: confirm the columns; the mapping is remembered for syncs
+        let mapping;
+        const format = detectFormat(text, input);
+        const savedMapping = await getSourceMapping(input);
+        const preview = getColumnPreview(text, format, { recordsPath: savedMapping?.recordsPath });
+        if (preview) {
+          updateStatus('MAP COLUMNS');
+          mapping = await showMappingWizard(preview, savedMapping,
+            (recordsPath) => getColumnPreview(text, format, { recordsPath }));
+          if (!mapping) {
+            updateStatus('IMPORT CANCELLED');
+            return;
+          }
+          updateStatus('IMPORTING...');
+        }
+        
+        const { imported, urls, report } = await saveGroupFromUrl(input, defaultGroupName, { text, mapping });
+        if (request) await saveSourceRequest(input, request);
         // Add all imported groups to activeGroups (handled by the save function)
         const allProfiles = await chrome.storage.local.get(['profiles', 'activeProfile']);
         const freshActiveProfile = (allProfiles.profiles || {})[allProfiles.activeProfile];
@@ -813,7 +1143,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
         if (freshActiveProfile?.groups) {
           for (const [uuid, group] of Object.entries(freshActiveProfile.groups)) {
-            if (group.sourceUrl === input) {
+            if (group.sourceUrl === input && !group.archived) {
               activeGroups[uuid] = true;
             }
           }
@@ -822,7 +1152,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         await saveData();
         newGroupNameInput.value = '';
         await renderGroups();
-        updateStatus(`IMPORTED ${imported} GROUP${imported !== 1 ? 'S' : ''} FROM URL`);
+        updateStatus(`IMPORTED ${imported} GROUP${imported !== 1 ? 'S' : ''} FROM URL${reportStatusText(report)}`);
+        if (hasReportIssues(report)) showImportReport(report, 'URL IMPORT REPORT');
       } catch (err) {
         console.error('[URL Import] Failed:', err);
         updateStatus(`FETCH FAILED: ${err.message.slice(0, 40)}`);
@@ -836,13 +1167,721 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   };
 
+  // --- Find POI ---
+  // The search itself runs in the page's content script (search.js), over the POIs it shows
+  const poiSearchInput = document.getElementById('poi-search-input');
+  const poiSearchResults = document.getElementById('poi-search-results');
+  const POI_SEARCH_LIMIT = 8;
+  let poiSearchTimer = null;
+  let poiSearchMatches = [];
+
+  const showPoiSearchMessage = (text) => {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = text;
+    poiSearchResults.replaceChildren(empty);
+  };
+
+  const runPoiSearch = async () => {
+    const query = poiSearchInput.value.trim();
+    poiSearchMatches = [];
+    if (!query) {
+      poiSearchResults.style.display = 'none';
+      return;
+    }
+    poiSearchResults.style.display = 'flex';
+    const response = await StorageManager.sendToActiveTab({ action: 'search-pois', query, limit: POI_SEARCH_LIMIT });
+    if (query !== poiSearchInput.value.trim()) return; // A newer search is on its way
+    if (!response) {
+      showPoiSearchMessage('NO POI OVERLAY ON THIS PAGE');
+      return;
+    }
+    poiSearchMatches = response.results || [];
+    if (poiSearchMatches.length === 0) {
+      showPoiSearchMessage('NO MATCHING POIS');
+      return;
+    }
+    poiSearchResults.replaceChildren(...poiSearchMatches.map((poi, index) => {
+      const item = document.createElement('div');
+      item.className = 'poi-search-result';
+      item.dataset.index = index;
+      const name = document.createElement('div');
+      name.className = 'poi-search-name';
+      name.textContent = poi.name;
+      const detail = document.createElement('div');
+      detail.className = 'poi-search-detail';
+      detail.textContent = [poi.groupName, poi.address].filter(Boolean).join(' · ');
+      item.append(name, detail);
+      return item;
+    }));
+  };
+
+  const flyToPoi = async (poi) => {
+    if (!poi) return;
+    const response = await StorageManager.sendToActiveTab({ action: 'fly-to-poi', poi });
+    if (response?.status !== 'ok') {
+      updateStatus('NO MAP TO MOVE ON THIS PAGE');
+      return;
+    }
+    updateStatus(`FLYING TO ${String(poi.name).toUpperCase()}`);
+    // Get out of the way of the map
+    window.close();
+  };
+
+  poiSearchInput.addEventListener('input', () => {
+    clearTimeout(poiSearchTimer);
+    poiSearchTimer = setTimeout(runPoiSearch, 150);
+  });
+
+  poiSearchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') flyToPoi(poiSearchMatches[0]);
+  });
+
+  poiSearchResults.addEventListener('click', (e) => {
+    const item = e.target.closest('.poi-search-result');
+    if (item) flyToPoi(poiSearchMatches[Number(item.dataset.index)]);
+  });
+
+  // --- Column Mapping Wizard ---
+  const mappingModal = document.getElementById('mapping-modal');
+  const mappingTable = document.getElementById('mapping-table');
+  const mappingError = document.getElementById('mapping-error');
+  const mappingConfirm = document.getElementById('mapping-confirm');
+  const mappingCancel = document.getElementById('mapping-cancel');
+  const mappingClose = document.getElementById('mapping-modal-close');
+  const mappingRecords = document.getElementById('mapping-records');
+  const mappingRecordsPath = document.getElementById('mapping-records-path');
+
+  const MAPPING_ROLES = [
+    ['latitude', 'LATITUDE'],
+    ['longitude', 'LONGITUDE'],
+    ['coordinates', 'COORDINATES'],
+    ['name', 'NAME'],
+    ['address', 'ADDRESS'],
+    ['groupName', 'GROUP'],
+    ['id', 'ID'],
+    ['extra', 'EXTRA FIELD'],
+    ['ignore', 'IGNORE']
+  ];
+
+  // Shows a preview of the source with a role dropdown per column.
+  // Resolves with the chosen mapping, or null if the user cancels.
+  // A remembered mapping is preselected when all its columns still exist.
+  // JSON previews also get a records path field; loadPreview(recordsPath) re-reads
+  // the source with a new path.
+  const showMappingWizard = (preview, savedMapping = null, loadPreview = null) => {
+    let columns = [];
+    let selects = [];
+    let recordsPath = preview.recordsPath ?? null;
+
+    const renderTable = (current, initial) => {
+      columns = current.columns;
+      const roleOf = (column) => {
+        const field = MAPPING_FIELDS.find(f => initial[f] === column);
+        if (field) return field;
+        return (initial.ignore || []).includes(column) ? 'ignore' : 'extra';
+      };
+
+      mappingTable.innerHTML = '';
+      const headRow = mappingTable.insertRow();
+      const selectRow = mappingTable.insertRow();
+      selects = columns.map((column) => {
+        const th = document.createElement('th');
+        th.textContent = column || '(blank)';
+        th.title = column;
+        headRow.appendChild(th);
+
+        const select = document.createElement('select');
+        for (const [value, label] of MAPPING_ROLES) {
+          select.add(new Option(label, value));
+        }
+        select.value = roleOf(column);
+        select.classList.toggle('mapped', MAPPING_FIELDS.includes(select.value));
+        select.onchange = () => select.classList.toggle('mapped', MAPPING_FIELDS.includes(select.value));
+        selectRow.insertCell().appendChild(select);
+        return select;
+      });
+
+      for (const row of current.rows) {
+        const tr = mappingTable.insertRow();
+        columns.forEach((column, i) => {
+          const cell = tr.insertCell();
+          cell.textContent = row[i] ?? '';
+          cell.title = row[i] ?? '';
+        });
+      }
+    };
+
+    const savedIsUsable = savedMapping &&
+      (savedMapping.recordsPath ?? null) === recordsPath &&
+      MAPPING_FIELDS.every(field => !savedMapping[field] || preview.columns.includes(savedMapping[field]));
+    mappingError.textContent = '';
+    renderTable(preview, savedIsUsable ? savedMapping : preview.mapping);
+
+    const isJSON = preview.recordsPath !== undefined;
+    mappingRecords.style.display = isJSON && loadPreview ? '' : 'none';
+    mappingRecordsPath.value = recordsPath || '';
+    mappingRecordsPath.onchange = () => {
+      const path = mappingRecordsPath.value.trim() || null;
+      try {
+        const next = loadPreview(path);
+        recordsPath = path;
+        mappingError.textContent = next.columns.length === 0 ? 'No records with fields at this path.' : '';
+        renderTable(next, next.mapping);
+      } catch (err) {
+        mappingError.textContent = `${err.message}.`;
+      }
+    };
+
+    mappingModal.style.display = 'flex';
+
+    return new Promise((resolve) => {
+      const finish = (mapping) => {
+        mappingModal.style.display = 'none';
+        resolve(mapping);
+      };
+
+      mappingConfirm.onclick = () => {
+        const mapping = { latitude: null, longitude: null, coordinates: null, name: null, address: null, groupName: null, id: null, ignore: [] };
+        if (isJSON) mapping.recordsPath = recordsPath;
+        for (let i = 0; i < columns.length; i++) {
+          const role = selects[i].value;
+          if (role === 'ignore') {
+            mapping.ignore.push(columns[i]);
+          } else if (role !== 'extra') {
+            if (mapping[role] !== null) {
+              const label = MAPPING_ROLES.find(([value]) => value === role)[1];
+              mappingError.textContent = `Only one column can be ${label}.`;
+              return;
+            }
+            mapping[role] = columns[i];
+          }
+        }
+        if ((!mapping.latitude || !mapping.longitude) && !mapping.coordinates) {
+          mappingError.textContent = 'Choose a LATITUDE and a LONGITUDE column, or one combined coordinates column.';
+          return;
+        }
+        finish(mapping);
+      };
+      mappingCancel.onclick = mappingClose.onclick = () => finish(null);
+    });
+  };
+
+  // --- Import Report ---
+  const reportModal = document.getElementById('report-modal');
+  const reportTitle = document.getElementById('report-title');
+  const reportSummary = document.getElementById('report-summary');
+  const reportTable = document.getElementById('report-table');
+  const reportClose = document.getElementById('report-modal-close');
+  const reportOk = document.getElementById('report-ok');
+
+  const reportStatusText = (report) => {
+    if (!report) return '';
+    const parts = [];
+    if (report.rejectedCount > 0) parts.push(`${report.rejectedCount} REJECTED`);
+    if (report.warningCount > 0) parts.push(`${report.warningCount} WARNINGS`);
+    return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+  };
+
+  // Lists the rejected rows and warnings of a report summary (see summarizeReport)
+  const showImportReport = (report, title = 'IMPORT REPORT') => {
+    reportTitle.textContent = title;
+    reportSummary.textContent = `${report.imported} imported, ${report.rejectedCount} rejected, ${report.warningCount} warnings` +
+      (report.rejected.length < report.rejectedCount || report.warnings.length < report.warningCount
+        ? ` (first ${Math.max(report.rejected.length, report.warnings.length)} of each shown)`
+        : '');
+
+    reportTable.innerHTML = '';
+    const headRow = reportTable.insertRow();
+    for (const heading of ['ROW', 'LINE', 'REASON', 'DETAIL']) {
+      const th = document.createElement('th');
+      th.textContent = heading;
+      headRow.appendChild(th);
+    }
+
+    const entries = [
+      ...report.rejected.map(entry => ({ ...entry, rejected: true })),
+      ...report.warnings.map(entry => ({ ...entry, rejected: false }))
+    ];
+    for (const entry of entries) {
+      const tr = reportTable.insertRow();
+      tr.className = entry.rejected ? 'report-rejected' : 'report-warning';
+      for (const value of [entry.row, entry.line, entry.reason.replace(/-/g, ' ').toUpperCase(), entry.message]) {
+        const cell = tr.insertCell();
+        cell.textContent = value ?? '';
+        cell.title = value ?? '';
+      }
+    }
+
+    reportModal.style.display = 'flex';
+    reportOk.onclick = reportClose.onclick = () => {
+      reportModal.style.display = 'none';
+    };
+  };
+
+  // --- Request Settings ---
+  const requestModal = document.getElementById('request-modal');
+  const requestUrl = document.getElementById('request-url');
+  const requestMethod = document.getElementById('request-method');
+  const requestAuth = document.getElementById('request-auth');
+  const requestToken = document.getElementById('request-token');
+  const requestUsername = document.getElementById('request-username');
+  const requestPassword = document.getElementById('request-password');
+  const requestHeaders = document.getElementById('request-headers');
+  const requestBody = document.getElementById('request-body');
+  const requestError = document.getElementById('request-error');
+  const requestClose = document.getElementById('request-modal-close');
+  const requestCancel = document.getElementById('request-cancel');
+  const requestSave = document.getElementById('request-save');
+
+  const updateRequestFields = () => {
+    requestModal.querySelectorAll('[data-auth]').forEach(row => {
+      row.style.display = row.dataset.auth === requestAuth.value ? '' : 'none';
+    });
+    requestBody.closest('label').style.display = requestMethod.value === 'POST' ? '' : 'none';
+  };
+  requestMethod.onchange = requestAuth.onchange = updateRequestFields;
+
+  // Edits the request configuration of a source URL (see source-fetch.js).
+  // Resolves to { request } on save (request is null for a plain GET) or null on cancel.
+  const showRequestSettings = (url, current) => {
+    requestUrl.textContent = url;
+    requestUrl.title = url;
+    requestMethod.value = current?.method || 'GET';
+    requestAuth.value = current?.auth?.type || 'none';
+    requestToken.value = current?.auth?.token || '';
+    requestUsername.value = current?.auth?.username || '';
+    requestPassword.value = current?.auth?.password || '';
+    requestHeaders.value = Object.entries(current?.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+    requestBody.value = current?.body || '';
+    requestError.textContent = '';
+    updateRequestFields();
+    requestModal.style.display = 'flex';
+
+    return new Promise((resolve) => {
+      const finish = (settings) => {
+        requestModal.style.display = 'none';
+        resolve(settings);
+      };
+
+      requestSave.onclick = () => {
+        const headers = {};
+        for (const line of requestHeaders.value.split('\n')) {
+          if (!line.trim()) continue;
+          const colon = line.indexOf(':');
+          if (colon < 1) {
+            requestError.textContent = `Write headers as "Name: value" ("${line.trim().slice(0, 30)}").`;
+            return;
+          }
+          headers[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+        }
+        try {
+          finish({
+            request: normalizeRequest({
+              method: requestMethod.value,
+              headers,
+              body: requestBody.value,
+              auth: {
+                type: requestAuth.value,
+                token: requestToken.value.trim(),
+                username: requestUsername.value,
+                password: requestPassword.value
+              }
+            })
+          });
+        } catch (err) {
+          requestError.textContent = `${err.message}.`;
+        }
+      };
+      requestCancel.onclick = requestClose.onclick = () => finish(null);
+    });
+  };
+
+  // --- Restore Backup ---
+  const restoreModal = document.getElementById('restore-modal');
+  const restoreSummary = document.getElementById('restore-summary');
+  const restoreMode = document.getElementById('restore-mode');
+  const restoreConflicts = document.getElementById('restore-conflicts');
+  const restoreClose = document.getElementById('restore-modal-close');
+  const restoreCancel = document.getElementById('restore-cancel');
+  const restoreConfirm = document.getElementById('restore-confirm');
+
+  // Asks how to restore a backup: merge (with a choice per conflict) or replace.
+  // Resolves to { mode, resolutions } or null on cancel.
+  const showRestoreOptions = (backup, snapshot, conflicts) => {
+    const profileCount = Object.keys(snapshot.storage.profiles || {}).length;
+    restoreSummary.textContent = `Backup from ${new Date(backup.createdAt).toLocaleString()}: ${profileCount} profile${profileCount !== 1 ? 's' : ''}` +
+      (conflicts.length > 0 ? `, ${conflicts.length} conflicting with this device` : '');
+    restoreMode.value = 'merge';
+
+    restoreConflicts.innerHTML = '';
+    const selects = conflicts.map((conflict) => {
+      const row = document.createElement('label');
+      row.className = 'restore-conflict';
+      const label = document.createElement('span');
+      label.textContent = conflict.label;
+      label.title = `This device: ${conflict.current}\nBackup: ${conflict.backup}`;
+      const select = document.createElement('select');
+      select.add(new Option(`Keep current (${conflict.current})`, 'keep'));
+      select.add(new Option(`Use backup (${conflict.backup})`, 'replace'));
+      if (conflict.allowBoth) select.add(new Option('Keep both', 'both'));
+      row.append(label, select);
+      restoreConflicts.appendChild(row);
+      return [conflict.id, select];
+    });
+    const updateConflicts = () => {
+      restoreConflicts.style.display = restoreMode.value === 'merge' && conflicts.length > 0 ? '' : 'none';
+    };
+    restoreMode.onchange = updateConflicts;
+    updateConflicts();
+    restoreModal.style.display = 'flex';
+
+    return new Promise((resolve) => {
+      const finish = (options) => {
+        restoreModal.style.display = 'none';
+        resolve(options);
+      };
+
+      restoreConfirm.onclick = () => {
+        if (restoreMode.value === 'replace' && !confirm('Replace all profiles, groups and settings on this device with the backup?')) {
+          return;
+        }
+        finish({
+          mode: restoreMode.value,
+          resolutions: Object.fromEntries(selects.map(([id, select]) => [id, select.value]))
+        });
+      };
+      restoreCancel.onclick = restoreClose.onclick = () => finish(null);
+    });
+  };
+
+  const restoreBackupFile = async (backup) => {
+    try {
+      const snapshot = readBackup(backup);
+      const options = await showRestoreOptions(backup, snapshot, await getRestoreConflicts(snapshot));
+      if (!options) {
+        updateStatus('RESTORE CANCELLED');
+        return;
+      }
+      updateStatus('RESTORING...');
+      await new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ action: 'restore-backup', snapshot, options }, (response) => {
+          if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
+          if (response?.status === 'error') return reject(new Error(response.error));
+          resolve(response);
+        });
+      });
+      // Profiles, toggles and preferences all changed: start over from storage
+      location.reload();
+    } catch (err) {
+      console.error('Restore error:', err);
+      alert(`Restore Error:\n\n${err.message}`);
+      updateStatus('RESTORE FAILED');
+    }
+  };
+
+  // --- Trash and Undo ---
+  const trashModal = document.getElementById('trash-modal');
+  const trashList = document.getElementById('trash-list');
+  const trashRetention = document.getElementById('trash-retention');
+  const trashClose = document.getElementById('trash-modal-close');
+  const trashOk = document.getElementById('trash-ok');
+  const trashEmpty = document.getElementById('trash-empty');
+  const undoToast = document.getElementById('undo-toast');
+  const undoToastText = document.getElementById('undo-toast-text');
+  const undoToastBtn = document.getElementById('undo-toast-btn');
+  const UNDO_TOAST_DURATION = 10000;
+  let undoToastTimer = null;
+
+  for (const [days, label] of TRASH_RETENTION_CHOICES) {
+    trashRetention.add(new Option(label, String(days)));
+  }
+
+  // Groups and toggles came back: reload them from storage like on startup
+  const refreshAfterTrashRestore = async () => {
+    await profileManager.reload();
+    const activeProfile = profileManager.getActive();
+    activeGroups = { ...(activeProfile?.activeGroups || {}) };
+    preferences.groupStyles = { ...(activeProfile?.groupStyles || {}) };
+    StorageManager.notifyContentScript(activeGroups, preferences);
+    await renderGroups();
+    await renderProfiles();
+  };
+
+  const restoreTrashEntry = async (id) => {
+    try {
+      const entry = await restoreFromTrash(id);
+      await refreshAfterTrashRestore();
+      updateStatus(`RESTORED ${entry.label.toUpperCase()}`);
+      return true;
+    } catch (err) {
+      console.error('Trash restore error:', err);
+      alert(`Restore Error:\n\n${err.message}`);
+      updateStatus('RESTORE FAILED');
+      return false;
+    }
+  };
+
+  const hideUndoToast = () => {
+    clearTimeout(undoToastTimer);
+    undoToast.style.display = 'none';
+  };
+
+  // Offers to undo the last destructive action until the next one or a timeout
+  const showUndoToast = (message, trashId) => {
+    if (!trashId) return;
+    undoToastText.textContent = message;
+    undoToast.style.display = 'flex';
+    clearTimeout(undoToastTimer);
+    undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_DURATION);
+    undoToastBtn.onclick = async () => {
+      hideUndoToast();
+      await restoreTrashEntry(trashId);
+    };
+  };
+
+  const renderTrash = async () => {
+    const trash = await getTrash();
+    const retentionDays = getTrashRetentionDays(preferences);
+    trashRetention.value = String(retentionDays);
+    trashList.innerHTML = '';
+    trashEmpty.disabled = trash.length === 0;
+
+    if (trash.length === 0) {
+      const hint = document.createElement('span');
+      hint.className = 'trash-empty-hint';
+      hint.textContent = 'The trash is empty.';
+      trashList.appendChild(hint);
+      return;
+    }
+
+    for (const entry of trash) {
+      const row = document.createElement('div');
+      row.className = 'trash-entry';
+      const info = document.createElement('div');
+      info.className = 'trash-entry-info';
+      const label = document.createElement('span');
+      label.textContent = entry.label;
+      const meta = document.createElement('span');
+      meta.className = 'trash-entry-meta';
+      const expiresIn = entry.deletedAt + retentionDays * 86400000 - Date.now();
+      meta.textContent = `Deleted ${new Date(entry.deletedAt).toLocaleString()} · purged in ${formatTimeSpan(expiresIn)}`;
+      info.append(label, meta);
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'trash-restore-btn';
+      restoreBtn.textContent = 'RESTORE';
+      restoreBtn.onclick = async () => {
+        if (await restoreTrashEntry(entry.id)) await renderTrash();
+      };
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'trash-delete-btn';
+      deleteBtn.textContent = 'DELETE';
+      deleteBtn.title = 'Delete for good';
+      deleteBtn.onclick = async () => {
+        if (!confirm(`Delete ${entry.label} for good? This cannot be undone.`)) return;
+        await deleteFromTrash([entry.id]);
+        await pruneSourceRequests();
+        await renderTrash();
+      };
+
+      row.append(info, restoreBtn, deleteBtn);
+      trashList.appendChild(row);
+    }
+  };
+
+  trashBtn.onclick = async () => {
+    await renderTrash();
+    trashModal.style.display = 'flex';
+  };
+  trashOk.onclick = trashClose.onclick = () => {
+    trashModal.style.display = 'none';
+  };
+  trashRetention.onchange = async () => {
+    preferences.trashRetentionDays = Number(trashRetention.value);
+    await saveData();
+    await renderTrash();
+  };
+  trashEmpty.onclick = async () => {
+    if (!confirm('Delete everything in the trash for good? This cannot be undone.')) return;
+    const count = await deleteFromTrash();
+    await pruneSourceRequests();
+    await renderTrash();
+    updateStatus(`DELETED ${count} ITEM${count !== 1 ? 'S' : ''} FOR GOOD`);
+  };
+
+  // --- Sync Change Log ---
+  const historyModal = document.getElementById('history-modal');
+  const historyTitle = document.getElementById('history-title');
+  const historyList = document.getElementById('history-list');
+  const historyClose = document.getElementById('history-modal-close');
+  const historyOk = document.getElementById('history-ok');
+
+  const HISTORY_SECTIONS = [
+    ['removed', 'REMOVED'],
+    ['moved', 'MOVED'],
+    ['added', 'ADDED'],
+    ['changed', 'CHANGED']
+  ];
+
+  // Lists a group's syncHistory, newest first; each entry expands to the POIs it touched
+  const showSyncHistory = (group) => {
+    historyTitle.textContent = `CHANGE LOG: ${group.name}`;
+    historyList.innerHTML = '';
+
+    for (const entry of group.syncHistory || []) {
+      const details = document.createElement('details');
+      details.className = 'history-entry';
+      if (entry.counts.removed > 0) details.classList.add('has-removals');
+
+      const summary = document.createElement('summary');
+      const { added, removed, moved, changed } = entry.counts;
+      summary.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${entry.poiCount} POIs · +${added} −${removed} ↔${moved} ~${changed}`;
+      details.appendChild(summary);
+
+      for (const [kind, label] of HISTORY_SECTIONS) {
+        if (entry.counts[kind] === 0) continue;
+        const heading = document.createElement('div');
+        heading.className = `history-section history-${kind}`;
+        const shown = entry[kind].length;
+        heading.textContent = `${label} (${entry.counts[kind]}${shown < entry.counts[kind] ? `, first ${shown} shown` : ''})`;
+        details.appendChild(heading);
+
+        const list = document.createElement('ul');
+        for (const item of entry[kind]) {
+          const li = document.createElement('li');
+          li.textContent = item.from
+            ? `${item.name}: ${item.from.map(v => v.toFixed(5)).join(', ')} → ${item.to.map(v => v.toFixed(5)).join(', ')}`
+            : item.name;
+          li.title = item.id ?? '';
+          list.appendChild(li);
+        }
+        details.appendChild(list);
+      }
+
+      historyList.appendChild(details);
+    }
+
+    historyModal.style.display = 'flex';
+    historyOk.onclick = historyClose.onclick = () => {
+      historyModal.style.display = 'none';
+    };
+  };
+
+  // Saves parsed POIs as groups (split by their groupName) and activates them.
+  // groupIcons maps a groupName ('' for ungrouped POIs) to a logo data URL.
+  // report is the parser's report summary; its counts are added to the status and
+  // the details are shown once the POIs are saved.
+  const saveImportedPois = (pois, defaultGroupName, groupIcons = {}, report = null) => {
+    const groupedPois = {};
+    const ungroupedPois = [];
+    
+    // Group POIs by groupName if specified
+    for (const poi of pois) {
+      if (poi.groupName) {
+        if (!groupedPois[poi.groupName]) {
+          groupedPois[poi.groupName] = [];
+        }
+        groupedPois[poi.groupName].push(poi);
+      } else {
+        ungroupedPois.push(poi);
+      }
+    }
+    
+    // Run storage operations in background (don't await, let UI stay responsive)
+    (async () => {
+      try {
+        // Build batch of groups to save
+        const groupsToSave = [];
+        
+        if (ungroupedPois.length > 0) {
+          groupsToSave.push({ pois: ungroupedPois, groupName: defaultGroupName, logoData: groupIcons[''] });
+        }
+        for (const [groupName, groupPois] of Object.entries(groupedPois)) {
+          groupsToSave.push({ pois: groupPois, groupName, logoData: groupIcons[groupName] });
+        }
+        
+        // Single batch save: one storage read + one storage write for all groups
+        const createdUuids = await savePOIsBatch(groupsToSave);
+        
+        // Set all created groups as active
+        for (const uuid of createdUuids) {
+          activeGroups[uuid] = true;
+        }
+        
+        // Reload profile manager cache (groupUuids were updated by savePOIsBatch)
+        await profileManager.reload();
+        
+        // Reload group styles from the active profile fresh from storage
+        const allProfiles = await chrome.storage.local.get(['profiles', 'activeProfile']);
+        const activeProfileUuid = allProfiles.activeProfile;
+        const profiles = allProfiles.profiles || {};
+        const freshActiveProfile = profiles[activeProfileUuid];
+        if (freshActiveProfile && freshActiveProfile.groupStyles) {
+          preferences.groupStyles = { ...freshActiveProfile.groupStyles };
+        }
+        
+        await saveData();
+        newGroupNameInput.value = '';
+        await renderGroups();
+        const totalCount = Object.keys(groupedPois).length;
+        updateStatus(`IMPORTED ${pois.length} POIs IN ${totalCount > 0 ? totalCount + ' GROUPS' : defaultGroupName}${reportStatusText(report)}`);
+        if (hasReportIssues(report)) showImportReport(report);
+      } catch (importErr) {
+        console.error('Import error during storage operations:', importErr);
+        updateStatus('IMPORT FAILED');
+      }
+    })();
+  };
+
+  // KMZ is a zip archive, so it is read as binary instead of text.
+  // Embedded placemark icons become the logos of the imported groups.
+  const importKMZFile = async (file) => {
+    const defaultGroupName = newGroupNameInput.value.trim() || file.name.replace(/\.[^/.]+$/, "");
+    updateStatus('IMPORTING... (0 POIs)');
+    
+    try {
+      const { groupIcons, ...report } = await parseKMZ(await file.arrayBuffer());
+      
+      // Scale icons down like uploaded logos so they fit in storage
+      const resizedIcons = {};
+      for (const [groupName, dataUrl] of Object.entries(groupIcons)) {
+        const resized = await resizeImageData(dataUrl);
+        if (resized) resizedIcons[groupName] = resized;
+      }
+      
+      saveImportedPois(report.pois, defaultGroupName, resizedIcons, summarizeReport(report));
+    } catch (importErr) {
+      console.error('Import validation error:', importErr);
+      alert(`Import Error:\n\n${importErr.message}`);
+      updateStatus('IMPORT FAILED');
+    }
+  };
+
   csvUploadInput.onchange = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
+    if (file.name.toLowerCase().endsWith('.kmz')) {
+      e.target.value = ''; // Reset input
+      await importKMZFile(file);
+      return;
+    }
     const reader = new FileReader();
     reader.onload = async (ev) => {
       try {
         const content = ev.target.result;
+
+        // Full backups restore everything instead of importing groups
+        let backupData = null;
+        try {
+          backupData = JSON.parse(content);
+        } catch (e) {
+          // Not JSON, so not a backup
+        }
+        if (isBackup(backupData)) {
+          await restoreBackupFile(backupData);
+          return;
+        }
         
         // Try to parse as JSON first to check if it's an export file
         let isExportFormat = false;
@@ -863,7 +1902,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             (async () => {
               try {
                 // Single batch: parses all groups, saves once to storage
-                const imported = await importGroupsData(jsonData, false);
+                const imported = await importGroupsData(jsonData);
                 
                 if (imported.length > 0) {
                   // Set all imported groups as active
@@ -900,31 +1939,28 @@ document.addEventListener('DOMContentLoaded', async () => {
           // Not JSON or not export format, continue with regular import
         }
         
-        // Regular CSV/JSON import
+        // Regular CSV/JSON/GeoJSON/KML import
         if (!isExportFormat) {
           const defaultGroupName = newGroupNameInput.value.trim() || file.name.replace(/\.[^/.]+$/, "");
-          updateStatus('IMPORTING... (0 POIs)');
+          const format = detectFormat(content, file.name);
           
           // Parse data synchronously (one-time parse is OK, storage ops run async)
-          let pois;
-          let groupedPois = {};
-          let ungroupedPois = [];
-          
+          let report;
           try {
-            pois = importData(content, file.name.endsWith('.json') ? 'json' : 'csv');
-            if (pois.length) {
-              // Group POIs by groupName if specified
-              for (const poi of pois) {
-                if (poi.groupName) {
-                  if (!groupedPois[poi.groupName]) {
-                    groupedPois[poi.groupName] = [];
-                  }
-                  groupedPois[poi.groupName].push(poi);
-                } else {
-                  ungroupedPois.push(poi);
-                }
+            // Tabular formats: let the user confirm which column is which first
+            let mapping;
+            const preview = getColumnPreview(content, format);
+            if (preview) {
+              mapping = await showMappingWizard(preview, null,
+                (recordsPath) => getColumnPreview(content, format, { recordsPath }));
+              if (!mapping) {
+                updateStatus('IMPORT CANCELLED');
+                return;
               }
             }
+            
+            updateStatus('IMPORTING... (0 POIs)');
+            report = importData(content, format, { mapping });
           } catch (importErr) {
             console.error('Import validation error:', importErr);
             alert(`Import Error:\n\n${importErr.message}`);
@@ -932,50 +1968,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
           }
           
-          // Now run storage operations in background (don't await, let UI stay responsive)
-          if (pois.length) {
-            (async () => {
-              try {
-                // Build batch of groups to save
-                const groupsToSave = [];
-                
-                if (ungroupedPois.length > 0) {
-                  groupsToSave.push({ pois: ungroupedPois, groupName: defaultGroupName });
-                }
-                for (const [groupName, groupPois] of Object.entries(groupedPois)) {
-                  groupsToSave.push({ pois: groupPois, groupName });
-                }
-                
-                // Single batch save: one storage read + one storage write for all groups
-                const createdUuids = await savePOIsBatch(groupsToSave);
-                
-                // Set all created groups as active
-                for (const uuid of createdUuids) {
-                  activeGroups[uuid] = true;
-                }
-                
-                // Reload profile manager cache (groupUuids were updated by savePOIsBatch)
-                await profileManager.reload();
-                
-                // Reload group styles from the active profile fresh from storage
-                const allProfiles = await chrome.storage.local.get(['profiles', 'activeProfile']);
-                const activeProfileUuid = allProfiles.activeProfile;
-                const profiles = allProfiles.profiles || {};
-                const freshActiveProfile = profiles[activeProfileUuid];
-                if (freshActiveProfile && freshActiveProfile.groupStyles) {
-                  preferences.groupStyles = { ...freshActiveProfile.groupStyles };
-                }
-                
-                await saveData();
-                newGroupNameInput.value = '';
-                await renderGroups();
-                const totalCount = Object.keys(groupedPois).length;
-                updateStatus(`IMPORTED ${pois.length} POIs IN ${totalCount > 0 ? totalCount + ' GROUPS' : defaultGroupName}`);
-              } catch (importErr) {
-                console.error('Import error during storage operations:', importErr);
-                updateStatus('IMPORT FAILED');
-              }
-            })();
+          if (report.pois.length) {
+            saveImportedPois(report.pois, defaultGroupName, {}, summarizeReport(report));
+          } else if (hasReportIssues(summarizeReport(report))) {
+            updateStatus('NOTHING IMPORTED');
+            showImportReport(summarizeReport(report));
           }
         }
       } catch (err) {
@@ -987,6 +1984,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     e.target.value = ''; // Reset input
   };
 
+  const downloadFile = (content, fileName, type) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+  const exportTimestamp = () => new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+
   // Export button handler
   exportBtn.onclick = async () => {
     try {
@@ -996,17 +2006,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
       
-      // Create blob and download
-      const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
-      a.download = `shullow-export-${timestamp}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      downloadFile(JSON.stringify(exportData, null, 2), `shullow-export-${exportTimestamp()}.json`, 'application/json');
       
       updateStatus(`EXPORTED ${exportData.length} GROUPS`);
     } catch (err) {
@@ -1015,6 +2015,63 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   };
 
+  // Backup: everything in storage (all profiles, toggles, preferences, sync settings)
+  backupBtn.onclick = async () => {
+    try {
+      const backup = await createBackup();
+      downloadFile(JSON.stringify(backup, null, 2), `shullow-backup-${exportTimestamp()}.json`, 'application/json');
+      updateStatus(`BACKED UP ${Object.keys(backup.storage.profiles || {}).length} PROFILES`);
+    } catch (err) {
+      console.error('Backup error:', err);
+      updateStatus('BACKUP FAILED');
+    }
+  };
+
+  // GeoJSON export: all groups of the active profile in one FeatureCollection
+  exportGeoJSONBtn.onclick = async () => {
+    try {
+      const collection = await exportGroupsGeoJSON();
+      if (!collection) {
+        updateStatus('NO GROUPS TO EXPORT');
+        return;
+      }
+
+      downloadFile(JSON.stringify(collection, null, 2), `shullow-export-${exportTimestamp()}.geojson`, 'application/geo+json');
+
+      updateStatus(`EXPORTED ${collection.features.length} POIs AS GEOJSON`);
+    } catch (err) {
+      console.error('GeoJSON export error:', err);
+      updateStatus('EXPORT FAILED');
+    }
+  };
+
+  // GPX export of the group currently open in the customization modal
+  groupExportGPXBtn.onclick = async () => {
+    if (!currentEditingGroup || currentEditingGroup === '__theme__') return;
+    try {
+      const result = await exportGroupGPX(currentEditingGroup);
+      if (!result) {
+        updateStatus('NO POIs TO EXPORT');
+        return;
+      }
+
+      const safeName = result.name.replace(/[^a-z0-9_-]+/gi, '_');
+      downloadFile(result.gpx, `${safeName}.gpx`, 'application/gpx+xml');
+
+      updateStatus(`EXPORTED ${result.name.toUpperCase()} AS GPX`);
+    } catch (err) {
+      console.error('GPX export error:', err);
+      updateStatus('EXPORT FAILED');
+    }
+  };
+
+  // The POI editor needs more room than the popup, so it opens in a tab
+  groupEditPoisBtn.onclick = () => {
+    if (!currentEditingGroup || currentEditingGroup === '__theme__') return;
+    const params = new URLSearchParams({ profile: profileManager.getActiveUuid(), group: currentEditingGroup });
+    chrome.tabs.create({ url: chrome.runtime.getURL(`popup/editor.html?${params}`) });
+  };
+
   // Disable/Enable all groups handler
   disableAllBtn.onclick = async () => {
     const groupCount = Object.keys(activeGroups).length;
@@ -1085,7 +2142,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
       
-      if (confirm(`Are you sure? This will DELETE all ${profileGroupCount} group${profileGroupCount !== 1 ? 's' : ''} in this profile and cannot be undone.`)) {
+      if (confirm(`Are you sure? This will DELETE all ${profileGroupCount} group${profileGroupCount !== 1 ? 's' : ''} in this profile. They stay in the TRASH for ${getTrashRetentionDays(preferences)} days.`)) {
         console.log('[CLEAR] User confirmed, starting clear...');
         updateStatus('CLEARING... (0 GROUPS)');
         
@@ -1094,7 +2151,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           console.log('[CLEAR] IIFE started');
           try {
             // Single batch delete: clears all groups, removes from activeGroups, writes once to storage
-            const deletedGroups = await deleteAllGroupsFromProfile(activeProfile.uuid, false);
+            const { deletedGroups, trashId } = await deleteAllGroupsFromProfile(activeProfile.uuid);
             console.log('[CLEAR] deleteAllGroupsFromProfile completed, deleted:', deletedGroups.length);
             
             let deletedCount = 0;
@@ -1142,6 +2199,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             await renderProfiles();
             
             updateStatus(`CLEARED ${deletedCount} GROUPS`);
+            showUndoToast(`Cleared ${deletedCount} group${deletedCount !== 1 ? 's' : ''}`, trashId);
           } catch (err) {
             console.error('Clear all error:', err);
             updateStatus('CLEAR FAILED');
@@ -0,0 +1,141 @@
+import 'fake-indexeddb/auto';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mockChromeStorage } from './chrome-storage.mjs';
+import { createBackup, readBackup, getRestoreConflicts, restoreBackup, BACKUP_VERSION } from '../data/backup.js';
+import { getAllPois, replacePois } from '../data/poi-store.js';
+import { SCHEMA_VERSION } from '../data/migrations.js';
+
+const cafe = { id: 'cafe', name: 'Cafe', latitude: 40.7, longitude: -74 };
+const bar = { id: 'bar', name: 'Bar', latitude: 40.8, longitude: -73.9 };
+const profile = (uuid, name, groups) => ({ uuid, name, groups, groupStyles: {}, activeGroups: {} });
+
+/**
+ * Stored data and POIs for a test
+ */
+async function setUp(storage, pois = {}) {
+  await replacePois(pois, { clear: true });
+  return mockChromeStorage({ schemaVersion: SCHEMA_VERSION, ...storage });
+}
+
+test('createBackup leaves out credentials, the trash and trashed POIs', async () => {
+  await setUp({
+    activeProfile: 'p',
+    profiles: { p: profile('p', 'Main', { g: { uuid: 'g', name: 'Food', poiCount: 1 } }) },
+    sourceRequests: { 'https://example.com': { auth: { type: 'bearer', token: 'secret' } } },
+    trash: [{ id: 't', type: 'groups', profileUuid: 'p', groups: { old: {} } }],
+    preMigrationBackup: { storage: {} }
+  }, { p: { g: [cafe], old: [bar] } });
+
+  const backup = await createBackup();
+  assert.equal(backup.version, BACKUP_VERSION);
+  assert.deepEqual(Object.keys(backup.storage).sort(), ['activeProfile', 'profiles', 'schemaVersion']);
+  assert.deepEqual(backup.pois, { p: { g: [cafe] } });
+});
+
+test('readBackup migrates old files and rejects what it can not read', () => {
+  const { storage, pois } = readBackup({
+    format: 'shullow-backup',
+    version: 1,
+    storage: { _uuidMigrated: true, poiGroups: { g: { name: 'Food', pois: [cafe] } } }
+  });
+  const [uuid] = Object.keys(storage.profiles);
+  assert.equal(storage.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(pois, { [uuid]: { g: [cafe] } });
+
+  assert.throws(() => readBackup({ format: 'other' }), /Not a Shullow backup file/);
+  assert.throws(() => readBackup({ format: 'shullow-backup', version: BACKUP_VERSION + 1, storage: {} }), /newer than this extension supports/);
+  assert.throws(() => readBackup({ format: 'shullow-backup', version: 2, storage: [] }), /no storage data/);
+  assert.throws(() => readBackup({ format: 'shullow-backup', version: 2, storage: {}, pois: { p: [] } }), /invalid POI data/);
+});
+
+test('getRestoreConflicts lists profiles, settings and mappings that differ', async () => {
+  await setUp({
+    profiles: { p: profile('p', 'Main', { g: { uuid: 'g', name: 'Food' } }), same: profile('same', 'Same', {}) },
+    preferences: { theme: 'dark' },
+    sourceMappings: { u: { latitude: 'lat' } }
+  }, { p: { g: [cafe] } });
+
+  const conflicts = await getRestoreConflicts({
+    storage: {
+      profiles: { p: profile('p', 'Main', { g: { uuid: 'g', name: 'Food' } }), same: profile('same', 'Same', {}), added: profile('added', 'New', {}) },
+      preferences: { theme: 'light' },
+      sourceMappings: { u: { latitude: 'y' }, v: {} }
+    },
+    pois: { p: { g: [bar] } }
+  });
+  assert.deepEqual(conflicts.map(({ id, allowBoth }) => [id, allowBoth]), [['profile:p', true], ['preferences', false], ['mapping:u', false]]);
+});
+
+test('a replace restore swaps all data but keeps the stored request settings', async () => {
+  const read = await setUp({
+    activeProfile: 'old',
+    profiles: { old: profile('old', 'Old', { g: { uuid: 'g', name: 'Food' } }) },
+    sourceRequests: { 'https://example.com': { method: 'POST' } },
+    activeGroups: { g: true }
+  }, { old: { g: [cafe] } });
+
+  const result = await restoreBackup({
+    storage: { activeProfile: 'p', profiles: { p: profile('p', 'Main', { h: { uuid: 'h', name: 'Bars', sourceUrl: 'https://example.com' } }) } },
+    pois: { p: { h: [bar] } }
+  }, { mode: 'replace' });
+
+  assert.deepEqual(result, { profilesAdded: 1, profilesReplaced: 0 });
+  const data = read();
+  assert.deepEqual(Object.keys(data.profiles), ['p']);
+  assert.equal(data.activeGroups, undefined);
+  assert.deepEqual(data.sourceRequests, { 'https://example.com': { method: 'POST' } });
+  assert.deepEqual(await getAllPois(), { p: { h: [bar] } });
+});
+
+test('a merge restore adds new profiles, keeps conflicts by default and follows resolutions', async () => {
+  const stored = { activeProfile: 'p', profiles: { p: profile('p', 'Main', { g: { uuid: 'g', name: 'Food' } }) }, preferences: { theme: 'dark' } };
+  const snapshot = {
+    storage: {
+      profiles: { p: profile('p', 'Main', { g: { uuid: 'g', name: 'Food (backup)' } }), q: profile('q', 'Other', {}) },
+      preferences: { theme: 'light' },
+      sourceMappings: { u: { latitude: 'lat' } }
+    },
+    pois: { p: { g: [bar] }, q: {} }
+  };
+
+  let read = await setUp(stored, { p: { g: [cafe] } });
+  assert.deepEqual(await restoreBackup(snapshot), { profilesAdded: 1, profilesReplaced: 0 });
+  assert.deepEqual(Object.keys(read().profiles), ['p', 'q']);
+  assert.equal(read().profiles.p.groups.g.name, 'Food');
+  assert.deepEqual(read().preferences, { theme: 'dark' });
+  assert.deepEqual(read().sourceMappings, { u: { latitude: 'lat' } });
+  assert.deepEqual(await getAllPois(), { p: { g: [cafe] } });
+
+  read = await setUp(stored, { p: { g: [cafe] } });
+  await restoreBackup(snapshot, { resolutions: { 'profile:p': 'replace', preferences: 'replace' } });
+  assert.equal(read().profiles.p.groups.g.name, 'Food (backup)');
+  assert.deepEqual(read().preferences, { theme: 'light' });
+  assert.deepEqual(await getAllPois(), { p: { g: [bar] } });
+
+  read = await setUp(stored, { p: { g: [cafe] } });
+  assert.deepEqual(await restoreBackup(snapshot, { resolutions: { 'profile:p': 'both' } }), { profilesAdded: 2, profilesReplaced: 0 });
+  const [copyUuid, copy] = Object.entries(read().profiles).find(([, { name }]) => name === 'Main (restored)');
+  const [copyGroupUuid] = Object.keys(copy.groups);
+  assert.notEqual(copyGroupUuid, 'g');
+  assert.deepEqual(await getAllPois(), { p: { g: [cafe] }, [copyUuid]: { [copyGroupUuid]: [bar] } });
+});
+
+test('a restore whose settings can not be written puts the previous POIs back', async () => {
+  const read = await setUp({ profiles: { p: profile('p', 'Main', { g: { uuid: 'g', name: 'Food' } }) } }, { p: { g: [cafe] } });
+  chrome.storage.local.set = async () => {
+    throw new Error('QUOTA_BYTES quota exceeded');
+  };
+
+  await assert.rejects(restoreBackup({ storage: { profiles: { q: profile('q', 'Other', { h: {} }) } }, pois: { q: { h: [bar] } } }, { mode: 'replace' }),
+    /quota exceeded/);
+  assert.deepEqual(Object.keys(read().profiles), ['p']);
+  assert.deepEqual(await getAllPois(), { p: { g: [cafe] } });
+});
+
+test('restoreBackup rejects malformed snapshots before writing anything', async () => {
+  await setUp({}, { p: { g: [cafe] } });
+  await assert.rejects(restoreBackup({ storage: { profiles: [] }, pois: {} }), /no storage data/);
+  await assert.rejects(restoreBackup({ storage: {}, pois: { p: { g: 'x' } } }), /invalid POI data/);
+  assert.deepEqual(await getAllPois(), { p: { g: [cafe] } });
+});
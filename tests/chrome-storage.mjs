@@ -0,0 +1,26 @@
+/**
+ * In-memory chrome.storage.local for tests of modules that use extension storage.
+ * Values are cloned in and out, as the real storage area serializes them.
+ * @param {Object} [initial] - Stored items
+ * @returns {function(): Object} Reads the stored items
+ */
+export function mockChromeStorage(initial = {}) {
+  let data = structuredClone(initial);
+  globalThis.chrome = {
+    storage: {
+      local: {
+        async get(keys) {
+          if (keys === null || keys === undefined) return structuredClone(data);
+          return Object.fromEntries([].concat(keys).filter(key => key in data).map(key => [key, structuredClone(data[key])]));
+        },
+        async set(items) {
+          data = { ...data, ...structuredClone(items) };
+        },
+        async remove(keys) {
+          for (const key of [].concat(keys)) delete data[key];
+        }
+      }
+    }
+  };
+  return () => data;
+}
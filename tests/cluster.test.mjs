@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { PoiClusterIndex } = require('../bridge/modules/cluster.js');
+
+const WORLD = { north: 85, south: -85, west: -180, east: 180 };
+const poi = (id, latitude, longitude, groupUuid = 'g', color = '#ff0000') =>
+  ({ id, latitude, longitude, groupUuid, groupName: `Group ${groupUuid}`, color });
+
+// Two pins about 100 m apart in Manhattan, one in Paris
+const pois = [
+  poi('a', 40.7128, -74.006),
+  poi('b', 40.7137, -74.006, 'h', '#0000ff'),
+  poi('c', 48.8566, 2.3522)
+];
+
+test('nearby POIs merge into a cluster at low zoom and split up when zoomed in', () => {
+  const index = new PoiClusterIndex(pois);
+
+  const far = index.getItems(WORLD, 3);
+  assert.equal(far.length, 2);
+  const cluster = far.find(item => item.count > 1);
+  assert.equal(cluster.count, 2);
+  assert.ok(Math.abs(cluster.latitude - 40.71325) < 1e-3);
+  assert.match(cluster.id, /^poi-cluster-/);
+  assert.deepEqual(cluster.groups.map(({ groupUuid, count, color }) => [groupUuid, count, color]),
+    [['g', 1, '#ff0000'], ['h', 1, '#0000ff']]);
+
+  const near = index.getItems(WORLD, 16);
+  assert.deepEqual(near.map(item => item.poi.id), ['a', 'b', 'c']);
+});
+
+test('a cluster splits at its expansion zoom', () => {
+  const index = new PoiClusterIndex(pois);
+  const cluster = index.getItems(WORLD, 0).find(item => item.count === 2);
+  const { expansionZoom } = cluster;
+  assert.ok(index.getItems(WORLD, expansionZoom - 1).some(item => item.count === 2));
+  assert.ok(index.getItems(WORLD, expansionZoom).every(item => item.count === 1));
+});
+
+test('getItems keeps items in the padded bounds, also across the antimeridian', () => {
+  const index = new PoiClusterIndex([poi('fiji', -17.7, 178.1), poi('samoa', -13.8, -171.8), poi('nyc', 40.7, -74)]);
+  const pacific = { north: 0, south: -30, west: 170, east: -165 };
+  assert.deepEqual(index.getItems(pacific, 16).map(item => item.poi.id).sort(), ['fiji', 'samoa']);
+  assert.deepEqual(index.getItems({ north: 41, south: 40, west: -75, east: -73 }, 16).map(item => item.poi.id), ['nyc']);
+  assert.deepEqual(index.getItems({ north: 41, south: 40.8, west: -75, east: -73 }, 16), []);
+  assert.deepEqual(index.getItems({ north: 41, south: 40.8, west: -75, east: -73 }, 16, 0.5).map(item => item.poi.id), ['nyc']);
+});
+
+test('POIs without valid coordinates are left out', () => {
+  const index = new PoiClusterIndex([poi('a', 'x', 1), poi('b', '40.7', '-74')]);
+  assert.deepEqual(index.getItems(WORLD, 16).map(item => item.poi.id), ['b']);
+});
+
+test('formatCount shortens thousands', () => {
+  assert.deepEqual([999, 1000, 1234, 9950, 12345].map(PoiClusterIndex.formatCount), ['999', '1k', '1.2k', '9.9k', '12k']);
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { guessMapping, validateMapping, getExtraColumns, tokenizeHeader } from '../data/column-mapping.js';
+
+test('tokenizeHeader splits on separators and camel case', () => {
+  assert.deepEqual(tokenizeHeader('Place Name'), ['place', 'name']);
+  assert.deepEqual(tokenizeHeader('placeName'), ['place', 'name']);
+  assert.deepEqual(tokenizeHeader('street_address-2'), ['street', 'address', '2']);
+});
+
+test('guessMapping matches exact aliases before tokens', () => {
+  const mapping = guessMapping(['Store Name', 'Street Address', 'LAT', 'Longitude', 'id']);
+  assert.equal(mapping.name, 'Store Name');
+  assert.equal(mapping.address, 'Street Address');
+  assert.equal(mapping.latitude, 'LAT');
+  assert.equal(mapping.longitude, 'Longitude');
+  assert.equal(mapping.id, 'id');
+});
+
+test('guessMapping does not take words that merely contain an alias', () => {
+  const mapping = guessMapping(['longname', 'platform']);
+  assert.equal(mapping.latitude, null);
+  assert.equal(mapping.longitude, null);
+});
+
+test('guessMapping prefers separate columns over a combined one', () => {
+  const mapping = guessMapping(['location', 'lat', 'lng']);
+  assert.equal(mapping.coordinates, null);
+  assert.equal(mapping.latitude, 'lat');
+});
+
+test('guessMapping recognizes GIS geometry columns', () => {
+  for (const column of ['geom', 'the_geom', 'wkb_geometry', 'WKT']) {
+    assert.equal(guessMapping(['name', column]).coordinates, column);
+  }
+});
+
+test('guessMapping falls back to the first column whose values are coordinate pairs', () => {
+  const columns = ['name', 'size', 'where'];
+  const rows = [['A', '1,5', 'POINT(1 2)'], ['B', '', '40.7,-74.0']];
+  assert.equal(guessMapping(columns, rows).coordinates, 'where');
+  assert.equal(guessMapping(columns, [['A', '1,5', 'somewhere']]).coordinates, null);
+});
+
+test('validateMapping names missing fields and unknown columns', () => {
+  assert.throws(() => validateMapping({ latitude: 'lat' }, ['lat', 'name']), /Missing required fields: longitude/);
+  assert.throws(() => validateMapping({ coordinates: 'geo' }, ['wkt']), /Column "geo" mapped to coordinates was not found/);
+  assert.doesNotThrow(() => validateMapping({ coordinates: 'wkt' }, ['wkt']));
+});
+
+test('getExtraColumns leaves out assigned and ignored columns', () => {
+  const mapping = { latitude: 'lat', longitude: 'lng', name: 'name', ignore: ['secret'] };
+  assert.deepEqual(getExtraColumns(mapping, ['name', 'lat', 'lng', 'secret', 'phone']), ['phone']);
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCoordinate, parseCoordinatePair, checkCoordinates, normalizeCoordinates } from '../data/coordinates.js';
+
+const close = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) < 1e-4, `${actual} is not close to ${expected}`);
+};
+const assertPair = (value, latitude, longitude) => {
+  const pair = parseCoordinatePair(value);
+  assert.ok(pair && !pair.error, `${JSON.stringify(value)}: ${pair?.error}`);
+  close(pair.latitude, latitude);
+  close(pair.longitude, longitude);
+};
+
+test('parseCoordinate reads decimal degrees, with a point or a comma', () => {
+  assert.equal(parseCoordinate('40.7128'), 40.7128);
+  assert.equal(parseCoordinate('-74,006'), -74.006);
+  assert.equal(parseCoordinate(12.5), 12.5);
+  assert.ok(Number.isNaN(parseCoordinate('')));
+  assert.ok(Number.isNaN(parseCoordinate('north')));
+});
+
+test('parseCoordinate reads degrees, minutes and seconds with hemispheres', () => {
+  close(parseCoordinate('40°42\'46"N'), 40.712778);
+  close(parseCoordinate('N 40 42.767'), 40.712783);
+  close(parseCoordinate('74°0\'21" W'), -74.005833);
+  close(parseCoordinate('33 51 54 S'), -33.865);
+  assert.ok(Number.isNaN(parseCoordinate('40°61\'N')));
+});
+
+test('parseCoordinatePair reads plain pairs latitude first', () => {
+  assertPair('40.7128,-74.0060', 40.7128, -74.006);
+  assertPair('40.7128; -74.0060', 40.7128, -74.006);
+  assertPair('(40.7128 -74.0060)', 40.7128, -74.006);
+  assertPair('40,7128, -74,0060', 40.7128, -74.006);
+  assertPair('40,-74', 40, -74);
+  assertPair('1, 23', 1, 23);
+});
+
+test('parseCoordinatePair reads a number with a comma as one number, not a pair', () => {
+  assert.match(parseCoordinatePair('1,234').error, /"1,234" is a single number/);
+  assert.match(parseCoordinatePair('(-40,7128)').error, /single number/);
+});
+
+test('parseCoordinatePair reads DMS pairs in either order', () => {
+  assertPair('40°42\'46"N 74°0\'21"W', 40.712778, -74.005833);
+  assertPair('74°0\'21"W 40°42\'46"N', 40.712778, -74.005833);
+});
+
+test('parseCoordinatePair reads WKT points longitude first', () => {
+  assertPair('POINT(-74.0060 40.7128)', 40.7128, -74.006);
+  assertPair('SRID=4326;POINT Z (-74.0060 40.7128 10)', 40.7128, -74.006);
+  assertPair('point ( 2.35 48.85 )', 48.85, 2.35);
+});
+
+test('parseCoordinatePair decodes full Plus Codes and rejects short ones', () => {
+  assertPair('87G7PX7V+4H', 40.712813, -74.006063);
+  assertPair('8FW4V75V+8Q', 48.858312, 2.294437);
+  assert.match(parseCoordinatePair('PX7V+4H Manhattan').error, /Short Plus Code/);
+});
+
+test('parseCoordinatePair reads objects, GeoJSON points and [lng, lat] arrays', () => {
+  assertPair({ lat: 40.7128, lng: -74.006 }, 40.7128, -74.006);
+  assertPair({ latitude: '40.7128', longitude: '-74.006' }, 40.7128, -74.006);
+  assertPair({ type: 'Point', coordinates: [-74.006, 40.7128] }, 40.7128, -74.006);
+  assertPair([-74.006, 40.7128], 40.7128, -74.006);
+  assertPair('{"lat": 40.7128, "lon": -74.006}', 40.7128, -74.006);
+});
+
+test('parseCoordinatePair returns null for empty values and errors for text', () => {
+  assert.equal(parseCoordinatePair(''), null);
+  assert.equal(parseCoordinatePair(null), null);
+  assert.match(parseCoordinatePair('Main Street').error, /Unrecognized coordinates/);
+});
+
+test('checkCoordinates swaps a pair that only works the other way round', () => {
+  assert.deepEqual(checkCoordinates(40.7, -74), { latitude: 40.7, longitude: -74, swapped: false });
+  assert.deepEqual(checkCoordinates(-122.4, 37.8), { latitude: 37.8, longitude: -122.4, swapped: true });
+  assert.equal(checkCoordinates(200, 100).reason, 'out-of-range');
+  assert.equal(checkCoordinates(NaN, 1).reason, 'invalid-coordinates');
+});
+
+test('normalizeCoordinates prefers separate values over a combined one', () => {
+  assert.deepEqual(normalizeCoordinates('1', '2', 'POINT(9 9)'), { latitude: 1, longitude: 2 });
+  assert.deepEqual(normalizeCoordinates('', null, 'POINT(2 1)'), { latitude: 1, longitude: 2 });
+  assert.equal(normalizeCoordinates('', '', '').reason, 'missing-coordinates');
+  assert.equal(normalizeCoordinates('x', '2').reason, 'invalid-coordinates');
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, readCSVRecords, detectDelimiter, toCSVField } from '../data/csv-parser.js';
+
+const records = (text, delimiter) => [...readCSVRecords(text, delimiter)];
+
+test('quoted fields keep delimiters, escaped quotes and line breaks', () => {
+  const text = 'name,note\n"Joe\'s, ""the"" diner","line one\nline two"\nnext,row\n';
+  assert.deepEqual(records(text).map(({ fields, line }) => [fields, line]), [
+    [['name', 'note'], 1],
+    [['Joe\'s, "the" diner', 'line one\nline two'], 2],
+    [['next', 'row'], 4]
+  ]);
+});
+
+test('an unterminated quote rejects its line and parsing resumes after it', () => {
+  const report = parseCSV('name,lat,lng\n"Broken,40.7,-74\nGood,40.8,-73.9\n');
+  assert.deepEqual(report.pois.map(poi => poi.name), ['Good']);
+  assert.equal(report.rejected.length, 1);
+  assert.equal(report.rejected[0].line, 2);
+  assert.equal(report.rejected[0].reason, 'malformed-record');
+});
+
+test('a byte order mark does not end up in the first header', () => {
+  const report = parseCSV('﻿latitude,longitude,name\n40.7,-74,Cafe\n');
+  assert.deepEqual(report.pois.map(({ name, latitude, longitude }) => [name, latitude, longitude]), [['Cafe', 40.7, -74]]);
+});
+
+test('semicolon files with decimal commas are detected and read', () => {
+  const text = 'Name;Breitengrad;lat;lng\nCafé;x;52,5200;13,4050\nBar;y;48,1351;11,5820\n';
+  assert.equal(detectDelimiter(text), ';');
+  const report = parseCSV(text);
+  assert.deepEqual(report.pois.map(({ name, latitude, longitude }) => [name, latitude, longitude]),
+    [['Café', 52.52, 13.405], ['Bar', 48.1351, 11.582]]);
+});
+
+test('tab and pipe delimiters are detected', () => {
+  assert.equal(detectDelimiter('a\tb\tc\n1\t2\t3\n'), '\t');
+  assert.equal(detectDelimiter('a|b\n1|2\n'), '|');
+  assert.equal(detectDelimiter('just one column\n'), ',');
+});
+
+test('CRLF line endings and blank lines are handled', () => {
+  const report = parseCSV('name,lat,lng\r\n\r\nA,1,2\r\nB,3,4\r\n');
+  assert.deepEqual(report.pois.map(poi => poi.name), ['A', 'B']);
+});
+
+test('a combined WKT column is found by its header or its values', () => {
+  for (const header of ['wkt', 'geom', 'the_geom', 'wkb_geometry', 'shape']) {
+    const report = parseCSV(`name,${header}\nA,POINT(-73.98 40.75)\n`);
+    assert.deepEqual(report.pois.map(({ latitude, longitude }) => [latitude, longitude]), [[40.75, -73.98]], header);
+  }
+});
+
+test('a caller mapping wins over the guess and unmapped columns become extra fields', () => {
+  const report = parseCSV('title,y,x,kind\nA,40.7,-74,cafe\n', {
+    mapping: { latitude: 'y', longitude: 'x', name: 'title', ignore: [] }
+  });
+  assert.deepEqual(report.pois.map(({ name, latitude, longitude, kind }) => [name, latitude, longitude, kind]),
+    [['A', 40.7, -74, 'cafe']]);
+});
+
+test('missing coordinate columns are an error listing the columns', () => {
+  assert.throws(() => parseCSV('name,size\nA,"1,5"\n'), /Missing required fields: latitude, longitude\. Available columns: name, size/);
+});
+
+test('toCSVField quotes only when needed', () => {
+  assert.equal(toCSVField('plain'), 'plain');
+  assert.equal(toCSVField('a,b'), '"a,b"');
+  assert.equal(toCSVField('say "hi"'), '"say ""hi"""');
+  assert.equal(toCSVField('two\nlines'), '"two\nlines"');
+});
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFieldPath, getPathValue, selectRecords, findRecordsPath, listFieldPaths } from '../data/field-path.js';
+
+test('parseFieldPath reads keys, indices, wildcards and quoted keys', () => {
+  assert.deepEqual(parseFieldPath('$.data.results[*].place'), ['data', 'results', '*', 'place']);
+  assert.deepEqual(parseFieldPath('photos[0].url'), ['photos', 0, 'url']);
+  assert.deepEqual(parseFieldPath('["opening.hours"][\'a\\\'b\']'), ['opening.hours', 'a\'b']);
+  assert.throws(() => parseFieldPath('data[0'), /Invalid field path "data\[0"/);
+});
+
+test('getPathValue prefers a flat key equal to the whole path', () => {
+  const record = { 'geo.lat': 1, geo: { lat: 2 }, tags: [{ label: 'x' }] };
+  assert.equal(getPathValue(record, 'geo.lat'), 1);
+  assert.equal(getPathValue({ geo: { lat: 2 } }, 'geo.lat'), 2);
+  assert.equal(getPathValue(record, 'tags[0].label'), 'x');
+  assert.equal(getPathValue(record, 'missing.field'), undefined);
+  assert.equal(getPathValue(null, 'a'), undefined);
+});
+
+test('selectRecords returns the array at a path or every wildcard match', () => {
+  const data = { data: { results: [{ place: { id: 1 } }, { place: { id: 2 } }] } };
+  assert.equal(selectRecords(data, 'data.results').length, 2);
+  assert.deepEqual(selectRecords(data, 'data.results[*].place'), [{ id: 1 }, { id: 2 }]);
+  assert.throws(() => selectRecords(data, 'data.items'), /Records path "data.items" matched nothing/);
+});
+
+test('findRecordsPath finds the first array of objects breadth first', () => {
+  assert.equal(findRecordsPath({ meta: { tags: ['a'] }, data: { 'the.items': [{ a: 1 }] } }), 'data["the.items"]');
+  assert.equal(findRecordsPath({ pois: [{ a: 1 }] }), null);
+  assert.equal(findRecordsPath([{ a: 1 }]), null);
+  assert.equal(findRecordsPath({ a: { b: { c: { d: { e: [{ deep: true }] } } } } }), null);
+});
+
+test('listFieldPaths lists nested object paths without descending into arrays', () => {
+  assert.deepEqual(listFieldPaths([{ name: 'A', geometry: { location: { lat: 1 } }, tags: [{ x: 1 }] }, { phone: '1' }]),
+    ['name', 'geometry', 'geometry.location', 'geometry.location.lat', 'tags', 'phone']);
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGeoJSON, isGeoJSON, toGeoJSON } from '../data/geojson-parser.js';
+
+const collection = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      id: 'cafe',
+      geometry: { type: 'Point', coordinates: [-74.006, 40.7128, 12] },
+      properties: { title: 'Cafe', addr: '1 Main St', shullow_group: 'Food', hours: { open: 9 }, 'marker-color': '#f00' }
+    },
+    {
+      type: 'Feature',
+      id: 'stops',
+      geometry: { type: 'MultiPoint', coordinates: [[2.35, 48.85], [2.36, 48.86]] },
+      properties: { name: 'Stop' }
+    },
+    { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: {} }
+  ]
+};
+
+test('isGeoJSON accepts collections, features and point geometries only', () => {
+  assert.ok(isGeoJSON(collection));
+  assert.ok(isGeoJSON({ type: 'Point', coordinates: [1, 2] }));
+  assert.ok(!isGeoJSON({ type: 'LineString' }));
+  assert.ok(!isGeoJSON([collection]));
+});
+
+test('parseGeoJSON maps properties and splits MultiPoints into POIs', () => {
+  const report = parseGeoJSON(JSON.stringify(collection));
+  assert.deepEqual(report.pois.map(({ id, name, latitude, longitude }) => [id, name, latitude, longitude]), [
+    ['cafe', 'Cafe', 40.7128, -74.006],
+    ['stops-0', 'Stop', 48.85, 2.35],
+    ['stops-1', 'Stop', 48.86, 2.36]
+  ]);
+
+  const [cafe] = report.pois;
+  assert.equal(cafe.address, '1 Main St');
+  assert.equal(cafe.groupName, 'Food');
+  assert.equal(cafe.elevation, 12);
+  assert.equal(cafe.hours, '{"open":9}');
+  assert.equal(cafe['marker-color'], undefined);
+  assert.deepEqual(report.rejected.map(({ row, reason }) => [row, reason]), [[3, 'unsupported-geometry']]);
+});
+
+test('parseGeoJSON rejects files without any point feature', () => {
+  assert.throws(() => parseGeoJSON({ type: 'FeatureCollection', features: [] }), /No Point or MultiPoint features/);
+  assert.throws(() => parseGeoJSON('{"type": "Topology"}'), /not GeoJSON/);
+});
+
+test('toGeoJSON round-trips groups through parseGeoJSON', () => {
+  const geojson = toGeoJSON([{ name: 'Food', color: '#123456', pois: [{ id: 'a', name: 'Cafe', latitude: 40.7, longitude: -74, local: { hidden: true } }] }]);
+  const [feature] = geojson.features;
+  assert.deepEqual(feature.geometry.coordinates, [-74, 40.7]);
+  assert.equal(feature.properties['marker-color'], '#123456');
+  assert.equal(feature.properties.local, undefined);
+
+  const [poi] = parseGeoJSON(geojson).pois;
+  assert.deepEqual([poi.id, poi.name, poi.groupName], ['a', 'Cafe', 'Food']);
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGPX, toGPX } from '../data/gpx-parser.js';
+
+test('parseGPX reads waypoints and numbers route and track points', () => {
+  const report = parseGPX(`<gpx version="1.1">
+    <wpt lat="40.7128" lon="-74.006"><name>Start</name><ele>10.5</ele><sym>Flag</sym></wpt>
+    <rte><name>Walk</name><rtept lat="40.75" lon="-73.98"/><rtept lat="40.76" lon="-73.97"/></rte>
+    <trk><trkseg><trkpt lat="1" lon="2"/></trkseg><trkseg><trkpt lat="3" lon="4"/></trkseg></trk>
+  </gpx>`);
+  assert.deepEqual(report.pois.map(({ name, sequence, groupName }) => [name, sequence, groupName]), [
+    ['Start', undefined, undefined],
+    ['Walk 1', 1, 'Walk'],
+    ['Walk 2', 2, 'Walk'],
+    ['Track 1 1', 1, 'Track 1'],
+    ['Track 1 2', 2, 'Track 1']
+  ]);
+  assert.equal(report.pois[0].elevation, 10.5);
+  assert.equal(report.pois[0].symbol, 'Flag');
+});
+
+test('parseGPX lists points with invalid coordinates as rejected', () => {
+  const report = parseGPX('<gpx><wpt lat="north" lon="1"/><wpt lat="1" lon="2"><name>Ok</name></wpt></gpx>');
+  assert.deepEqual(report.pois.map(poi => poi.name), ['Ok']);
+  assert.deepEqual(report.rejected.map(({ row, reason }) => [row, reason]), [[1, 'invalid-coordinates']]);
+});
+
+test('toGPX round-trips POI fields through parseGPX', () => {
+  const pois = [{ name: 'A & B', latitude: 40.7, longitude: -74, address: '1 Main St', phone: '555' }];
+  const [poi] = parseGPX(toGPX('Group', pois)).pois;
+  assert.equal(poi.name, 'A & B');
+  assert.equal(poi.address, '1 Main St');
+  assert.equal(poi.phone, '555');
+});
+
+test('toGPX writes sequenced POIs back as a route in order', () => {
+  const gpx = toGPX('Walk', [
+    { name: 'Walk 2', latitude: 2, longitude: 2, sequence: 2 },
+    { name: 'Walk 1', latitude: 1, longitude: 1, sequence: 1 }
+  ]);
+  assert.match(gpx, /<rte>/);
+  assert.deepEqual(parseGPX(gpx).pois.map(({ latitude, sequence }) => [latitude, sequence]), [[1, 1], [2, 2]]);
+});
+
+test('parseGPX rejects documents without a gpx root or points', () => {
+  assert.throws(() => parseGPX('<kml></kml>'), /Not a GPX document/);
+  assert.throws(() => parseGPX('<gpx></gpx>'), /No waypoints, route points or track points/);
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createImportReport, summarizeReport, hasReportIssues, REPORT_REASONS } from '../data/import-report.js';
+
+const accepted = (report, ...pois) => pois.map((poi, index) => report.accept(poi, { row: index + 1, line: index + 2 }));
+
+test('accept keeps valid POIs with an id and drops source-provided local state', () => {
+  const report = createImportReport();
+  assert.deepEqual(accepted(report, { name: 'Cafe', latitude: '40.7', longitude: '-74', local: { hidden: true } }), [true]);
+  const [poi] = report.result().pois;
+  assert.deepEqual([poi.latitude, poi.longitude, poi.local], [40.7, -74, undefined]);
+  assert.ok(poi.id);
+});
+
+test('accept rejects bad, out-of-range, null island and duplicate rows with their location', () => {
+  const report = createImportReport();
+  accepted(report,
+    { name: 'A', latitude: 'x', longitude: 1 },
+    { name: 'B', latitude: 100, longitude: 200 },
+    { name: 'C', latitude: 0, longitude: 0 },
+    { name: 'D', latitude: 1, longitude: 2 },
+    { name: 'D', latitude: 1, longitude: 2 }
+  );
+  const { pois, rejected } = report.result();
+  assert.deepEqual(pois.map(poi => poi.name), ['D']);
+  assert.deepEqual(rejected.map(({ row, line, reason }) => [row, line, reason]), [
+    [1, 2, REPORT_REASONS.INVALID_COORDINATES],
+    [2, 3, REPORT_REASONS.OUT_OF_RANGE],
+    [3, 4, REPORT_REASONS.NULL_ISLAND],
+    [5, 6, REPORT_REASONS.DUPLICATE]
+  ]);
+  assert.match(rejected[3].message, /Duplicate of row 4/);
+});
+
+test('accept corrects swapped coordinates and warns about them and about repeated ids', () => {
+  const report = createImportReport();
+  accepted(report,
+    { id: 'x', name: 'SF', latitude: -122.4, longitude: 37.8 },
+    { id: 'x', name: 'Other', latitude: 1, longitude: 2 }
+  );
+  const { pois, warnings } = report.result();
+  assert.deepEqual([pois[0].latitude, pois[0].longitude], [37.8, -122.4]);
+  assert.deepEqual(pois.map(poi => poi.id), ['x', 'x~2']);
+  assert.deepEqual(warnings.map(({ row, reason }) => [row, reason]), [
+    [1, REPORT_REASONS.SWAPPED_COORDINATES],
+    [2, REPORT_REASONS.DUPLICATE_ID]
+  ]);
+});
+
+test('summarizeReport keeps counts and at most 100 entries per list', () => {
+  const report = createImportReport();
+  for (let row = 1; row <= 150; row++) report.reject({ row }, REPORT_REASONS.MALFORMED_RECORD, 'Bad');
+  report.accept({ name: 'A', latitude: 1, longitude: 2 }, { row: 151 });
+
+  const summary = summarizeReport(report.result());
+  assert.deepEqual([summary.imported, summary.rejectedCount, summary.warningCount], [1, 150, 0]);
+  assert.equal(summary.rejected.length, 100);
+  assert.ok(hasReportIssues(summary));
+  assert.ok(!hasReportIssues(summarizeReport(createImportReport().result())));
+  assert.ok(!hasReportIssues(null));
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJSON, guessRecordsPath } from '../data/json-parser.js';
+
+const nested = {
+  status: 'OK',
+  data: {
+    results: [
+      { place: { name: 'Times Square', geometry: { location: { lat: 40.758, lng: -73.9855 } } } },
+      { place: { name: 'Bryant Park', geometry: { location: { lat: 40.7536, lng: -73.9832 } } } }
+    ]
+  }
+};
+
+test('top-level arrays and pois arrays need no records path', () => {
+  const items = [{ name: 'A', lat: 1, lng: 2 }];
+  assert.equal(parseJSON(JSON.stringify(items)).pois.length, 1);
+  assert.equal(parseJSON(JSON.stringify({ pois: items })).pois.length, 1);
+  assert.equal(guessRecordsPath(items), null);
+});
+
+test('the records path of a wrapped response is guessed and returned', () => {
+  const report = parseJSON(JSON.stringify(nested));
+  assert.equal(report.recordsPath, 'data.results');
+  assert.deepEqual(report.pois.map(({ name, latitude, longitude }) => [name, latitude, longitude]),
+    [['Times Square', 40.758, -73.9855], ['Bryant Park', 40.7536, -73.9832]]);
+});
+
+test('a kept records path is used instead of guessing', () => {
+  const report = parseJSON(JSON.stringify(nested), { recordsPath: 'data.results[*].place' });
+  assert.equal(report.recordsPath, 'data.results[*].place');
+  assert.deepEqual(report.pois.map(poi => poi.name), ['Times Square', 'Bryant Park']);
+});
+
+test('a mapping records path wins and is not reported back', () => {
+  const report = parseJSON(JSON.stringify({ rows: [{ n: 'A', y: 1, x: 2 }] }), {
+    mapping: { latitude: 'y', longitude: 'x', name: 'n', ignore: [], recordsPath: 'rows' }
+  });
+  assert.equal(report.recordsPath, undefined);
+  assert.deepEqual(report.pois.map(poi => poi.name), ['A']);
+});
+
+test('a single POI object with a list inside stays one POI', () => {
+  const single = { name: 'Cafe', lat: 40.7, lng: -74, reviews: [{ stars: 5 }] };
+  assert.equal(guessRecordsPath(single), null);
+  assert.deepEqual(parseJSON(JSON.stringify(single)).pois.map(poi => poi.name), ['Cafe']);
+});
+
+test('a combined coordinates field is found by its values', () => {
+  const report = parseJSON(JSON.stringify([{ title: 'Eiffel Tower', spot: '8FW4V75V+8Q' }]));
+  assert.equal(report.pois.length, 1);
+  assert.ok(Math.abs(report.pois[0].latitude - 48.8583) < 1e-3);
+});
+
+test('records without a single valid POI are an error, like in CSV files', () => {
+  assert.throws(() => parseJSON('[]'), /^Error: No valid POI records found in JSON data/);
+  assert.throws(() => parseJSON(JSON.stringify({ pois: [] })), /No valid POI records found/);
+  const rows = [{ name: 'A', latitude: 'north', longitude: 2 }, { name: 'B', latitude: 0, longitude: 0 }];
+  assert.throws(() => parseJSON(JSON.stringify(rows)),
+    /No valid POI records found in JSON data \(2 records had errors, first in record 1: .+\)/);
+});
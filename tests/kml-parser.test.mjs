@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { parseKML, parseKMZ } from '../data/kml-parser.js';
+
+const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Style id="cup"><IconStyle><Icon><href>images/cup.png</href></Icon></IconStyle></Style>
+  <Folder><name>Food &amp; Drink</name>
+    <Placemark><name>Cafe</name><styleUrl>#cup</styleUrl>
+      <ExtendedData><Data name="phone"><value>555-0100</value></Data></ExtendedData>
+      <Point><coordinates>-74.006,40.7128,0</coordinates></Point>
+    </Placemark>
+    <Placemark><name>Path</name><LineString><coordinates>0,0 1,1</coordinates></LineString></Placemark>
+  </Folder>
+  <Placemark><name>Loose</name><MultiGeometry><Point><coordinates>2.35,48.85</coordinates></Point></MultiGeometry></Placemark>
+</Document></kml>`;
+
+/**
+ * Builds a ZIP archive (no CRCs: the reader doesn't check them)
+ * @param {Array<[string, Uint8Array, boolean]>} files - Name, content, deflate
+ */
+function zip(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content, deflate] of files) {
+    const nameBytes = encoder.encode(name);
+    const data = deflate ? deflateRawSync(content) : content;
+    const header = (size, signature) => {
+      const view = new DataView(new ArrayBuffer(size));
+      view.setUint32(0, signature, true);
+      return view;
+    };
+    const local = header(30, 0x04034b50);
+    local.setUint16(8, deflate ? 8 : 0, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, content.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    const central = header(46, 0x02014b50);
+    central.setUint16(10, deflate ? 8 : 0, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, content.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    locals.push(new Uint8Array(local.buffer), nameBytes, data);
+    centrals.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const directorySize = centrals.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  const archive = Buffer.concat([...locals, ...centrals, new Uint8Array(end.buffer)]);
+  return archive.buffer.slice(archive.byteOffset, archive.byteOffset + archive.length);
+}
+
+test('parseKML reads points, folders as groups and extended data', () => {
+  const report = parseKML(kml);
+  assert.deepEqual(report.pois.map(({ name, latitude, longitude, groupName }) => [name, latitude, longitude, groupName]), [
+    ['Cafe', 40.7128, -74.006, 'Food & Drink'],
+    ['Loose', 48.85, 2.35, undefined]
+  ]);
+  assert.equal(report.pois[0].phone, '555-0100');
+  assert.deepEqual(report.rejected.map(({ row, reason }) => [row, reason]), [[2, 'unsupported-geometry']]);
+});
+
+test('parseKML rejects documents without point placemarks', () => {
+  assert.throws(() => parseKML('<kml><Document><Placemark><name>Path</name></Placemark></Document></kml>'),
+    /No Point placemarks found/);
+});
+
+test('parseKMZ reads the zipped KML and returns the folder icons as data URLs', async () => {
+  const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+  const report = await parseKMZ(zip([
+    ['doc.kml', new TextEncoder().encode(kml), true],
+    ['images/cup.png', png, false]
+  ]));
+  assert.deepEqual(report.pois.map(poi => poi.name), ['Cafe', 'Loose']);
+  assert.deepEqual(report.groupIcons, { 'Food & Drink': `data:image/png;base64,${Buffer.from(png).toString('base64')}` });
+});
+
+test('parseKMZ rejects archives without a KML document', async () => {
+  await assert.rejects(parseKMZ(zip([['readme', new Uint8Array([1]), false]])), /does not contain a KML document/);
+});
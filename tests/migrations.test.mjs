@@ -0,0 +1,138 @@
+import 'fake-indexeddb/auto';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mockChromeStorage } from './chrome-storage.mjs';
+import { MIGRATIONS, SCHEMA_VERSION, PRE_MIGRATION_BACKUP_KEY, getSchemaVersion, migrateSnapshot, runMigrations, removePreMigrationBackup } from '../data/migrations.js';
+import { getAllPois } from '../data/poi-store.js';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+const migration = (version) => MIGRATIONS.find(step => step.version === version).migrate;
+const cafe = { name: 'Cafe', latitude: 40.7, longitude: -74 };
+
+// Schema 0: global poiGroups keyed by group name
+const version0 = () => ({
+  poiGroups: { Coffee: [cafe], Empty: [] },
+  activeGroups: { Coffee: true, Empty: false },
+  preferences: { accentColor: '#fff', groupStyles: { Coffee: { color: '#123456' } } }
+});
+
+test('getSchemaVersion reads the version or the old migration flags', () => {
+  assert.equal(getSchemaVersion({}), 0);
+  assert.equal(getSchemaVersion({ _uuidMigrated: true }), 1);
+  assert.equal(getSchemaVersion({ _uuidMigrated: true, _profilesInitialized: true }), 2);
+  assert.equal(getSchemaVersion({ schemaVersion: 3, _uuidMigrated: true }), 3);
+});
+
+test('version 1 re-keys groups, toggles and styles by UUID', () => {
+  const data = version0();
+  migration(1)(data);
+
+  const entries = Object.entries(data.poiGroups);
+  assert.equal(entries.length, 2);
+  const [coffeeUuid, coffee] = entries.find(([, group]) => group.name === 'Coffee');
+  const [emptyUuid] = entries.find(([, group]) => group.name === 'Empty');
+  assert.match(coffeeUuid, UUID);
+  assert.deepEqual(coffee.pois, [cafe]);
+  assert.deepEqual(data.activeGroups, { [coffeeUuid]: true, [emptyUuid]: false });
+  assert.deepEqual(data.preferences, { accentColor: '#fff', groupStyles: { [coffeeUuid]: { color: '#123456' } } });
+});
+
+test('version 1 leaves UUID-keyed groups alone', () => {
+  const data = { poiGroups: { '0b5e6a3c-1f2d-4e5f-9a8b-7c6d5e4f3a2b': { name: 'Coffee', pois: [] } } };
+  const before = structuredClone(data);
+  migration(1)(data);
+  assert.deepEqual(data, before);
+});
+
+test('version 2 moves the groups into a Default profile', () => {
+  const data = { poiGroups: { g1: { name: 'Coffee', pois: [cafe] } }, preferences: { groupStyles: { g1: { color: '#123456' } } } };
+  migration(2)(data);
+
+  const [profile] = Object.values(data.profiles);
+  assert.equal(data.activeProfile, profile.uuid);
+  assert.equal(profile.name, 'Default');
+  assert.deepEqual(profile.groups, { g1: { uuid: 'g1', name: 'Coffee', pois: [cafe] } });
+  assert.deepEqual(profile.groupStyles, { g1: { color: '#123456' } });
+});
+
+test('version 2 creates an empty Default profile on a fresh install and keeps existing profiles', () => {
+  const fresh = {};
+  migration(2)(fresh);
+  assert.deepEqual(Object.values(fresh.profiles).map(profile => [profile.name, profile.groups]), [['Default', {}]]);
+
+  const existing = { profiles: { p: { uuid: 'p', name: 'Mine', groups: {} } }, activeProfile: 'p' };
+  const before = structuredClone(existing);
+  migration(2)(existing);
+  assert.deepEqual(existing, before);
+});
+
+test('version 3 removes the global group store and the old flags', () => {
+  const data = { poiGroups: {}, _uuidMigrated: true, _profilesInitialized: true, profiles: {} };
+  migration(3)(data);
+  assert.deepEqual(data, { profiles: {} });
+});
+
+test('version 4 moves POIs out of the profiles and leaves a poiCount', () => {
+  const data = { profiles: { p: { groups: { g1: { name: 'Coffee', pois: [cafe] }, g2: { name: 'Empty' } } } } };
+  const moved = { pois: {} };
+  migration(4)(data, moved);
+  assert.deepEqual(data.profiles.p.groups, { g1: { name: 'Coffee', poiCount: 1 }, g2: { name: 'Empty', poiCount: 0 } });
+  assert.deepEqual(moved.pois, { p: { g1: [cafe] } });
+});
+
+test('migrateSnapshot applies only the steps after the stored version', () => {
+  assert.deepEqual(migrateSnapshot(version0()).applied, [1, 2, 3, 4]);
+  assert.deepEqual(migrateSnapshot({ _uuidMigrated: true }).applied, [2, 3, 4]);
+  assert.deepEqual(migrateSnapshot({ _uuidMigrated: true, _profilesInitialized: true, profiles: {} }).applied, [3, 4]);
+  assert.deepEqual(migrateSnapshot({ schemaVersion: 3, profiles: {} }).applied, [4]);
+  assert.deepEqual(migrateSnapshot({ schemaVersion: SCHEMA_VERSION }).applied, []);
+  assert.throws(() => migrateSnapshot({ schemaVersion: SCHEMA_VERSION + 1 }), /newer than this extension supports/);
+});
+
+test('migrateSnapshot takes schema 0 data to the current layout without changing its input', () => {
+  const input = version0();
+  const { data, pois } = migrateSnapshot(input);
+  assert.deepEqual(input, version0());
+
+  assert.equal(data.schemaVersion, SCHEMA_VERSION);
+  assert.equal(data.poiGroups, undefined);
+  const profile = data.profiles[data.activeProfile];
+  const [coffeeUuid] = Object.entries(profile.groups).find(([, group]) => group.name === 'Coffee');
+  assert.equal(profile.groups[coffeeUuid].poiCount, 1);
+  assert.deepEqual(pois[data.activeProfile][coffeeUuid], [cafe]);
+  assert.deepEqual(profile.groupStyles[coffeeUuid], { color: '#123456' });
+});
+
+test('runMigrations upgrades stored version 1 data once and moves its POIs to IndexedDB', async () => {
+  const stored = {
+    _uuidMigrated: true,
+    poiGroups: { g1: { name: 'Coffee', pois: [cafe] } },
+    activeGroups: { g1: true }
+  };
+  const read = mockChromeStorage(stored);
+
+  assert.deepEqual(await runMigrations(), { fromVersion: 1, applied: [2, 3, 4] });
+  const data = read();
+  assert.equal(data.schemaVersion, SCHEMA_VERSION);
+  assert.equal(data.poiGroups, undefined);
+  assert.equal(data._uuidMigrated, undefined);
+  assert.deepEqual(data.profiles[data.activeProfile].groups.g1, { uuid: 'g1', name: 'Coffee', poiCount: 1 });
+  assert.deepEqual(data[PRE_MIGRATION_BACKUP_KEY].storage, stored);
+  assert.deepEqual(await getAllPois(), { [data.activeProfile]: { g1: [cafe] } });
+
+  // The next start finds the data up to date and drops the old copy
+  assert.deepEqual(await runMigrations(), { fromVersion: SCHEMA_VERSION, applied: [] });
+  assert.equal(read()[PRE_MIGRATION_BACKUP_KEY], undefined);
+  assert.equal(read().profiles[data.activeProfile].groups.g1.poiCount, 1);
+});
+
+test('removePreMigrationBackup only removes a backup made before the cutoff', async () => {
+  const createdAt = '2024-01-01T00:00:00.000Z';
+  const read = mockChromeStorage({ schemaVersion: SCHEMA_VERSION, [PRE_MIGRATION_BACKUP_KEY]: { createdAt, storage: {} } });
+
+  assert.equal(await removePreMigrationBackup(Date.parse(createdAt)), false);
+  assert.ok(read()[PRE_MIGRATION_BACKUP_KEY]);
+  assert.equal(await removePreMigrationBackup(Date.parse(createdAt) + 1), true);
+  assert.deepEqual(read(), { schemaVersion: SCHEMA_VERSION });
+  assert.equal(await removePreMigrationBackup(Date.now()), false);
+});
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mergePois, computePoiKey, createIdAssigner } from '../data/poi-identity.js';
+
+const poi = (fields) => ({ name: 'Cafe', latitude: 40.7128, longitude: -74.006, ...fields });
+
+test('createIdAssigner keeps source ids and suffixes repeated ones', () => {
+  const assign = createIdAssigner();
+  assert.deepEqual(assign(poi({ id: 'a' })), { id: 'a', duplicate: false });
+  assert.deepEqual(assign(poi({ id: 'a' })), { id: 'a~2', duplicate: true });
+
+  const keyed = poi({ id: null });
+  assert.equal(assign(keyed).id, computePoiKey(keyed));
+  assert.deepEqual(assign(poi({ id: '' })), { id: `${computePoiKey(keyed)}~2`, duplicate: false });
+});
+
+test('computePoiKey ignores case, surrounding spaces and sub-meter noise', () => {
+  assert.equal(computePoiKey(poi({ name: ' CAFE ' })), computePoiKey(poi({ latitude: 40.712801 })));
+  assert.notEqual(computePoiKey(poi()), computePoiKey(poi({ latitude: 40.7138 })));
+});
+
+test('mergePois reports added, changed, moved and removed POIs', () => {
+  const existing = [
+    poi({ id: '1', name: 'Kept' }),
+    poi({ id: '2', name: 'Changed', hours: '9-5' }),
+    poi({ id: '3', name: 'Moved' }),
+    poi({ id: '4', name: 'Removed' })
+  ];
+  const incoming = [
+    poi({ id: '1', name: 'Kept' }),
+    poi({ id: '2', name: 'Changed', hours: '8-6' }),
+    poi({ id: '3', name: 'Moved', latitude: 41 }),
+    poi({ id: '5', name: 'Added' })
+  ];
+
+  const merge = mergePois(existing, incoming);
+  assert.deepEqual(merge.pois.map(p => p.id), ['1', '2', '3', '5']);
+  assert.deepEqual(merge.added.map(p => p.id), ['5']);
+  assert.deepEqual(merge.changed.map(p => p.id), ['2']);
+  assert.deepEqual(merge.moved.map(({ poi, from }) => [poi.id, from.latitude, poi.latitude]), [['3', 40.7128, 41]]);
+  assert.deepEqual(merge.removed.map(p => p.id), ['4']);
+});
+
+test('mergePois matches POIs stored without ids by name and coordinates', () => {
+  const stored = { name: 'Cafe', latitude: 40.7128, longitude: -74.006, local: { edits: {} } };
+  const merge = mergePois([stored], [poi({ id: 'new-id' })]);
+  assert.deepEqual(merge.added, []);
+  assert.deepEqual(merge.removed, []);
+  assert.equal(merge.pois[0].local, stored.local);
+});
+
+test('mergePois matches a moved POI with a hashed id by its unique name', () => {
+  const before = poi({ name: 'Bakery' });
+  before.id = computePoiKey(before);
+  const after = poi({ name: 'Bakery', latitude: 40.8 });
+  after.id = computePoiKey(after);
+
+  const merge = mergePois([before], [after]);
+  assert.equal(merge.moved.length, 1);
+  assert.deepEqual(merge.added, []);
+  assert.deepEqual(merge.removed, []);
+});
+
+test('mergePois does not match by name when the name is repeated', () => {
+  const a = poi({ id: 'a', name: 'Stop' });
+  const b = poi({ id: 'b', name: 'Stop', latitude: 41 });
+  const merge = mergePois([a, b], [poi({ id: 'c', name: 'Stop', latitude: 42 }), poi({ id: 'd', name: 'Stop', latitude: 43 })]);
+  assert.deepEqual(merge.added.map(p => p.id), ['c', 'd']);
+  assert.deepEqual(merge.removed.map(p => p.id), ['a', 'b']);
+});
+
+test('mergePois keeps user edits and local state, and leaves out deleted POIs', () => {
+  const local = { edits: { name: 'My name' } };
+  const merge = mergePois(
+    [poi({ id: '1', name: 'Source name', local })],
+    [poi({ id: '1', name: 'Source name', phone: '555' }), poi({ id: '2' })],
+    ['2']
+  );
+  assert.equal(merge.pois.length, 1);
+  assert.equal(merge.pois[0].name, 'My name');
+  assert.equal(merge.pois[0].phone, '555');
+  assert.equal(merge.pois[0].local, local);
+  assert.deepEqual(merge.changed.map(p => p.id), ['1']);
+  assert.deepEqual(merge.added, []);
+});
@@ -0,0 +1,70 @@
+import 'fake-indexeddb/auto';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CHUNK_SIZE, getGroupPois, getProfilePois, getAllPois, setGroupPois, writePois, replacePois, deleteGroupPois, deleteProfilePois
+} from '../data/poi-store.js';
+
+const pois = (count, prefix = 'poi') => Array.from({ length: count }, (_, index) => ({ id: `${prefix}-${index}`, latitude: 1, longitude: 2 }));
+
+/**
+ * Counts the stored chunk records
+ */
+function countChunks() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('shullow-pois');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      const count = db.transaction('chunks').objectStore('chunks').count();
+      count.onsuccess = () => {
+        db.close();
+        resolve(count.result);
+      };
+    };
+  });
+}
+
+test.beforeEach(() => replacePois({}, { clear: true }));
+
+test('a large group is split into chunks and read back in order', async () => {
+  const large = pois(CHUNK_SIZE * 2 + 1);
+  await setGroupPois('p', 'g', large);
+  assert.equal(await countChunks(), 3);
+  assert.deepEqual(await getGroupPois('p', 'g'), large);
+
+  // Rewriting with fewer POIs leaves no stale chunks behind
+  await setGroupPois('p', 'g', pois(2));
+  assert.equal(await countChunks(), 1);
+  assert.deepEqual(await getGroupPois('p', 'g'), pois(2));
+});
+
+test('groups and profiles are kept apart', async () => {
+  await writePois('p', { g: pois(1, 'a'), h: pois(2, 'b') });
+  await writePois('q', { g: pois(1, 'c') });
+
+  assert.deepEqual(await getGroupPois('p', 'missing'), []);
+  assert.deepEqual(await getProfilePois('p', ['g', 'h']), { g: pois(1, 'a'), h: pois(2, 'b') });
+  assert.deepEqual(await getAllPois(), { p: { g: pois(1, 'a'), h: pois(2, 'b') }, q: { g: pois(1, 'c') } });
+
+  await deleteGroupPois('p', ['h']);
+  await deleteProfilePois('q');
+  assert.deepEqual(await getAllPois(), { p: { g: pois(1, 'a') } });
+});
+
+test('replacePois clears or deletes groups before writing, in one transaction', async () => {
+  await writePois('p', { g: pois(1, 'a'), h: pois(1, 'b') });
+  await writePois('q', { g: pois(1, 'c') });
+
+  await replacePois({ p: { i: pois(1, 'd') } }, { deleteGroups: { p: ['g'] } });
+  assert.deepEqual(await getAllPois(), { p: { h: pois(1, 'b'), i: pois(1, 'd') }, q: { g: pois(1, 'c') } });
+
+  await replacePois({ r: { g: pois(1, 'e') } }, { clear: true });
+  assert.deepEqual(await getAllPois(), { r: { g: pois(1, 'e') } });
+});
+
+test('a failed replacePois leaves the stored POIs as they were', async () => {
+  await writePois('p', { g: pois(1, 'a') });
+  await assert.rejects(replacePois({ p: { h: [{ unclonable: () => {} }] } }, { clear: true }));
+  assert.deepEqual(await getAllPois(), { p: { g: pois(1, 'a') } });
+});
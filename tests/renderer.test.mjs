@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+/**
+ * Loads the bridge cluster and renderer modules into a page-like context with a
+ * minimal DOM and a Leaflet stub that records the markers on the map
+ */
+function loadRenderer() {
+  const createElement = () => ({
+    style: {},
+    children: [],
+    attributes: {},
+    appendChild(child) {
+      this.children.push(child);
+    },
+    setAttribute(name, value) {
+      this.attributes[name] = String(value);
+    },
+    get outerHTML() {
+      return `<div data-count="${this.children[0]?.textContent}"></div>`;
+    }
+  });
+  const onMap = new Set();
+  const marker = (latLng, options) => ({
+    latLng,
+    options,
+    on() {
+      return this;
+    },
+    addTo() {
+      onMap.add(this);
+      return this;
+    },
+    remove() {
+      onMap.delete(this);
+    }
+  });
+
+  const context = {
+    console: { log() {}, warn() {}, error() {} },
+    crypto: globalThis.crypto,
+    document: { createElement },
+    L: { marker, icon: options => ({ options }), divIcon: options => ({ options }) },
+    MapUtils: { generateFallbackSVG: () => 'data:image/svg+xml,' }
+  };
+  context.window = context;
+  vm.createContext(context);
+  for (const file of ['cluster.js', 'renderer.js']) {
+    vm.runInContext(readFileSync(new URL(`../bridge/modules/${file}`, import.meta.url), 'utf8'), context);
+  }
+  return { renderer: context.poiRenderer, onMap };
+}
+
+const leafletMap = (zoom) => ({
+  _leaflet_id: 1,
+  latLngToContainerPoint() {},
+  on() {},
+  getZoom: () => zoom,
+  getBounds: () => ({ getNorth: () => 60, getSouth: () => 30, getEast: () => 10, getWest: () => -80 })
+});
+const poi = (id, latitude) => ({ id, latitude, longitude: -74, groupUuid: 'g', groupName: 'Food', color: '#ff0000' });
+const clusterCounts = (onMap) => [...onMap]
+  .filter(marker => marker.options.icon.options.className === 'poi-cluster-icon')
+  .map(marker => marker.options.icon.options.html.match(/data-count="(\d+)"/)[1]);
+
+test('cluster markers are replaced when a new POI array rebuilds the cluster index', () => {
+  const { renderer, onMap } = loadRenderer();
+  const map = leafletMap(3);
+
+  renderer.renderLeaflet(map, [poi('a', 40.71), poi('b', 40.72)]);
+  assert.deepEqual(clusterCounts(onMap), ['2']);
+
+  // Clustered the same way elsewhere: a per-index counter would reuse the cluster's id
+  renderer.renderLeaflet(map, [poi('a', 45.71), poi('b', 45.72)]);
+  assert.equal(onMap.size, 1);
+  const [moved] = onMap;
+  assert.ok(Math.abs(moved.latLng[0] - 45.715) < 0.01, String(moved.latLng));
+
+  renderer.renderLeaflet(map, [poi('a', 45.71), poi('b', 45.72), poi('c', 45.73)]);
+  assert.deepEqual(clusterCounts(onMap), ['3']);
+  assert.equal(onMap.size, 1);
+});
+
+test('cluster markers stay when the same POI array is drawn again', () => {
+  const { renderer, onMap } = loadRenderer();
+  const map = leafletMap(3);
+  const pois = [poi('a', 40.71), poi('b', 40.72)];
+
+  renderer.renderLeaflet(map, pois);
+  const [marker] = onMap;
+  renderer.renderLeaflet(map, pois);
+  assert.deepEqual([...onMap], [marker]);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchSource, isRetryableError, normalizeRequest } from '../data/source-fetch.js';
+
+/**
+ * Replaces fetch() with one answering `response` and recording its calls
+ */
+function mockFetch(t, response) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    calls.push({ url, init });
+    return response.clone();
+  });
+  return calls;
+}
+
+test('fetchSource returns the body with its validators', async (t) => {
+  const calls = mockFetch(t, new Response('a,b', { headers: { ETag: '"v1"', 'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT' } }));
+  const response = await fetchSource('https://example.com/pois.csv');
+  assert.deepEqual(response, { notModified: false, text: 'a,b', etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' });
+  assert.equal(calls[0].init.cache, 'no-cache');
+  assert.deepEqual(calls[0].init.headers, {});
+});
+
+test('fetchSource sends the validators and reports a 304 as not modified', async (t) => {
+  const calls = mockFetch(t, new Response(null, { status: 304 }));
+  const response = await fetchSource('https://example.com/pois.csv', { etag: '"v1"', lastModified: 'yesterday' });
+  assert.deepEqual(response, { notModified: true });
+  assert.deepEqual(calls[0].init.headers, { 'If-None-Match': '"v1"', 'If-Modified-Since': 'yesterday' });
+});
+
+test('fetchSource throws HTTP errors with their status and Retry-After delay', async (t) => {
+  mockFetch(t, new Response('slow down', { status: 429, headers: { 'Retry-After': '120' } }));
+  await assert.rejects(fetchSource('https://example.com'), { message: 'HTTP 429', status: 429, retryAfter: 120000 });
+
+  t.mock.restoreAll();
+  mockFetch(t, new Response('', { status: 503, headers: { 'Retry-After': new Date(Date.now() + 60000).toUTCString() } }));
+  const error = await fetchSource('https://example.com').catch(e => e);
+  assert.ok(error.retryAfter > 50000 && error.retryAfter <= 60000, String(error.retryAfter));
+
+  t.mock.restoreAll();
+  mockFetch(t, new Response('', { status: 404 }));
+  await assert.rejects(fetchSource('https://example.com'), { status: 404, retryAfter: null });
+});
+
+test('isRetryableError retries network errors, timeouts, rate limits and server errors only', () => {
+  assert.ok(isRetryableError(new TypeError('Failed to fetch')));
+  for (const status of [408, 429, 500, 503]) {
+    assert.ok(isRetryableError(Object.assign(new Error(), { status })), String(status));
+  }
+  for (const status of [400, 401, 403, 404]) {
+    assert.ok(!isRetryableError(Object.assign(new Error(), { status })), String(status));
+  }
+});
+
+test('normalizeRequest drops plain GETs and checks methods, headers and credentials', () => {
+  assert.equal(normalizeRequest({}), null);
+  assert.equal(normalizeRequest({ method: 'get', body: 'ignored' }), null);
+  assert.deepEqual(normalizeRequest({ method: 'post', body: '{}', headers: { 'X-Key': 1 } }),
+    { method: 'POST', headers: { 'X-Key': '1' }, body: '{}', auth: { type: 'none' } });
+  assert.deepEqual(normalizeRequest({ auth: { type: 'basic', username: 'me' } }).auth,
+    { type: 'basic', username: 'me', password: '' });
+  assert.throws(() => normalizeRequest({ method: 'DELETE' }), /Unsupported method DELETE/);
+  assert.throws(() => normalizeRequest({ headers: { 'Bad Header': 'x' } }), /Invalid header name "Bad Header"/);
+  assert.throws(() => normalizeRequest({ auth: { type: 'bearer' } }), /Bearer auth needs a token/);
+  assert.throws(() => normalizeRequest({ auth: { type: 'oauth' } }), /Unsupported auth type oauth/);
+});
+
+test('fetchSource sends the request method, body and auth header', async (t) => {
+  const calls = mockFetch(t, new Response('ok'));
+  await fetchSource('https://example.com', {}, { method: 'POST', headers: { 'X-Key': '1' }, body: 'q=1', auth: { type: 'basic', username: 'zoë', password: 'pw' } });
+  assert.equal(calls[0].init.method, 'POST');
+  assert.equal(calls[0].init.body, 'q=1');
+  assert.deepEqual(calls[0].init.headers, { 'X-Key': '1', Authorization: `Basic ${Buffer.from('zoë:pw').toString('base64')}` });
+
+  await fetchSource('https://example.com', {}, { auth: { type: 'bearer', token: 'abc' } });
+  assert.equal(calls[1].init.headers.Authorization, 'Bearer abc');
+});
@@ -0,0 +1,75 @@
+import 'fake-indexeddb/auto';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mockChromeStorage } from './chrome-storage.mjs';
+import { readSourceGroups, applySourceGroups } from '../data/data-manager.js';
+import { getProfilePois } from '../data/poi-store.js';
+
+const URL = 'https://example.com/pois.csv';
+const csv = (...rows) => ['name,lat,lng,shullow group', ...rows].join('\n');
+
+test('readSourceGroups splits rows by their group name', () => {
+  const { groups, report } = readSourceGroups(csv('A,1,1,Food', 'B,2,2,', 'C,3,3,Food'), URL);
+  assert.deepEqual(groups.map(({ key, pois }) => [key, pois.map(poi => poi.name)]), [['Food', ['A', 'C']], ['', ['B']]]);
+  assert.equal(report.pois.length, 3);
+});
+
+test('readSourceGroups reads the groups of an export file', () => {
+  const text = JSON.stringify([{ name: 'Bars', data: 'name,lat,lng\nX,1,2', colors: { primary: '#fff' } }, { name: 'Empty', data: '' }]);
+  const { groups, report } = readSourceGroups(text, URL);
+  assert.deepEqual(groups.map(({ key, colors }) => [key, colors]), [['Bars', { primary: '#fff' }]]);
+  assert.equal(report, null);
+});
+
+test('applySourceGroups keeps group membership in sync and archives missing groups', async () => {
+  const read = mockChromeStorage({
+    activeProfile: 'p',
+    activeGroups: { g: true },
+    profiles: {
+      p: {
+        groups: { g: { uuid: 'g', name: 'My feed', sourceUrl: URL, syncEnabled: true, syncInterval: 60, archiveMissing: true } },
+        groupStyles: {},
+        activeGroups: { g: true }
+      }
+    }
+  });
+
+  // The first sync of an older source: its ungrouped rows stay in the fallback group
+  const first = readSourceGroups(csv('A,1,1,', 'B,2,2,Food'), URL);
+  const created = await applySourceGroups('p', URL, first.groups, { fallbackUuid: 'g', syncMeta: { lastSynced: 1 } });
+  assert.equal(created.updated.length, 2);
+  assert.equal(created.created.length, 1);
+  const [food] = created.created;
+  let { profiles, activeGroups } = read();
+  assert.deepEqual(Object.values(profiles.p.groups).map(group => [group.name, group.sourceGroupName, group.poiCount]),
+    [['My feed', '', 1], ['Food', 'Food', 1]]);
+  assert.equal(profiles.p.groups[food].syncInterval, 60, 'new groups share the sync settings');
+  assert.deepEqual(await getProfilePois('p', ['g', food]), { g: [first.groups[0].pois[0]], [food]: [first.groups[1].pois[0]] });
+
+  // Food disappears from the source and is archived and hidden
+  const second = await applySourceGroups('p', URL, readSourceGroups(csv('A,1,1,'), URL).groups, { syncMeta: { lastSynced: 2 } });
+  assert.deepEqual(second.archived, [food]);
+  ({ profiles, activeGroups } = read());
+  assert.equal(profiles.p.groups[food].archived, true);
+  assert.equal(profiles.p.groups[food].archivedAt, 2);
+  assert.equal(activeGroups[food], false);
+
+  // ...and comes back with a moved POI
+  const third = await applySourceGroups('p', URL, readSourceGroups(csv('A,1,1,', 'B,2.5,2,Food'), URL).groups, { syncMeta: { lastSynced: 3 } });
+  assert.deepEqual(third.created, []);
+  assert.deepEqual(third.counts, { added: 0, removed: 0, moved: 1, changed: 0 });
+  ({ profiles, activeGroups } = read());
+  assert.equal(profiles.p.groups[food].archived, undefined);
+  assert.equal(activeGroups[food], true);
+  assert.equal(profiles.p.groups[food].lastSynced, 3);
+});
+
+test('applySourceGroups archives nothing when the source has no groups', async () => {
+  const read = mockChromeStorage({
+    activeProfile: 'p',
+    profiles: { p: { groups: { g: { uuid: 'g', name: 'Feed', sourceUrl: URL, sourceGroupName: '', archiveMissing: true } } } }
+  });
+  const result = await applySourceGroups('p', URL, [], { syncMeta: { lastSyncStatus: 'success' } });
+  assert.deepEqual(result.archived, []);
+  assert.equal(read().profiles.p.groups.g.lastSyncStatus, 'success');
+});
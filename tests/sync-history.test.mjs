@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSyncHistoryEntry, appendSyncHistory, SYNC_HISTORY_LIMIT } from '../data/sync-history.js';
+import { mergePois } from '../data/poi-identity.js';
+
+const poi = (id, fields) => ({ id, name: `POI ${id}`, latitude: 1, longitude: 2, ...fields });
+
+test('createSyncHistoryEntry describes a merge with counts and positions', () => {
+  const merge = mergePois(
+    [poi('kept'), poi('changed'), poi('moved'), poi('gone')],
+    [poi('kept'), poi('changed', { phone: '555' }), poi('moved', { latitude: '3' }), poi('new')]
+  );
+  const entry = createSyncHistoryEntry(merge, 1000);
+
+  assert.equal(entry.timestamp, 1000);
+  assert.equal(entry.poiCount, 4);
+  assert.deepEqual(entry.counts, { added: 1, removed: 1, moved: 1, changed: 1 });
+  assert.deepEqual(entry.added, [{ id: 'new', name: 'POI new' }]);
+  assert.deepEqual(entry.removed, [{ id: 'gone', name: 'POI gone' }]);
+  assert.deepEqual(entry.changed, [{ id: 'changed', name: 'POI changed' }]);
+  assert.deepEqual(entry.moved, [{ id: 'moved', name: 'POI moved', from: [1, 2], to: [3, 2] }]);
+});
+
+test('createSyncHistoryEntry names at most 50 POIs per list but counts them all', () => {
+  const added = Array.from({ length: 60 }, (_, index) => poi(String(index)));
+  const entry = createSyncHistoryEntry({ pois: added, added, removed: [], moved: [], changed: [] }, 0);
+  assert.equal(entry.counts.added, 60);
+  assert.equal(entry.added.length, 50);
+});
+
+test('appendSyncHistory puts the newest entry first and keeps the last 20', () => {
+  let history;
+  for (let timestamp = 1; timestamp <= SYNC_HISTORY_LIMIT + 5; timestamp++) {
+    history = appendSyncHistory(history, { timestamp });
+  }
+  assert.equal(history.length, SYNC_HISTORY_LIMIT);
+  assert.equal(history[0].timestamp, SYNC_HISTORY_LIMIT + 5);
+  assert.equal(history.at(-1).timestamp, 6);
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getSyncAlarmName, parseSyncAlarmName, getSyncInterval, hasScheduleChanged, DEFAULT_SYNC_INTERVAL } from '../data/sync-schedule.js';
+
+const profiles = (groups) => ({ p: { groups } });
+const synced = { name: 'Feed', sourceUrl: 'https://example.com', syncEnabled: true, syncInterval: 60 };
+
+test('alarm names round-trip and other alarms are ignored', () => {
+  assert.deepEqual(parseSyncAlarmName(getSyncAlarmName('p', 'g')), { profileUuid: 'p', groupUuid: 'g' });
+  assert.equal(parseSyncAlarmName('shullow-trash-purge'), null);
+  assert.equal(parseSyncAlarmName('shullow-sync:p'), null);
+});
+
+test('getSyncInterval needs a source URL and sync enabled, and defaults to daily', () => {
+  assert.equal(getSyncInterval(synced), 60);
+  assert.equal(getSyncInterval({ ...synced, syncInterval: undefined }), DEFAULT_SYNC_INTERVAL);
+  assert.equal(getSyncInterval({ ...synced, syncEnabled: false }), 0);
+  assert.equal(getSyncInterval({ ...synced, sourceUrl: null }), 0);
+  assert.equal(getSyncInterval(undefined), 0);
+});
+
+test('hasScheduleChanged ignores renames, toggles and sync metadata', () => {
+  const before = profiles({ g: synced, local: { name: 'Mine' } });
+  const after = profiles({
+    g: { ...synced, name: 'Renamed', lastSynced: 1, syncHistory: [] },
+    local: { name: 'Mine', folder: 'Food' }
+  });
+  assert.equal(hasScheduleChanged(before, after), false);
+  assert.equal(hasScheduleChanged(undefined, profiles({ local: {} })), false);
+});
+
+test('hasScheduleChanged sees interval, enable, URL and scheduled group changes', () => {
+  const before = profiles({ g: synced });
+  assert.ok(hasScheduleChanged(before, profiles({ g: { ...synced, syncInterval: 360 } })));
+  assert.ok(hasScheduleChanged(before, profiles({ g: { ...synced, syncEnabled: false } })));
+  assert.ok(hasScheduleChanged(before, profiles({ g: { ...synced, sourceUrl: '' } })));
+  assert.ok(hasScheduleChanged(before, profiles({ g: synced, h: synced })));
+  assert.ok(hasScheduleChanged(before, profiles({})));
+  assert.ok(hasScheduleChanged(before, { q: { groups: { g: synced } } }));
+});
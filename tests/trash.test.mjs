@@ -0,0 +1,109 @@
+import 'fake-indexeddb/auto';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mockChromeStorage } from './chrome-storage.mjs';
+import {
+  takeGroupsToTrash, createProfileTrashEntry, restoreFromTrash, deleteFromTrash, purgeExpiredTrash, getTrashRetentionDays, getTrashCutoff
+} from '../data/trash.js';
+import { getAllPois, replacePois } from '../data/poi-store.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const cafe = { id: 'cafe', name: 'Cafe', latitude: 40.7, longitude: -74 };
+
+const profile = () => ({
+  uuid: 'p',
+  name: 'Main',
+  groups: { g: { uuid: 'g', name: 'Food' }, h: { uuid: 'h', name: 'Bars' } },
+  groupStyles: { g: { color: '#123456' } },
+  activeGroups: { g: true, h: false },
+  groupUuids: ['g', 'h']
+});
+
+test('takeGroupsToTrash moves groups, styles and toggles into an entry', () => {
+  const main = profile();
+  const entry = takeGroupsToTrash(main, ['g', 'missing']);
+  assert.equal(entry.label, 'Group "Food"');
+  assert.deepEqual([entry.profileUuid, entry.profileName], ['p', 'Main']);
+  assert.deepEqual(entry.groups, { g: { uuid: 'g', name: 'Food' } });
+  assert.deepEqual(entry.groupStyles, { g: { color: '#123456' } });
+  assert.deepEqual(entry.activeGroups, { g: true });
+  assert.deepEqual(Object.keys(main.groups), ['h']);
+  assert.deepEqual(main.groupUuids, ['h']);
+
+  assert.equal(takeGroupsToTrash(main, ['g']), null);
+  assert.equal(takeGroupsToTrash(profile(), ['g', 'h']).label, '2 groups of "Main"');
+});
+
+test('restoreFromTrash puts groups back into their profile with their toggles', async () => {
+  const main = profile();
+  const entry = takeGroupsToTrash(main, ['g']);
+  const read = mockChromeStorage({ activeProfile: 'p', activeGroups: { h: false }, profiles: { p: main }, trash: [entry] });
+
+  await restoreFromTrash(entry.id);
+  const data = read();
+  assert.deepEqual(Object.keys(data.profiles.p.groups).sort(), ['g', 'h']);
+  assert.deepEqual(data.profiles.p.groupUuids, ['h', 'g']);
+  assert.deepEqual(data.activeGroups, { h: false, g: true });
+  assert.deepEqual(data.trash, []);
+  await assert.rejects(restoreFromTrash(entry.id), /no longer in the trash/);
+});
+
+test('restoreFromTrash needs the profile of trashed groups and refuses to overwrite a profile', async () => {
+  const main = profile();
+  const groupsEntry = takeGroupsToTrash(main, ['g']);
+  const profileEntry = createProfileTrashEntry(main);
+  mockChromeStorage({ profiles: {}, trash: [profileEntry, groupsEntry] });
+  await assert.rejects(restoreFromTrash(groupsEntry.id), /Restore profile "Main" first/);
+
+  mockChromeStorage({ profiles: { p: main }, trash: [profileEntry] });
+  await assert.rejects(restoreFromTrash(profileEntry.id), /Profile "Main" already exists/);
+});
+
+test('deleteFromTrash deletes the entries with their POIs', async () => {
+  const main = profile();
+  const groupsEntry = takeGroupsToTrash(main, ['g']);
+  const other = { uuid: 'q', name: 'Other', groups: { x: { uuid: 'x', name: 'X' } } };
+  const profileEntry = createProfileTrashEntry(other);
+  const read = mockChromeStorage({ profiles: { p: main }, trash: [profileEntry, groupsEntry] });
+  await replacePois({ p: { g: [cafe], h: [cafe] }, q: { x: [cafe] } }, { clear: true });
+
+  assert.equal(await deleteFromTrash([groupsEntry.id]), 1);
+  assert.deepEqual(read().trash.map(entry => entry.id), [profileEntry.id]);
+  assert.deepEqual(await getAllPois(), { p: { h: [cafe] }, q: { x: [cafe] } });
+
+  assert.equal(await deleteFromTrash(), 1);
+  assert.deepEqual(read().trash, []);
+  assert.deepEqual(await getAllPois(), { p: { h: [cafe] } });
+  assert.equal(await deleteFromTrash(), 0);
+});
+
+test('deleteFromTrash keeps the POIs of a profile or group that exists again', async () => {
+  const main = profile();
+  const profileEntry = createProfileTrashEntry(structuredClone(main));
+  const groupsEntry = takeGroupsToTrash(structuredClone(main), ['g', 'h']);
+  delete main.groups.h;
+  // A merge restore brought the profile back, without group h
+  const read = mockChromeStorage({ profiles: { p: main }, trash: [profileEntry, groupsEntry] });
+  await replacePois({ p: { g: [cafe], h: [cafe] } }, { clear: true });
+
+  assert.equal(await deleteFromTrash([profileEntry.id]), 1);
+  assert.deepEqual(await getAllPois(), { p: { g: [cafe] } });
+
+  await replacePois({ p: { g: [cafe], h: [cafe] } }, { clear: true });
+  assert.equal(await deleteFromTrash([groupsEntry.id]), 1);
+  assert.deepEqual(await getAllPois(), { p: { g: [cafe] } });
+  assert.deepEqual(read().trash, []);
+});
+
+test('purgeExpiredTrash deletes entries older than the retention period', async () => {
+  const now = Date.now();
+  const old = { ...createProfileTrashEntry({ uuid: 'old', name: 'Old' }), deletedAt: now - 8 * DAY };
+  const recent = { ...createProfileTrashEntry({ uuid: 'new', name: 'New' }), deletedAt: now - 6 * DAY };
+  const read = mockChromeStorage({ preferences: { trashRetentionDays: 7 }, trash: [recent, old] });
+
+  assert.equal(await purgeExpiredTrash(now), 1);
+  assert.deepEqual(read().trash.map(entry => entry.profileUuid), ['new']);
+  assert.equal(getTrashRetentionDays({}), 30);
+  assert.equal(getTrashRetentionDays({ trashRetentionDays: 7 }), 7);
+  assert.equal(getTrashCutoff({ trashRetentionDays: 7 }, now), now - 7 * DAY);
+});